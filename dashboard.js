@@ -110,6 +110,9 @@
     overview: null,
     audits: [],
     monitors: [],
+    competitors: [],
+    competitorSite: "",
+    competitorCompare: null,
     orgSettings: {
       alertRecipients: "all",
       alertExtraEmails: [],
@@ -594,13 +597,6 @@
       { name: "Tech Ops", role: "Editor", detail: "Peut gérer les monitors, vérifier la stabilité et corriger les alertes." }
     ],
 
-    competitorBenchmarks: [
-      { metric: "Pages locales", ours: "6", best: "14", gap: "À développer" },
-      { metric: "Vitesse mobile", ours: "72/100", best: "91/100", gap: "Élevé" },
-      { metric: "Pages services", ours: "8", best: "12", gap: "Modéré" },
-      { metric: "Signaux de confiance", ours: "Bon", best: "Très fort", gap: "À renforcer" }
-    ],
-
     settingsInfoTips: [
       { title: "Thème automatique", text: "Utilise l’apparence système du navigateur. Effet surtout visuel." },
       { title: "Statut temps réel", text: "Affiche et met à jour la barre d’état du dashboard." },
@@ -843,17 +839,219 @@
     setStatus("Événement supprimé — OK", "ok");
   }
 
-  function getMapTargets() {
-    return pickLibrary(
-      [
-        { name: "Concurrent Alpha", city: "Liège", rating: "4.6", reviews: "124 avis", site: "alpha-example.be", tag: "Fort" },
-        { name: "Concurrent Beta", city: "Verviers", rating: "4.2", reviews: "67 avis", site: "beta-example.be", tag: "Moyen" },
-        { name: "Concurrent Gamma", city: "Spa", rating: "4.8", reviews: "211 avis", site: "gamma-example.be", tag: "Très fort" },
-        { name: "Concurrent Delta", city: "Bruxelles", rating: "4.1", reviews: "52 avis", site: "delta-example.be", tag: "À surveiller" }
-      ],
-      4,
-      getDaySeed("map_targets")
-    );
+  // Sites comparés = siteUrl des concurrents enregistrés ; un sélecteur apparaît s'il y en a plusieurs.
+  function getCompetitorSites() {
+    const sites = [];
+    for (const c of state.competitors) {
+      if (c?.siteUrl && !sites.includes(c.siteUrl)) sites.push(c.siteUrl);
+    }
+    return sites;
+  }
+
+  async function loadCompetitorComparison() {
+    const sites = getCompetitorSites();
+    const site = sites.includes(state.competitorSite) ? state.competitorSite : sites[0] || "";
+    state.competitorSite = site;
+
+    const key = `${site}|${state.rangeDays}`;
+    if (!site || state.competitorCompare?.key === key) return;
+
+    state.competitorCompare = { key, loading: true, data: null, error: "" };
+    let next;
+
+    try {
+      const r = await fetchWithAuth(
+        `/api/competitors/compare?site=${encodeURIComponent(site)}&days=${encodeURIComponent(state.rangeDays)}`,
+        { method: "GET" }
+      );
+      const data = await parseJsonSafe(r);
+      if (!r.ok) throw new Error(data?.error || "Comparaison indisponible");
+      next = { key, loading: false, data, error: "" };
+    } catch (e) {
+      console.error(e);
+      next = { key, loading: false, data: null, error: e.message || "Comparaison indisponible" };
+    }
+
+    // Site ou période changés pendant la requête : la réponse est périmée.
+    if (state.competitorCompare?.key !== key) return;
+    state.competitorCompare = next;
+    if (state.route === "#local-seo") renderRoute({ preserveScroll: true });
+  }
+
+  const COMPETITOR_TREND_COLORS = ["#2f5bff", "#f97316", "#10b981", "#e11d48", "#8b5cf6", "#eab308"];
+
+  function formatBenchmarkScore(value) {
+    return value == null ? "—" : `${value}/100`;
+  }
+
+  function renderCompetitorBenchmark() {
+    const sites = getCompetitorSites();
+    if (!sites.length) return createEmpty("Aucun concurrent suivi pour le moment.");
+
+    const picker = sites.length > 1
+      ? `
+        <select id="fpCompetitorSite" class="fpInput fpToolbarSelect" style="min-width:220px">
+          ${sites.map((site) => `<option value="${esc(site)}" ${site === state.competitorSite ? "selected" : ""}>${esc(site)}</option>`).join("")}
+        </select>
+      `
+      : "";
+
+    const compare = state.competitorCompare;
+    if (!compare || compare.loading) return `${picker}${createEmpty("Chargement du benchmark…")}`;
+    if (compare.error) return `${picker}${createEmpty(compare.error)}`;
+
+    const data = compare.data || {};
+    const competitors = Array.isArray(data.competitors) ? data.competitors : [];
+    const sideBySide = [{ ...(data.site || {}), name: "Votre site" }, ...competitors];
+
+    // Checks où le site et au moins un concurrent divergent.
+    const checkRows = (Array.isArray(data.checks) ? data.checks : [])
+      .filter((c) => c.site != null && c.competitors.some((x) => x.ok != null && x.ok !== c.site))
+      .slice(0, 8);
+
+    const series = [
+      { name: "Votre site", points: data.trends?.site || [] },
+      ...(data.trends?.competitors || []),
+    ];
+
+    return `
+      ${picker}
+
+      <div class="fpBenchmarkTable">
+        <div class="fpBenchmarkHead">
+          <div>Site</div>
+          <div>SEO</div>
+          <div>Accessibilité</div>
+          <div>Performance</div>
+        </div>
+
+        ${sideBySide.map((row) => `
+          <div class="fpBenchmarkRow">
+            <div>
+              <div class="fpBenchmarkStrong">${esc(row.name)}</div>
+              <div class="fpRowMeta">${esc(row.url || "")} · ${esc(row.auditedAt ? formatShortDate(row.auditedAt) : "Pas encore audité")}</div>
+            </div>
+            <div><div class="fpBenchmarkCellPill">${esc(formatBenchmarkScore(row.score))}</div></div>
+            <div><div class="fpBenchmarkCellPill">${esc(formatBenchmarkScore(row.accessibilityScore))}</div></div>
+            <div><div class="fpBenchmarkCellPill">${esc(formatBenchmarkScore(row.performanceScore))}</div></div>
+          </div>
+        `).join("")}
+      </div>
+
+      ${checkRows.length ? `
+        <div class="fpBenchmarkTable">
+          <div class="fpBenchmarkHead">
+            <div>Check</div>
+            <div>Votre site</div>
+            <div>Concurrents OK</div>
+            <div>Écart</div>
+          </div>
+
+          ${checkRows.map((c) => {
+            const known = c.competitors.filter((x) => x.ok != null);
+            return `
+              <div class="fpBenchmarkRow">
+                <div class="fpBenchmarkStrong">${esc(c.key)}</div>
+                <div><div class="fpBenchmarkCellPill">${c.site ? "OK" : "KO"}</div></div>
+                <div><div class="fpBenchmarkCellPill">${esc(`${known.filter((x) => x.ok).length}/${known.length}`)}</div></div>
+                <div><div class="fpBenchmarkCellPill">${c.site ? "Avance" : "Retard"}</div></div>
+              </div>
+            `;
+          }).join("")}
+        </div>
+      ` : ""}
+
+      ${(data.leads || []).length || (data.gaps || []).length ? `
+        <div style="margin-top:18px"></div>
+        ${renderPriorityList([
+          ...(data.leads || []).map((l) => ({ title: l.label, text: "Écart de score SEO sur le dernier audit.", tag: `+${l.delta}` })),
+          ...(data.gaps || []).slice(0, 5).map((g) => ({ title: g.label, text: `Opportunité ${g.category}`, tag: String(g.score) })),
+        ])}
+      ` : ""}
+
+      <div style="margin-top:18px"></div>
+      ${series.some((s) => s.points.length)
+        ? `
+          <canvas id="fpCompetitorTrendChart"></canvas>
+          <div class="fpRowMeta" style="margin-top:8px">
+            ${series.map((s, i) => `<span style="color:${COMPETITOR_TREND_COLORS[i % COMPETITOR_TREND_COLORS.length]}">●</span> ${esc(s.name)}`).join(" · ")}
+          </div>
+        `
+        : createEmpty(`Pas encore d’historique sur ${data.days ?? state.rangeDays} jours.`)}
+    `;
+  }
+
+  // Une courbe par site, axe X en temps réel (les audits ne tombent pas aux mêmes dates).
+  function drawCompetitorTrendChart(trends) {
+    const canvas = $("#fpCompetitorTrendChart");
+    if (!canvas || !trends) return;
+
+    const ctx = canvas.getContext("2d");
+    if (!ctx) return;
+
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const mobile = window.innerWidth <= 760;
+    const width = Math.max(260, Math.round(rect.width || 760));
+    const height = mobile ? 200 : 260;
+
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    canvas.style.width = "100%";
+    canvas.style.height = `${height}px`;
+
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const series = [{ points: trends.site || [] }, ...(trends.competitors || [])].map((s) => (
+      (s.points || []).map((p) => ({ t: new Date(p.x).getTime(), v: clamp(Number(p.y || 0), 0, 100) })).filter((p) => Number.isFinite(p.t))
+    ));
+    const times = series.flat().map((p) => p.t);
+    if (!times.length) return;
+
+    const minT = Math.min(...times);
+    const spanT = Math.max(1, Math.max(...times) - minT);
+    const muted = getComputedStyle(document.documentElement).getPropertyValue("--fpMuted").trim() || "#94a3b8";
+    const pad = { left: mobile ? 34 : 44, right: mobile ? 14 : 20, top: 18, bottom: 18 };
+    const chartW = width - pad.left - pad.right;
+    const chartH = height - pad.top - pad.bottom;
+
+    ctx.strokeStyle = "rgba(148,163,184,.20)";
+    ctx.lineWidth = 1;
+    ctx.fillStyle = muted;
+    ctx.font = mobile ? "11px Inter, system-ui, sans-serif" : "12px Inter, system-ui, sans-serif";
+    ["100", "80", "60", "40", "20", "0"].forEach((label, i) => {
+      const y = pad.top + (chartH / 5) * i;
+      ctx.beginPath();
+      ctx.moveTo(pad.left, y);
+      ctx.lineTo(width - pad.right, y);
+      ctx.stroke();
+      ctx.fillText(label, label === "100" ? 6 : 12, y + 4);
+    });
+
+    series.forEach((points, i) => {
+      if (!points.length) return;
+      const color = COMPETITOR_TREND_COLORS[i % COMPETITOR_TREND_COLORS.length];
+      const xy = points.map((p) => ({
+        x: pad.left + ((p.t - minT) / spanT) * chartW,
+        y: pad.top + chartH - (p.v / 100) * chartH,
+      }));
+
+      ctx.beginPath();
+      xy.forEach((p, j) => (j === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      ctx.strokeStyle = color;
+      ctx.lineWidth = i === 0 ? 3.2 : 2;
+      ctx.lineJoin = "round";
+      ctx.lineCap = "round";
+      ctx.stroke();
+
+      ctx.fillStyle = color;
+      xy.forEach((p) => {
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, i === 0 ? 4 : 3, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    });
   }
 // =========================================================
 // FLOWPOINT — PERSONALIZED MISSION ENGINE
@@ -2738,6 +2936,63 @@ function getCurrentMissionPoolLabel() {
     }
   }
 
+  function showJobProgress(job) {
+    const p = job?.progress || {};
+    if (job?.status === "queued") setStatus("Audit en file d’attente…", "warn");
+    else if (p.total > 1) setStatus(`Audit en cours — ${p.processed || 0}/${p.total}`, "warn");
+    else setStatus("Audit en cours…", "warn");
+  }
+
+  // Suit un job via le flux SSE (lu en streaming pour garder l'en-tête Authorization),
+  // puis bascule sur du polling si le flux est indisponible.
+  async function waitForJob(jobId) {
+    let last = null;
+
+    try {
+      const r = await fetchWithAuth(`/api/jobs/${encodeURIComponent(jobId)}/events`);
+      if (!r.ok || !r.body) throw new Error("SSE indisponible");
+
+      const reader = r.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        const events = buffer.split("\n\n");
+        buffer = events.pop() || "";
+
+        for (const raw of events) {
+          const line = raw.split("\n").find((l) => l.startsWith("data: "));
+          if (!line) continue;
+          last = JSON.parse(line.slice(6));
+          showJobProgress(last);
+          if (last.status === "done" || last.status === "failed") {
+            reader.cancel().catch(() => {});
+            return last;
+          }
+        }
+      }
+    } catch (e) {
+      console.warn("Job stream:", e);
+    }
+
+    for (let i = 0; i < 600; i++) {
+      const r = await fetchWithAuth(`/api/jobs/${encodeURIComponent(jobId)}`);
+      const data = await parseJsonSafe(r);
+      if (r.ok && data?.job) {
+        last = data.job;
+        showJobProgress(last);
+        if (last.status === "done" || last.status === "failed") return last;
+      }
+      await sleep(2000);
+    }
+
+    return last;
+  }
+
   async function safeRunAudit() {
     const url = await openTextModal({
       title: "URL à auditer",
@@ -2751,14 +3006,19 @@ function getCurrentMissionPoolLabel() {
     try {
       const r = await fetchWithAuth("/api/audits/run", {
         method: "POST",
-        body: JSON.stringify({ url }),
+        body: JSON.stringify({ url, async: true }),
       });
 
       const data = await parseJsonSafe(r);
       if (!r.ok) throw new Error(data?.error || "Audit failed");
 
+      if (data?.queued && data.jobId) {
+        const job = await waitForJob(data.jobId);
+        if (job?.status !== "done") throw new Error(job?.error || "Audit failed");
+      }
+
       setMissionDoneByAction("run_audit", true);
-      setStatus("Audit lancé — OK", "ok");
+      setStatus("Audit terminé — OK", "ok");
       return true;
     } catch (e) {
       console.error(e);
@@ -2893,6 +3153,17 @@ async function generateMissionsFromAuditApi(auditId) {
     const mode = $("#fpSettingsRecipientsMode")?.value || "all";
     const raw = $("#fpSettingsExtraEmails")?.value || "";
     const extraEmails = raw.split(",").map((s) => s.trim()).filter(Boolean);
+    const language = $("#fpSettingsLanguage")?.value || "";
+    const branding = $("#fpBrandAppName")
+      ? {
+          appName: $("#fpBrandAppName").value.trim(),
+          logoUrl: $("#fpBrandLogoUrl")?.value.trim() || "",
+          supportEmail: $("#fpBrandSupportEmail")?.value.trim() || "",
+          primaryColor: $("#fpBrandPrimaryColor")?.value || "#2563eb",
+          accentColor: $("#fpBrandAccentColor")?.value || "#1d4ed8",
+          hideFlowPointBranding: !!$("#fpBrandHideToggle")?.classList.contains("on"),
+        }
+      : undefined;
 
     setStatus("Sauvegarde des paramètres…", "warn");
 
@@ -2902,6 +3173,8 @@ async function generateMissionsFromAuditApi(auditId) {
         body: JSON.stringify({
           alertRecipients: mode,
           alertExtraEmails: extraEmails,
+          language,
+          branding,
         }),
       });
 
@@ -2909,8 +3182,11 @@ async function generateMissionsFromAuditApi(auditId) {
       if (!r.ok) throw new Error(data?.error || "Save settings failed");
 
       state.orgSettings = {
+        ...state.orgSettings,
         alertRecipients: mode,
         alertExtraEmails: extraEmails,
+        language,
+        ...(branding ? { branding: { ...state.orgSettings?.branding, ...branding } } : {}),
       };
 
       setMissionDoneByAction("goto_settings", true);
@@ -2940,6 +3216,9 @@ async function generateMissionsFromAuditApi(auditId) {
         <div class="fpInfoList">
           <div class="fpInfoRow"><span>URL</span><strong>${esc(audit?.url || "—")}</strong></div>
           <div class="fpInfoRow"><span>Score</span><strong>${esc(audit?.score ?? 0)}</strong></div>
+          <div class="fpInfoRow"><span>Accessibilité</span><strong>${esc(audit?.accessibilityScore ?? "—")}</strong></div>
+          <div class="fpInfoRow"><span>Performance</span><strong>${esc(audit?.performanceScore ?? "—")}</strong></div>
+          ${audit?.findings?.keywords ? `<div class="fpInfoRow"><span>Couverture mots-clés</span><strong>${esc(audit.findings.keywords.value?.coverage ?? "—")}%</strong></div>` : ""}
           <div class="fpInfoRow"><span>Statut</span><strong>${esc(audit?.status || "—")}</strong></div>
           <div class="fpInfoRow"><span>Date</span><strong>${esc(formatDate(audit?.createdAt))}</strong></div>
         </div>
@@ -2967,6 +3246,95 @@ async function generateMissionsFromAuditApi(auditId) {
     }
   }
 
+  const AUDIT_DIFF_LABELS = {
+    fixed: ["Corrigé", "up"],
+    regressed: ["Régression", "down"],
+    new: ["Nouveau", ""],
+    removed: ["Retiré", ""],
+    unchanged: ["Inchangé", ""],
+    improved: ["En hausse", "up"],
+  };
+
+  function createDiffBadge(status) {
+    const [label, cls] = AUDIT_DIFF_LABELS[status] || [cap(status), ""];
+    return `
+      <span class="fpBadge ${cls}" style="justify-content:center;min-width:108px">
+        <span class="fpBadgeDot"></span>
+        ${esc(label)}
+      </span>
+    `;
+  }
+
+  async function openAuditCompare(id, otherId = "previous") {
+    if (!id) return;
+    setStatus("Comparaison avec l’audit précédent…", "warn");
+
+    try {
+      const r = await fetchWithAuth(
+        `/api/audits/${encodeURIComponent(id)}/compare/${encodeURIComponent(otherId)}`,
+        { method: "GET" }
+      );
+      const data = await parseJsonSafe(r);
+      if (!r.ok) throw new Error(data?.error || "Audit compare failed");
+
+      const c = data.comparison || {};
+      const order = { regressed: 0, fixed: 1, new: 2, removed: 3, unchanged: 4 };
+      const checks = [...(c.checks || [])].sort((a, b) => (order[a.status] ?? 9) - (order[b.status] ?? 9));
+      const recs = (c.recommendations || []).filter((x) => x.status !== "unchanged");
+      const delta = Number(c.score?.delta || 0);
+
+      const body = `
+        <div class="fpInlineStats">
+          <div class="fpInlineStat"><div class="fpBigValue">${esc(c.score?.before ?? 0)}</div><div class="fpInlineStatText">Score avant · ${esc(formatDate(c.before?.createdAt))}</div></div>
+          <div class="fpInlineStat"><div class="fpBigValue">${esc(c.score?.after ?? 0)}</div><div class="fpInlineStatText">Score après · ${esc(formatDate(c.after?.createdAt))}</div></div>
+          <div class="fpInlineStat"><div class="fpBigValue">${delta >= 0 ? `+${delta}` : delta}</div><div class="fpInlineStatText">${esc(c.totals?.fixed ?? 0)} corrigé(s) · ${esc(c.totals?.regressed ?? 0)} régression(s)</div></div>
+        </div>
+        ${c.score?.profileChanged
+          ? `<div class="fpEmpty" style="margin-top:12px">Profil de scoring modifié entre les deux audits (v${esc(c.score.profileBefore)} → v${esc(c.score.profileAfter)}) : l’écart de score inclut le changement de pondération.</div>`
+          : ""}
+
+        <div class="fpCardInner" style="margin-top:16px">
+          <div class="fpCardInnerTitle" style="font-size:22px">Checks</div>
+          ${
+            checks.length
+              ? `<div class="fpRows">${checks.map((x) => `
+                  <div class="fpRowCard">
+                    <div class="fpRowMain">
+                      <div class="fpRowTitle">${esc(x.key)}</div>
+                      ${x.valueChanged && (x.before?.value !== undefined || x.after?.value !== undefined)
+                        ? `<div class="fpRowMeta">${esc(x.before?.value ?? "—")} → ${esc(x.after?.value ?? "—")}</div>`
+                        : ""}
+                    </div>
+                    <div class="fpRowRight">${createDiffBadge(x.status)}</div>
+                  </div>
+                `).join("")}</div>`
+              : `<div class="fpEmpty">Aucun check comparable.</div>`
+          }
+        </div>
+
+        <div class="fpCardInner" style="margin-top:16px">
+          <div class="fpCardInnerTitle" style="font-size:22px">Recommandations</div>
+          ${
+            recs.length
+              ? `<div class="fpRows">${recs.map((x) => `
+                  <div class="fpRowCard">
+                    <div class="fpRowMain"><div class="fpRowTitle">${esc(x.text)}</div></div>
+                    <div class="fpRowRight">${createDiffBadge(x.status)}</div>
+                  </div>
+                `).join("")}</div>`
+              : `<div class="fpEmpty">Aucun changement de recommandation.</div>`
+          }
+        </div>
+      `;
+
+      openHtmlModal({ title: "Comparaison d’audits", body, wide: true });
+      setStatus("Comparaison chargée", "ok");
+    } catch (e) {
+      console.error(e);
+      setStatus(e.message || "Erreur comparaison audit", "danger");
+    }
+  }
+
   async function openMonitorLogs(id) {
     if (!id) return;
     setStatus("Chargement des logs monitor…", "warn");
@@ -2987,7 +3355,9 @@ async function generateMissionsFromAuditApi(auditId) {
                   <div class="fpRowMeta">
                     ${esc(formatDate(log.checkedAt))} · HTTP ${esc(log.httpStatus ?? log.statusCode ?? 0)} · ${esc(log.responseTimeMs ?? 0)} ms
                     ${log.error || log.note ? ` · ${esc(log.error || log.note)}` : ""}
+                    ${log.contentChanged ? ` · Contenu modifié (+${esc(log.diff?.added ?? 0)} / −${esc(log.diff?.removed ?? 0)})` : ""}
                   </div>
+                  ${log.contentChanged && log.diff?.lines?.length ? `<pre class="fpDiff">${log.diff.lines.slice(0, 30).map((d) => esc(d.op === "…" ? "…" : `${d.op} ${d.text}`)).join("\n")}</pre>` : ""}
                 </div>
                 <div class="fpRowRight">${createBadge(log.status)}</div>
               </div>
@@ -3509,6 +3879,19 @@ async function generateMissionsFromAuditApi(auditId) {
     bindQuickActionButtons();
   }
 
+  function bindLocalSeoPageEvents() {
+    bindQuickActionButtons();
+
+    $("#fpCompetitorSite")?.addEventListener("change", (e) => {
+      state.competitorSite = e.target.value;
+      loadCompetitorComparison();
+    });
+
+    const trends = state.competitorCompare?.data?.trends;
+    if (trends) requestAnimationFrame(() => drawCompetitorTrendChart(trends));
+    loadCompetitorComparison();
+  }
+
   function afterRenderCurrentRoute() {
     if (state.route === "#overview") {
       bindOverviewPageEvents();
@@ -3520,6 +3903,11 @@ async function generateMissionsFromAuditApi(auditId) {
       return;
     }
 
+    if (state.route === "#local-seo") {
+      bindLocalSeoPageEvents();
+      return;
+    }
+
     bindQuickActionButtons();
   }
 
@@ -4468,6 +4856,7 @@ function buildHistoryHtml(audits) {
         <div>${createBadge(isUp ? "up" : "down")}</div>
         <div class="fpTableActions">
           <button class="fpBtn fpBtnGhost fpBtnSmall" type="button" data-audit-detail="${id}">Détail</button>
+          <button class="fpBtn fpBtnGhost fpBtnSmall" type="button" data-audit-compare="${id}">Comparer</button>
           <button class="fpBtn fpBtnSoft  fpBtnSmall" type="button" data-quick-action="create_audit_mission">Mission</button>
           <button class="fpBtn fpBtnGhost fpBtnSmall" type="button" data-quick-action="goto_reports">Rapport</button>
           <button class="fpBtn fpBtnGhost fpBtnSmall" type="button" data-quick-action="add_monitor">Monitor</button>
@@ -4634,6 +5023,10 @@ function bindAuditsPageEvents() {
     btn.addEventListener("click", () => openAuditDetail(btn.getAttribute("data-audit-detail")));
   });
 
+  $$("[data-audit-compare]").forEach((btn) => {
+    btn.addEventListener("click", () => openAuditCompare(btn.getAttribute("data-audit-compare")));
+  });
+
   bindQuickActionButtons();
 }
 
@@ -4768,7 +5161,7 @@ function renderAuditsPage() {
         ${createSectionCard(
           "Comparaison",
           "Avant / après rapide",
-          "Première lecture comparative sans encore toucher au backend.",
+          "Tendance globale ici ; le bouton « Comparer » de l’historique détaille chaque check face à l’audit précédent de la même URL.",
           buildCompareHtml(firstTrend, lastTrend, trendDiff)
         )}
       </div>
@@ -5489,12 +5882,6 @@ function renderAuditsPage() {
     const axes = getLocalAxisCards();
     const businessCards = getLocalBusinessCards();
     const executionCards = getLocalExecutionCards();
-    const benchmarkRows = pickLibrary(
-      libraries.competitorBenchmarks,
-      4,
-      getDaySeed(`benchmark_${state.rangeDays}`)
-    );
-    const targets = getMapTargets();
 
     setPage(`
       ${createSectionCard(
@@ -5521,48 +5908,34 @@ function renderAuditsPage() {
           ${createSectionCard(
             "Benchmark intégré",
             "Concurrents absorbés dans Local SEO",
-            "La page concurrents est fusionnée ici pour alléger le dashboard.",
-            `
-              <div class="fpBenchmarkTable">
-                <div class="fpBenchmarkHead">
-                  <div>Critère</div>
-                  <div>Votre site</div>
-                  <div>Meilleur</div>
-                  <div>Écart</div>
-                </div>
-
-                ${benchmarkRows.map((row) => `
-                  <div class="fpBenchmarkRow">
-                    <div class="fpBenchmarkStrong">${esc(row.metric)}</div>
-                    <div><div class="fpBenchmarkCellPill">${esc(row.ours)}</div></div>
-                    <div><div class="fpBenchmarkCellPill">${esc(row.best)}</div></div>
-                    <div><div class="fpBenchmarkCellPill">${esc(row.gap)}</div></div>
-                  </div>
-                `).join("")}
-              </div>
-            `
+            `Comparaison côte à côte avec vos concurrents suivis, tendances sur ${state.rangeDays} jours.`,
+            renderCompetitorBenchmark()
           )}
 
           ${createSectionCard(
-            "Carte intégrée",
-            "Map absorbée dans Local SEO",
-            "La logique carte et cibles locales reste ici dans le même hub.",
-            `
-              <div class="fpRows">
-                ${targets.map((item) => `
-                  <div class="fpRowCard">
-                    <div class="fpRowMain">
-                      <div class="fpRowTitle">${esc(item.name)}</div>
-                      <div class="fpRowMeta">${esc(item.city)} · ${esc(item.rating)}★ · ${esc(item.reviews)}</div>
-                      <div class="fpRowMeta" style="margin-top:8px">${esc(item.site)}</div>
-                    </div>
-                    <div class="fpRowRight">
-                      <div class="fpAddonPill on">${esc(item.tag)}</div>
+            "Concurrents suivis",
+            "Audits concurrents planifiés",
+            "Chaque concurrent est audité selon sa fréquence et comparé à votre site.",
+            state.competitors.length
+              ? `
+                <div class="fpRows">
+                  ${state.competitors.slice(0, 8).map((c) => `
+                    <div class="fpRowCard">
+                      <div class="fpRowMain">
+                        <div class="fpRowTitle">${esc(c.name || c.url)}</div>
+                        <div class="fpRowMeta">${esc(c.url)} · ${esc(c.siteHost || "")}</div>
+                        <div class="fpRowMeta" style="margin-top:8px">
+                          Dernier audit : ${esc(formatShortDate(c.lastRunAt))}${c.lastScore != null ? ` · ${esc(c.lastScore)}/100` : ""}
+                        </div>
+                      </div>
+                      <div class="fpRowRight">
+                        <div class="fpAddonPill ${c.active ? "on" : "off"}">${c.active ? "Suivi" : "En pause"}</div>
+                      </div>
                     </div>
-                  </div>
-                `).join("")}
-              </div>
-            `
+                  `).join("")}
+                </div>
+              `
+              : createEmpty("Aucun concurrent suivi pour le moment.")
           )}
         </div>
 
@@ -5720,6 +6093,7 @@ function renderAuditsPage() {
     const s = state.orgSettings || {};
     const me = state.me || {};
     const extraEmails = Array.isArray(s.alertExtraEmails) ? s.alertExtraEmails.join(", ") : "";
+    const brand = s.branding || {};
     const addons = getAddonEntries();
     const settingTips = libraries.settingsInfoTips;
     const activeTools = getActiveToolCards();
@@ -5758,11 +6132,63 @@ function renderAuditsPage() {
                   />
                 </div>
 
+                <div class="fpField">
+                  <label class="fpLabel" for="fpSettingsLanguage">Langue des rapports</label>
+                  <select id="fpSettingsLanguage" class="fpInput">
+                    <option value="" ${!s.language ? "selected" : ""}>Automatique (navigateur)</option>
+                    <option value="fr" ${s.language === "fr" ? "selected" : ""}>Français</option>
+                    <option value="nl" ${s.language === "nl" ? "selected" : ""}>Nederlands</option>
+                    <option value="en" ${s.language === "en" ? "selected" : ""}>English</option>
+                  </select>
+                </div>
+
                 <div class="fpDetailActions">
                   <button class="fpBtn fpBtnPrimary" id="fpSaveSettingsBtn" type="button">Sauvegarder</button>
                 </div>
               </div>
 
+              <div class="fpCardInner">
+                <div class="fpCardInnerTitle" style="font-size:26px">Marque blanche</div>
+                <div class="fpSmall">Nom, logo et couleurs utilisés dans les rapports PDF remis aux clients.</div>
+
+                <div class="fpField">
+                  <label class="fpLabel" for="fpBrandAppName">Nom affiché</label>
+                  <input id="fpBrandAppName" class="fpInput" maxlength="60" value="${esc(brand.appName || "")}" autocomplete="off" />
+                </div>
+
+                <div class="fpField">
+                  <label class="fpLabel" for="fpBrandLogoUrl">URL du logo (PNG ou JPEG)</label>
+                  <input id="fpBrandLogoUrl" class="fpInput" placeholder="https://agence.be/logo.png" value="${esc(brand.logoUrl || "")}" autocomplete="off" spellcheck="false" />
+                </div>
+
+                <div class="fpField">
+                  <label class="fpLabel" for="fpBrandSupportEmail">Email de contact</label>
+                  <input id="fpBrandSupportEmail" class="fpInput" placeholder="contact@agence.be" value="${esc(brand.supportEmail || "")}" autocomplete="off" spellcheck="false" />
+                </div>
+
+                <div class="fpField">
+                  <label class="fpLabel" for="fpBrandPrimaryColor">Couleur principale</label>
+                  <input id="fpBrandPrimaryColor" class="fpInput" type="color" value="${esc(brand.primaryColor || "#2563eb")}" />
+                </div>
+
+                <div class="fpField">
+                  <label class="fpLabel" for="fpBrandAccentColor">Couleur d’accent</label>
+                  <input id="fpBrandAccentColor" class="fpInput" type="color" value="${esc(brand.accentColor || "#1d4ed8")}" />
+                </div>
+
+                <div class="fpToggleRow">
+                  <div class="fpToggleText">
+                    <div class="fpToggleTitle">Masquer la mention FlowPoint</div>
+                    <div class="fpToggleHint">Retire « Généré avec FlowPoint » du pied de page des rapports.</div>
+                  </div>
+                  <button type="button" class="fpSwitch ${brand.hideFlowPointBranding ? "on" : ""}" id="fpBrandHideToggle"></button>
+                </div>
+
+                <div class="fpDetailActions">
+                  <button class="fpBtn fpBtnPrimary" id="fpSaveBrandingBtn" type="button">Sauvegarder</button>
+                </div>
+              </div>
+
               <div class="fpCardInner">
                 <div class="fpCardInnerTitle" style="font-size:26px">Préférences interface</div>
 
@@ -5853,6 +6279,12 @@ function renderAuditsPage() {
       if (ok) await loadData({ silent: true });
     });
 
+    $("#fpSaveBrandingBtn")?.addEventListener("click", async () => {
+      const ok = await saveOrgSettings();
+      if (ok) await loadData({ silent: true });
+    });
+    $("#fpBrandHideToggle")?.addEventListener("click", (e) => e.currentTarget.classList.toggle("on"));
+
     $("#fpThemeAutoToggle")?.addEventListener("click", () => toggleUiPref("themeAuto"));
     $("#fpLiveStatusToggle")?.addEventListener("click", () => toggleUiPref("liveStatus"));
     $("#fpCompactListsToggle")?.addEventListener("click", () => toggleUiPref("compactLists"));
@@ -5981,12 +6413,13 @@ function renderAuditsPage() {
     const signal = state.controller.signal;
 
     try {
-      const [meRes, ovRes, audRes, monRes, setRes] = await Promise.all([
+      const [meRes, ovRes, audRes, monRes, setRes, compRes] = await Promise.all([
         fetchWithAuth("/api/me", { signal }).catch(() => null),
         fetchWithAuth(`/api/overview?days=${encodeURIComponent(state.rangeDays)}`, { signal }).catch(() => null),
         fetchWithAuth("/api/audits", { signal }).catch(() => null),
         fetchWithAuth("/api/monitors", { signal }).catch(() => null),
         fetchWithAuth("/api/org/settings", { signal }).catch(() => null),
+        fetchWithAuth("/api/competitors", { signal }).catch(() => null),
       ]);
 
       if (meRes?.ok) {
@@ -6032,6 +6465,15 @@ function renderAuditsPage() {
         state.orgSettings = settingsData?.settings || settingsData || state.orgSettings;
       }
 
+      if (compRes?.ok) {
+        const competitorsData = await parseJsonSafe(compRes);
+        state.competitors = Array.isArray(competitorsData?.competitors) ? competitorsData.competitors : [];
+        // Rechargement : la comparaison est refaite avec les derniers audits concurrents.
+        state.competitorCompare = null;
+      } else {
+        state.competitors = [];
+      }
+
       state.lastLoadedAt = new Date().toISOString();
       refreshDailySeed();
 
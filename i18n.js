@@ -0,0 +1,1156 @@
+// i18n.js — FlowPoint traductions (fr / nl / en)
+// Le français est la langue source : le code écrit ses textes en français et
+// CATALOG donne la version nl / en de chaque texte, avec des variables {nom}.
+// Un texte absent du catalogue est renvoyé tel quel (français).
+
+const SUPPORTED_LOCALES = ["fr", "nl", "en"];
+const DEFAULT_LOCALE = "fr";
+
+const DATE_LOCALES = { fr: "fr-FR", nl: "nl-BE", en: "en-GB" };
+
+function normalizeLocale(value) {
+  const base = String(value || "").trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : "";
+}
+
+// "nl-BE,nl;q=0.9,en;q=0.8" -> première langue supportée par ordre de q.
+function parseAcceptLanguage(header) {
+  const ranked = String(header || "")
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+      return { locale: normalizeLocale(tag), q: q ? Number(q.slice(2)) || 0 : 1, i };
+    })
+    .filter((x) => x.locale && x.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+
+  return ranked[0]?.locale || "";
+}
+
+// Priorité : choix de l'utilisateur, puis de l'organisation, puis du navigateur.
+function resolveLocale({ user, org, acceptLanguage } = {}) {
+  return (
+    normalizeLocale(user?.language) ||
+    normalizeLocale(org?.language) ||
+    parseAcceptLanguage(acceptLanguage) ||
+    DEFAULT_LOCALE
+  );
+}
+
+function dateLocaleFor(locale) {
+  return DATE_LOCALES[locale] || DATE_LOCALES[DEFAULT_LOCALE];
+}
+
+function translate(locale, text, vars) {
+  const source = String(text ?? "");
+  const out = (locale !== DEFAULT_LOCALE && CATALOG[source]?.[locale]) || source;
+  if (!vars) return out;
+
+  return out.replace(/\{(\w+)\}/g, (m, key) => (vars[key] == null ? m : String(vars[key])));
+}
+
+const CATALOG = {
+  // ---- Audit : résumés ----
+  "Impossible de charger l’URL.": {
+    nl: "De URL kon niet worden geladen.",
+    en: "Unable to load the URL.",
+  },
+  "Impossible de charger l’URL : {reason}.": {
+    nl: "De URL kon niet worden geladen: {reason}.",
+    en: "Unable to load the URL: {reason}.",
+  },
+  "Audit OK. HTTP {status} – {ms}ms – Score {score}/100.": {
+    nl: "Audit OK. HTTP {status} – {ms}ms – Score {score}/100.",
+    en: "Audit OK. HTTP {status} – {ms}ms – Score {score}/100.",
+  },
+  "Audit: page non OK. HTTP {status} – Score {score}/100.": {
+    nl: "Audit: pagina niet OK. HTTP {status} – Score {score}/100.",
+    en: "Audit: page not OK. HTTP {status} – Score {score}/100.",
+  },
+  "Crawl OK. {pages} page(s) auditée(s) sur {discovered} découverte(s) – {errors} en erreur – Score site {score}/100.": {
+    nl: "Crawl OK. {pages} pagina('s) geaudit van {discovered} gevonden – {errors} met fouten – Sitescore {score}/100.",
+    en: "Crawl OK. {pages} page(s) audited out of {discovered} discovered – {errors} with errors – Site score {score}/100.",
+  },
+  "Crawl OK. {pages} page(s) auditée(s) sur {discovered} découverte(s) – Score site {score}/100.": {
+    nl: "Crawl OK. {pages} pagina('s) geaudit van {discovered} gevonden – Sitescore {score}/100.",
+    en: "Crawl OK. {pages} page(s) audited out of {discovered} discovered – Site score {score}/100.",
+  },
+  "Boucle de redirection": { nl: "Redirectlus", en: "Redirect loop" },
+  "Trop de redirections": { nl: "Te veel redirects", en: "Too many redirects" },
+
+  // ---- Audit : recommandations ----
+  "Ajouter un <title> unique (50–60 caractères).": {
+    nl: "Voeg een unieke <title> toe (50–60 tekens).",
+    en: "Add a unique <title> (50–60 characters).",
+  },
+  "Ajouter une meta description (140–160 caractères).": {
+    nl: "Voeg een meta description toe (140–160 tekens).",
+    en: "Add a meta description (140–160 characters).",
+  },
+  "Ajouter exactement 1 H1 pertinent (éviter 0 ou plusieurs).": {
+    nl: "Gebruik precies 1 relevante H1 (niet 0 en niet meerdere).",
+    en: "Use exactly 1 relevant H1 (avoid none or several).",
+  },
+  "Ajouter un lien canonical pour éviter le contenu dupliqué.": {
+    nl: "Voeg een canonical-link toe om dubbele content te vermijden.",
+    en: "Add a canonical link to avoid duplicate content.",
+  },
+  "Corriger l’URL canonical invalide ({href}).": {
+    nl: "Corrigeer de ongeldige canonical-URL ({href}).",
+    en: "Fix the invalid canonical URL ({href}).",
+  },
+  "Ne garder qu’une seule balise canonical ({count} trouvées).": {
+    nl: "Behoud slechts één canonical-tag ({count} gevonden).",
+    en: "Keep a single canonical tag ({count} found).",
+  },
+  "La canonical pointe vers {url} (HTTP {status}) : viser une page qui répond 200.": {
+    nl: "De canonical verwijst naar {url} (HTTP {status}): verwijs naar een pagina die 200 antwoordt.",
+    en: "The canonical points to {url} (HTTP {status}): target a page that returns 200.",
+  },
+  "La canonical {url} redirige vers {finalUrl} : pointer directement vers l’URL finale.": {
+    nl: "De canonical {url} leidt door naar {finalUrl}: verwijs rechtstreeks naar de eind-URL.",
+    en: "The canonical {url} redirects to {finalUrl}: point straight to the final URL.",
+  },
+  "La page canonique {url} déclare elle-même {target} en canonical : éviter les chaînes.": {
+    nl: "De canonieke pagina {url} verklaart zelf {target} als canonical: vermijd ketens.",
+    en: "The canonical page {url} itself declares {target} as canonical: avoid chains.",
+  },
+  "Page canonisée vers {url} : vérifier que c’est voulu, sinon utiliser une canonical auto-référente.": {
+    nl: "Pagina gecanonicaliseerd naar {url}: controleer of dat bedoeld is, gebruik anders een zelfverwijzende canonical.",
+    en: "Page canonicalised to {url}: check this is intended, otherwise use a self-referencing canonical.",
+  },
+  "Page canonisée vers un autre domaine ({url}) : à réserver aux contenus syndiqués.": {
+    nl: "Pagina gecanonicaliseerd naar een ander domein ({url}): alleen voor gesyndiceerde content.",
+    en: "Page canonicalised to another domain ({url}): reserve this for syndicated content.",
+  },
+  "Utiliser une URL absolue dans la canonical ({href}).": {
+    nl: "Gebruik een absolute URL in de canonical ({href}).",
+    en: "Use an absolute URL in the canonical ({href}).",
+  },
+  "Aligner og:url ({og}) sur la canonical ({url}).": {
+    nl: "Stem og:url ({og}) af op de canonical ({url}).",
+    en: "Align og:url ({og}) with the canonical ({url}).",
+  },
+  "Page déclarée dans les hreflang mais canonisée vers {url} : les hreflang doivent référencer l’URL canonique.": {
+    nl: "Pagina staat in de hreflang maar is gecanonicaliseerd naar {url}: hreflang moet naar de canonieke URL verwijzen.",
+    en: "Page is listed in hreflang but canonicalised to {url}: hreflang must reference the canonical URL.",
+  },
+  "Vérifier meta robots (index/follow).": {
+    nl: "Controleer meta robots (index/follow).",
+    en: "Check meta robots (index/follow).",
+  },
+  "Débloquer la page dans robots.txt pour Googlebot ({rule}).": {
+    nl: "Deblokkeer de pagina in robots.txt voor Googlebot ({rule}).",
+    en: "Unblock the page in robots.txt for Googlebot ({rule}).",
+  },
+  "Ajouter un fichier /robots.txt (avec la ligne Sitemap:).": {
+    nl: "Voeg een /robots.txt-bestand toe (met de regel Sitemap:).",
+    en: "Add a /robots.txt file (with a Sitemap: line).",
+  },
+  "Publier un sitemap.xml valide et le déclarer dans robots.txt.": {
+    nl: "Publiceer een geldige sitemap.xml en vermeld die in robots.txt.",
+    en: "Publish a valid sitemap.xml and declare it in robots.txt.",
+  },
+  "Ajouter cette page au sitemap.xml.": {
+    nl: "Voeg deze pagina toe aan sitemap.xml.",
+    en: "Add this page to sitemap.xml.",
+  },
+  "Ajouter l’attribut lang sur <html> (ex: fr).": {
+    nl: "Voeg het lang-attribuut toe aan <html> (bv. nl).",
+    en: "Add the lang attribute to <html> (e.g. en).",
+  },
+  "Ajouter le lien hreflang de retour sur {count} version(s) linguistique(s) (ex. {url}).": {
+    nl: "Voeg de hreflang-terugverwijzing toe op {count} taalversie(s) (bv. {url}).",
+    en: "Add the hreflang return link on {count} language version(s) (e.g. {url}).",
+  },
+  "Aligner <html lang=\"{lang}\"> avec le hreflang de la page ({hreflang}).": {
+    nl: "Stem <html lang=\"{lang}\"> af op de hreflang van de pagina ({hreflang}).",
+    en: "Align <html lang=\"{lang}\"> with the page hreflang ({hreflang}).",
+  },
+  "Corriger la langue déclarée de {url} (hreflang {hreflang}, lang=\"{lang}\").": {
+    nl: "Corrigeer de opgegeven taal van {url} (hreflang {hreflang}, lang=\"{lang}\").",
+    en: "Fix the declared language of {url} (hreflang {hreflang}, lang=\"{lang}\").",
+  },
+  "Corriger les codes hreflang invalides ({codes} ; ex. en-GB et non en-UK).": {
+    nl: "Corrigeer de ongeldige hreflang-codes ({codes}; bv. en-GB en niet en-UK).",
+    en: "Fix the invalid hreflang codes ({codes}; e.g. en-GB, not en-UK).",
+  },
+  "Ajouter une balise hreflang auto-référente pour cette page.": {
+    nl: "Voeg een naar zichzelf verwijzende hreflang-tag toe voor deze pagina.",
+    en: "Add a self-referencing hreflang tag for this page.",
+  },
+  "Pointer les hreflang vers des URLs finales en 200 ({count} en erreur ou redirigée(s), ex. {url}).": {
+    nl: "Laat hreflang naar definitieve URL's met status 200 verwijzen ({count} met fout of doorverwezen, bv. {url}).",
+    en: "Point hreflang to final URLs returning 200 ({count} failing or redirected, e.g. {url}).",
+  },
+  "Supprimer les hreflang en double ({codes}).": {
+    nl: "Verwijder dubbele hreflang-tags ({codes}).",
+    en: "Remove duplicate hreflang tags ({codes}).",
+  },
+  "Ajouter une balise hreflang x-default (page de choix de langue ou version principale).": {
+    nl: "Voeg een hreflang x-default-tag toe (taalkeuzepagina of hoofdversie).",
+    en: "Add an hreflang x-default tag (language picker or main version).",
+  },
+  "Forcer HTTPS (redirections + HSTS).": {
+    nl: "Forceer HTTPS (redirects + HSTS).",
+    en: "Enforce HTTPS (redirects + HSTS).",
+  },
+  "Renforcer HSTS : max-age ≥ {minMaxAge} et includeSubDomains (actuel : {raw}).": {
+    nl: "Versterk HSTS: max-age ≥ {minMaxAge} en includeSubDomains (huidig: {raw}).",
+    en: "Strengthen HSTS: max-age ≥ {minMaxAge} and includeSubDomains (current: {raw}).",
+  },
+  "Ajouter l’en-tête Strict-Transport-Security (max-age={maxAge}; includeSubDomains).": {
+    nl: "Voeg de header Strict-Transport-Security toe (max-age={maxAge}; includeSubDomains).",
+    en: "Add the Strict-Transport-Security header (max-age={maxAge}; includeSubDomains).",
+  },
+  "Réduire la chaîne de redirections ({count} sauts : {chain}) à une seule 301.": {
+    nl: "Beperk de redirectketen ({count} stappen: {chain}) tot één 301.",
+    en: "Reduce the redirect chain ({count} hops: {chain}) to a single 301.",
+  },
+  "Remplacer {count} redirection(s) temporaire(s) ({status} sur {url}) par des 301.": {
+    nl: "Vervang {count} tijdelijke redirect(s) ({status} op {url}) door 301's.",
+    en: "Replace {count} temporary redirect(s) ({status} on {url}) with 301s.",
+  },
+  "Passer en https {count} ressource(s) chargée(s) en http (ex. {url}).": {
+    nl: "Laad {count} bron(nen) via https in plaats van http (bv. {url}).",
+    en: "Serve {count} resource(s) loaded over http via https (e.g. {url}).",
+  },
+  "Passer la Content-Security-Policy du mode report-only au mode bloquant.": {
+    nl: "Zet de Content-Security-Policy van report-only naar blokkerend.",
+    en: "Switch the Content-Security-Policy from report-only to enforcing.",
+  },
+  "Ajouter une Content-Security-Policy (au minimum default-src 'self' et frame-ancestors).": {
+    nl: "Voeg een Content-Security-Policy toe (minstens default-src 'self' en frame-ancestors).",
+    en: "Add a Content-Security-Policy (at least default-src 'self' and frame-ancestors).",
+  },
+  "Ajouter l’en-tête X-Content-Type-Options: nosniff.": {
+    nl: "Voeg de header X-Content-Type-Options: nosniff toe.",
+    en: "Add the X-Content-Type-Options: nosniff header.",
+  },
+  "Protéger contre le clickjacking (X-Frame-Options: SAMEORIGIN ou CSP frame-ancestors).": {
+    nl: "Bescherm tegen clickjacking (X-Frame-Options: SAMEORIGIN of CSP frame-ancestors).",
+    en: "Protect against clickjacking (X-Frame-Options: SAMEORIGIN or CSP frame-ancestors).",
+  },
+  "Définir Referrer-Policy: strict-origin-when-cross-origin.": {
+    nl: "Stel Referrer-Policy: strict-origin-when-cross-origin in.",
+    en: "Set Referrer-Policy: strict-origin-when-cross-origin.",
+  },
+  "Ajouter un en-tête Permissions-Policy (ex. camera=(), microphone=(), geolocation=()).": {
+    nl: "Voeg een Permissions-Policy-header toe (bv. camera=(), microphone=(), geolocation=()).",
+    en: "Add a Permissions-Policy header (e.g. camera=(), microphone=(), geolocation=()).",
+  },
+  "Ajouter meta viewport pour mobile.": {
+    nl: "Voeg een meta viewport toe voor mobiel.",
+    en: "Add a meta viewport for mobile.",
+  },
+  "Débloquer la version mobile ({url}) dans robots.txt.": {
+    nl: "Deblokkeer de mobiele versie ({url}) in robots.txt.",
+    en: "Unblock the mobile version ({url}) in robots.txt.",
+  },
+  "Rendre la page accessible aux mobiles (HTTP {status} avec un user-agent mobile).": {
+    nl: "Maak de pagina bereikbaar voor mobiel (HTTP {status} met een mobiele user-agent).",
+    en: "Make the page reachable on mobile (HTTP {status} with a mobile user-agent).",
+  },
+  "Aligner le code HTTP mobile ({mobile}) sur le desktop ({desktop}).": {
+    nl: "Stem de mobiele HTTP-code ({mobile}) af op desktop ({desktop}).",
+    en: "Align the mobile HTTP status ({mobile}) with desktop ({desktop}).",
+  },
+  "Servir le même contenu sur mobile : {mobile} mots contre {desktop} sur desktop.": {
+    nl: "Toon dezelfde inhoud op mobiel: {mobile} woorden tegenover {desktop} op desktop.",
+    en: "Serve the same content on mobile: {mobile} words versus {desktop} on desktop.",
+  },
+  "Relier la version mobile {url} : canonical vers la page desktop et <link rel=\"alternate\" media> côté desktop.": {
+    nl: "Koppel de mobiele versie {url}: canonical naar de desktoppagina en <link rel=\"alternate\" media> op desktop.",
+    en: "Link the mobile version {url}: canonical to the desktop page and <link rel=\"alternate\" media> on desktop.",
+  },
+  "Utiliser la même canonical sur mobile ({mobile}) et desktop ({desktop}).": {
+    nl: "Gebruik dezelfde canonical op mobiel ({mobile}) en desktop ({desktop}).",
+    en: "Use the same canonical on mobile ({mobile}) and desktop ({desktop}).",
+  },
+  "Aligner title et meta description entre mobile et desktop.": {
+    nl: "Stem title en meta description af tussen mobiel en desktop.",
+    en: "Align title and meta description between mobile and desktop.",
+  },
+  "Ajouter meta viewport sur la version mobile servie.": {
+    nl: "Voeg een meta viewport toe aan de geleverde mobiele versie.",
+    en: "Add a meta viewport to the served mobile version.",
+  },
+  "Envoyer l’en-tête Vary: User-Agent (contenu adapté au user-agent).": {
+    nl: "Stuur de header Vary: User-Agent mee (inhoud afhankelijk van de user-agent).",
+    en: "Send the Vary: User-Agent header (content depends on the user-agent).",
+  },
+  "Ajouter Open Graph (og:title, og:description, og:image).": {
+    nl: "Voeg Open Graph toe (og:title, og:description, og:image).",
+    en: "Add Open Graph (og:title, og:description, og:image).",
+  },
+  "Améliorer la vitesse (TTFB < {seconds}s).": {
+    nl: "Verbeter de snelheid (TTFB < {seconds}s).",
+    en: "Improve speed (TTFB < {seconds}s).",
+  },
+  "Différer {count} ressource(s) bloquante(s) dans <head> (async/defer pour les scripts, CSS critique en ligne), ex. {url}.": {
+    nl: "Stel {count} blokkerende resource(s) in <head> uit (async/defer voor scripts, kritieke CSS inline), bv. {url}.",
+    en: "Defer {count} render-blocking resource(s) in <head> (async/defer for scripts, inline critical CSS), e.g. {url}.",
+  },
+  "Alléger la page : {size} au total (objectif < {max}).": {
+    nl: "Maak de pagina lichter: {size} in totaal (doel < {max}).",
+    en: "Reduce page weight: {size} in total (target < {max}).",
+  },
+  "Activer la compression gzip ou brotli du document HTML.": {
+    nl: "Activeer gzip- of brotli-compressie voor het HTML-document.",
+    en: "Enable gzip or brotli compression for the HTML document.",
+  },
+  "Compresser {count} fichier(s) JS/CSS servi(s) sans gzip/brotli (ex. {url}).": {
+    nl: "Comprimeer {count} JS/CSS-bestand(en) die zonder gzip/brotli worden geserveerd (bv. {url}).",
+    en: "Compress {count} JS/CSS file(s) served without gzip/brotli (e.g. {url}).",
+  },
+  "Allonger le cache navigateur de {count} ressource(s) statique(s) (Cache-Control max-age ≥ {days} jours, ex. {url}).": {
+    nl: "Verleng de browsercache van {count} statische resource(s) (Cache-Control max-age ≥ {days} dagen, bv. {url}).",
+    en: "Extend browser caching for {count} static resource(s) (Cache-Control max-age ≥ {days} days, e.g. {url}).",
+  },
+  "Réduire les domaines tiers chargés par la page ({count}, ex. {domains}).": {
+    nl: "Beperk de externe domeinen die de pagina laadt ({count}, bv. {domains}).",
+    en: "Reduce the third-party domains loaded by the page ({count}, e.g. {domains}).",
+  },
+  "Placer le mot-clé « {keyword} » dans : {places}.": {
+    nl: "Plaats het zoekwoord “{keyword}” in: {places}.",
+    en: "Place the keyword “{keyword}” in: {places}.",
+  },
+  "premier paragraphe": { nl: "eerste alinea", en: "first paragraph" },
+  "alt des images": { nl: "alt-tekst van afbeeldingen", en: "image alt text" },
+  "Corriger {count} lien(s) interne(s) cassé(s) (404/5xx/boucles).": {
+    nl: "Herstel {count} kapotte interne link(s) (404/5xx/lussen).",
+    en: "Fix {count} broken internal link(s) (404/5xx/loops).",
+  },
+  "Réparer {count} ressource(s) cassée(s) (images, scripts, CSS).": {
+    nl: "Herstel {count} kapotte bron(nen) (afbeeldingen, scripts, CSS).",
+    en: "Repair {count} broken resource(s) (images, scripts, CSS).",
+  },
+  "Mettre à jour ou retirer {count} lien(s) externe(s) cassé(s).": {
+    nl: "Werk {count} kapotte externe link(s) bij of verwijder ze.",
+    en: "Update or remove {count} broken external link(s).",
+  },
+  "Étoffer le contenu : {count} mots visibles (objectif ≥ {min}).": {
+    nl: "Breid de inhoud uit: {count} zichtbare woorden (doel ≥ {min}).",
+    en: "Expand the content: {count} visible words (target ≥ {min}).",
+  },
+  "Alléger le code ou enrichir le texte (ratio texte/HTML {ratio}%).": {
+    nl: "Maak de code lichter of de tekst rijker (tekst/HTML-verhouding {ratio}%).",
+    en: "Slim down the markup or add more text (text/HTML ratio {ratio}%).",
+  },
+  "Corriger la hiérarchie des titres ({from} → {to}, {count} saut(s)).": {
+    nl: "Corrigeer de koppenstructuur ({from} → {to}, {count} sprong(en)).",
+    en: "Fix the heading hierarchy ({from} → {to}, {count} skip(s)).",
+  },
+  "Ajouter un attribut alt descriptif sur {count} image(s).": {
+    nl: "Voeg een beschrijvend alt-attribuut toe aan {count} afbeelding(en).",
+    en: "Add a descriptive alt attribute to {count} image(s).",
+  },
+  "Compresser {count} image(s) lourde(s) (> {size}, ex. {src}).": {
+    nl: "Comprimeer {count} zware afbeelding(en) (> {size}, bv. {src}).",
+    en: "Compress {count} heavy image(s) (> {size}, e.g. {src}).",
+  },
+  "Définir width/height sur {count} image(s) pour éviter les décalages de mise en page.": {
+    nl: "Stel width/height in op {count} afbeelding(en) om layoutverschuivingen te vermijden.",
+    en: "Set width/height on {count} image(s) to avoid layout shifts.",
+  },
+  "Servir {count} image(s) en WebP/AVIF.": {
+    nl: "Lever {count} afbeelding(en) in WebP/AVIF.",
+    en: "Serve {count} image(s) as WebP/AVIF.",
+  },
+  "Ajouter des données structurées schema.org (JSON-LD : LocalBusiness / Organization).": {
+    nl: "Voeg schema.org gestructureerde gegevens toe (JSON-LD: LocalBusiness / Organization).",
+    en: "Add schema.org structured data (JSON-LD: LocalBusiness / Organization).",
+  },
+  "Corriger les données structurées ({count} erreur(s), ex. {error}).": {
+    nl: "Corrigeer de gestructureerde gegevens ({count} fout(en), bv. {error}).",
+    en: "Fix the structured data ({count} error(s), e.g. {error}).",
+  },
+  "Corriger les données structurées ({count} erreur(s)).": {
+    nl: "Corrigeer de gestructureerde gegevens ({count} fout(en)).",
+    en: "Fix the structured data ({count} error(s)).",
+  },
+  "Associer un libellé (<label> ou aria-label) à {count} champ(s) de formulaire.": {
+    nl: "Koppel een label (<label> of aria-label) aan {count} formulierveld(en).",
+    en: "Associate a label (<label> or aria-label) with {count} form field(s).",
+  },
+  "Donner un nom accessible à {count} bouton(s) ou lien(s) (texte, aria-label ou alt de l’icône).": {
+    nl: "Geef {count} knop(pen) of link(s) een toegankelijke naam (tekst, aria-label of alt van het icoon).",
+    en: "Give {count} button(s) or link(s) an accessible name (text, aria-label or icon alt).",
+  },
+  "Ajouter un texte alternatif sur {count} image(s) ou zone(s) cliquable(s).": {
+    nl: "Voeg een alternatieve tekst toe aan {count} afbeelding(en) of klikbare zone(s).",
+    en: "Add alternative text to {count} image(s) or clickable area(s).",
+  },
+  "Ajouter les zones repères manquantes : {missing}.": {
+    nl: "Voeg de ontbrekende landmarks toe: {missing}.",
+    en: "Add the missing landmarks: {missing}.",
+  },
+  "Rendre uniques {count} identifiant(s) id dupliqué(s) (ex. {id}).": {
+    nl: "Maak {count} dubbele id('s) uniek (bv. {id}).",
+    en: "Make {count} duplicate id(s) unique (e.g. {id}).",
+  },
+  "Retirer les tabindex positifs ou invalides sur {count} élément(s) (utiliser 0 ou -1).": {
+    nl: "Verwijder positieve of ongeldige tabindex op {count} element(en) (gebruik 0 of -1).",
+    en: "Remove positive or invalid tabindex on {count} element(s) (use 0 or -1).",
+  },
+  "Corriger {count} attribut(s) ARIA invalide(s) (ex. {detail} sur {element}).": {
+    nl: "Corrigeer {count} ongeldig(e) ARIA-attribu(u)t(en) (bv. {detail} op {element}).",
+    en: "Fix {count} invalid ARIA attribute(s) (e.g. {detail} on {element}).",
+  },
+  "Règle « {name} » : {detail}.": {
+    nl: "Regel “{name}”: {detail}.",
+    en: "Rule “{name}”: {detail}.",
+  },
+
+  // ---- Issues ----
+  "{title} détecté sur {url}.": {
+    nl: "{title} gedetecteerd op {url}.",
+    en: "{title} detected on {url}.",
+  },
+  "le site": { nl: "de site", en: "the site" },
+  "Règle personnalisée : {name}": { nl: "Eigen regel: {name}", en: "Custom rule: {name}" },
+  "Title manquant": { nl: "Title ontbreekt", en: "Missing title" },
+  "Title trop faible": { nl: "Title te zwak", en: "Weak title" },
+  "Meta description manquante": { nl: "Meta description ontbreekt", en: "Missing meta description" },
+  "Performance mobile faible": { nl: "Zwakke mobiele prestaties", en: "Poor mobile performance" },
+  "Meta viewport absente (affichage mobile)": { nl: "Meta viewport ontbreekt (mobiele weergave)", en: "Missing meta viewport (mobile display)" },
+  "Version mobile bloquée ou en erreur": { nl: "Mobiele versie geblokkeerd of met fout", en: "Mobile version blocked or failing" },
+  "Contenu manquant sur mobile": { nl: "Ontbrekende inhoud op mobiel", en: "Content missing on mobile" },
+  "Canonical / alternate mobile incohérents": { nl: "Inconsistente mobiele canonical / alternate", en: "Inconsistent mobile canonical / alternate" },
+  "Canonical absente": { nl: "Canonical ontbreekt", en: "Missing canonical" },
+  "Canonical cassée": { nl: "Defecte canonical", en: "Broken canonical" },
+  "Canonical vers une autre page": { nl: "Canonical naar een andere pagina", en: "Canonical pointing to another page" },
+  "Canonical en conflit avec og:url ou hreflang": {
+    nl: "Canonical in conflict met og:url of hreflang",
+    en: "Canonical conflicts with og:url or hreflang",
+  },
+  "Title / meta description différents sur mobile": {
+    nl: "Andere title / meta description op mobiel",
+    en: "Different title / meta description on mobile",
+  },
+  "Ressources bloquant l’affichage": { nl: "Resources die de weergave blokkeren", en: "Render-blocking resources" },
+  "Page trop lourde": { nl: "Pagina te zwaar", en: "Page too heavy" },
+  "Compression gzip / brotli absente": { nl: "Geen gzip- / brotli-compressie", en: "Missing gzip / brotli compression" },
+  "Cache navigateur trop court": { nl: "Browsercache te kort", en: "Browser cache too short" },
+  "Trop de domaines tiers chargés": { nl: "Te veel externe domeinen geladen", en: "Too many third-party domains loaded" },
+  "Mot-clé cible absent du title": { nl: "Doelzoekwoord ontbreekt in de title", en: "Target keyword missing from title" },
+  "Mot-clé cible absent du H1": { nl: "Doelzoekwoord ontbreekt in de H1", en: "Target keyword missing from H1" },
+  "Mot-clé cible absent de la meta description": {
+    nl: "Doelzoekwoord ontbreekt in de meta description",
+    en: "Target keyword missing from meta description",
+  },
+  "Mot-clé cible peu présent dans la page": { nl: "Doelzoekwoord weinig aanwezig op de pagina", en: "Target keyword weakly placed on the page" },
+  "H1 manquant": { nl: "H1 ontbreekt", en: "Missing H1" },
+  "Title dupliqué sur plusieurs pages": { nl: "Title gedupliceerd op meerdere pagina's", en: "Title duplicated across pages" },
+  "Meta description dupliquée sur plusieurs pages": {
+    nl: "Meta description gedupliceerd op meerdere pagina's",
+    en: "Meta description duplicated across pages",
+  },
+  "H1 dupliqué sur plusieurs pages": { nl: "H1 gedupliceerd op meerdere pagina's", en: "H1 duplicated across pages" },
+  "Contenu dupliqué entre plusieurs pages": { nl: "Gedupliceerde inhoud tussen pagina's", en: "Content duplicated across pages" },
+  "{title} : {count} pages concernées.": { nl: "{title}: {count} pagina's betrokken.", en: "{title}: {count} pages affected." },
+  "Contact peu visible": { nl: "Contact weinig zichtbaar", en: "Contact hard to find" },
+  "Pages locales absentes": { nl: "Lokale pagina's ontbreken", en: "No local pages" },
+  "CTA faibles": { nl: "Zwakke CTA's", en: "Weak CTAs" },
+  "Trust signals insuffisants": { nl: "Onvoldoende trust signals", en: "Insufficient trust signals" },
+  "Schema manquant": { nl: "Schema ontbreekt", en: "Missing schema" },
+  "Données structurées invalides": { nl: "Ongeldige gestructureerde gegevens", en: "Invalid structured data" },
+  "Schema LocalBusiness absent": { nl: "LocalBusiness-schema ontbreekt", en: "Missing LocalBusiness schema" },
+  "Liens internes cassés": { nl: "Kapotte interne links", en: "Broken internal links" },
+  "Ressources cassées (images, scripts, CSS)": {
+    nl: "Kapotte bronnen (afbeeldingen, scripts, CSS)",
+    en: "Broken resources (images, scripts, CSS)",
+  },
+  "Liens externes cassés": { nl: "Kapotte externe links", en: "Broken external links" },
+  "Images sans attribut alt": { nl: "Afbeeldingen zonder alt-attribuut", en: "Images without alt attribute" },
+  "Images trop lourdes": { nl: "Te zware afbeeldingen", en: "Images too heavy" },
+  "Images sans dimensions (layout shift)": {
+    nl: "Afbeeldingen zonder afmetingen (layout shift)",
+    en: "Images without dimensions (layout shift)",
+  },
+  "Formats d’image anciens (WebP/AVIF absents)": {
+    nl: "Verouderde afbeeldingsformaten (geen WebP/AVIF)",
+    en: "Legacy image formats (no WebP/AVIF)",
+  },
+  "Hiérarchie des titres incohérente": { nl: "Inconsistente koppenstructuur", en: "Inconsistent heading hierarchy" },
+  "Contenu trop léger": { nl: "Te weinig inhoud", en: "Thin content" },
+  "Bloc Google Maps absent": { nl: "Google Maps-blok ontbreekt", en: "Missing Google Maps block" },
+  "Liens hreflang sans retour": { nl: "Hreflang-links zonder terugverwijzing", en: "Hreflang links without return link" },
+  "Langue déclarée incohérente (lang / hreflang)": {
+    nl: "Inconsistente taalaanduiding (lang / hreflang)",
+    en: "Inconsistent declared language (lang / hreflang)",
+  },
+  "Balises hreflang invalides": { nl: "Ongeldige hreflang-tags", en: "Invalid hreflang tags" },
+  "Chaîne de redirections trop longue": { nl: "Te lange redirectketen", en: "Redirect chain too long" },
+  "Redirection temporaire (302) au lieu de 301": {
+    nl: "Tijdelijke redirect (302) in plaats van 301",
+    en: "Temporary redirect (302) instead of 301",
+  },
+  "HSTS absent ou insuffisant": { nl: "HSTS ontbreekt of onvoldoende", en: "Missing or weak HSTS" },
+  "Contenu mixte (ressources http sur page https)": {
+    nl: "Gemengde inhoud (http-bronnen op https-pagina)",
+    en: "Mixed content (http resources on an https page)",
+  },
+  "Content-Security-Policy absente": { nl: "Content-Security-Policy ontbreekt", en: "Missing Content-Security-Policy" },
+  "X-Content-Type-Options absent": { nl: "X-Content-Type-Options ontbreekt", en: "Missing X-Content-Type-Options" },
+  "Protection clickjacking absente": { nl: "Geen bescherming tegen clickjacking", en: "No clickjacking protection" },
+  "Referrer-Policy absente ou permissive": {
+    nl: "Referrer-Policy ontbreekt of te ruim",
+    en: "Missing or permissive Referrer-Policy",
+  },
+  "Permissions-Policy absente": { nl: "Permissions-Policy ontbreekt", en: "Missing Permissions-Policy" },
+  "Page bloquée par robots.txt": { nl: "Pagina geblokkeerd door robots.txt", en: "Page blocked by robots.txt" },
+  "robots.txt absent": { nl: "robots.txt ontbreekt", en: "Missing robots.txt" },
+  "Sitemap XML absent ou invalide": { nl: "XML-sitemap ontbreekt of ongeldig", en: "Missing or invalid XML sitemap" },
+  "Page absente du sitemap": { nl: "Pagina ontbreekt in de sitemap", en: "Page missing from sitemap" },
+  "Champs de formulaire sans libellé": { nl: "Formuliervelden zonder label", en: "Form fields without labels" },
+  "Boutons ou liens sans nom accessible": { nl: "Knoppen of links zonder toegankelijke naam", en: "Buttons or links without an accessible name" },
+  "Zones repères absentes (main, nav, header, footer)": {
+    nl: "Landmarks ontbreken (main, nav, header, footer)",
+    en: "Missing landmarks (main, nav, header, footer)",
+  },
+  "Identifiants id dupliqués": { nl: "Dubbele id's", en: "Duplicate ids" },
+  "Ordre de tabulation forcé (tabindex positif)": { nl: "Geforceerde tabvolgorde (positieve tabindex)", en: "Forced tab order (positive tabindex)" },
+  "Attributs ARIA invalides": { nl: "Ongeldige ARIA-attributen", en: "Invalid ARIA attributes" },
+  "Page business non monitorée": { nl: "Bedrijfspagina niet gemonitord", en: "Business page not monitored" },
+
+  // ---- Issues : preuves (missions) ----
+  "{count} mots visibles (objectif ≥ {min}), ratio texte/HTML {ratio}%, {paragraphs} paragraphe(s).": {
+    nl: "{count} zichtbare woorden (doel ≥ {min}), tekst/HTML-verhouding {ratio}%, {paragraphs} alinea('s).",
+    en: "{count} visible words (target ≥ {min}), text/HTML ratio {ratio}%, {paragraphs} paragraph(s).",
+  },
+  "Lisibilité : {label} ({score}/100).": { nl: "Leesbaarheid: {label} ({score}/100).", en: "Readability: {label} ({score}/100)." },
+  "facile": { nl: "makkelijk", en: "easy" },
+  "standard": { nl: "gemiddeld", en: "standard" },
+  "difficile": { nl: "moeilijk", en: "difficult" },
+  "très difficile": { nl: "zeer moeilijk", en: "very difficult" },
+  "Title actuel ({length} car.) : « {title} »": {
+    nl: "Huidige title ({length} tekens): “{title}”",
+    en: "Current title ({length} chars): “{title}”",
+  },
+  "Aucun mot-clé du title n’apparaît dans le contenu de la page.": {
+    nl: "Geen enkel trefwoord uit de title komt voor in de inhoud van de pagina.",
+    en: "None of the title keywords appear in the page content.",
+  },
+  "Pas de lien retour depuis {url}": { nl: "Geen terugverwijzing vanaf {url}", en: "No return link from {url}" },
+  "Code hreflang invalide : {hreflang}": { nl: "Ongeldige hreflang-code: {hreflang}", en: "Invalid hreflang code: {hreflang}" },
+  "Alternative non résolue : {url} ({target})": {
+    nl: "Alternatief niet bereikbaar: {url} ({target})",
+    en: "Unresolved alternate: {url} ({target})",
+  },
+  "Balise hreflang auto-référente absente.": {
+    nl: "Naar zichzelf verwijzende hreflang-tag ontbreekt.",
+    en: "Self-referencing hreflang tag missing.",
+  },
+  "En-tête actuel : {header}": { nl: "Huidige header: {header}", en: "Current header: {header}" },
+  "(absent)": { nl: "(ontbreekt)", en: "(missing)" },
+  "Zones repères absentes : {list}.": { nl: "Ontbrekende landmarks: {list}.", en: "Missing landmarks: {list}." },
+  "id=\"{id}\" utilisé {count} fois": { nl: "id=\"{id}\" {count} keer gebruikt", en: "id=\"{id}\" used {count} times" },
+  "attribut ARIA inconnu": { nl: "onbekend ARIA-attribuut", en: "unknown ARIA attribute" },
+  "rôle invalide": { nl: "ongeldige rol", en: "invalid role" },
+  "référence vers un id absent": { nl: "verwijzing naar een ontbrekende id", en: "reference to a missing id" },
+  "élément focusable masqué aux lecteurs d’écran": {
+    nl: "focusbaar element verborgen voor schermlezers",
+    en: "focusable element hidden from screen readers",
+  },
+  "Temps de réponse mobile {mobile}ms (desktop {desktop}ms).": {
+    nl: "Mobiele responstijd {mobile}ms (desktop {desktop}ms).",
+    en: "Mobile response time {mobile}ms (desktop {desktop}ms).",
+  },
+  "{label} — desktop : {desktop} · mobile : {mobile}": {
+    nl: "{label} — desktop: {desktop} · mobiel: {mobile}",
+    en: "{label} — desktop: {desktop} · mobile: {mobile}",
+  },
+  "aucune": { nl: "geen", en: "none" },
+  "URL finale": { nl: "Eind-URL", en: "Final URL" },
+  "Mots": { nl: "Woorden", en: "Words" },
+  "Octets HTML": { nl: "HTML-bytes", en: "HTML bytes" },
+  "La version mobile est bloquée par robots.txt.": {
+    nl: "De mobiele versie wordt geblokkeerd door robots.txt.",
+    en: "The mobile version is blocked by robots.txt.",
+  },
+  "La page desktop ne déclare pas la version mobile en <link rel=\"alternate\" media>.": {
+    nl: "De desktoppagina vermeldt de mobiele versie niet als <link rel=\"alternate\" media>.",
+    en: "The desktop page does not declare the mobile version as <link rel=\"alternate\" media>.",
+  },
+  "Poids total {total} en {requests} requête(s).": {
+    nl: "Totaal gewicht {total} in {requests} request(s).",
+    en: "Total weight {total} across {requests} request(s).",
+  },
+  "HTML {html} · JS {js} ({jsCount}) · CSS {css} ({cssCount}) · images {images} ({imageCount})": {
+    nl: "HTML {html} · JS {js} ({jsCount}) · CSS {css} ({cssCount}) · afbeeldingen {images} ({imageCount})",
+    en: "HTML {html} · JS {js} ({jsCount}) · CSS {css} ({cssCount}) · images {images} ({imageCount})",
+  },
+  "Document HTML servi sans Content-Encoding.": {
+    nl: "HTML-document geserveerd zonder Content-Encoding.",
+    en: "HTML document served without Content-Encoding.",
+  },
+  "Non compressé : {url}": { nl: "Niet gecomprimeerd: {url}", en: "Not compressed: {url}" },
+  "{url} : aucun en-tête de cache": { nl: "{url}: geen cache-header", en: "{url}: no cache header" },
+  "{url} : cache {seconds}s": { nl: "{url}: cache {seconds}s", en: "{url}: cache {seconds}s" },
+  "{count} domaine(s) tiers : {list}": { nl: "{count} extern(e) domein(en): {list}", en: "{count} third-party domain(s): {list}" },
+  "« {keyword} » absent de : {places}": { nl: "“{keyword}” ontbreekt in: {places}", en: "“{keyword}” missing from: {places}" },
+  "Canonical : {url}": { nl: "Canonical: {url}", en: "Canonical: {url}" },
+  "Canonical : {href} → {url}": { nl: "Canonical: {href} → {url}", en: "Canonical: {href} → {url}" },
+  "URL canonical invalide": { nl: "Ongeldige canonical-URL", en: "Invalid canonical URL" },
+  "Plusieurs balises canonical différentes": { nl: "Meerdere verschillende canonical-tags", en: "Several different canonical tags" },
+  "Cible canonical en erreur": { nl: "Canonical-doel geeft een fout", en: "Canonical target returns an error" },
+  "Cible canonical redirigée": { nl: "Canonical-doel wordt doorgestuurd", en: "Canonical target redirects" },
+  "Cible canonical elle-même canonisée ailleurs": {
+    nl: "Canonical-doel is zelf elders gecanonicaliseerd",
+    en: "Canonical target is itself canonicalised elsewhere",
+  },
+  "Cible : HTTP {status}, URL finale {finalUrl}, canonical {canonical}": {
+    nl: "Doel: HTTP {status}, eind-URL {finalUrl}, canonical {canonical}",
+    en: "Target: HTTP {status}, final URL {finalUrl}, canonical {canonical}",
+  },
+  "Conflit {source} : {url}": { nl: "Conflict {source}: {url}", en: "Conflict {source}: {url}" },
+  "Valeur partagée : « {value} »": { nl: "Gedeelde waarde: “{value}”", en: "Shared value: “{value}”" },
+  "Similarité ≥ {percent}%": { nl: "Gelijkenis ≥ {percent}%", en: "Similarity ≥ {percent}%" },
+  "… et {count} autre(s) page(s)": { nl: "… en {count} andere pagina('s)", en: "… and {count} other page(s)" },
+  "{detail} (pages {pattern}).": { nl: "{detail} (pagina's {pattern}).", en: "{detail} (pages {pattern})." },
+
+  // ---- Recommandations moteur ----
+  "Le site semble trop faible sur mobile": { nl: "De site lijkt te zwak op mobiel", en: "The site looks too weak on mobile" },
+  "La performance mobile freine à la fois visibilité et conversion. Un pack mobile prioritaire est recommandé.": {
+    nl: "De mobiele prestaties remmen zowel zichtbaarheid als conversie. Een prioritair mobiel pakket is aanbevolen.",
+    en: "Mobile performance is holding back both visibility and conversion. A priority mobile pack is recommended.",
+  },
+  "Le site est sous-exploité localement": { nl: "De site wordt lokaal onderbenut", en: "The site is under-used locally" },
+  "Les pages service sont présentes ou implicites, mais la couverture ville / zone reste insuffisante.": {
+    nl: "Dienstpagina's zijn aanwezig of impliciet, maar de dekking per stad / regio blijft onvoldoende.",
+    en: "Service pages exist or are implied, but city / area coverage is still insufficient.",
+  },
+  "Le contact business est trop peu visible": { nl: "Het zakelijke contact is te weinig zichtbaar", en: "Business contact is not visible enough" },
+  "Le site semble risquer de perdre des leads sur les pages à enjeu commercial.": {
+    nl: "De site dreigt leads te verliezen op commercieel belangrijke pagina's.",
+    en: "The site risks losing leads on commercially important pages.",
+  },
+  "Le socle SEO a besoin d’un cleanup structuré": { nl: "De SEO-basis heeft een gestructureerde opschoning nodig", en: "The SEO foundation needs a structured cleanup" },
+  "Plusieurs signaux techniques ou sémantiques méritent une exécution groupée au lieu de corrections isolées.": {
+    nl: "Verschillende technische of semantische signalen verdienen een gebundelde aanpak in plaats van losse correcties.",
+    en: "Several technical or semantic signals deserve a grouped effort rather than isolated fixes.",
+  },
+  "Le site demande une remise à niveau prioritaire": { nl: "De site heeft prioritair een opwaardering nodig", en: "The site needs a priority upgrade" },
+  "Les fondations SEO / conversion ne sont pas encore assez solides pour une croissance stable.": {
+    nl: "De SEO- en conversiefundamenten zijn nog niet sterk genoeg voor stabiele groei.",
+    en: "The SEO / conversion foundations are not yet solid enough for steady growth.",
+  },
+  "Le secteur se prête fortement au Local SEO": { nl: "De sector leent zich sterk tot Local SEO", en: "The sector is a strong fit for Local SEO" },
+  "Un déploiement villes + contact + map + preuves locales peut créer un effet visible rapidement.": {
+    nl: "Een uitrol met steden + contact + kaart + lokale bewijzen kan snel zichtbaar effect hebben.",
+    en: "Rolling out cities + contact + map + local proof can create a visible effect quickly.",
+  },
+  "Le plan Ultra permet une logique portefeuille": { nl: "Het Ultra-plan maakt een portfolio-aanpak mogelijk", en: "The Ultra plan enables a portfolio approach" },
+  "Les recommandations peuvent être transformées en workflows, calendrier, team threads et plan mensuel.": {
+    nl: "De aanbevelingen kunnen worden omgezet in workflows, kalender, team threads en een maandplan.",
+    en: "Recommendations can be turned into workflows, calendar, team threads and a monthly plan.",
+  },
+  "Le plan Pro peut accélérer l’exécution": { nl: "Het Pro-plan kan de uitvoering versnellen", en: "The Pro plan can speed up execution" },
+  "Des packs plus riches et des recommandations regroupées peuvent rendre la progression plus visible.": {
+    nl: "Rijkere pakketten en gebundelde aanbevelingen kunnen de vooruitgang zichtbaarder maken.",
+    en: "Richer packs and grouped recommendations can make progress more visible.",
+  },
+  "Le local revient comme sujet récurrent": { nl: "Lokaal komt steeds terug als onderwerp", en: "Local keeps coming back as a recurring topic" },
+  "Les signaux locaux ont déjà été laissés de côté, ce qui peut ralentir la progression visible.": {
+    nl: "Lokale signalen werden al eerder opzijgezet, wat de zichtbare vooruitgang kan vertragen.",
+    en: "Local signals have already been set aside, which can slow visible progress.",
+  },
+
+  // ---- Bibliothèque de missions ----
+  "Template {category} pour {sector} sur page {pageType}.": {
+    nl: "Sjabloon {category} voor {sector} op pagina {pageType}.",
+    en: "{category} template for {sector} on {pageType} page.",
+  },
+  "Corriger title": { nl: "Title corrigeren", en: "Fix title" },
+  "Corriger meta description": { nl: "Meta description corrigeren", en: "Fix meta description" },
+  "Ajouter canonical": { nl: "Canonical toevoegen", en: "Add canonical" },
+  "Ajouter schema": { nl: "Schema toevoegen", en: "Add schema" },
+  "Améliorer headings": { nl: "Headings verbeteren", en: "Improve headings" },
+  "Renforcer homepage": { nl: "Homepage versterken", en: "Strengthen homepage" },
+  "Développer page service": { nl: "Dienstpagina uitbreiden", en: "Expand service page" },
+  "Créer FAQ": { nl: "FAQ maken", en: "Create FAQ" },
+  "Différencier contenu": { nl: "Inhoud onderscheiden", en: "Differentiate content" },
+  "Ajouter preuves": { nl: "Bewijzen toevoegen", en: "Add proof" },
+  "Créer page ville": { nl: "Stadspagina maken", en: "Create city page" },
+  "Ajouter NAP": { nl: "NAP toevoegen", en: "Add NAP" },
+  "Ajouter map": { nl: "Kaart toevoegen", en: "Add map" },
+  "Renforcer signaux locaux": { nl: "Lokale signalen versterken", en: "Strengthen local signals" },
+  "Étendre couverture géographique": { nl: "Geografische dekking uitbreiden", en: "Extend geographic coverage" },
+  "Renforcer CTA": { nl: "CTA versterken", en: "Strengthen CTA" },
+  "Améliorer contact": { nl: "Contact verbeteren", en: "Improve contact" },
+  "Ajouter trust signals": { nl: "Trust signals toevoegen", en: "Add trust signals" },
+  "Structurer hero": { nl: "Hero structureren", en: "Structure hero" },
+  "Réduire friction mobile": { nl: "Mobiele frictie verminderen", en: "Reduce mobile friction" },
+  "Créer monitor homepage": { nl: "Monitor homepage maken", en: "Create homepage monitor" },
+  "Créer monitor contact": { nl: "Monitor contact maken", en: "Create contact monitor" },
+  "Surveiller parcours business": { nl: "Zakelijk traject bewaken", en: "Monitor business journey" },
+  "Réagir aux incidents": { nl: "Reageren op incidenten", en: "Respond to incidents" },
+  "Prioriser pages critiques": { nl: "Kritieke pagina's prioriteren", en: "Prioritise critical pages" },
+  "Préparer rapport client": { nl: "Klantrapport voorbereiden", en: "Prepare client report" },
+  "Ajouter quick wins au rapport": { nl: "Quick wins aan rapport toevoegen", en: "Add quick wins to report" },
+  "Résumer progrès mensuel": { nl: "Maandelijkse vooruitgang samenvatten", en: "Summarise monthly progress" },
+  "Mettre en avant incidents": { nl: "Incidenten uitlichten", en: "Highlight incidents" },
+  "Préparer lecture dirigeant": { nl: "Samenvatting voor directie voorbereiden", en: "Prepare executive summary" },
+  "Revoir backlog": { nl: "Backlog herzien", en: "Review backlog" },
+  "Nettoyer priorités": { nl: "Prioriteiten opschonen", en: "Clean up priorities" },
+  "Préparer sprint mensuel": { nl: "Maandsprint voorbereiden", en: "Prepare monthly sprint" },
+  "Planifier revue": { nl: "Review plannen", en: "Schedule review" },
+  "Vérifier cohérence quotas": { nl: "Quota's op samenhang controleren", en: "Check quota consistency" },
+  "Assigner mission": { nl: "Missie toewijzen", en: "Assign mission" },
+  "Créer discussion contexte": { nl: "Contextdiscussie starten", en: "Start context discussion" },
+  "Rédiger note d’équipe": { nl: "Teamnotitie schrijven", en: "Write team note" },
+  "Préparer réunion": { nl: "Vergadering voorbereiden", en: "Prepare meeting" },
+  "Suivre charge membre": { nl: "Werklast van lid opvolgen", en: "Track member workload" },
+
+  // ---- Packs ----
+  "Pack SEO technical recovery": { nl: "Pakket SEO technical recovery", en: "SEO technical recovery pack" },
+  "Pack homepage conversion lift": { nl: "Pakket homepage conversion lift", en: "Homepage conversion lift pack" },
+  "Pack local city expansion": { nl: "Pakket local city expansion", en: "Local city expansion pack" },
+  "Pack trust & conversion": { nl: "Pakket trust & conversion", en: "Trust & conversion pack" },
+  "Pack critical pages monitoring": { nl: "Pakket critical pages monitoring", en: "Critical pages monitoring pack" },
+  "Pack service pages authority": { nl: "Pakket service pages authority", en: "Service pages authority pack" },
+  "Pack mobile emergency cleanup": { nl: "Pakket mobile emergency cleanup", en: "Mobile emergency cleanup pack" },
+  "Pack end-of-trial wins": { nl: "Pakket end-of-trial wins", en: "End-of-trial wins pack" },
+  "Pack monthly growth sprint": { nl: "Pakket monthly growth sprint", en: "Monthly growth sprint pack" },
+  "Pack map trust signals": { nl: "Pakket map trust signals", en: "Map trust signals pack" },
+  "Corriger les points techniques qui freinent le score et la lisibilité SEO.": {
+    nl: "Los de technische punten op die de score en SEO-leesbaarheid afremmen.",
+    en: "Fix the technical issues holding back the score and SEO readability.",
+  },
+  "Améliorer la clarté commerciale et la conversion de la homepage.": {
+    nl: "Verbeter de commerciële duidelijkheid en conversie van de homepage.",
+    en: "Improve the commercial clarity and conversion of the homepage.",
+  },
+  "Déployer la couverture locale sur plusieurs villes à potentiel.": {
+    nl: "Breid de lokale dekking uit naar meerdere steden met potentieel.",
+    en: "Roll out local coverage across several high-potential cities.",
+  },
+  "Renforcer confiance, preuve et contact pour augmenter les leads.": {
+    nl: "Versterk vertrouwen, bewijs en contact om meer leads te krijgen.",
+    en: "Strengthen trust, proof and contact to increase leads.",
+  },
+  "Surveiller les pages business à enjeu élevé et créer les alertes nécessaires.": {
+    nl: "Bewaak de belangrijkste bedrijfspagina's en maak de nodige alerts aan.",
+    en: "Monitor high-stakes business pages and create the necessary alerts.",
+  },
+  "Renforcer profondeur, autorité et différenciation des pages service.": {
+    nl: "Versterk diepgang, autoriteit en onderscheidend vermogen van de dienstpagina's.",
+    en: "Strengthen depth, authority and differentiation of service pages.",
+  },
+  "Réduire les frictions mobiles les plus urgentes sur les pages clés.": {
+    nl: "Verminder de dringendste mobiele frictie op de belangrijkste pagina's.",
+    en: "Reduce the most urgent mobile friction on key pages.",
+  },
+  "Sortir les meilleurs gains visibles avant la fin de l’essai.": {
+    nl: "Realiseer de beste zichtbare winst vóór het einde van de proefperiode.",
+    en: "Deliver the best visible wins before the trial ends.",
+  },
+  "Structurer un sprint mensuel SEO / local / conversion / monitoring.": {
+    nl: "Structureer een maandelijkse sprint SEO / lokaal / conversie / monitoring.",
+    en: "Structure a monthly SEO / local / conversion / monitoring sprint.",
+  },
+  "Améliorer la crédibilité locale autour de la page contact et des pages géographiques.": {
+    nl: "Verbeter de lokale geloofwaardigheid rond de contactpagina en de regiopagina's.",
+    en: "Improve local credibility around the contact page and location pages.",
+  },
+  "1 jour": { nl: "1 dag", en: "1 day" },
+  "1 à 2 jours": { nl: "1 tot 2 dagen", en: "1 to 2 days" },
+  "1 à 3 jours": { nl: "1 tot 3 dagen", en: "1 to 3 days" },
+  "2 à 4 jours": { nl: "2 tot 4 dagen", en: "2 to 4 days" },
+  "3 à 5 jours": { nl: "3 tot 5 dagen", en: "3 to 5 days" },
+  "3 à 6 jours": { nl: "3 tot 6 dagen", en: "3 to 6 days" },
+  "1 mois": { nl: "1 maand", en: "1 month" },
+  "Pages villes": { nl: "Stadspagina's", en: "City pages" },
+  "Preuves locales": { nl: "Lokale bewijzen", en: "Local proof" },
+  "Avis": { nl: "Reviews", en: "Reviews" },
+  "Preuves": { nl: "Bewijzen", en: "Proof" },
+  "Contenu": { nl: "Inhoud", en: "Content" },
+  "Priorités": { nl: "Prioriteiten", en: "Priorities" },
+  "Horaires": { nl: "Openingsuren", en: "Opening hours" },
+
+  // ---- Missions générées depuis un pack ----
+  "Corriger les titles clés": { nl: "Belangrijke titles corrigeren", en: "Fix key titles" },
+  "Renforcer les balises title sur les pages principales.": {
+    nl: "Versterk de title-tags op de hoofdpagina's.",
+    en: "Strengthen the title tags on the main pages.",
+  },
+  "Ajouter les meta descriptions manquantes": { nl: "Ontbrekende meta descriptions toevoegen", en: "Add missing meta descriptions" },
+  "Rendre les snippets plus forts et plus cliquables.": {
+    nl: "Maak de snippets sterker en aantrekkelijker om op te klikken.",
+    en: "Make snippets stronger and more clickable.",
+  },
+  "Revoir la hiérarchie H1 / headings": { nl: "H1- / koppenstructuur herzien", en: "Review H1 / heading hierarchy" },
+  "Assainir la structure des pages critiques.": { nl: "Ruim de structuur van kritieke pagina's op.", en: "Clean up the structure of critical pages." },
+  "Ajouter les données structurées pertinentes": { nl: "Relevante gestructureerde gegevens toevoegen", en: "Add relevant structured data" },
+  "Améliorer le contexte sémantique.": { nl: "Verbeter de semantische context.", en: "Improve semantic context." },
+  "Renforcer le hero principal": { nl: "Hoofd-hero versterken", en: "Strengthen the main hero" },
+  "Clarifier la proposition de valeur et le bénéfice immédiat.": {
+    nl: "Verduidelijk de waardepropositie en het directe voordeel.",
+    en: "Clarify the value proposition and immediate benefit.",
+  },
+  "Renforcer les CTA homepage": { nl: "CTA's op de homepage versterken", en: "Strengthen homepage CTAs" },
+  "Rendre l’action principale plus visible.": { nl: "Maak de hoofdactie zichtbaarder.", en: "Make the main action more visible." },
+  "Ajouter preuves / trust signals": { nl: "Bewijzen / trust signals toevoegen", en: "Add proof / trust signals" },
+  "Améliorer la confiance sur les premières secondes.": {
+    nl: "Verhoog het vertrouwen in de eerste seconden.",
+    en: "Build trust in the first few seconds.",
+  },
+  "Créer une page locale {city}": { nl: "Lokale pagina {city} maken", en: "Create a local page for {city}" },
+  "Déployer une page ciblée pour {city}.": { nl: "Zet een gerichte pagina op voor {city}.", en: "Roll out a targeted page for {city}." },
+  "Ajouter signaux locaux sur la page contact": { nl: "Lokale signalen toevoegen op de contactpagina", en: "Add local signals to the contact page" },
+  "Renforcer la cohérence locale et la conversion.": {
+    nl: "Versterk de lokale samenhang en de conversie.",
+    en: "Strengthen local consistency and conversion.",
+  },
+  "Ajouter bloc avis / preuves": { nl: "Blok reviews / bewijzen toevoegen", en: "Add a reviews / proof block" },
+  "Renforcer la confiance perçue.": { nl: "Versterk het ervaren vertrouwen.", en: "Strengthen perceived trust." },
+  "Rendre le contact plus visible": { nl: "Contact zichtbaarder maken", en: "Make contact more visible" },
+  "Réduire la friction sur les pages business.": { nl: "Verminder frictie op de bedrijfspagina's.", en: "Reduce friction on business pages." },
+  "Ajouter FAQ de réassurance": { nl: "Geruststellende FAQ toevoegen", en: "Add a reassurance FAQ" },
+  "Lever les doutes avant prise de contact.": { nl: "Neem twijfels weg vóór het contact.", en: "Remove doubts before the first contact." },
+  "Créer monitor sur homepage": { nl: "Monitor op homepage maken", en: "Create a homepage monitor" },
+  "Surveiller la page la plus exposée.": { nl: "Bewaak de meest zichtbare pagina.", en: "Monitor the most exposed page." },
+  "Créer monitor sur contact": { nl: "Monitor op contactpagina maken", en: "Create a contact page monitor" },
+  "Protéger la page de conversion la plus sensible.": { nl: "Bescherm de gevoeligste conversiepagina.", en: "Protect the most sensitive conversion page." },
+  "Créer monitor sur service principal": { nl: "Monitor op hoofddienst maken", en: "Create a main service monitor" },
+  "Sécuriser la page business principale.": { nl: "Beveilig de belangrijkste bedrijfspagina.", en: "Secure the main business page." },
+  "Étendre la profondeur de contenu des pages service": { nl: "Inhoud van dienstpagina's verdiepen", en: "Deepen service page content" },
+  "Améliorer utilité, clarté et autorité.": { nl: "Verbeter bruikbaarheid, duidelijkheid en autoriteit.", en: "Improve usefulness, clarity and authority." },
+  "Ajouter FAQ et preuves par service": { nl: "FAQ en bewijzen per dienst toevoegen", en: "Add FAQ and proof per service" },
+  "Renforcer la différenciation et la conversion.": { nl: "Versterk het onderscheid en de conversie.", en: "Strengthen differentiation and conversion." },
+  "Structurer intent / bénéfices / CTA": { nl: "Intent / voordelen / CTA structureren", en: "Structure intent / benefits / CTA" },
+  "Rendre chaque page service plus convaincante.": { nl: "Maak elke dienstpagina overtuigender.", en: "Make every service page more convincing." },
+  "Réduire la friction mobile critique": { nl: "Kritieke mobiele frictie verminderen", en: "Reduce critical mobile friction" },
+  "Cibler les blocages les plus visibles sur mobile.": { nl: "Pak de meest zichtbare blokkades op mobiel aan.", en: "Target the most visible blockers on mobile." },
+  "Alléger les points lourds des pages clés": { nl: "Zware elementen op sleutelpagina's lichter maken", en: "Lighten heavy elements on key pages" },
+  "Améliorer vitesse et expérience mobile.": { nl: "Verbeter snelheid en mobiele ervaring.", en: "Improve speed and mobile experience." },
+  "Sortir les 3 quick wins les plus visibles": { nl: "De 3 meest zichtbare quick wins realiseren", en: "Ship the 3 most visible quick wins" },
+  "Mettre en avant de la progression avant fin d’essai.": {
+    nl: "Toon vooruitgang vóór het einde van de proefperiode.",
+    en: "Show progress before the trial ends.",
+  },
+  "Préparer un mini rapport de valeur": { nl: "Een mini-waarderapport voorbereiden", en: "Prepare a mini value report" },
+  "Montrer ce qui a été débloqué et ce qui reste.": { nl: "Toon wat ontgrendeld is en wat nog rest.", en: "Show what was unlocked and what remains." },
+  "Créer le prochain sprint prioritaire": { nl: "De volgende prioritaire sprint aanmaken", en: "Create the next priority sprint" },
+  "Rendre la continuité naturelle après le trial.": { nl: "Maak de voortzetting na de trial vanzelfsprekend.", en: "Make continuing after the trial feel natural." },
+  "Fixer les priorités du mois": { nl: "Prioriteiten van de maand vastleggen", en: "Set the month's priorities" },
+  "Structurer les missions du prochain cycle.": { nl: "Structureer de missies van de volgende cyclus.", en: "Structure the missions for the next cycle." },
+  "Planifier revue audits / monitors": { nl: "Review audits / monitors plannen", en: "Schedule audits / monitors review" },
+  "Créer les événements calendrier pertinents.": { nl: "Maak de relevante kalenderafspraken aan.", en: "Create the relevant calendar events." },
+  "Préparer restitution mensuelle": { nl: "Maandelijkse terugkoppeling voorbereiden", en: "Prepare monthly debrief" },
+  "Faciliter la lecture client et la valeur perçue.": {
+    nl: "Maak het rapport makkelijk leesbaar voor de klant en de waarde zichtbaar.",
+    en: "Make it easy for the client to read and see the value.",
+  },
+  "Ajouter carte Google sur contact": { nl: "Google-kaart toevoegen op contact", en: "Add a Google map to contact" },
+  "Améliorer confiance et repères locaux.": { nl: "Verbeter vertrouwen en lokale herkenningspunten.", en: "Improve trust and local landmarks." },
+  "Afficher horaires / téléphone / itinéraire": { nl: "Openingsuren / telefoon / route tonen", en: "Show opening hours / phone / directions" },
+  "Rendre la page contact plus complète.": { nl: "Maak de contactpagina vollediger.", en: "Make the contact page more complete." },
+  "Renforcer les preuves locales": { nl: "Lokale bewijzen versterken", en: "Strengthen local proof" },
+  "Ancrer la crédibilité territoriale.": { nl: "Veranker de regionale geloofwaardigheid.", en: "Anchor regional credibility." },
+
+  // ---- Emails ----
+  "Organisation": { nl: "Organisatie", en: "Organisation" },
+  "Contenu modifié": { nl: "Inhoud gewijzigd", en: "Content changed" },
+  "{competitors} : {feature} — pas vous": { nl: "{competitors}: {feature} — u niet", en: "{competitors}: {feature} — you don't" },
+  "{name} devance le site de {delta} points SEO": {
+    nl: "{name} scoort {delta} SEO-punten beter dan de site",
+    en: "{name} is ahead of the site by {delta} SEO points",
+  },
+  "HTTPS actif": { nl: "actieve HTTPS", en: "HTTPS enabled" },
+  "une page rapide": { nl: "een snelle pagina", en: "a fast page" },
+  "une version mobile complète": { nl: "een volledige mobiele versie", en: "a complete mobile version" },
+  "un affichage adapté au mobile": { nl: "een mobielvriendelijke weergave", en: "a mobile-friendly display" },
+  "un contenu étoffé": { nl: "uitgebreide inhoud", en: "in-depth content" },
+  "un title optimisé": { nl: "een geoptimaliseerde title", en: "an optimised title" },
+  "des données structurées schema.org": { nl: "schema.org-gestructureerde gegevens", en: "schema.org structured data" },
+  "une meta description": { nl: "een meta description", en: "a meta description" },
+  "un H1 unique": { nl: "één unieke H1", en: "a single H1" },
+  "aucun lien cassé": { nl: "geen kapotte links", en: "no broken links" },
+  "un sitemap XML": { nl: "een XML-sitemap", en: "an XML sitemap" },
+  "des images optimisées": { nl: "geoptimaliseerde afbeeldingen", en: "optimised images" },
+  "une URL canonique": { nl: "een canonieke URL", en: "a canonical URL" },
+  "un aperçu réseaux sociaux (Open Graph)": { nl: "een preview voor sociale netwerken (Open Graph)", en: "a social media preview (Open Graph)" },
+  "une fiche LocalBusiness (schema.org)": { nl: "een LocalBusiness-vermelding (schema.org)", en: "a LocalBusiness entry (schema.org)" },
+  "Zone surveillée": { nl: "Bewaakte zone", en: "Watched area" },
+  "{added} ligne(s) ajoutée(s), {removed} ligne(s) supprimée(s)": {
+    nl: "{added} regel(s) toegevoegd, {removed} regel(s) verwijderd",
+    en: "{added} line(s) added, {removed} line(s) removed",
+  },
+  "Temps": { nl: "Tijd", en: "Time" },
+  "Erreur": { nl: "Fout", en: "Error" },
+  "Rapport quotidien": { nl: "Dagrapport", en: "Daily report" },
+  "Email envoyé automatiquement.": { nl: "Automatisch verzonden e-mail.", en: "Email sent automatically." },
+  "Email envoyé automatiquement par {brand}.": { nl: "Automatisch verzonden door {brand}.", en: "Email sent automatically by {brand}." },
+  "{count} audit(s) effectué(s)": { nl: "{count} audit(s) uitgevoerd", en: "{count} audit(s) run" },
+  "{count} incident(s) détecté(s)": { nl: "{count} incident(en) gedetecteerd", en: "{count} incident(s) detected" },
+  "Aucun": { nl: "Geen", en: "None" },
+  "Régression audit": { nl: "Auditregressie", en: "Audit regression" },
+  "seuil {threshold}": { nl: "drempel {threshold}", en: "threshold {threshold}" },
+  "Checks passés en échec": { nl: "Checks die nu falen", en: "Checks now failing" },
+  "Connexion sécurisée (sans mot de passe)": { nl: "Veilig aanmelden (zonder wachtwoord)", en: "Secure sign-in (no password)" },
+  "Ton lien de connexion": { nl: "Je aanmeldlink", en: "Your sign-in link" },
+  "Ce lien est valide <b>{minutes} minutes</b>.": {
+    nl: "Deze link is <b>{minutes} minuten</b> geldig.",
+    en: "This link is valid for <b>{minutes} minutes</b>.",
+  },
+  "Si tu n’es pas à l’origine de cette demande, ignore cet email.": {
+    nl: "Heb je dit niet aangevraagd? Negeer dan deze e-mail.",
+    en: "If you did not request this, you can ignore this email.",
+  },
+  "Se connecter": { nl: "Aanmelden", en: "Sign in" },
+  "Bouton bloqué ? Copie-colle :": { nl: "Werkt de knop niet? Kopieer en plak:", en: "Button not working? Copy and paste:" },
+  "Lien de connexion (valide {minutes} minutes)": {
+    nl: "Aanmeldlink ({minutes} minuten geldig)",
+    en: "Sign-in link (valid for {minutes} minutes)",
+  },
+
+  // ---- PDF ----
+  "Rapport SEO": { nl: "SEO-rapport", en: "SEO report" },
+  "Résumé": { nl: "Samenvatting", en: "Summary" },
+  "Recommandations (priorisées)": { nl: "Aanbevelingen (geprioriteerd)", en: "Recommendations (prioritised)" },
+  "Aucune recommandation.": { nl: "Geen aanbevelingen.", en: "No recommendations." },
+  "présent (HTTP {status})": { nl: "aanwezig (HTTP {status})", en: "present (HTTP {status})" },
+  "absent": { nl: "ontbreekt", en: "missing" },
+  "page bloquée ({rule})": { nl: "pagina geblokkeerd ({rule})", en: "page blocked ({rule})" },
+  "page autorisée": { nl: "pagina toegestaan", en: "page allowed" },
+  "valide — {count} URL(s)": { nl: "geldig — {count} URL('s)", en: "valid — {count} URL(s)" },
+  "invalide": { nl: "ongeldig", en: "invalid" },
+  "introuvable": { nl: "niet gevonden", en: "not found" },
+  "Page listée dans le sitemap": { nl: "Pagina opgenomen in de sitemap", en: "Page listed in sitemap" },
+  "oui": { nl: "ja", en: "yes" },
+  "non": { nl: "nee", en: "no" },
+  "{count} image(s) — poids total {size}": { nl: "{count} afbeelding(en) — totaal {size}", en: "{count} image(s) — total size {size}" },
+  "Sans alt: {missingAlt} · alt vide: {emptyAlt} · sans dimensions: {missingDimensions} · formats anciens: {legacyFormat}": {
+    nl: "Zonder alt: {missingAlt} · lege alt: {emptyAlt} · zonder afmetingen: {missingDimensions} · oude formaten: {legacyFormat}",
+    en: "No alt: {missingAlt} · empty alt: {emptyAlt} · no dimensions: {missingDimensions} · legacy formats: {legacyFormat}",
+  },
+  "Images les plus lourdes": { nl: "Zwaarste afbeeldingen", en: "Heaviest images" },
+  "Accessibilité": { nl: "Toegankelijkheid", en: "Accessibility" },
+  "Performance": { nl: "Prestaties", en: "Performance" },
+  "À corriger": { nl: "Te corrigeren", en: "Needs fixing" },
+  "Rapport d’audit SEO": { nl: "SEO-auditrapport", en: "SEO audit report" },
+  "Score SEO": { nl: "SEO-score", en: "SEO score" },
+  "Contrôles": { nl: "Controles", en: "Checks" },
+  "Contrôle": { nl: "Controle", en: "Check" },
+  "Statut": { nl: "Status", en: "Status" },
+  "Détail": { nl: "Detail", en: "Detail" },
+  "Haute": { nl: "Hoog", en: "High" },
+  "Moyenne": { nl: "Gemiddeld", en: "Medium" },
+  "Basse": { nl: "Laag", en: "Low" },
+  "Annexe : pages du site": { nl: "Bijlage: pagina's van de site", en: "Appendix: site pages" },
+  "À corriger : {list}": { nl: "Te corrigeren: {list}", en: "Needs fixing: {list}" },
+  "Aucun point bloquant.": { nl: "Geen blokkerende punten.", en: "No blocking issues." },
+  "Page {page} / {total}": { nl: "Pagina {page} / {total}", en: "Page {page} / {total}" },
+  "Généré avec {brand}": { nl: "Gegenereerd met {brand}", en: "Generated with {brand}" },
+  "{count} mots": { nl: "{count} woorden", en: "{count} words" },
+  "{count} lien(s) cassé(s) sur {checked}": { nl: "{count} defecte link(s) op {checked}", en: "{count} broken link(s) out of {checked}" },
+  "{count} redirection(s)": { nl: "{count} doorverwijzing(en)", en: "{count} redirect(s)" },
+  "{count} élément(s)": { nl: "{count} element(en)", en: "{count} element(s)" },
+  "Réponse HTTP": { nl: "HTTP-antwoord", en: "HTTP response" },
+  "Redirections": { nl: "Doorverwijzingen", en: "Redirects" },
+  "Temps de réponse": { nl: "Responstijd", en: "Response time" },
+  "Balise title": { nl: "Title-tag", en: "Title tag" },
+  "Meta description": { nl: "Meta description", en: "Meta description" },
+  "Meta robots": { nl: "Meta robots", en: "Meta robots" },
+  "Langue de la page": { nl: "Taal van de pagina", en: "Page language" },
+  "Viewport mobile": { nl: "Mobiele viewport", en: "Mobile viewport" },
+  "Version mobile": { nl: "Mobiele versie", en: "Mobile version" },
+  "Données structurées": { nl: "Gestructureerde gegevens", en: "Structured data" },
+  "Liens cassés": { nl: "Defecte links", en: "Broken links" },
+  "Images": { nl: "Afbeeldingen", en: "Images" },
+  "Hiérarchie des titres": { nl: "Koppenstructuur", en: "Heading hierarchy" },
+  "Mots-clés cibles": { nl: "Doelzoekwoorden", en: "Target keywords" },
+  "Règles personnalisées": { nl: "Eigen regels", en: "Custom rules" },
+  "Protection anti-iframe": { nl: "Iframe-bescherming", en: "Framing protection" },
+  "Contenu mixte": { nl: "Gemengde inhoud", en: "Mixed content" },
+  "Libellés de formulaire": { nl: "Formulierlabels", en: "Form labels" },
+  "Noms des contrôles": { nl: "Namen van bedieningselementen", en: "Control names" },
+  "Alternatives des images": { nl: "Alternatieve tekst van afbeeldingen", en: "Image alternatives" },
+  "Attributs ARIA": { nl: "ARIA-attributen", en: "ARIA attributes" },
+  "Régions de la page": { nl: "Paginaregio's", en: "Page landmarks" },
+  "Identifiants uniques": { nl: "Unieke id's", en: "Unique IDs" },
+  "Ordre de tabulation": { nl: "Tabvolgorde", en: "Tab order" },
+
+  // ---- Erreurs API ----
+  "Nom de marque trop long (60 caractères max)": { nl: "Merknaam te lang (max. 60 tekens)", en: "Brand name too long (60 characters max)" },
+  "Email de support invalide": { nl: "Ongeldig support-e-mailadres", en: "Invalid support email" },
+  "URL du logo invalide": { nl: "Ongeldige logo-URL", en: "Invalid logo URL" },
+  "Couleur invalide (format #rrggbb)": { nl: "Ongeldige kleur (formaat #rrggbb)", en: "Invalid colour (#rrggbb format)" },
+  "Non autorisé": { nl: "Niet toegestaan", en: "Unauthorized" },
+  "Token invalide": { nl: "Ongeldig token", en: "Invalid token" },
+  "Token manquant": { nl: "Token ontbreekt", en: "Missing token" },
+  "Token déjà utilisé": { nl: "Token al gebruikt", en: "Token already used" },
+  "Token expiré": { nl: "Token verlopen", en: "Token expired" },
+  "User introuvable": { nl: "Gebruiker niet gevonden", en: "User not found" },
+  "Utilisateur inactif": { nl: "Inactieve gebruiker", en: "Inactive user" },
+  "Accès bloqué (paiement échoué / essai terminé)": {
+    nl: "Toegang geblokkeerd (betaling mislukt / proefperiode voorbij)",
+    en: "Access blocked (payment failed / trial ended)",
+  },
+  "Owner requis": { nl: "Eigenaar vereist", en: "Owner required" },
+  "Admin non autorisé": { nl: "Admin niet toegestaan", en: "Admin not authorized" },
+  "Cron non autorisé": { nl: "Cron niet toegestaan", en: "Cron not authorized" },
+  "ADMIN_KEY manquante": { nl: "ADMIN_KEY ontbreekt", en: "ADMIN_KEY missing" },
+  "CRON_KEY manquante": { nl: "CRON_KEY ontbreekt", en: "CRON_KEY missing" },
+  "Nom de règle requis": { nl: "Naam van de regel vereist", en: "Rule name required" },
+  "Type de règle invalide (selector_exists, text_contains, not_noindex)": {
+    nl: "Ongeldig regeltype (selector_exists, text_contains, not_noindex)",
+    en: "Invalid rule type (selector_exists, text_contains, not_noindex)",
+  },
+  "Sélecteur CSS requis": { nl: "CSS-selector vereist", en: "CSS selector required" },
+  "Sélecteur CSS invalide": { nl: "Ongeldige CSS-selector", en: "Invalid CSS selector" },
+  "Texte requis": { nl: "Tekst vereist", en: "Text required" },
+  "Sévérité invalide": { nl: "Ongeldige ernst", en: "Invalid severity" },
+  "Catégorie d’issue invalide": { nl: "Ongeldige issuecategorie", en: "Invalid issue category" },
+  "URL invalide": { nl: "Ongeldige URL", en: "Invalid URL" },
+  "URL invalide (http/https)": { nl: "Ongeldige URL (http/https)", en: "Invalid URL (http/https)" },
+  "Mode invalide (page, crawl)": { nl: "Ongeldige modus (page, crawl)", en: "Invalid mode (page, crawl)" },
+  "Fréquence invalide (daily, weekly, monthly)": {
+    nl: "Ongeldige frequentie (daily, weekly, monthly)",
+    en: "Invalid frequency (daily, weekly, monthly)",
+  },
+  "dayOfWeek invalide (0 = dimanche … 6 = samedi)": {
+    nl: "Ongeldige dayOfWeek (0 = zondag … 6 = zaterdag)",
+    en: "Invalid dayOfWeek (0 = Sunday … 6 = Saturday)",
+  },
+  "dayOfMonth invalide (1–28)": { nl: "Ongeldige dayOfMonth (1–28)", en: "Invalid dayOfMonth (1–28)" },
+  "Heure invalide": { nl: "Ongeldig uur", en: "Invalid hour" },
+  "scoreDropThreshold invalide (0–100)": { nl: "Ongeldige scoreDropThreshold (0–100)", en: "Invalid scoreDropThreshold (0–100)" },
+  "Doublon": { nl: "Duplicaat", en: "Duplicate" },
+  "Issue introuvable": { nl: "Issue niet gevonden", en: "Issue not found" },
+  "Titre requis": { nl: "Titel vereist", en: "Title required" },
+  "Mission introuvable": { nl: "Missie niet gevonden", en: "Mission not found" },
+  "Pack introuvable": { nl: "Pakket niet gevonden", en: "Pack not found" },
+  "Canal introuvable": { nl: "Kanaal niet gevonden", en: "Channel not found" },
+  "Canal privé": { nl: "Privékanaal", en: "Private channel" },
+  "Thread introuvable": { nl: "Thread niet gevonden", en: "Thread not found" },
+  "Création de canaux réservée au plan Pro et Ultra": {
+    nl: "Kanalen aanmaken is voorbehouden aan de plannen Pro en Ultra",
+    en: "Creating channels requires the Pro or Ultra plan",
+  },
+  "Nom du canal requis": { nl: "Kanaalnaam vereist", en: "Channel name required" },
+  "Nom de canal invalide": { nl: "Ongeldige kanaalnaam", en: "Invalid channel name" },
+  "Canal déjà existant": { nl: "Kanaal bestaat al", en: "Channel already exists" },
+  "Message ou fichier requis": { nl: "Bericht of bestand vereist", en: "Message or file required" },
+  "Upload indisponible": { nl: "Upload niet beschikbaar", en: "Upload unavailable" },
+  "Message introuvable": { nl: "Bericht niet gevonden", en: "Message not found" },
+  "Modification non autorisée": { nl: "Wijzigen niet toegestaan", en: "Editing not allowed" },
+  "Suppression non autorisée": { nl: "Verwijderen niet toegestaan", en: "Deletion not allowed" },
+  "Vue fichiers réservée au plan Pro et Ultra": {
+    nl: "Bestandsoverzicht is voorbehouden aan de plannen Pro en Ultra",
+    en: "The files view requires the Pro or Ultra plan",
+  },
+  "title + startAt requis": { nl: "title + startAt vereist", en: "title + startAt required" },
+  "Événement introuvable": { nl: "Afspraak niet gevonden", en: "Event not found" },
+  "Note introuvable": { nl: "Notitie niet gevonden", en: "Note not found" },
+  "Email + entreprise requis": { nl: "E-mail + bedrijf vereist", en: "Email + company required" },
+  "Plan invalide": { nl: "Ongeldig plan", en: "Invalid plan" },
+  "Essai déjà utilisé pour cet email.": { nl: "Proefperiode al gebruikt voor dit e-mailadres.", en: "Trial already used for this email." },
+  "Essai déjà utilisé pour cette entreprise.": { nl: "Proefperiode al gebruikt voor dit bedrijf.", en: "Trial already used for this company." },
+  "Essai déjà utilisé pour ce domaine entreprise.": {
+    nl: "Proefperiode al gebruikt voor dit bedrijfsdomein.",
+    en: "Trial already used for this company domain.",
+  },
+  "Essai déjà utilisé (anti-abus navigateur/IP).": {
+    nl: "Proefperiode al gebruikt (misbruikcontrole browser/IP).",
+    en: "Trial already used (browser/IP abuse check).",
+  },
+  "Essai déjà utilisé (anti-abus).": { nl: "Proefperiode al gebruikt (misbruikcontrole).", en: "Trial already used (abuse check)." },
+  "Erreur serveur lead": { nl: "Serverfout lead", en: "Lead server error" },
+  "Refresh token manquant": { nl: "Refresh token ontbreekt", en: "Missing refresh token" },
+  "Refresh token invalide": { nl: "Ongeldige refresh token", en: "Invalid refresh token" },
+  "Session invalide": { nl: "Ongeldige sessie", en: "Invalid session" },
+  "Email requis": { nl: "E-mail vereist", en: "Email required" },
+  "Aucun compte pour cet email": { nl: "Geen account voor dit e-mailadres", en: "No account for this email" },
+  "Email non envoyé": { nl: "E-mail niet verzonden", en: "Email not sent" },
+  "Invitation introuvable": { nl: "Uitnodiging niet gevonden", en: "Invitation not found" },
+  "Invitation déjà utilisée": { nl: "Uitnodiging al gebruikt", en: "Invitation already used" },
+  "Invitation expirée": { nl: "Uitnodiging verlopen", en: "Invitation expired" },
+  "Cet email ne correspond pas à l’invitation": {
+    nl: "Dit e-mailadres komt niet overeen met de uitnodiging",
+    en: "This email does not match the invitation",
+  },
+  "Organisation introuvable": { nl: "Organisatie niet gevonden", en: "Organisation not found" },
+  "Cet utilisateur appartient déjà à une autre organisation": {
+    nl: "Deze gebruiker hoort al bij een andere organisatie",
+    en: "This user already belongs to another organisation",
+  },
+  "Erreur acceptation invitation": { nl: "Fout bij aanvaarden van de uitnodiging", en: "Error accepting invitation" },
+  "Langue invalide (fr, nl, en)": { nl: "Ongeldige taal (fr, nl, en)", en: "Invalid language (fr, nl, en)" },
+  "Fuseau horaire invalide": { nl: "Ongeldige tijdzone", en: "Invalid time zone" },
+  "Règle introuvable": { nl: "Regel niet gevonden", en: "Rule not found" },
+  "Planification introuvable": { nl: "Planning niet gevonden", en: "Schedule not found" },
+  "Aucune URL fournie (liste ou fichier CSV)": { nl: "Geen URL opgegeven (lijst of CSV-bestand)", en: "No URL provided (list or CSV file)" },
+  "Aucune URL valide": { nl: "Geen geldige URL", en: "No valid URL" },
+  "Quota audits dépassé": { nl: "Auditquotum overschreden", en: "Audit quota exceeded" },
+  "Quota PDF dépassé": { nl: "PDF-quotum overschreden", en: "PDF quota exceeded" },
+  "Erreur génération PDF": { nl: "Fout bij het genereren van de PDF", en: "PDF generation error" },
+  "Quota exports dépassé": { nl: "Exportquotum overschreden", en: "Export quota exceeded" },
+  "Quota monitors actifs dépassé": { nl: "Quotum actieve monitors overschreden", en: "Active monitors quota exceeded" },
+  "Lot introuvable": { nl: "Batch niet gevonden", en: "Batch not found" },
+  "Crawl introuvable": { nl: "Crawl niet gevonden", en: "Crawl not found" },
+  "Crawl interrompu": { nl: "Crawl onderbroken", en: "Crawl interrupted" },
+  "Job interrompu (nombre maximal de tentatives atteint)": { nl: "Job onderbroken (maximaal aantal pogingen bereikt)", en: "Job interrupted (maximum number of attempts reached)" },
+  "Audit introuvable": { nl: "Audit niet gevonden", en: "Audit not found" },
+  "Job introuvable": { nl: "Job niet gevonden", en: "Job not found" },
+  "intervalMinutes min = 5": { nl: "intervalMinutes min. = 5", en: "intervalMinutes min = 5" },
+  "Monitor introuvable": { nl: "Monitor niet gevonden", en: "Monitor not found" },
+  "Monitor inactif": { nl: "Monitor inactief", en: "Monitor inactive" },
+  "Type de monitor invalide": { nl: "Ongeldig monitortype", en: "Invalid monitor type" },
+  "Trop de motifs ignorés (max {max})": { nl: "Te veel genegeerde patronen (max. {max})", en: "Too many ignore patterns (max {max})" },
+  "Aucun snapshot pour ce monitor": { nl: "Geen snapshot voor deze monitor", en: "No snapshot for this monitor" },
+  "URL du site invalide (http/https)": { nl: "Ongeldige site-URL (http/https)", en: "Invalid site URL (http/https)" },
+  "Le concurrent doit être un autre site que le vôtre": {
+    nl: "De concurrent moet een andere site zijn dan de uwe",
+    en: "The competitor must be a different site from yours",
+  },
+  "Concurrent introuvable": { nl: "Concurrent niet gevonden", en: "Competitor not found" },
+  "Paramètre site manquant": { nl: "Parameter site ontbreekt", en: "Missing site parameter" },
+  "Aucun concurrent pour ce site": { nl: "Geen concurrenten voor deze site", en: "No competitors for this site" },
+  "Mot-clé manquant": { nl: "Zoekwoord ontbreekt", en: "Missing keyword" },
+  "Mot-clé introuvable": { nl: "Zoekwoord niet gevonden", en: "Keyword not found" },
+  "Mot-clé déjà suivi pour cette page": { nl: "Zoekwoord wordt al gevolgd voor deze pagina", en: "Keyword already tracked for this page" },
+  "Erreur cron competitors-run": { nl: "Fout cron competitors-run", en: "competitors-run cron error" },
+  "Sélecteur introuvable sur la page": { nl: "Selector niet gevonden op de pagina", en: "Selector not found on the page" },
+  "email manquant": { nl: "e-mail ontbreekt", en: "missing email" },
+  "Route API introuvable": { nl: "API-route niet gevonden", en: "API route not found" },
+  "Protocole interdit": { nl: "Protocol niet toegestaan", en: "Protocol not allowed" },
+  "Hostname manquant": { nl: "Hostname ontbreekt", en: "Missing hostname" },
+  "Credentials interdits dans l'URL": { nl: "Inloggegevens in de URL niet toegestaan", en: "Credentials not allowed in the URL" },
+  "Hostname interdit": { nl: "Hostname niet toegestaan", en: "Hostname not allowed" },
+  "Destination réseau privée interdite": { nl: "Privé-netwerkbestemming niet toegestaan", en: "Private network destination not allowed" },
+  "Erreur login-request": { nl: "Fout login-request", en: "login-request error" },
+  "Erreur login-verify": { nl: "Fout login-verify", en: "login-verify error" },
+  "Erreur cron monitors-run": { nl: "Fout cron monitors-run", en: "monitors-run cron error" },
+  "Erreur cron audits-run": { nl: "Fout cron audits-run", en: "audits-run cron error" },
+  "Erreur audit": { nl: "Auditfout", en: "Audit error" },
+  "Maximum {max} règles par organisation": { nl: "Maximaal {max} regels per organisatie", en: "Maximum {max} rules per organization" },
+  "Maximum {max} planifications par organisation": { nl: "Maximaal {max} planningen per organisatie", en: "Maximum {max} schedules per organization" },
+  "Maximum {max} concurrents par site": { nl: "Maximaal {max} concurrenten per site", en: "Maximum {max} competitors per site" },
+  "Maximum {max} mots-clés par page": { nl: "Maximaal {max} zoekwoorden per pagina", en: "Maximum {max} keywords per page" },
+  "Maximum {max} URLs par lot": { nl: "Maximaal {max} URL's per batch", en: "Maximum {max} URLs per batch" },
+  "Quota audits insuffisant : {valid} URL(s) valides pour {remaining} audit(s) restant(s)": {
+    nl: "Onvoldoende auditquotum: {valid} geldige URL('s) voor {remaining} resterende audit(s)",
+    en: "Insufficient audit quota: {valid} valid URL(s) for {remaining} remaining audit(s)",
+  },
+  "Pénalité invalide (0–{max})": { nl: "Ongeldige penalty (0–{max})", en: "Invalid penalty (0–{max})" },
+  "Poids inconnu : {key}": { nl: "Onbekend gewicht: {key}", en: "Unknown weight: {key}" },
+  "Poids invalide pour {key} (0–{max})": { nl: "Ongeldig gewicht voor {key} (0–{max})", en: "Invalid weight for {key} (0–{max})" },
+  "Seuil inconnu : {key}": { nl: "Onbekende drempel: {key}", en: "Unknown threshold: {key}" },
+  "Seuil invalide pour {key} ({min}–{max})": { nl: "Ongeldige drempel voor {key} ({min}–{max})", en: "Invalid threshold for {key} ({min}–{max})" },
+  "titleMinLength doit être ≤ titleMaxLength": { nl: "titleMinLength moet ≤ titleMaxLength zijn", en: "titleMinLength must be ≤ titleMaxLength" },
+  "metaMinLength doit être ≤ metaMaxLength": { nl: "metaMinLength moet ≤ metaMaxLength zijn", en: "metaMinLength must be ≤ metaMaxLength" },
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  parseAcceptLanguage,
+  resolveLocale,
+  dateLocaleFor,
+  translate,
+};
@@ -17,8 +17,10 @@ const path = require("path");
 const crypto = require("crypto");
 const dns = require("dns").promises;
 const net = require("net");
+const zlib = require("zlib");
 const fs = require("fs");
 const fsp = require("fs/promises");
+const { EventEmitter } = require("events");
 const multer = require("multer");
 const express = require("express");
 const helmet = require("helmet");
@@ -31,6 +33,14 @@ const PDFDocument = require("pdfkit");
 const nodemailer = require("nodemailer");
 
 const { buildStripeModule } = require("./stripe");
+const {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  resolveLocale,
+  translate: tr,
+  dateLocaleFor,
+} = require("./i18n");
 
 const app = express();
 const UPLOAD_DIR = path.join(__dirname, "uploads");
@@ -68,8 +78,40 @@ const teamUpload = multer({
     files: 5,
   },
 });
+
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024,
+    files: 1,
+  },
+});
 app.set("trust proxy", 1);
 
+// ---------- I18N ----------
+function requestLocale(req) {
+  return resolveLocale({
+    user: req.dbUser,
+    org: req.dbOrg,
+    acceptLanguage: req.headers["accept-language"],
+  });
+}
+
+// Les routes écrivent leurs erreurs en français ; la traduction se fait à l'envoi,
+// une fois req.dbUser / req.dbOrg chargés par auth + requireActive.
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (body && typeof body.error === "string" && body.error) {
+      return json({ ...body, error: tr(requestLocale(req), body.error) });
+    }
+    return json(body);
+  };
+
+  next();
+});
+
 const PORT = process.env.PORT || 5000;
 const BRAND_NAME = "FlowPoint";
 
@@ -115,6 +157,59 @@ const CRON_CONCURRENCY = Math.min(
   25,
   Math.max(2, Number(process.env.CRON_CONCURRENCY || 10))
 );
+const LINK_CHECK_MAX = Math.min(
+  500,
+  Math.max(10, Number(process.env.LINK_CHECK_MAX || 150))
+);
+const LINK_CHECK_CONCURRENCY = Math.min(
+  16,
+  Math.max(1, Number(process.env.LINK_CHECK_CONCURRENCY || 6))
+);
+const LINK_CHECK_TIMEOUT_MS = Number(process.env.LINK_CHECK_TIMEOUT_MS || 6000);
+const CRAWL_MAX_PAGES = Math.min(
+  200,
+  Math.max(1, Number(process.env.CRAWL_MAX_PAGES || 50))
+);
+const CRAWL_MAX_DEPTH = Math.min(
+  6,
+  Math.max(0, Number(process.env.CRAWL_MAX_DEPTH || 3))
+);
+const CRAWL_CONCURRENCY = Math.min(
+  8,
+  Math.max(1, Number(process.env.CRAWL_CONCURRENCY || 3))
+);
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Europe/Brussels";
+const AUDIT_SCHEDULES_MAX = Math.min(
+  500,
+  Math.max(1, Number(process.env.AUDIT_SCHEDULES_MAX || 50))
+);
+const BULK_AUDIT_MAX = Math.min(
+  2000,
+  Math.max(1, Number(process.env.BULK_AUDIT_MAX || 500))
+);
+const BULK_AUDIT_CONCURRENCY = Math.min(
+  8,
+  Math.max(1, Number(process.env.BULK_AUDIT_CONCURRENCY || 3))
+);
+const COMPETITORS_PER_SITE_MAX = Math.min(
+  20,
+  Math.max(1, Number(process.env.COMPETITORS_PER_SITE_MAX || 5))
+);
+const JOB_WORKER_ENABLED = !["0", "false"].includes(String(process.env.JOB_WORKER_ENABLED || "true").toLowerCase());
+const JOB_WORKER_CONCURRENCY = Math.min(
+  8,
+  Math.max(1, Number(process.env.JOB_WORKER_CONCURRENCY || 2))
+);
+const JOB_POLL_MS = Math.max(500, Number(process.env.JOB_POLL_MS || 2000));
+const JOB_LOCK_TIMEOUT_MS = Math.max(60000, Number(process.env.JOB_LOCK_TIMEOUT_MS || 10 * 60 * 1000));
+const JOB_MAX_ATTEMPTS = Math.min(
+  10,
+  Math.max(1, Number(process.env.JOB_MAX_ATTEMPTS || 3))
+);
+const AUDIT_RULES_MAX = Math.min(
+  200,
+  Math.max(1, Number(process.env.AUDIT_RULES_MAX || 50))
+);
 
 // ---------- SMTP / Resend ----------
 const SMTP_READY =
@@ -260,21 +355,24 @@ function buildDailyReportEmail({
   monitorsDown,
   audits24hCount,
   logsDown24hCount,
+  locale = DEFAULT_LOCALE,
 }) {
-  const subject = `${brandName} — Rapport quotidien — ${orgName}`;
+  const l = (text, vars) => tr(locale, text, vars);
+  const reportTitle = l("Rapport quotidien");
+  const subject = `${brandName} — ${reportTitle} — ${orgName}`;
 
-  const text = `${brandName} — Rapport quotidien
-Organisation: ${orgName}
+  const text = `${brandName} — ${reportTitle}
+${l("Organisation")}: ${orgName}
 
 • Users: ${usersCount}
 • Monitors DOWN: ${monitorsDown}
 • Audits (24h): ${audits24hCount || 0}
 • Logs DOWN (24h): ${logsDown24hCount || 0}
 
-Email envoyé automatiquement.
+${l("Email envoyé automatiquement.")}
 `;
 
-  const dateLabel = new Date().toLocaleDateString("fr-FR", {
+  const dateLabel = new Date().toLocaleDateString(dateLocaleFor(locale), {
     weekday: "long",
     year: "numeric",
     month: "long",
@@ -282,12 +380,12 @@ Email envoyé automatiquement.
   });
 
   const html = `<!doctype html>
-<html lang="fr">
+<html lang="${locale}">
 <head>
   <meta charset="utf-8">
   <meta name="viewport" content="width=device-width,initial-scale=1">
   <meta name="color-scheme" content="light dark">
-  <title>${brandName} — Rapport quotidien</title>
+  <title>${brandName} — ${reportTitle}</title>
   <style>
     :root{
       --bg:#f6f7fb;
@@ -347,9 +445,9 @@ Email envoyé automatiquement.
   <div class="wrap">
     <div class="container">
       <div class="hero">
-        <h1 style="margin:0 0 8px 0">${brandName} — Rapport quotidien</h1>
+        <h1 style="margin:0 0 8px 0">${brandName} — ${reportTitle}</h1>
         <div class="sub">
-          Organisation : <b>${orgName}</b><br>
+          ${l("Organisation")} : <b>${orgName}</b><br>
           <span class="pill">${dateLabel}</span>
         </div>
 
@@ -361,16 +459,16 @@ Email envoyé automatiquement.
 
       <div class="section" style="margin-top:12px">
         <b>Audits (24h)</b>
-        <ul><li>${audits24hCount ? `${audits24hCount} audit(s) effectué(s)` : "Aucun"}</li></ul>
+        <ul><li>${audits24hCount ? l("{count} audit(s) effectué(s)", { count: audits24hCount }) : l("Aucun")}</li></ul>
       </div>
 
       <div class="section" style="margin-top:12px">
         <b>Logs DOWN (24h)</b>
-        <ul><li>${logsDown24hCount ? `${logsDown24hCount} incident(s) détecté(s)` : "Aucun"}</li></ul>
+        <ul><li>${logsDown24hCount ? l("{count} incident(s) détecté(s)", { count: logsDown24hCount }) : l("Aucun")}</li></ul>
       </div>
 
       <div class="footer">
-        Email envoyé automatiquement par ${brandName}.<br>
+        ${l("Email envoyé automatiquement par {brand}.", { brand: brandName })}<br>
         © ${new Date().getFullYear()} ${brandName}
       </div>
     </div>
@@ -457,6 +555,15 @@ async function consume(user, org, key, amount = 1) {
   return true;
 }
 
+// Recrédite un quota réservé mais non utilisé ; $inc pour ne pas écraser une consommation concurrente.
+async function refundQuota(user, key, amount) {
+  const field = { audits: "usedAudits", pdf: "usedPdf", exports: "usedExports" }[key];
+  if (!field || !(amount > 0)) return;
+
+  user[field] = Math.max(0, (user[field] || 0) - amount);
+  await User.updateOne({ _id: user._id }, { $inc: { [field]: -amount } });
+}
+
 function priceIdForPlan(plan) {
   if (plan === "standard") return process.env.STRIPE_PRICE_ID_STANDARD;
   if (plan === "pro") return process.env.STRIPE_PRICE_ID_PRO;
@@ -583,6 +690,8 @@ const OrgSchema = new mongoose.Schema(
 
     alertRecipients: { type: String, default: "all" },
     alertExtraEmails: { type: [String], default: [] },
+    timezone: { type: String, default: DEFAULT_TIMEZONE },
+    language: { type: String, enum: ["", ...SUPPORTED_LOCALES], default: "" },
 
     billingAddons: {
       monitorsPack50: { type: Number, default: 0 },
@@ -609,6 +718,18 @@ const OrgSchema = new mongoose.Schema(
 
     retentionDays: { type: Number, default: 30 },
 
+    scoringProfile: {
+      version: { type: Number, default: 0 },
+      engineVersion: { type: Number, default: 0 }, // SCORING_ENGINE_VERSION appliquée au profil
+      name: { type: String, default: "" },
+      weights: { type: Object, default: {} },
+      thresholds: { type: Object, default: {} },
+      updatedAt: Date,
+      updatedByUserId: mongoose.Schema.Types.ObjectId,
+    },
+    // Dernière création/modification/suppression de règle d'audit : invalide le cache d'audit.
+    auditRulesUpdatedAt: Date,
+
     integrations: {
       slackWebhookUrl: { type: String, default: "" },
       discordWebhookUrl: { type: String, default: "" },
@@ -636,6 +757,7 @@ const UserSchema = new mongoose.Schema(
 
     orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
     role: { type: String, enum: ["owner", "member"], default: "owner" },
+    language: { type: String, enum: ["", ...SUPPORTED_LOCALES], default: "" },
 
     plan: { type: String, enum: ["standard", "pro", "ultra"], default: "standard" },
 
@@ -700,25 +822,243 @@ const AuditSchema = new mongoose.Schema(
     urlNormalized: { type: String, index: true },
     status: { type: String, enum: ["ok", "error"], default: "ok" },
     score: Number,
+    accessibilityScore: Number,
+    performanceScore: Number,
     summary: String,
     findings: Object,
     recommendations: [String],
     htmlSnapshot: String,
+    scoringProfileVersion: { type: Number, default: 0 },
+    scoring: Object,
+    crawlId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    crawlDepth: Number,
   },
   { timestamps: true, collection: "audits" }
 );
 
+const CrawlSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    rootUrl: { type: String, index: true },
+    host: { type: String, index: true },
+    status: { type: String, enum: ["running", "done", "error"], default: "running", index: true },
+    maxPages: Number,
+    maxDepth: Number,
+    pagesDiscovered: { type: Number, default: 0 },
+    pagesAudited: { type: Number, default: 0 },
+    sitemapUrlsCount: { type: Number, default: 0 },
+    score: Number,
+    accessibilityScore: Number,
+    performanceScore: Number,
+    summary: String,
+    checkStats: { type: Object, default: {} },
+    pages: {
+      type: [
+        {
+          url: String,
+          depth: Number,
+          auditId: mongoose.Schema.Types.ObjectId,
+          status: String,
+          score: Number,
+          accessibilityScore: Number,
+          performanceScore: Number,
+          _id: false,
+        }
+      ],
+      default: [],
+    },
+    discoveredUrls: { type: [String], default: [] },
+    finishedAt: Date,
+    error: String,
+  },
+  { timestamps: true, collection: "crawls" }
+);
+
+const JobSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    type: { type: String, index: true },
+    status: { type: String, enum: ["queued", "running", "done", "failed"], default: "queued", index: true },
+    payload: { type: Object, default: {} },
+    result: Object,
+    progress: {
+      processed: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+      message: { type: String, default: "" },
+    },
+    // Étapes déjà faites (quota débité, document créé) : une nouvelle tentative ne les refait pas.
+    checkpoint: { type: Object, default: {} },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    runAfter: { type: Date, index: true },
+    lockedAt: Date,
+    startedAt: Date,
+    finishedAt: Date,
+    error: { type: String, default: "" },
+  },
+  { timestamps: true, collection: "jobs" }
+);
+
+const BulkAuditJobSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    name: { type: String, default: "" },
+    source: { type: String, enum: ["list", "csv"], default: "list" },
+    status: { type: String, enum: ["queued", "running", "done", "error"], default: "queued", index: true },
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    rows: {
+      type: [
+        {
+          row: Number,
+          url: String,
+          status: { type: String, enum: ["pending", "ok", "error", "invalid"], default: "pending" },
+          auditId: mongoose.Schema.Types.ObjectId,
+          score: Number,
+          summary: String,
+          error: String,
+          _id: false,
+        }
+      ],
+      default: [],
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    error: String,
+  },
+  { timestamps: true, collection: "bulkauditjobs" }
+);
+
+const AuditScheduleSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    url: String,
+    mode: { type: String, enum: ["page", "crawl"], default: "page" },
+    maxPages: Number,
+    maxDepth: Number,
+    frequency: { type: String, enum: ["daily", "weekly", "monthly"], default: "weekly" },
+    dayOfWeek: { type: Number, default: 1 }, // 0 = dimanche
+    dayOfMonth: { type: Number, default: 1 },
+    hour: { type: Number, default: 7 },
+    minute: { type: Number, default: 0 },
+    active: { type: Boolean, default: true, index: true },
+    scoreDropThreshold: { type: Number, default: 5 },
+    alertOnCheckFailures: { type: Boolean, default: true },
+    nextRunAt: { type: Date, index: true },
+    lastRunAt: Date,
+    lastStatus: { type: String, default: "" },
+    lastError: { type: String, default: "" },
+    lastScore: Number,
+    lastAuditId: mongoose.Schema.Types.ObjectId,
+    lastCrawlId: mongoose.Schema.Types.ObjectId,
+    lastAlertAt: Date,
+  },
+  { timestamps: true, collection: "auditschedules" }
+);
+
+const CompetitorSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    siteUrl: String, // site de l'org auquel le concurrent est comparé
+    siteHost: { type: String, index: true },
+    name: { type: String, default: "" },
+    url: String,
+    frequency: { type: String, enum: ["daily", "weekly", "monthly"], default: "weekly" },
+    dayOfWeek: { type: Number, default: 1 },
+    dayOfMonth: { type: Number, default: 1 },
+    hour: { type: Number, default: 6 },
+    minute: { type: Number, default: 0 },
+    active: { type: Boolean, default: true, index: true },
+    nextRunAt: { type: Date, index: true },
+    lastRunAt: Date,
+    lastStatus: { type: String, default: "" },
+    lastError: { type: String, default: "" },
+    lastScore: Number,
+    lastAuditId: mongoose.Schema.Types.ObjectId,
+  },
+  { timestamps: true, collection: "competitors" }
+);
+
+const CompetitorAuditSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    competitorId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    url: String,
+    status: { type: String, enum: ["ok", "error"], default: "ok" },
+    score: Number,
+    accessibilityScore: Number,
+    performanceScore: Number,
+    summary: String,
+    findings: Object,
+    scoringProfileVersion: { type: Number, default: 0 },
+  },
+  { timestamps: true, collection: "competitoraudits" }
+);
+
+const KeywordSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    pageUrl: { type: String, index: true }, // URL normalisée de la page ciblée
+    keyword: String,
+    keywordNormalized: String,
+    active: { type: Boolean, default: true, index: true },
+  },
+  { timestamps: true, collection: "keywords" }
+);
+KeywordSchema.index({ orgId: 1, pageUrl: 1, keywordNormalized: 1 }, { unique: true });
+
+const AuditRuleSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    name: String,
+    kind: { type: String, enum: ["selector_exists", "text_contains", "not_noindex"], default: "selector_exists" },
+    selector: { type: String, default: "" },
+    text: { type: String, default: "" },
+    pathPattern: { type: String, default: "" },
+    severity: { type: String, enum: ["low", "medium", "high", "critical"], default: "medium" },
+    penalty: { type: Number, default: 5 },
+    enabled: { type: Boolean, default: true, index: true },
+    issueTemplate: {
+      title: { type: String, default: "" },
+      description: { type: String, default: "" },
+      category: { type: String, default: "seo" },
+      missionTitle: { type: String, default: "" },
+      recommendation: { type: String, default: "" },
+    },
+  },
+  { timestamps: true, collection: "auditrules" }
+);
+
 const MonitorSchema = new mongoose.Schema(
   {
     orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
     userId: { type: mongoose.Schema.Types.ObjectId, index: true },
     url: String,
+    type: { type: String, enum: ["uptime", "content"], default: "uptime" },
     active: { type: Boolean, default: true },
     intervalMinutes: { type: Number, default: 60 },
     lastCheckedAt: Date,
     lastStatus: { type: String, enum: ["up", "down", "unknown"], default: "unknown" },
     lastAlertStatus: { type: String, default: "unknown" },
     lastAlertAt: Date,
+
+    // Monitors "content" : portée, motifs ignorés et dernière version normalisée (gzip).
+    selector: { type: String, default: "" },
+    ignorePatterns: { type: [String], default: [] },
+    ignoreDynamic: { type: Boolean, default: true },
+    contentHash: String,
+    contentSnapshot: { type: Buffer, select: false },
+    lastChangedAt: Date,
   },
   { timestamps: true, collection: "monitors" }
 );
@@ -734,6 +1074,16 @@ const MonitorLogSchema = new mongoose.Schema(
     responseTimeMs: Number,
     checkedAt: { type: Date, default: Date.now },
     error: String,
+
+    contentHash: String,
+    contentChanged: { type: Boolean, default: false, index: true },
+    diff: {
+      added: Number,
+      removed: Number,
+      truncated: Boolean,
+      lines: { type: [{ _id: false, op: String, text: String }], default: undefined },
+    },
+    snapshot: { type: Buffer, select: false },
   },
   { timestamps: true, collection: "monitorlogs" }
 );
@@ -744,6 +1094,14 @@ const TrialRegistry = mongoose.model("TrialRegistry", TrialRegistrySchema);
 const LoginToken = mongoose.model("LoginToken", LoginTokenSchema);
 const Invite = mongoose.model("Invite", InviteSchema);
 const Audit = mongoose.model("Audit", AuditSchema);
+const Crawl = mongoose.model("Crawl", CrawlSchema);
+const AuditRule = mongoose.model("AuditRule", AuditRuleSchema);
+const AuditSchedule = mongoose.model("AuditSchedule", AuditScheduleSchema);
+const Competitor = mongoose.model("Competitor", CompetitorSchema);
+const CompetitorAudit = mongoose.model("CompetitorAudit", CompetitorAuditSchema);
+const Keyword = mongoose.model("Keyword", KeywordSchema);
+const BulkAuditJob = mongoose.model("BulkAuditJob", BulkAuditJobSchema);
+const Job = mongoose.model("Job", JobSchema);
 const Monitor = mongoose.model("Monitor", MonitorSchema);
 const MonitorLog = mongoose.model("MonitorLog", MonitorLogSchema);
 
@@ -868,6 +1226,21 @@ async function ensureOrgDefaults(org) {
     if (b.hideFlowPointBranding == null) { b.hideFlowPointBranding = false; changed = true; }
   }
 
+  // Migration du profil de scoring : nouvelle version, les audits notés avec l'ancienne clé ne sont plus réutilisés.
+  const storedWeights = org.scoringProfile?.weights;
+  if (storedWeights && Object.keys(LEGACY_SCORING_WEIGHT_KEYS).some((k) => k in storedWeights)) {
+    org.scoringProfile.weights = renameLegacyScoringWeights(storedWeights);
+    org.scoringProfile.version = Number(org.scoringProfile.version || 0) + 1;
+    org.markModified("scoringProfile.weights");
+    changed = true;
+  }
+  // Nouveau mode de calcul : comme un enregistrement du profil, les scores antérieurs ne sont plus comparés.
+  if (Number(org.scoringProfile?.engineVersion || 0) < SCORING_ENGINE_VERSION) {
+    org.scoringProfile.version = Number(org.scoringProfile.version || 0) + 1;
+    org.scoringProfile.engineVersion = SCORING_ENGINE_VERSION;
+    changed = true;
+  }
+
   if (org.retentionDays == null) { org.retentionDays = 30; changed = true; }
   org.retentionDays = clampInt(org.retentionDays, 7, 3650);
 
@@ -1037,30 +1410,30 @@ function formatMonitorEmail({
   responseTimeMs,
   checkedAt,
   error,
+  locale = DEFAULT_LOCALE,
 }) {
-  const when = checkedAt
-    ? new Date(checkedAt).toLocaleString("fr-FR")
-    : new Date().toLocaleString("fr-FR");
+  const when = new Date(checkedAt || Date.now()).toLocaleString(dateLocaleFor(locale));
+  const l = (text) => tr(locale, text);
 
   const statusLabel = status === "down" ? "DOWN" : "UP";
   const subject = `${BRAND_NAME} — ${statusLabel}: ${monitorUrl}`;
 
-  const text = `Organisation: ${orgName}
+  const text = `${l("Organisation")}: ${orgName}
 URL: ${monitorUrl}
 Status: ${statusLabel}
 HTTP: ${httpStatus || "-"}
-Temps: ${responseTimeMs ? `${responseTimeMs}ms` : "-"}
+${l("Temps")}: ${responseTimeMs ? `${responseTimeMs}ms` : "-"}
 Date: ${when}
-Erreur: ${error || "-"}`;
+${l("Erreur")}: ${error || "-"}`;
 
   const html = `
     <h2 style="margin:0">${BRAND_NAME} — <span style="color:${status === "down" ? "#B00020" : "#0A7A2F"}">${statusLabel}</span></h2>
-    <p><b>Organisation</b>: ${orgName || "-"}</p>
+    <p><b>${l("Organisation")}</b>: ${orgName || "-"}</p>
     <p><b>URL</b>: ${monitorUrl}</p>
     <p><b>HTTP</b>: ${httpStatus || "-"}</p>
-    <p><b>Temps</b>: ${responseTimeMs ? `${responseTimeMs}ms` : "-"}</p>
+    <p><b>${l("Temps")}</b>: ${responseTimeMs ? `${responseTimeMs}ms` : "-"}</p>
     <p><b>Date</b>: ${when}</p>
-    ${error ? `<p><b>Erreur</b>: ${String(error).slice(0, 400)}</p>` : ""}
+    ${error ? `<p><b>${l("Erreur")}</b>: ${String(error).slice(0, 400)}</p>` : ""}
   `;
 
   return { subject, text, html };
@@ -1078,7 +1451,7 @@ async function maybeSendMonitorAlert(monitor, result) {
     return { sent: false, reason: "no change" };
   }
 
-  const org = await Org.findById(monitor.orgId).select("name");
+  const org = await Org.findById(monitor.orgId).select("name language");
   const to = await getOrgAlertEmails(monitor.orgId);
 
   if (!to.length) {
@@ -1093,6 +1466,7 @@ async function maybeSendMonitorAlert(monitor, result) {
     responseTimeMs: result.responseTimeMs,
     checkedAt: new Date(),
     error: result.error,
+    locale: resolveLocale({ org }),
   });
 
   await sendEmail({
@@ -1129,27 +1503,25 @@ async function runWithConcurrency(items, limit, worker) {
 
 // ---------- MONITOR CHECK ----------
 async function checkUrlOnce(url) {
-  const safeUrl = await assertSafePublicUrl(url);
+  await assertSafePublicUrl(url);
 
   const controller = new AbortController();
   const id = setTimeout(() => controller.abort(), MONITOR_HTTP_TIMEOUT_MS);
   const t0 = Date.now();
 
   try {
-    const r = await fetch(safeUrl, {
-      redirect: "follow",
-      signal: controller.signal,
-    });
+    const out = await fetchFollowingRedirects(url, { signal: controller.signal, maxHops: 10 });
+    await out.response?.body?.cancel?.().catch(() => {});
 
     const ms = Date.now() - t0;
     clearTimeout(id);
 
-    const up = r.status >= 200 && r.status < 400;
+    const up = out.status >= 200 && out.status < 400;
     return {
       status: up ? "up" : "down",
-      httpStatus: r.status,
+      httpStatus: out.status,
       responseTimeMs: ms,
-      error: "",
+      error: out.loop ? "Boucle de redirection" : out.tooManyRedirects ? "Trop de redirections" : "",
     };
   } catch (e) {
     const ms = Date.now() - t0;
@@ -1164,3406 +1536,9969 @@ async function checkUrlOnce(url) {
   }
 }
 
-// ---------- SEO AUDIT ----------
-async function fetchWithTiming(url) {
-  const safeUrl = await assertSafePublicUrl(url);
+// ---------- CONTENT CHANGE MONITOR ----------
+const CONTENT_MAX_LINES = 3000;
+const CONTENT_DIFF_CONTEXT = 2;
+const CONTENT_DIFF_MAX_LINES = 200;
+const CONTENT_DIFF_LCS_MAX_CELLS = 1_000_000;
+const CONTENT_IGNORE_MAX = 10;
+const CONTENT_BLOCK_TAGS = "p, div, section, article, header, footer, main, aside, nav, li, tr, td, th, h1, h2, h3, h4, h5, h6, blockquote, pre, dt, dd, figcaption, form, table, ul, ol";
+
+// Horodatages et jetons (nonces, ids de session) changent à chaque chargement sans que le contenu bouge.
+const CONTENT_DYNAMIC_PATTERNS = [
+  /\b\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?\b/g,
+  /\b\d{1,2}[/.-]\d{1,2}[/.-]\d{4}\b/g,
+  /\b\d{1,2}:\d{2}:\d{2}\b/g,
+  /\b[a-f0-9]{16,}\b/gi,
+  /\b[A-Za-z0-9_-]{32,}\b/g,
+];
 
-  const controller = new AbortController();
-  const id = setTimeout(
-    () => controller.abort(),
-    Math.min(15000, MONITOR_HTTP_TIMEOUT_MS * 2)
-  );
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
 
-  const t0 = Date.now();
-  const r = await fetch(safeUrl, {
-    redirect: "follow",
-    signal: controller.signal,
+// Motifs utilisateur en texte brut, "*" = n'importe quelle suite de caractères sur la ligne.
+function ignorePatternRegex(pattern) {
+  const body = String(pattern || "").split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+  return new RegExp(body, "gi");
+}
+
+function parseContentMonitorOptions(body = {}, locale = DEFAULT_LOCALE) {
+  const selector = String(body.selector || "").trim().slice(0, 300);
+  if (selector) {
+    try {
+      cheerio.load("")(selector);
+    } catch {
+      throw new Error("Sélecteur CSS invalide");
+    }
+  }
+
+  const raw = Array.isArray(body.ignorePatterns) ? body.ignorePatterns : String(body.ignorePatterns || "").split("\n");
+  const ignorePatterns = uniqueStrings(raw.map((x) => String(x || "").trim().slice(0, 200)).filter((x) => x.replace(/\*/g, "")));
+  if (ignorePatterns.length > CONTENT_IGNORE_MAX) throw new Error(tr(locale, "Trop de motifs ignorés (max {max})", { max: CONTENT_IGNORE_MAX }));
+
+  return { selector, ignorePatterns, ignoreDynamic: body.ignoreDynamic !== false };
+}
+
+function normalizePageContent(html, { selector, ignorePatterns = [], ignoreDynamic = true } = {}) {
+  const $ = cheerio.load(html || "");
+  $("script, style, noscript, template, svg, iframe").remove();
+
+  const scope = selector ? $(selector) : $("body");
+  scope.find("br").replaceWith("\n");
+  scope.find(CONTENT_BLOCK_TAGS).each((_, el) => {
+    $(el).prepend("\n").append("\n");
   });
-  const t1 = Date.now();
-  const text = await r.text();
-  clearTimeout(id);
+
+  const patterns = [...(ignoreDynamic ? CONTENT_DYNAMIC_PATTERNS : []), ...ignorePatterns.map(ignorePatternRegex)];
+  const lines = scope
+    .toArray()
+    .map((el) => $(el).text())
+    .join("\n")
+    .split("\n")
+    .map((line) => patterns.reduce((acc, re) => acc.replace(re, "…"), line.replace(/\s+/g, " ").trim()))
+    .filter(Boolean)
+    .slice(0, CONTENT_MAX_LINES);
 
   return {
-    status: r.status,
-    ok: r.ok,
-    headers: r.headers,
-    text,
-    ms: t1 - t0,
-    finalUrl: r.url,
+    found: scope.length > 0,
+    lines,
+    hash: crypto.createHash("sha256").update(lines.join("\n")).digest("hex"),
   };
 }
 
-function normalizeUrl(url) {
-  try {
-    const u = new URL(url);
-    u.hash = "";
-    return u.toString();
-  } catch {
-    return String(url || "").trim();
+// Diff ligne à ligne (LCS) ; au-delà de CONTENT_DIFF_LCS_MAX_CELLS, bloc retiré / bloc ajouté.
+function diffContentLines(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
   }
-}
 
-function scoreAudit(checks) {
-  let score = 100;
-  const penalize = (cond, points) => { if (cond) score -= points; };
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+  const middle = [];
 
-  penalize(!checks.title.ok, 15);
-  penalize(!checks.metaDescription.ok, 12);
-  penalize(!checks.h1.ok, 10);
-  penalize(!checks.canonical.ok, 8);
-  penalize(!checks.robots.ok, 6);
-  penalize(!checks.lang.ok, 4);
-  penalize(!checks.https.ok, 12);
-  penalize(!checks.viewport.ok, 6);
-  penalize(!checks.og.ok, 4);
-  penalize(!checks.responseTime.ok, 8);
+  if (a.length * b.length > CONTENT_DIFF_LCS_MAX_CELLS) {
+    middle.push(...a.map((text) => ({ op: "-", text })), ...b.map((text) => ({ op: "+", text })));
+  } else {
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        middle.push({ op: " ", text: a[i++] });
+        j++;
+      } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+        middle.push({ op: "-", text: a[i++] });
+      } else {
+        middle.push({ op: "+", text: b[j++] });
+      }
+    }
+  }
 
-  if (score < 0) score = 0;
-  return score;
-}
+  const all = [
+    ...before.slice(0, start).map((text) => ({ op: " ", text })),
+    ...middle,
+    ...before.slice(endBefore).map((text) => ({ op: " ", text })),
+  ];
 
-function buildRecommendations(checks) {
-  const rec = [];
-  const pri = (label, level) => `[${level}] ${label}`;
+  // Seules les lignes modifiées et leur contexte sont gardées ; "…" marque les sauts.
+  const keep = new Array(all.length).fill(false);
+  all.forEach((d, idx) => {
+    if (d.op === " ") return;
+    for (let k = Math.max(0, idx - CONTENT_DIFF_CONTEXT); k <= Math.min(all.length - 1, idx + CONTENT_DIFF_CONTEXT); k++) keep[k] = true;
+  });
 
-  if (!checks.title.ok) rec.push(pri("Ajouter un <title> unique (50–60 caractères).", "HIGH"));
-  if (!checks.metaDescription.ok) rec.push(pri("Ajouter une meta description (140–160 caractères).", "HIGH"));
-  if (!checks.h1.ok) rec.push(pri("Ajouter exactement 1 H1 pertinent (éviter 0 ou plusieurs).", "HIGH"));
-  if (!checks.canonical.ok) rec.push(pri("Ajouter un lien canonical pour éviter le contenu dupliqué.", "MED"));
-  if (!checks.robots.ok) rec.push(pri("Vérifier meta robots (index/follow) + robots.txt.", "MED"));
-  if (!checks.lang.ok) rec.push(pri("Ajouter l’attribut lang sur <html> (ex: fr).", "LOW"));
-  if (!checks.https.ok) rec.push(pri("Forcer HTTPS (redirections + HSTS).", "HIGH"));
-  if (!checks.viewport.ok) rec.push(pri("Ajouter meta viewport pour mobile.", "MED"));
-  if (!checks.og.ok) rec.push(pri("Ajouter Open Graph (og:title, og:description, og:image).", "LOW"));
-  if (!checks.responseTime.ok) rec.push(pri("Améliorer la vitesse (TTFB < 3s).", "MED"));
+  const lines = [];
+  all.forEach((d, idx) => {
+    if (!keep[idx]) return;
+    if (idx > 0 && !keep[idx - 1] && lines.length) lines.push({ op: "…", text: "" });
+    lines.push({ op: d.op, text: d.text.slice(0, 500) });
+  });
 
-  return rec;
+  return {
+    added: all.filter((d) => d.op === "+").length,
+    removed: all.filter((d) => d.op === "-").length,
+    truncated: lines.length > CONTENT_DIFF_MAX_LINES,
+    lines: lines.slice(0, CONTENT_DIFF_MAX_LINES),
+  };
 }
 
-async function runSeoAudit(url) {
-  let fetched;
+function formatContentDiffText(diff, max = CONTENT_DIFF_MAX_LINES) {
+  return (diff?.lines || [])
+    .slice(0, max)
+    .map((d) => (d.op === "…" ? "…" : `${d.op} ${d.text}`))
+    .join("\n");
+}
+
+async function checkContentOnce(monitor) {
+  const t0 = Date.now();
 
   try {
-    fetched = await fetchWithTiming(url);
+    await assertSafePublicUrl(monitor.url);
+    const fetched = await fetchWithTiming(monitor.url);
+
+    // Page en erreur : pas de comparaison, sinon chaque panne produirait un faux "changement".
+    if (!fetched.ok) {
+      return { status: "down", httpStatus: fetched.status, responseTimeMs: fetched.ms, error: "" };
+    }
+
+    // Zone surveillée absente : erreur sans snapshot, sinon sa disparition puis son retour passeraient pour des changements.
+    const content = normalizePageContent(fetched.text, monitor);
+    if (!content.found) {
+      return { status: "up", httpStatus: fetched.status, responseTimeMs: fetched.ms, error: "Sélecteur introuvable sur la page" };
+    }
+
+    return { status: "up", httpStatus: fetched.status, responseTimeMs: fetched.ms, error: "", content };
   } catch (e) {
     return {
-      status: "error",
-      score: 0,
-      summary: "Impossible de charger l’URL.",
-      findings: {},
-      recommendations: [],
-      htmlSnapshot: "",
-      error: e.message,
+      status: "down",
+      httpStatus: 0,
+      responseTimeMs: Date.now() - t0,
+      error: e.name === "AbortError" ? "Timeout" : e.message || "fetch failed",
     };
   }
+}
 
-  const $ = cheerio.load(fetched.text);
+// Met à jour hash + snapshot du monitor ; null si rien n'a changé. Le premier passage pose la référence.
+function recordContentSnapshot(monitor, content) {
+  if (monitor.contentHash === content.hash) return null;
 
-  const title = ($("title").first().text() || "").trim();
-  const metaDesc = ($('meta[name="description"]').attr("content") || "").trim();
-  const h1Count = $("h1").length;
-  const canonical = ($('link[rel="canonical"]').attr("href") || "").trim();
-  const robots = ($('meta[name="robots"]').attr("content") || "").trim();
-  const lang = ($("html").attr("lang") || "").trim();
-  const viewport = ($('meta[name="viewport"]').attr("content") || "").trim();
+  const baseline = !monitor.contentHash;
+  const before = !baseline && monitor.contentSnapshot
+    ? zlib.gunzipSync(monitor.contentSnapshot).toString("utf8").split("\n").filter(Boolean)
+    : [];
+  const snapshot = zlib.gzipSync(Buffer.from(content.lines.join("\n"), "utf8"));
 
-  const ogTitle = ($('meta[property="og:title"]').attr("content") || "").trim();
-  const ogDesc = ($('meta[property="og:description"]').attr("content") || "").trim();
-  const ogImg = ($('meta[property="og:image"]').attr("content") || "").trim();
+  monitor.contentHash = content.hash;
+  monitor.contentSnapshot = snapshot;
+  if (!baseline) monitor.lastChangedAt = new Date();
 
-  const httpsOk = String(fetched.finalUrl || url).startsWith("https://");
+  return { baseline, snapshot, diff: baseline ? null : diffContentLines(before, content.lines) };
+}
 
-  const checks = {
-    http: { ok: fetched.ok, value: fetched.status },
-    responseTime: { ok: fetched.ms < 3000, value: fetched.ms },
-    https: { ok: httpsOk, value: fetched.finalUrl },
-    title: { ok: title.length >= 10 && title.length <= 70, value: title },
-    metaDescription: { ok: metaDesc.length >= 80 && metaDesc.length <= 180, value: metaDesc },
-    h1: { ok: h1Count === 1, value: h1Count },
-    canonical: { ok: !!canonical, value: canonical },
-    robots: { ok: robots.length === 0 || /index|follow/i.test(robots), value: robots || "(none)" },
-    lang: { ok: !!lang, value: lang },
-    viewport: { ok: !!viewport, value: viewport },
-    og: { ok: !!(ogTitle && ogDesc && ogImg), value: { ogTitle, ogDesc, ogImg } },
-  };
+function formatContentChangeEmail({ orgName, monitorUrl, selector, diff, checkedAt, locale = DEFAULT_LOCALE }) {
+  const when = new Date(checkedAt || Date.now()).toLocaleString(dateLocaleFor(locale));
+  const l = (text, vars) => tr(locale, text, vars);
+  const subject = `${BRAND_NAME} — ${l("Contenu modifié")}: ${monitorUrl}`;
+  const summary = l("{added} ligne(s) ajoutée(s), {removed} ligne(s) supprimée(s)", { added: diff.added, removed: diff.removed });
+  const diffText = formatContentDiffText(diff, 80);
 
-  const score = scoreAudit(checks);
-  const recommendations = buildRecommendations(checks);
+  const text = `${l("Organisation")}: ${orgName}
+URL: ${monitorUrl}
+${selector ? `${l("Zone surveillée")}: ${selector}\n` : ""}Date: ${when}
+${summary}
 
-  const summary = fetched.ok
-    ? `Audit OK. HTTP ${fetched.status} – ${fetched.ms}ms – Score ${score}/100.`
-    : `Audit: page non OK. HTTP ${fetched.status} – Score ${score}/100.`;
+${diffText}`;
 
-  return {
-    status: fetched.ok ? "ok" : "error",
-    score,
-    summary,
-    findings: checks,
-    recommendations,
-    htmlSnapshot: fetched.text.slice(0, 20000),
-  };
+  const html = `
+    <h2 style="margin:0">${BRAND_NAME} — <span style="color:#B00020">${l("Contenu modifié")}</span></h2>
+    <p><b>${l("Organisation")}</b>: ${escapeHtml(orgName || "-")}</p>
+    <p><b>URL</b>: ${escapeHtml(monitorUrl)}</p>
+    ${selector ? `<p><b>${l("Zone surveillée")}</b>: ${escapeHtml(selector)}</p>` : ""}
+    <p><b>Date</b>: ${when}</p>
+    <p>${summary}</p>
+    <pre style="font-size:12px;white-space:pre-wrap">${(diff.lines || []).slice(0, 80).map((d) => {
+      if (d.op === "…") return "…";
+      const color = d.op === "+" ? "#0A7A2F" : d.op === "-" ? "#B00020" : "#666";
+      return `<span style="color:${color}">${escapeHtml(`${d.op} ${d.text}`)}</span>`;
+    }).join("\n")}</pre>
+  `;
+
+  return { subject, text, html };
 }
 
-// ---------- Monitor quota = ACTIVE count ----------
-async function canCreateActiveMonitor(user, org) {
-  const q = effectiveQuotas(user, org);
-  const countActive = await Monitor.countDocuments({
-    orgId: user.orgId,
-    active: true,
+async function sendContentChangeAlert(monitor, change) {
+  const org = await Org.findById(monitor.orgId).select("name language");
+  const to = await getOrgAlertEmails(monitor.orgId);
+  if (!to.length) return { sent: false, reason: "no recipients" };
+
+  const payload = formatContentChangeEmail({
+    orgName: org?.name || "Organisation",
+    monitorUrl: monitor.url,
+    selector: monitor.selector,
+    diff: change.diff,
+    checkedAt: new Date(),
+    locale: resolveLocale({ org }),
   });
 
-  return countActive < q.monitors;
+  await sendEmail({ to: to.join(","), subject: payload.subject, text: payload.text, html: payload.html });
+  return { sent: true };
 }
-// =======================
-// FLOWPOINT FULL ENGINE v1
-// Overview war room + Libraries + Personalization + Local/Maps
-// Team discussions + Calendar + Notes + Packs + Risk/Opportunity
-// =======================
-
-// ---------- MODELS ----------
 
-const MissionSchema = new mongoose.Schema(
-  {
-    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
-    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+// Vérification complète d'un monitor (route /run et cron) : check, log, alertes.
+async function runMonitorCheck(m) {
+  const r = m.type === "content" ? await checkContentOnce(m) : await checkUrlOnce(m.url);
+  const change = r.content ? recordContentSnapshot(m, r.content) : null;
 
-    title: String,
-    description: String,
+  m.lastCheckedAt = new Date();
+  m.lastStatus = r.status;
+  await m.save();
 
-    category: {
-      type: String,
-      enum: ["seo", "content", "local", "conversion", "monitor", "reporting", "ops", "team"],
-      default: "seo",
-      index: true,
-    },
+  await MonitorLog.create({
+    orgId: m.orgId,
+    userId: m.userId,
+    monitorId: m._id,
+    url: m.url,
+    status: r.status,
+    httpStatus: r.httpStatus,
+    responseTimeMs: r.responseTimeMs,
+    error: r.error,
+    contentHash: r.content?.hash,
+    contentChanged: !!change?.diff,
+    diff: change?.diff || undefined,
+    snapshot: change?.snapshot,
+  });
 
-    sourceType: {
-      type: String,
-      enum: ["manual", "audit", "monitor", "system", "calendar", "note", "local", "team"],
-      default: "system",
-      index: true,
-    },
+  let alertsSent = 0;
+  const a = await maybeSendMonitorAlert(m, r);
+  if (a.sent) alertsSent += 1;
+  if (change?.diff) {
+    const c = await sendContentChangeAlert(m, change);
+    if (c.sent) alertsSent += 1;
+  }
 
-    sourceId: { type: mongoose.Schema.Types.ObjectId, index: true },
+  // Le contenu extrait ne sert qu'au diff : il n'est pas renvoyé.
+  const result = { ...r };
+  delete result.content;
+  return {
+    result: { ...result, contentChanged: !!change?.diff, baseline: !!change?.baseline, diff: change?.diff || null },
+    alertsSent,
+  };
+}
 
-    priority: {
-      type: String,
-      enum: ["low", "medium", "high", "critical"],
-      default: "medium",
-      index: true,
-    },
+// ---------- SEO AUDIT ----------
+// Chaque page est chargée deux fois (desktop puis mobile) pour détecter les variantes mobiles.
+const DESKTOP_USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36 FlowPointBot/1.0";
+const MOBILE_USER_AGENT =
+  "Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Mobile Safari/537.36 FlowPointBot/1.0";
 
-    impact: {
-      type: String,
-      enum: ["low", "medium", "high", "critical"],
-      default: "medium",
-      index: true,
-    },
+async function fetchWithTiming(url, { userAgent = DESKTOP_USER_AGENT } = {}) {
+  const controller = new AbortController();
+  const id = setTimeout(
+    () => controller.abort(),
+    Math.min(15000, MONITOR_HTTP_TIMEOUT_MS * 2)
+  );
 
-    status: {
-      type: String,
-      enum: ["todo", "in_progress", "blocked", "done", "ignored", "postponed"],
-      default: "todo",
-      index: true,
-    },
+  try {
+    // Redirections suivies saut par saut : chaque URL de la chaîne passe par assertSafePublicUrl.
+    const t0 = Date.now();
+    const out = await fetchFollowingRedirects(url, {
+      signal: controller.signal,
+      maxHops: 10,
+      headers: { "user-agent": userAgent },
+    });
+    const t1 = Date.now();
 
-    sector: { type: String, default: "" },
-    pageType: { type: String, default: "" },
-    pageUrl: { type: String, default: "" },
-    siteUrl: { type: String, default: "" },
+    if (!out.response) {
+      const err = new Error(out.loop ? "Boucle de redirection" : "Trop de redirections");
+      err.redirects = { hops: out.hops, loop: out.loop, tooManyRedirects: !!out.tooManyRedirects };
+      throw err;
+    }
 
-    dueDate: Date,
-    completedAt: Date,
+    const r = out.response;
+    const text = await r.text();
 
-    assignedToUserId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    return {
+      status: r.status,
+      ok: r.ok,
+      headers: r.headers,
+      text,
+      ms: t1 - t0,
+      finalUrl: out.finalUrl,
+      redirects: { hops: out.hops, loop: false, tooManyRedirects: false },
+    };
+  } finally {
+    clearTimeout(id);
+  }
+}
 
-    isAutomated: { type: Boolean, default: false, index: true },
-    isQuickWin: { type: Boolean, default: false, index: true },
+function normalizeUrl(url) {
+  try {
+    const u = new URL(url);
+    u.hash = "";
+    return u.toString();
+  } catch {
+    return String(url || "").trim();
+  }
+}
 
-    tags: { type: [String], default: [] },
-  },
-  { timestamps: true, collection: "missions" }
-);
+// Chaque règle pénalise le score du poids associé (profil de scoring de l'org ou valeurs par défaut).
+function scorePenalties(checks, weights = SCORING_WEIGHTS) {
+  const robotsTxt = checks.robotsTxt?.value;
+  const sitemap = checks.sitemap?.value;
+  const structuredData = checks.structuredData?.value;
+  const brokenLinks = checks.brokenLinks?.value;
+  const images = checks.images?.value;
+  const hreflang = checks.hreflang?.value;
+  const mobileDiffs = checks.mobile?.value?.differences || [];
+
+  const failing = {
+    title: !checks.title.ok,
+    metaDescription: !checks.metaDescription.ok,
+    h1: !checks.h1.ok,
+    canonical: !checks.canonical.ok,
+    robots: !checks.robots.ok,
+    lang: !checks.lang.ok,
+    https: !checks.https.ok,
+    viewport: !checks.viewport.ok,
+    og: !checks.og.ok,
+    performance: !!checks.performance && !checks.performance.ok,
+
+    robotsTxtBlocked: !!robotsTxt?.disallowed,
+    robotsTxtMissing: !!robotsTxt && !robotsTxt.found,
+    sitemapInvalid: !!sitemap && !sitemap.valid,
+    sitemapPageMissing: !!sitemap?.valid && !sitemap.pageListed,
+
+    structuredDataMissing: !!structuredData && !structuredData.count,
+    structuredDataErrors: !!structuredData?.errorCount,
+
+    brokenInternalLinks: !!brokenLinks?.internalBroken,
+    brokenResources: !!brokenLinks?.resourcesBroken,
+    brokenExternalLinks: !!brokenLinks?.externalBroken,
+
+    content: !!checks.content && !checks.content.ok,
+    headings: !!checks.headings?.value?.skippedLevels?.length,
+
+    imagesMissingAlt: !!images?.missingAlt,
+    heavyImages: !!images?.heavyCount,
+    imagesMissingDimensions: !!images?.missingDimensions,
+    legacyImageFormats: !!images?.legacyFormat,
+
+    // HSTS n'a de sens qu'une fois HTTPS en place (déjà pénalisé via "https").
+    hsts: !!checks.hsts && checks.https.ok && !checks.hsts.ok,
+    csp: !!checks.csp && !checks.csp.ok,
+    contentTypeOptions: !!checks.contentTypeOptions && !checks.contentTypeOptions.ok,
+    frameOptions: !!checks.frameOptions && !checks.frameOptions.ok,
+    referrerPolicy: !!checks.referrerPolicy && !checks.referrerPolicy.ok,
+    permissionsPolicy: !!checks.permissionsPolicy && !checks.permissionsPolicy.ok,
+    mixedContent: !!checks.mixedContent && !checks.mixedContent.ok,
+
+    redirectChain: !!checks.redirects?.value?.tooLong,
+    temporaryRedirects: !!checks.redirects?.value?.temporary?.length,
+
+    hreflangReturnLinks: !!checks.hreflang?.value?.missingReturn?.length,
+    hreflangLanguage: !!checks.hreflang?.value?.langMismatch || !!checks.hreflang?.value?.alternateLangMismatches?.length,
+    hreflangInvalid: !!hreflang && (
+      !!hreflang.invalidCodes.length || !hreflang.selfReference || !!hreflang.unreachable.length || !!hreflang.duplicates.length
+    ),
+
+    mobileBlocked: mobileDiffs.includes("blocked") || mobileDiffs.includes("status"),
+    mobileContentGap: mobileDiffs.includes("content"),
+    mobileCanonical: mobileDiffs.includes("canonical"),
+    mobileMetadata: mobileDiffs.includes("metadata"),
+  };
 
-const IssueSchema = new mongoose.Schema(
-  {
-    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
-    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+  const custom = (checks.customRules?.value?.results || [])
+    .filter((r) => !r.ok)
+    .map((r) => ({ key: `custom:${r.ruleId}`, points: Number(r.penalty || 0) }));
+
+  // Plafond d'un groupe : jamais sous son poids le plus fort, pour qu'un profil qui renforce une règle garde son effet.
+  // Les règles les plus lourdes du groupe sont servies en premier.
+  const weightOf = (key) => Number(weights[key] ?? SCORING_WEIGHTS[key] ?? 0);
+  const points = {};
+  for (const group of Object.values(SCORING_WEIGHT_GROUPS)) {
+    let left = Math.max(group.cap, ...group.keys.map(weightOf));
+    for (const key of group.keys.filter((k) => failing[k]).sort((a, b) => weightOf(b) - weightOf(a))) {
+      points[key] = Math.max(0, Math.min(weightOf(key), left));
+      left -= points[key];
+    }
+  }
 
-    sourceType: {
-      type: String,
-      enum: ["audit", "monitor", "local", "system"],
-      default: "audit",
-      index: true,
-    },
+  return Object.keys(failing)
+    .filter((key) => failing[key])
+    .map((key) => ({ key, points: points[key] ?? weightOf(key) }))
+    .concat(custom)
+    .filter((p) => p.points > 0);
+}
 
-    sourceId: { type: mongoose.Schema.Types.ObjectId, index: true },
+function scoreAudit(checks, weights = SCORING_WEIGHTS) {
+  const score = 100 - scorePenalties(checks, weights).reduce((n, p) => n + p.points, 0);
+  return Math.max(0, score);
+}
 
-    type: { type: String, index: true },
-    title: String,
-    description: String,
+// withKeys : renvoie { key, text }, la clé (gabarit source) restant stable quand les compteurs ou la langue changent.
+function buildAuditRecommendations(checks, thresholds = SCORING_THRESHOLDS, locale = DEFAULT_LOCALE, { withKeys = false } = {}) {
+  const rec = [];
+  const pri = (label, level, vars) => ({ key: label, text: `[${level}] ${tr(locale, label, vars)}` });
 
-    category: {
-      type: String,
-      enum: ["seo", "content", "local", "conversion", "monitor", "reporting", "ops", "team"],
-      default: "seo",
-      index: true,
-    },
+  if (!checks.title.ok) rec.push(pri("Ajouter un <title> unique (50–60 caractères).", "HIGH"));
+  if (!checks.metaDescription.ok) rec.push(pri("Ajouter une meta description (140–160 caractères).", "HIGH"));
+  if (!checks.h1.ok) rec.push(pri("Ajouter exactement 1 H1 pertinent (éviter 0 ou plusieurs).", "HIGH"));
+  // Audits antérieurs à la validation canonical : value = href brut.
+  const canonical = checks.canonical.value && typeof checks.canonical.value === "object" ? checks.canonical.value : null;
+  if (canonical ? canonical.outcome === "missing" : !checks.canonical.ok) {
+    rec.push(pri("Ajouter un lien canonical pour éviter le contenu dupliqué.", "MED"));
+  }
+  if (canonical) {
+    const { problems, target } = canonical;
+    const vars = { url: canonical.url, href: canonical.href };
+    if (problems.includes("invalid_url")) rec.push(pri("Corriger l’URL canonical invalide ({href}).", "HIGH", vars));
+    if (problems.includes("multiple")) rec.push(pri("Ne garder qu’une seule balise canonical ({count} trouvées).", "HIGH", { count: canonical.count }));
+    if (problems.includes("target_error")) {
+      rec.push(pri("La canonical pointe vers {url} (HTTP {status}) : viser une page qui répond 200.", "HIGH", { ...vars, status: target.status || "—" }));
+    }
+    if (problems.includes("target_redirect")) {
+      rec.push(pri("La canonical {url} redirige vers {finalUrl} : pointer directement vers l’URL finale.", "HIGH", { ...vars, finalUrl: target.finalUrl }));
+    }
+    if (problems.includes("target_not_canonical")) {
+      rec.push(pri("La page canonique {url} déclare elle-même {target} en canonical : éviter les chaînes.", "HIGH", { ...vars, target: target.canonical }));
+    }
+    if (canonical.outcome === "cross_page") {
+      rec.push(canonical.sameHost
+        ? pri("Page canonisée vers {url} : vérifier que c’est voulu, sinon utiliser une canonical auto-référente.", "MED", vars)
+        : pri("Page canonisée vers un autre domaine ({url}) : à réserver aux contenus syndiqués.", "MED", vars));
+    }
+    if (canonical.url && canonical.relative) rec.push(pri("Utiliser une URL absolue dans la canonical ({href}).", "LOW", vars));
+    for (const c of canonical.conflicts) {
+      rec.push(c.source === "og:url"
+        ? pri("Aligner og:url ({og}) sur la canonical ({url}).", "MED", { ...vars, og: c.url })
+        : pri("Page déclarée dans les hreflang mais canonisée vers {url} : les hreflang doivent référencer l’URL canonique.", "MED", vars));
+    }
+  }
+  if (!checks.robots.ok) rec.push(pri("Vérifier meta robots (index/follow).", "MED"));
+  if (checks.robotsTxt?.value?.disallowed) {
+    rec.push(pri("Débloquer la page dans robots.txt pour Googlebot ({rule}).", "HIGH", { rule: checks.robotsTxt.value.matchedRule }));
+  }
+  if (checks.robotsTxt && !checks.robotsTxt.value?.found) rec.push(pri("Ajouter un fichier /robots.txt (avec la ligne Sitemap:).", "LOW"));
+  if (checks.sitemap && !checks.sitemap.value?.valid) {
+    rec.push(pri("Publier un sitemap.xml valide et le déclarer dans robots.txt.", "MED"));
+  } else if (checks.sitemap && !checks.sitemap.value?.pageListed) {
+    rec.push(pri("Ajouter cette page au sitemap.xml.", "LOW"));
+  }
+  if (!checks.lang.ok) rec.push(pri("Ajouter l’attribut lang sur <html> (ex: fr).", "LOW"));
+  const hl = checks.hreflang?.value;
+  if (hl?.missingReturn?.length) {
+    rec.push(pri("Ajouter le lien hreflang de retour sur {count} version(s) linguistique(s) (ex. {url}).", "HIGH", {
+      count: hl.missingReturn.length,
+      url: hl.missingReturn[0],
+    }));
+  }
+  if (hl?.langMismatch) {
+    rec.push(pri("Aligner <html lang=\"{lang}\"> avec le hreflang de la page ({hreflang}).", "MED", hl.langMismatch));
+  }
+  if (hl?.alternateLangMismatches?.length) {
+    rec.push(pri("Corriger la langue déclarée de {url} (hreflang {hreflang}, lang=\"{lang}\").", "MED", hl.alternateLangMismatches[0]));
+  }
+  if (hl?.invalidCodes?.length) {
+    rec.push(pri("Corriger les codes hreflang invalides ({codes} ; ex. en-GB et non en-UK).", "MED", {
+      codes: hl.invalidCodes.map((c) => c.hreflang).join(", "),
+    }));
+  }
+  if (hl && !hl.selfReference) rec.push(pri("Ajouter une balise hreflang auto-référente pour cette page.", "MED"));
+  if (hl?.unreachable?.length) {
+    rec.push(pri("Pointer les hreflang vers des URLs finales en 200 ({count} en erreur ou redirigée(s), ex. {url}).", "MED", {
+      count: hl.unreachable.length,
+      url: hl.unreachable[0].url,
+    }));
+  }
+  if (hl?.duplicates?.length) rec.push(pri("Supprimer les hreflang en double ({codes}).", "LOW", { codes: hl.duplicates.join(", ") }));
+  if (hl && !hl.hasXDefault) rec.push(pri("Ajouter une balise hreflang x-default (page de choix de langue ou version principale).", "LOW"));
+  if (!checks.https.ok) rec.push(pri("Forcer HTTPS (redirections + HSTS).", "HIGH"));
+  const hsts = checks.hsts?.value;
+  if (checks.https.ok && hsts && !checks.hsts.ok) {
+    rec.push(hsts.present
+      ? pri("Renforcer HSTS : max-age ≥ {minMaxAge} et includeSubDomains (actuel : {raw}).", "MED", hsts)
+      : pri("Ajouter l’en-tête Strict-Transport-Security (max-age={maxAge}; includeSubDomains).", "MED", { maxAge: hsts.minMaxAge * 2 }));
+  }
+  const redirects = checks.redirects?.value;
+  if (redirects?.tooLong) {
+    rec.push(pri("Réduire la chaîne de redirections ({count} sauts : {chain}) à une seule 301.", "MED", {
+      count: redirects.count,
+      chain: redirects.hops.map((h) => h.url).join(" → "),
+    }));
+  }
+  if (redirects?.temporary?.length) {
+    rec.push(pri("Remplacer {count} redirection(s) temporaire(s) ({status} sur {url}) par des 301.", "MED", {
+      count: redirects.temporary.length,
+      status: redirects.temporary[0].status,
+      url: redirects.temporary[0].url,
+    }));
+  }
+  const mixed = checks.mixedContent?.value;
+  if (mixed?.count) {
+    rec.push(pri("Passer en https {count} ressource(s) chargée(s) en http (ex. {url}).", mixed.active ? "HIGH" : "MED", {
+      count: mixed.count,
+      url: mixed.urls[0]?.url,
+    }));
+  }
+  if (checks.csp && !checks.csp.ok) {
+    rec.push(pri(checks.csp.value?.reportOnly
+      ? "Passer la Content-Security-Policy du mode report-only au mode bloquant."
+      : "Ajouter une Content-Security-Policy (au minimum default-src 'self' et frame-ancestors).", "LOW"));
+  }
+  if (checks.contentTypeOptions && !checks.contentTypeOptions.ok) rec.push(pri("Ajouter l’en-tête X-Content-Type-Options: nosniff.", "LOW"));
+  if (checks.frameOptions && !checks.frameOptions.ok) {
+    rec.push(pri("Protéger contre le clickjacking (X-Frame-Options: SAMEORIGIN ou CSP frame-ancestors).", "LOW"));
+  }
+  if (checks.referrerPolicy && !checks.referrerPolicy.ok) {
+    rec.push(pri("Définir Referrer-Policy: strict-origin-when-cross-origin.", "LOW"));
+  }
+  if (checks.permissionsPolicy && !checks.permissionsPolicy.ok) {
+    rec.push(pri("Ajouter un en-tête Permissions-Policy (ex. camera=(), microphone=(), geolocation=()).", "LOW"));
+  }
+  if (!checks.viewport.ok) rec.push(pri("Ajouter meta viewport pour mobile.", "MED"));
+  const mob = checks.mobile?.value;
+  if (mob?.differences?.includes("blocked")) {
+    rec.push(mob.robotsBlocked
+      ? pri("Débloquer la version mobile ({url}) dans robots.txt.", "HIGH", { url: mob.mobile.finalUrl })
+      : pri("Rendre la page accessible aux mobiles (HTTP {status} avec un user-agent mobile).", "HIGH", {
+        status: mob.mobile?.status || mob.error || 0,
+      }));
+  } else if (mob?.differences?.includes("status")) {
+    rec.push(pri("Aligner le code HTTP mobile ({mobile}) sur le desktop ({desktop}).", "HIGH", {
+      mobile: mob.mobile.status,
+      desktop: mob.desktop.status,
+    }));
+  }
+  if (mob?.differences?.includes("content")) {
+    rec.push(pri("Servir le même contenu sur mobile : {mobile} mots contre {desktop} sur desktop.", "HIGH", {
+      mobile: mob.mobile.wordCount,
+      desktop: mob.desktop.wordCount,
+    }));
+  }
+  if (mob?.differences?.includes("canonical")) {
+    rec.push(mob.variant === "separate_urls"
+      ? pri("Relier la version mobile {url} : canonical vers la page desktop et <link rel=\"alternate\" media> côté desktop.", "HIGH", { url: mob.mobile.finalUrl })
+      : pri("Utiliser la même canonical sur mobile ({mobile}) et desktop ({desktop}).", "HIGH", {
+        mobile: mob.mobile.canonical || tr(locale, "aucune"),
+        desktop: mob.desktop.canonical || tr(locale, "aucune"),
+      }));
+  }
+  if (mob?.differences?.includes("metadata")) rec.push(pri("Aligner title et meta description entre mobile et desktop.", "MED"));
+  if (mob?.differences?.includes("viewport")) rec.push(pri("Ajouter meta viewport sur la version mobile servie.", "MED"));
+  if (mob?.differences?.includes("vary")) rec.push(pri("Envoyer l’en-tête Vary: User-Agent (contenu adapté au user-agent).", "LOW"));
+  if (!checks.og.ok) rec.push(pri("Ajouter Open Graph (og:title, og:description, og:image).", "LOW"));
+  const perf = checks.performance?.value;
+  // Les audits antérieurs au sous-score performance n'ont que le check responseTime.
+  if (perf ? perf.slowTtfb : checks.responseTime && !checks.responseTime.ok) {
+    rec.push(pri("Améliorer la vitesse (TTFB < {seconds}s).", "MED", { seconds: thresholds.responseTimeMs / 1000 }));
+  }
+  if (perf?.renderBlocking?.length) {
+    const level = perf.renderBlocking.length > RENDER_BLOCKING_MAX ? "HIGH" : "LOW";
+    rec.push(pri("Différer {count} ressource(s) bloquante(s) dans <head> (async/defer pour les scripts, CSS critique en ligne), ex. {url}.", level, {
+      count: perf.renderBlocking.length,
+      url: perf.renderBlocking[0].url,
+    }));
+  }
+  if (perf && perf.totalBytes > PAGE_WEIGHT_WARN_BYTES) {
+    rec.push(pri("Alléger la page : {size} au total (objectif < {max}).", perf.totalBytes > PAGE_WEIGHT_MAX_BYTES ? "HIGH" : "MED", {
+      size: formatBytes(perf.totalBytes),
+      max: formatBytes(PAGE_WEIGHT_WARN_BYTES),
+    }));
+  }
+  if (perf && !perf.compression.documentCompressed) rec.push(pri("Activer la compression gzip ou brotli du document HTML.", "HIGH"));
+  if (perf?.compression?.uncompressed?.length) {
+    rec.push(pri("Compresser {count} fichier(s) JS/CSS servi(s) sans gzip/brotli (ex. {url}).", "MED", {
+      count: perf.compression.uncompressed.length,
+      url: perf.compression.uncompressed[0],
+    }));
+  }
+  if (perf?.caching?.shortCacheCount) {
+    rec.push(pri("Allonger le cache navigateur de {count} ressource(s) statique(s) (Cache-Control max-age ≥ {days} jours, ex. {url}).", "MED", {
+      count: perf.caching.shortCacheCount,
+      days: STATIC_CACHE_MIN_SECONDS / 86400,
+      url: perf.caching.shortCache[0].url,
+    }));
+  }
+  if (perf && perf.thirdPartyDomains.length > THIRD_PARTY_DOMAINS_MAX) {
+    rec.push(pri("Réduire les domaines tiers chargés par la page ({count}, ex. {domains}).", "LOW", {
+      count: perf.thirdPartyDomains.length,
+      domains: perf.thirdPartyDomains.slice(0, 3).join(", "),
+    }));
+  }
 
-    severity: {
-      type: String,
-      enum: ["low", "medium", "high", "critical"],
-      default: "medium",
-      index: true,
-    },
+  for (const k of checks.keywords?.value?.keywords || []) {
+    if (!k.missing.length) continue;
+    const core = k.missing.some((p) => KEYWORD_CORE_PLACEMENTS.includes(p));
+    rec.push(pri("Placer le mot-clé « {keyword} » dans : {places}.", core ? "HIGH" : "LOW", {
+      keyword: k.keyword,
+      places: k.missing.map((p) => tr(locale, KEYWORD_PLACEMENT_LABELS[p])).join(", "),
+    }));
+  }
 
-    impactBusiness: {
-      type: String,
-      enum: ["low", "medium", "high", "critical"],
-      default: "medium",
-      index: true,
-    },
+  const bl = checks.brokenLinks?.value;
+  if (bl?.internalBroken) rec.push(pri("Corriger {count} lien(s) interne(s) cassé(s) (404/5xx/boucles).", "HIGH", { count: bl.internalBroken }));
+  if (bl?.resourcesBroken) rec.push(pri("Réparer {count} ressource(s) cassée(s) (images, scripts, CSS).", "MED", { count: bl.resourcesBroken }));
+  if (bl?.externalBroken) rec.push(pri("Mettre à jour ou retirer {count} lien(s) externe(s) cassé(s).", "LOW", { count: bl.externalBroken }));
 
-    priorityScore: { type: Number, default: 50, index: true },
+  const content = checks.content?.value;
+  if (content?.thin) {
+    rec.push(pri("Étoffer le contenu : {count} mots visibles (objectif ≥ {min}).", "MED", {
+      count: content.wordCount,
+      min: content.thresholds.minWords,
+    }));
+  } else if (content?.lowRatio) {
+    rec.push(pri("Alléger le code ou enrichir le texte (ratio texte/HTML {ratio}%).", "LOW", { ratio: content.textHtmlRatio }));
+  }
+  const skipped = checks.headings?.value?.skippedLevels || [];
+  if (skipped.length) {
+    rec.push(pri("Corriger la hiérarchie des titres ({from} → {to}, {count} saut(s)).", "LOW", {
+      from: skipped[0].from,
+      to: skipped[0].to,
+      count: skipped.length,
+    }));
+  }
 
-    pageUrl: { type: String, default: "" },
-    siteUrl: { type: String, default: "" },
+  const img = checks.images?.value;
+  if (img?.missingAlt) rec.push(pri("Ajouter un attribut alt descriptif sur {count} image(s).", "MED", { count: img.missingAlt }));
+  if (img?.heavyCount) {
+    rec.push(pri("Compresser {count} image(s) lourde(s) (> {size}, ex. {src}).", "HIGH", {
+      count: img.heavyCount,
+      size: formatBytes(img.heavyThresholdBytes || thresholds.heavyImageBytes),
+      src: img.heaviest[0]?.src || "",
+    }));
+  }
+  if (img?.missingDimensions) {
+    rec.push(pri("Définir width/height sur {count} image(s) pour éviter les décalages de mise en page.", "LOW", { count: img.missingDimensions }));
+  }
+  if (img?.legacyFormat) rec.push(pri("Servir {count} image(s) en WebP/AVIF.", "LOW", { count: img.legacyFormat }));
+
+  const sd = checks.structuredData?.value;
+  if (sd && !sd.count) {
+    rec.push(pri("Ajouter des données structurées schema.org (JSON-LD : LocalBusiness / Organization).", "MED"));
+  } else if (sd?.errorCount) {
+    const firstError = (sd.items || []).flatMap((i) => i.errors.map((e) => `${i.rule || i.types[0]}: ${e}`))[0];
+    rec.push(firstError
+      ? pri("Corriger les données structurées ({count} erreur(s), ex. {error}).", "MED", { count: sd.errorCount, error: firstError })
+      : pri("Corriger les données structurées ({count} erreur(s)).", "MED", { count: sd.errorCount }));
+  }
 
-    sector: { type: String, default: "" },
-    pageType: { type: String, default: "" },
+  if (checks.a11yFormLabels && !checks.a11yFormLabels.ok) {
+    rec.push(pri("Associer un libellé (<label> ou aria-label) à {count} champ(s) de formulaire.", "HIGH", checks.a11yFormLabels.value));
+  }
+  if (checks.a11yControlNames && !checks.a11yControlNames.ok) {
+    rec.push(pri("Donner un nom accessible à {count} bouton(s) ou lien(s) (texte, aria-label ou alt de l’icône).", "HIGH", checks.a11yControlNames.value));
+  }
+  // Les <img> sans alt sont déjà couvertes par la recommandation images ci-dessus.
+  if (checks.a11yImageAlt && !checks.a11yImageAlt.ok && !img?.missingAlt) {
+    rec.push(pri("Ajouter un texte alternatif sur {count} image(s) ou zone(s) cliquable(s).", "MED", checks.a11yImageAlt.value));
+  }
+  if (checks.a11yLandmarks && !checks.a11yLandmarks.ok) {
+    rec.push(pri("Ajouter les zones repères manquantes : {missing}.", "MED", {
+      missing: checks.a11yLandmarks.value.missing.map((tag) => `<${tag}>`).join(", "),
+    }));
+  }
+  if (checks.a11yDuplicateIds && !checks.a11yDuplicateIds.ok) {
+    rec.push(pri("Rendre uniques {count} identifiant(s) id dupliqué(s) (ex. {id}).", "MED", {
+      count: checks.a11yDuplicateIds.value.count,
+      id: checks.a11yDuplicateIds.value.samples[0]?.id || "",
+    }));
+  }
+  if (checks.a11yTabindex && !checks.a11yTabindex.ok) {
+    rec.push(pri("Retirer les tabindex positifs ou invalides sur {count} élément(s) (utiliser 0 ou -1).", "MED", checks.a11yTabindex.value));
+  }
+  if (checks.a11yAria && !checks.a11yAria.ok) {
+    const first = checks.a11yAria.value.samples[0];
+    rec.push(pri("Corriger {count} attribut(s) ARIA invalide(s) (ex. {detail} sur {element}).", "MED", {
+      count: checks.a11yAria.value.count,
+      detail: first?.detail || "",
+      element: first?.element || "",
+    }));
+  }
 
-    recommendationKey: { type: String, default: "" },
-    missionTemplateKey: { type: String, default: "" },
-    packKey: { type: String, default: "" },
+  const levels = { critical: "HIGH", high: "HIGH", medium: "MED", low: "LOW" };
+  for (const r of checks.customRules?.value?.results || []) {
+    if (r.ok) continue;
+    const level = levels[r.severity] || "MED";
+    // Le texte saisi par l'organisation n'est pas traduit.
+    rec.push({
+      key: `custom:${r.ruleId}`,
+      text: r.issueTemplate?.recommendation
+        ? `[${level}] ${r.issueTemplate.recommendation}`
+        : pri("Règle « {name} » : {detail}.", level, r).text,
+    });
+  }
 
-    status: {
-      type: String,
-      enum: ["open", "accepted", "ignored", "resolved"],
-      default: "open",
-      index: true,
-    },
+  return withKeys ? rec : rec.map((r) => r.text);
+}
 
-    metadata: { type: Object, default: {} },
-  },
-  { timestamps: true, collection: "issues" }
-);
+// ---------- ROBOTS.TXT / SITEMAP ----------
+const ROBOTS_USER_AGENT = "googlebot";
 
-const PackRunSchema = new mongoose.Schema(
-  {
-    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
-    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+function siteCached(siteCache, key, fn) {
+  if (!siteCache) return fn();
+  if (!siteCache.has(key)) siteCache.set(key, fn());
+  return siteCache.get(key);
+}
 
-    packKey: { type: String, index: true },
-    name: String,
-    category: String,
-    summary: String,
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
 
-    sourceType: String,
-    sourceId: { type: mongoose.Schema.Types.ObjectId, index: true },
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, "").trim();
+    if (!line) continue;
 
-    impactExpected: { type: String, default: "medium" },
-    difficulty: { type: String, default: "medium" },
-    estimatedTime: { type: String, default: "" },
+    const sep = line.indexOf(":");
+    if (sep < 0) continue;
 
-    previewItems: { type: [String], default: [] },
+    const field = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
 
-    createdMissionIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
-  },
-  { timestamps: true, collection: "packruns" }
-);
+    if (field === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
 
-const TimelineEventSchema = new mongoose.Schema(
-  {
-    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
-    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    if (field === "user-agent") {
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
 
-    type: { type: String, index: true },
-    entityType: { type: String, index: true },
-    entityId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    lastWasAgent = false;
+    if (!current) continue;
 
-    title: String,
-    message: String,
+    if (field === "allow" || field === "disallow") {
+      current.rules.push({ type: field, path: value });
+    }
+  }
 
-    metadata: { type: Object, default: {} },
-  },
-  { timestamps: true, collection: "timelineevents" }
-);
+  return { groups, sitemaps: uniqueStrings(sitemaps) };
+}
 
-const TeamThreadSchema = new mongoose.Schema(
-  {
-    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+function robotsRulesFor(parsed, agent = ROBOTS_USER_AGENT) {
+  const a = String(agent || "").toLowerCase();
+  const specific = parsed.groups.filter((g) => g.agents.includes(a));
+  const groups = specific.length ? specific : parsed.groups.filter((g) => g.agents.includes("*"));
 
-    channelKey: {
-      type: String,
-      default: "general",
-      index: true,
-    },
+  return {
+    agent: specific.length ? a : groups.length ? "*" : "",
+    rules: groups.flatMap((g) => g.rules),
+  };
+}
 
-    contextType: {
-      type: String,
-      enum: ["mission", "audit", "monitor", "report", "note", "general", "system"],
-      default: "general",
-      index: true,
-    },
+function robotsPatternToRegex(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*");
 
-    contextId: { type: mongoose.Schema.Types.ObjectId, index: true },
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
 
-    title: String,
-    description: { type: String, default: "" },
+// Règle la plus longue gagnante, Allow prioritaire en cas d'égalité (comportement Googlebot).
+function isDisallowedByRobots(parsed, url, agent = ROBOTS_USER_AGENT) {
+  let target;
+  try {
+    const u = new URL(url);
+    target = `${u.pathname || "/"}${u.search || ""}`;
+  } catch {
+    return { disallowed: false, agent: "", rule: null };
+  }
 
-    isPrivate: { type: Boolean, default: false, index: true },
-    allowedRoles: { type: [String], default: [] },
+  const { agent: matchedAgent, rules } = robotsRulesFor(parsed, agent);
+  let best = null;
 
-    isPinned: { type: Boolean, default: false, index: true },
-    isResolved: { type: Boolean, default: false, index: true },
-    lastActivityAt: { type: Date, default: Date.now, index: true },
-  },
-  { timestamps: true, collection: "teamthreads" }
-);
+  for (const rule of rules) {
+    if (!rule.path) continue;
+    if (!robotsPatternToRegex(rule.path).test(target)) continue;
 
-const TeamMessageSchema = new mongoose.Schema(
-  {
-    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
-    threadId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    const better =
+      !best ||
+      rule.path.length > best.path.length ||
+      (rule.path.length === best.path.length && rule.type === "allow");
 
-    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
-    authorName: String,
+    if (better) best = rule;
+  }
 
-    content: { type: String, default: "" },
-    mentions: { type: [String], default: [] },
+  return {
+    disallowed: best?.type === "disallow",
+    agent: matchedAgent,
+    rule: best ? `${best.type === "allow" ? "Allow" : "Disallow"}: ${best.path}` : null,
+  };
+}
 
-    messageType: {
-      type: String,
-      enum: ["text", "system", "file", "linked_card"],
-      default: "text",
-      index: true,
-    },
+async function fetchRobotsTxt(origin) {
+  try {
+    const fetched = await fetchWithTiming(`${origin}/robots.txt`);
+    const isText = !/html/i.test(String(fetched.headers?.get?.("content-type") || ""));
 
-    replyToMessageId: { type: mongoose.Schema.Types.ObjectId, index: true },
-    linkedEntityType: { type: String, default: "" },
-    linkedEntityId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    if (!fetched.ok || !isText) {
+      return { found: false, status: fetched.status, parsed: parseRobotsTxt("") };
+    }
 
-    attachments: {
-      type: [
-        {
-          originalName: String,
-          fileName: String,
-          mimeType: String,
-          size: Number,
-          url: String,
-          ext: String,
-          kind: {
-            type: String,
-            enum: ["image", "pdf", "doc", "sheet", "archive", "other"],
-            default: "other",
-          },
-        }
-      ],
-      default: [],
-    },
+    return {
+      found: true,
+      status: fetched.status,
+      parsed: parseRobotsTxt(fetched.text.slice(0, 500 * 1024)),
+    };
+  } catch (e) {
+    return { found: false, status: 0, error: e.message, parsed: parseRobotsTxt("") };
+  }
+}
 
-    isPinned: { type: Boolean, default: false, index: true },
-    isImportant: { type: Boolean, default: false, index: true },
-    isEdited: { type: Boolean, default: false },
-    isDeleted: { type: Boolean, default: false, index: true },
-    deletedAt: Date,
+async function fetchSitemap(sitemapUrl) {
+  let fetched;
+  try {
+    fetched = await fetchWithTiming(sitemapUrl);
+  } catch (e) {
+    return { url: sitemapUrl, reachable: false, status: 0, valid: false, error: e.message, locs: [], children: [] };
+  }
 
-    isSystemSummary: { type: Boolean, default: false },
-  },
-  { timestamps: true, collection: "teammessages" }
-);
+  if (!fetched.ok) {
+    return { url: sitemapUrl, reachable: false, status: fetched.status, valid: false, error: `HTTP ${fetched.status}`, locs: [], children: [] };
+  }
 
-const CalendarEventSchema = new mongoose.Schema(
-  {
-    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
-    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+  const $ = cheerio.load(fetched.text, { xmlMode: true });
+  const root = $.root().children().first();
+  const rootName = String(root.prop("tagName") || root.prop("name") || "").toLowerCase().replace(/^.*:/, "");
+  const type = rootName === "urlset" ? "urlset" : rootName === "sitemapindex" ? "sitemapindex" : "";
 
-    title: String,
-    description: String,
+  const locs = [];
+  const children = [];
 
-    type: {
-      type: String,
-      enum: ["mission_due", "audit_review", "monitor_review", "report_deadline", "team_meeting", "client_reminder", "recurring_task", "custom"],
-      default: "custom",
-      index: true,
-    },
+  $("url > loc").each((_, el) => {
+    const loc = $(el).text().trim();
+    if (loc) locs.push(loc);
+  });
 
-    linkedEntityType: { type: String, default: "" },
-    linkedEntityId: { type: mongoose.Schema.Types.ObjectId, index: true },
+  $("sitemap > loc").each((_, el) => {
+    const loc = $(el).text().trim();
+    if (loc) children.push(loc);
+  });
 
-    startAt: { type: Date, index: true },
-    endAt: { type: Date, index: true },
+  return {
+    url: sitemapUrl,
+    reachable: true,
+    status: fetched.status,
+    valid: !!type,
+    type,
+    error: type ? "" : "XML invalide (urlset/sitemapindex attendu)",
+    locs,
+    children,
+  };
+}
 
-    priority: {
-      type: String,
-      enum: ["low", "medium", "high", "critical"],
-      default: "medium",
-      index: true,
-    },
+async function discoverSitemaps(origin, robots) {
+  const declared = (robots?.parsed?.sitemaps || []).slice(0, 5);
+  const candidates = declared.length ? declared : [`${origin}/sitemap.xml`];
 
-    alertMode: {
-      type: String,
-      enum: ["none", "standard", "smart"],
-      default: "none",
-      index: true,
-    },
+  const out = [];
+  const queue = [...candidates];
+  const seen = new Set();
 
-    recurrence: {
-      type: String,
-      enum: ["none", "daily", "weekly", "monthly"],
-      default: "none",
-    },
+  while (queue.length && seen.size < 8) {
+    const sitemapUrl = queue.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
 
-    isDone: { type: Boolean, default: false, index: true },
-  },
-  { timestamps: true, collection: "calendarevents" }
-);
+    const sm = await fetchSitemap(sitemapUrl);
+    sm.declaredInRobots = declared.includes(sitemapUrl);
+    out.push(sm);
 
-const NoteSchema = new mongoose.Schema(
-  {
-    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
-    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    queue.push(...sm.children.slice(0, 5));
+  }
 
-    title: String,
-    content: String,
+  return out;
+}
 
-    type: {
-      type: String,
-      enum: ["free", "mission", "audit", "incident", "client", "strategy"],
-      default: "free",
-      index: true,
+async function analyzeRobotsAndSitemap(url, siteCache) {
+  let origin;
+  try {
+    origin = new URL(url).origin;
+  } catch {
+    return null;
+  }
+
+  const site = await siteCached(siteCache, `robots:${origin}`, async () => {
+    const robots = await fetchRobotsTxt(origin);
+    const sitemaps = await discoverSitemaps(origin, robots);
+    return { robots, sitemaps };
+  });
+
+  const { robots, sitemaps } = site;
+  const block = isDisallowedByRobots(robots.parsed, url);
+
+  const allLocs = new Set(sitemaps.flatMap((sm) => sm.locs.map(normalizeUrl)));
+  const pageListed = allLocs.has(normalizeUrl(url));
+  const valid = sitemaps.filter((sm) => sm.valid);
+
+  return {
+    robotsTxt: {
+      ok: robots.found && !block.disallowed,
+      value: {
+        found: robots.found,
+        status: robots.status,
+        disallowed: block.disallowed,
+        userAgent: block.agent || "(aucun groupe)",
+        matchedRule: block.rule,
+        sitemapsDeclared: robots.parsed.sitemaps,
+      },
+    },
+    sitemap: {
+      ok: valid.length > 0 && pageListed,
+      value: {
+        found: sitemaps.some((sm) => sm.reachable),
+        valid: valid.length > 0,
+        urlCount: allLocs.size,
+        pageListed,
+        sitemaps: sitemaps.map((sm) => ({
+          url: sm.url,
+          status: sm.status,
+          type: sm.type || "",
+          valid: sm.valid,
+          urlCount: sm.locs.length,
+          declaredInRobots: !!sm.declaredInRobots,
+          error: sm.error || "",
+        })),
+      },
     },
+  };
+}
 
-    linkedEntityType: { type: String, default: "" },
-    linkedEntityId: { type: mongoose.Schema.Types.ObjectId, index: true },
+// ---------- STRUCTURED DATA ----------
+const LOCAL_BUSINESS_TYPES = new Set([
+  "LocalBusiness", "AutoRepair", "AutomotiveBusiness", "AutoDealer", "AutoBodyShop", "AutoPartsStore",
+  "Restaurant", "FoodEstablishment", "CafeOrCoffeeShop", "Bakery", "BarOrPub", "FastFoodRestaurant",
+  "HomeAndConstructionBusiness", "Plumber", "Electrician", "HVACBusiness", "RoofingContractor",
+  "GeneralContractor", "HousePainter", "Locksmith", "MovingCompany",
+  "HealthAndBeautyBusiness", "BeautySalon", "HairSalon", "NailSalon", "DaySpa",
+  "RealEstateAgent", "LegalService", "Attorney", "Notary", "ProfessionalService",
+  "Store", "Dentist", "MedicalBusiness", "LodgingBusiness", "Hotel",
+]);
 
-    tags: { type: [String], default: [] },
-    isPinned: { type: Boolean, default: false, index: true },
-  },
-  { timestamps: true, collection: "notes" }
-);
+const LOCAL_SEO_SECTORS = new Set(["garage", "restaurant", "artisan", "independant", "beaute", "immobilier", "juridique"]);
 
-const Mission = mongoose.models.Mission || mongoose.model("Mission", MissionSchema);
-const Issue = mongoose.models.Issue || mongoose.model("Issue", IssueSchema);
-const PackRun = mongoose.models.PackRun || mongoose.model("PackRun", PackRunSchema);
-const TimelineEvent = mongoose.models.TimelineEvent || mongoose.model("TimelineEvent", TimelineEventSchema);
-const TeamThread = mongoose.models.TeamThread || mongoose.model("TeamThread", TeamThreadSchema);
-const TeamMessage = mongoose.models.TeamMessage || mongoose.model("TeamMessage", TeamMessageSchema);
-const CalendarEvent = mongoose.models.CalendarEvent || mongoose.model("CalendarEvent", CalendarEventSchema);
-const Note = mongoose.models.Note || mongoose.model("Note", NoteSchema);
+function schemaTypeName(t) {
+  return String(t || "").trim().replace(/^https?:\/\/schema\.org\//i, "");
+}
 
-// ---------- LIBRARIES / TAXONOMY ----------
+function schemaTypesOf(node) {
+  const raw = node?.["@type"];
+  return (Array.isArray(raw) ? raw : [raw]).map(schemaTypeName).filter(Boolean);
+}
 
-const FP_SECTORS = [
-  "garage",
-  "restaurant",
-  "ecommerce",
-  "saas",
-  "independant",
-  "artisan",
-  "immobilier",
-  "beaute",
-  "juridique",
-  "agence",
-];
+function asList(v) {
+  if (v == null) return [];
+  return Array.isArray(v) ? v : [v];
+}
 
-const FP_PAGE_TYPES = [
-  "homepage",
-  "service",
-  "contact",
-  "city",
-  "pricing",
-  "about",
-  "booking",
-  "faq",
-  "product",
-  "landing",
-];
+function hasSchemaValue(v) {
+  if (v == null) return false;
+  if (Array.isArray(v)) return v.some(hasSchemaValue);
+  if (typeof v === "object") return Object.keys(v).some((k) => k !== "@type" && hasSchemaValue(v[k]));
+  return String(v).trim().length > 0;
+}
 
-const FP_CITIES = [
-  "Liège",
-  "Verviers",
-  "Bruxelles",
-  "Namur",
-  "Charleroi",
-  "Mons",
-  "Anvers",
-  "Gand",
-  "Louvain",
-  "Waterloo",
-];
+function extractJsonLd($) {
+  const items = [];
+  let parseErrors = 0;
 
-const ISSUE_LIBRARY = {
-  missing_title: {
-    title: "Title manquant",
-    category: "seo",
-    severity: "high",
-    impactBusiness: "high",
-    recommendationKey: "title_rewrite",
-    missionTemplateKey: "fix_title",
-    packKey: "seo_technical_recovery",
-    baseScore: 82,
-  },
-  weak_title: {
-    title: "Title trop faible",
-    category: "seo",
-    severity: "medium",
-    impactBusiness: "medium",
-    recommendationKey: "title_strengthen",
-    missionTemplateKey: "strengthen_title",
-    packKey: "fast_seo_wins",
-    baseScore: 68,
-  },
-  missing_meta_description: {
-    title: "Meta description manquante",
-    category: "seo",
-    severity: "high",
-    impactBusiness: "high",
-    recommendationKey: "meta_add",
-    missionTemplateKey: "add_meta",
-    packKey: "fast_seo_wins",
-    baseScore: 78,
-  },
-  slow_mobile: {
-    title: "Performance mobile faible",
-    category: "conversion",
-    severity: "high",
-    impactBusiness: "critical",
-    recommendationKey: "mobile_speed",
-    missionTemplateKey: "fix_mobile_speed",
-    packKey: "mobile_emergency_cleanup",
-    baseScore: 92,
-  },
-  missing_h1: {
-    title: "H1 manquant",
-    category: "content",
-    severity: "high",
-    impactBusiness: "high",
-    recommendationKey: "h1_add",
-    missionTemplateKey: "add_h1",
-    packKey: "seo_technical_recovery",
-    baseScore: 76,
-  },
-  duplicate_structure: {
-    title: "Structure trop dupliquée",
-    category: "content",
-    severity: "medium",
-    impactBusiness: "medium",
-    recommendationKey: "content_differentiate",
-    missionTemplateKey: "differentiate_page",
-    packKey: "service_pages_authority",
-    baseScore: 66,
-  },
-  weak_contact_visibility: {
-    title: "Contact peu visible",
-    category: "conversion",
-    severity: "high",
-    impactBusiness: "critical",
-    recommendationKey: "contact_visibility",
-    missionTemplateKey: "improve_contact_visibility",
-    packKey: "trust_and_conversion",
-    baseScore: 88,
-  },
-  no_local_pages: {
-    title: "Pages locales absentes",
-    category: "local",
-    severity: "high",
-    impactBusiness: "high",
-    recommendationKey: "create_city_pages",
-    missionTemplateKey: "create_city_page",
-    packKey: "local_city_expansion",
-    baseScore: 86,
-  },
-  weak_cta: {
-    title: "CTA faibles",
-    category: "conversion",
-    severity: "medium",
-    impactBusiness: "high",
-    recommendationKey: "cta_strengthen",
-    missionTemplateKey: "improve_cta",
-    packKey: "homepage_conversion_lift",
-    baseScore: 73,
-  },
-  weak_trust_signals: {
-    title: "Trust signals insuffisants",
-    category: "conversion",
-    severity: "medium",
-    impactBusiness: "high",
-    recommendationKey: "trust_signals",
-    missionTemplateKey: "add_trust_signals",
-    packKey: "trust_and_conversion",
-    baseScore: 74,
-  },
-  missing_schema: {
-    title: "Schema manquant",
-    category: "seo",
-    severity: "medium",
-    impactBusiness: "medium",
-    recommendationKey: "schema_add",
-    missionTemplateKey: "add_schema",
-    packKey: "seo_technical_recovery",
-    baseScore: 63,
-  },
-  low_content_depth: {
-    title: "Contenu trop léger",
-    category: "content",
-    severity: "medium",
-    impactBusiness: "high",
-    recommendationKey: "content_expand",
-    missionTemplateKey: "expand_content",
-    packKey: "service_pages_authority",
-    baseScore: 71,
-  },
-  missing_google_map_block: {
-    title: "Bloc Google Maps absent",
-    category: "local",
-    severity: "medium",
-    impactBusiness: "high",
-    recommendationKey: "map_embed",
-    missionTemplateKey: "add_map_block",
-    packKey: "map_trust_signals",
-    baseScore: 69,
-  },
-  page_not_monitored: {
-    title: "Page business non monitorée",
-    category: "monitor",
-    severity: "medium",
-    impactBusiness: "high",
-    recommendationKey: "monitor_add",
-    missionTemplateKey: "add_monitor_to_page",
-    packKey: "critical_pages_monitoring",
-    baseScore: 72,
-  },
-};
-function getDefaultChannelsForPlan(plan) {
-  const base = [
-    { key: "general", label: "general", icon: "💬", system: false, minPlan: "standard" },
-    { key: "seo", label: "seo", icon: "📈", system: false, minPlan: "standard" },
-    { key: "audits", label: "audits", icon: "🧪", system: false, minPlan: "standard" },
-    { key: "monitors", label: "monitors", icon: "🛰️", system: false, minPlan: "standard" },
-    { key: "local-seo", label: "local-seo", icon: "📍", system: false, minPlan: "standard" },
-    { key: "reports", label: "reports", icon: "📄", system: false, minPlan: "standard" },
-    { key: "ops", label: "ops", icon: "⚙️", system: false, minPlan: "standard" },
-    { key: "clients", label: "clients", icon: "🤝", system: false, minPlan: "standard" },
-    { key: "flowpoint-system", label: "flowpoint-system", icon: "✨", system: true, minPlan: "pro" },
-    { key: "direction", label: "direction", icon: "🔒", system: false, minPlan: "pro", isPrivate: true, allowedRoles: ["owner"] },
-    { key: "private-team", label: "private-team", icon: "🛡️", system: false, minPlan: "ultra", isPrivate: true, allowedRoles: ["owner", "member"] },
-  ];
+  $('script[type="application/ld+json"]').each((_, el) => {
+    const raw = $(el).contents().text().trim();
+    if (!raw) return;
 
-  return base.filter((c) => planRank(plan) >= planRank(c.minPlan || "standard"));
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      parseErrors += 1;
+      return;
+    }
+
+    const queue = asList(data);
+    while (queue.length) {
+      const node = queue.shift();
+      if (!node || typeof node !== "object") continue;
+      if (Array.isArray(node["@graph"])) queue.push(...node["@graph"]);
+      if (schemaTypesOf(node).length) items.push({ format: "json-ld", data: node });
+    }
+  });
+
+  return { items, parseErrors };
 }
 
-function fileKindFromMime(mime = "", name = "") {
-  const v = `${mime} ${name}`.toLowerCase();
-  if (v.includes("image/")) return "image";
-  if (v.includes("pdf")) return "pdf";
-  if (v.includes("word") || v.includes(".doc")) return "doc";
-  if (v.includes("excel") || v.includes("csv") || v.includes(".xls")) return "sheet";
-  if (v.includes("zip") || v.includes("rar") || v.includes("7z")) return "archive";
-  return "other";
+function readItemValue($, el, attrScope, typeAttr) {
+  const $el = $(el);
+  if ($el.is(`[${attrScope}]`)) return readScopedItem($, el, attrScope, typeAttr);
+
+  const attr = ["content", "href", "src", "datetime", "resource"].find((a) => $el.attr(a) != null);
+  return String(attr ? $el.attr(attr) : $el.text()).trim();
 }
 
-async function ensureChannelThreadForOrg(orgId, channelDef) {
-  let thread = await TeamThread.findOne({
-    orgId,
-    channelKey: channelDef.key,
-    contextType: channelDef.system ? "system" : "general",
+// Microdata (itemscope/itemprop) et RDFa (typeof/property) partagent la même logique d'imbrication.
+function readScopedItem($, root, attrScope, typeAttr) {
+  const propAttr = attrScope === "itemscope" ? "itemprop" : "property";
+  const node = { "@type": String($(root).attr(typeAttr) || "").split(/\s+/).map((t) => schemaTypeName(t.replace(/^schema:/, ""))) };
+  if (node["@type"].length === 1) node["@type"] = node["@type"][0];
+
+  $(root).find(`[${propAttr}]`).each((_, el) => {
+    const owner = $(el).parent().closest(`[${attrScope}]`).get(0);
+    if (owner !== root) return;
+
+    const value = readItemValue($, el, attrScope, typeAttr);
+    for (const name of String($(el).attr(propAttr) || "").split(/\s+/).filter(Boolean)) {
+      const key = name.replace(/^schema:/, "");
+      node[key] = node[key] === undefined ? value : [...asList(node[key]), value];
+    }
   });
 
-  if (!thread) {
-    thread = await TeamThread.create({
-      orgId,
-      channelKey: channelDef.key,
-      contextType: channelDef.system ? "system" : "general",
-      title: `#${channelDef.label}`,
-      description: channelDef.system
-        ? "Canal système FlowPoint."
-        : `Canal ${channelDef.label}.`,
-      isPrivate: !!channelDef.isPrivate,
-      allowedRoles: Array.isArray(channelDef.allowedRoles) ? channelDef.allowedRoles : [],
-      lastActivityAt: new Date(),
-    });
-  }
+  return node;
+}
 
-  return thread;
+function extractScopedItems($, attrScope, typeAttr, format) {
+  const propAttr = attrScope === "itemscope" ? "itemprop" : "property";
+  const items = [];
+
+  $(`[${attrScope}][${typeAttr}]`).each((_, el) => {
+    if ($(el).is(`[${propAttr}]`) && $(el).parent().closest(`[${attrScope}]`).length) return;
+    items.push({ format, data: readScopedItem($, el, attrScope, typeAttr) });
+  });
+
+  return items;
 }
 
-async function ensureTeamWorkspace(orgId, plan) {
-  const defs = getDefaultChannelsForPlan(plan);
-  const out = [];
+function validateSchemaNode(node) {
+  const types = schemaTypesOf(node);
+  const errors = [];
+  const warnings = [];
 
-  for (const def of defs) {
-    const thread = await ensureChannelThreadForOrg(orgId, def);
-    out.push({
-      key: def.key,
-      label: def.label,
-      icon: def.icon,
-      system: !!def.system,
-      isPrivate: !!def.isPrivate,
-      allowedRoles: def.allowedRoles || [],
-      threadId: thread._id,
-      title: thread.title,
-      description: thread.description || "",
-      isPinned: !!thread.isPinned,
-      lastActivityAt: thread.lastActivityAt,
+  const requireProp = (prop, label = prop) => {
+    if (!hasSchemaValue(node[prop])) errors.push(`${label} manquant`);
+  };
+  const recommendProp = (prop, label = prop) => {
+    if (!hasSchemaValue(node[prop])) warnings.push(`${label} recommandé`);
+  };
+
+  let rule = "";
+
+  if (types.some((t) => LOCAL_BUSINESS_TYPES.has(t))) {
+    rule = "LocalBusiness";
+    requireProp("name");
+    requireProp("address");
+    const address = asList(node.address)[0];
+    if (address && typeof address === "object") {
+      if (!hasSchemaValue(address.streetAddress)) errors.push("address.streetAddress manquant");
+      if (!hasSchemaValue(address.addressLocality)) errors.push("address.addressLocality manquant");
+      if (!hasSchemaValue(address.postalCode)) warnings.push("address.postalCode recommandé");
+    }
+    recommendProp("telephone");
+    if (!hasSchemaValue(node.openingHours) && !hasSchemaValue(node.openingHoursSpecification)) {
+      warnings.push("openingHours recommandé");
+    }
+    recommendProp("geo");
+    recommendProp("url");
+    recommendProp("image");
+  } else if (types.includes("Organization") || types.includes("Corporation")) {
+    rule = "Organization";
+    requireProp("name");
+    requireProp("url");
+    recommendProp("logo");
+    recommendProp("sameAs");
+  } else if (types.includes("Product")) {
+    rule = "Product";
+    requireProp("name");
+    if (!hasSchemaValue(node.offers) && !hasSchemaValue(node.review) && !hasSchemaValue(node.aggregateRating)) {
+      errors.push("offers, review ou aggregateRating requis");
+    }
+    for (const offer of asList(node.offers).filter((o) => o && typeof o === "object")) {
+      if (!hasSchemaValue(offer.price) && !hasSchemaValue(offer.lowPrice)) errors.push("offers.price manquant");
+      if (!hasSchemaValue(offer.priceCurrency)) errors.push("offers.priceCurrency manquant");
+    }
+    recommendProp("image");
+    recommendProp("description");
+  } else if (types.includes("FAQPage")) {
+    rule = "FAQPage";
+    const questions = asList(node.mainEntity).filter((q) => q && typeof q === "object");
+    if (!questions.length) errors.push("mainEntity (Question) manquant");
+    questions.forEach((q, i) => {
+      if (!hasSchemaValue(q.name)) errors.push(`Question ${i + 1}: name manquant`);
+      const answer = asList(q.acceptedAnswer)[0];
+      if (!answer || !hasSchemaValue(typeof answer === "object" ? answer.text : answer)) {
+        errors.push(`Question ${i + 1}: acceptedAnswer.text manquant`);
+      }
+    });
+  } else if (types.includes("BreadcrumbList")) {
+    rule = "BreadcrumbList";
+    const list = asList(node.itemListElement).filter((x) => x && typeof x === "object");
+    if (!list.length) errors.push("itemListElement manquant");
+    list.forEach((item, i) => {
+      if (!hasSchemaValue(item.position)) errors.push(`ListItem ${i + 1}: position manquant`);
+      const named = hasSchemaValue(item.name) || (item.item && typeof item.item === "object" && hasSchemaValue(item.item.name));
+      if (!named) errors.push(`ListItem ${i + 1}: name manquant`);
+      if (i < list.length - 1 && !hasSchemaValue(item.item)) errors.push(`ListItem ${i + 1}: item (URL) manquant`);
     });
   }
 
-  return out.sort((a, b) => {
-    if (a.system !== b.system) return a.system ? 1 : -1;
-    return String(a.label).localeCompare(String(b.label));
-  });
+  return { types, rule, errors, warnings };
 }
 
-async function pushSystemMessage(orgId, channelKey, content, linkedEntityType = "", linkedEntityId = undefined) {
-  const thread = await TeamThread.findOne({ orgId, channelKey });
-  if (!thread) return null;
+function analyzeStructuredData($) {
+  const jsonLd = extractJsonLd($);
+  const microdata = extractScopedItems($, "itemscope", "itemtype", "microdata");
+  const rdfa = extractScopedItems($, "typeof", "typeof", "rdfa");
 
-  const msg = await TeamMessage.create({
-    orgId,
-    threadId: thread._id,
-    authorName: "FlowPoint",
-    content,
-    messageType: linkedEntityType ? "linked_card" : "system",
-    linkedEntityType,
-    linkedEntityId,
-    isSystemSummary: true,
-    isImportant: true,
+  const items = [...jsonLd.items, ...microdata, ...rdfa].map((item) => {
+    const v = validateSchemaNode(item.data);
+    return {
+      format: item.format,
+      types: v.types,
+      rule: v.rule,
+      errors: v.errors,
+      warnings: v.warnings,
+    };
   });
 
-  thread.lastActivityAt = new Date();
-  await thread.save();
-  return msg;
+  const types = uniqueStrings(items.flatMap((i) => i.types));
+  const errorCount = items.reduce((n, i) => n + i.errors.length, 0) + jsonLd.parseErrors;
+
+  return {
+    ok: items.length > 0 && errorCount === 0,
+    value: {
+      count: items.length,
+      formats: {
+        jsonLd: jsonLd.items.length,
+        microdata: microdata.length,
+        rdfa: rdfa.length,
+      },
+      types,
+      hasLocalBusiness: items.some((i) => i.rule === "LocalBusiness"),
+      parseErrors: jsonLd.parseErrors,
+      errorCount,
+      warningCount: items.reduce((n, i) => n + i.warnings.length, 0),
+      items: items.slice(0, 30),
+    },
+  };
 }
-function generateMissionLibrary() {
-  const out = [];
-  const categories = [
-    { key: "seo", base: ["Corriger title", "Corriger meta description", "Ajouter canonical", "Ajouter schema", "Améliorer headings"] },
-    { key: "content", base: ["Renforcer homepage", "Développer page service", "Créer FAQ", "Différencier contenu", "Ajouter preuves"] },
-    { key: "local", base: ["Créer page ville", "Ajouter NAP", "Ajouter map", "Renforcer signaux locaux", "Étendre couverture géographique"] },
-    { key: "conversion", base: ["Renforcer CTA", "Améliorer contact", "Ajouter trust signals", "Structurer hero", "Réduire friction mobile"] },
-    { key: "monitor", base: ["Créer monitor homepage", "Créer monitor contact", "Surveiller parcours business", "Réagir aux incidents", "Prioriser pages critiques"] },
-    { key: "reporting", base: ["Préparer rapport client", "Ajouter quick wins au rapport", "Résumer progrès mensuel", "Mettre en avant incidents", "Préparer lecture dirigeant"] },
-    { key: "ops", base: ["Revoir backlog", "Nettoyer priorités", "Préparer sprint mensuel", "Planifier revue", "Vérifier cohérence quotas"] },
-    { key: "team", base: ["Assigner mission", "Créer discussion contexte", "Rédiger note d’équipe", "Préparer réunion", "Suivre charge membre"] },
-  ];
 
-  for (const sector of FP_SECTORS) {
-    for (const pageType of FP_PAGE_TYPES) {
-      for (const cat of categories) {
-        for (const base of cat.base) {
-          out.push({
-            key: `${cat.key}_${sector}_${pageType}_${out.length + 1}`,
-            category: cat.key,
-            sector,
-            pageType,
-            title: `${base} · ${sector} · ${pageType}`,
-            description: `Template ${cat.key} pour ${sector} sur page ${pageType}.`,
-          });
-        }
+// ---------- BROKEN LINKS / RESOURCES ----------
+// signal fourni : l'appelant gère le timeout (ex. lecture du body après coup).
+async function fetchFollowingRedirects(url, { method = "GET", timeoutMs = LINK_CHECK_TIMEOUT_MS, maxHops = 5, headers, signal } = {}) {
+  const hops = [];
+  const seen = new Set();
+  let current = url;
+
+  const controller = new AbortController();
+  const id = signal ? null : setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    for (let i = 0; i <= maxHops; i++) {
+      const safeUrl = await assertSafePublicUrl(current);
+
+      if (seen.has(safeUrl)) {
+        return { status: 0, hops, finalUrl: safeUrl, loop: true, response: null };
+      }
+      seen.add(safeUrl);
+
+      const r = await fetch(safeUrl, {
+        method,
+        headers,
+        redirect: "manual",
+        signal: signal || controller.signal,
+      });
+
+      const location = r.headers.get("location");
+      hops.push({ url: safeUrl, status: r.status, location: location || "" });
+
+      if (r.status >= 300 && r.status < 400 && location) {
+        await r.body?.cancel?.().catch(() => {});
+        current = new URL(location, safeUrl).toString();
+        continue;
       }
+
+      return { status: r.status, hops, finalUrl: safeUrl, loop: false, response: r };
     }
-  }
 
-  return out.slice(0, 220);
+    return { status: 0, hops, finalUrl: current, loop: false, tooManyRedirects: true, response: null };
+  } finally {
+    if (id) clearTimeout(id);
+  }
 }
 
-function generatePackLibrary() {
-  return [
-    {
-      key: "seo_technical_recovery",
-      name: "Pack SEO technical recovery",
-      category: "seo",
-      summary: "Corriger les points techniques qui freinent le score et la lisibilité SEO.",
-      difficulty: "medium",
-      impactExpected: "high",
-      estimatedTime: "2 à 4 jours",
-      previewItems: ["Titles", "Meta descriptions", "H1", "Schema", "Canonical"],
-    },
-    {
-      key: "homepage_conversion_lift",
-      name: "Pack homepage conversion lift",
-      category: "conversion",
-      summary: "Améliorer la clarté commerciale et la conversion de la homepage.",
-      difficulty: "medium",
-      impactExpected: "high",
-      estimatedTime: "1 à 3 jours",
-      previewItems: ["Hero", "CTA", "Trust", "Contact", "Mobile"],
-    },
-    {
-      key: "local_city_expansion",
-      name: "Pack local city expansion",
-      category: "local",
-      summary: "Déployer la couverture locale sur plusieurs villes à potentiel.",
-      difficulty: "high",
-      impactExpected: "high",
-      estimatedTime: "3 à 6 jours",
-      previewItems: ["Pages villes", "NAP", "Map", "Zones", "Preuves locales"],
-    },
-    {
-      key: "trust_and_conversion",
-      name: "Pack trust & conversion",
-      category: "conversion",
-      summary: "Renforcer confiance, preuve et contact pour augmenter les leads.",
-      difficulty: "medium",
-      impactExpected: "high",
-      estimatedTime: "1 à 2 jours",
-      previewItems: ["Avis", "Preuves", "Contact", "CTA", "FAQ"],
-    },
-    {
-      key: "critical_pages_monitoring",
-      name: "Pack critical pages monitoring",
-      category: "monitor",
-      summary: "Surveiller les pages business à enjeu élevé et créer les alertes nécessaires.",
-      difficulty: "low",
-      impactExpected: "high",
-      estimatedTime: "1 jour",
-      previewItems: ["Homepage", "Contact", "Booking", "Service pages", "Checks"],
-    },
-    {
-      key: "service_pages_authority",
-      name: "Pack service pages authority",
-      category: "content",
-      summary: "Renforcer profondeur, autorité et différenciation des pages service.",
-      difficulty: "high",
-      impactExpected: "high",
-      estimatedTime: "3 à 5 jours",
-      previewItems: ["Contenu", "Structure", "Preuves", "FAQ", "Intent"],
-    },
-    {
-      key: "mobile_emergency_cleanup",
-      name: "Pack mobile emergency cleanup",
-      category: "conversion",
-      summary: "Réduire les frictions mobiles les plus urgentes sur les pages clés.",
-      difficulty: "medium",
-      impactExpected: "critical",
-      estimatedTime: "1 à 3 jours",
-      previewItems: ["Speed", "CTA", "Header", "Contact", "UX"],
-    },
-    {
-      key: "end_of_trial_wins",
-      name: "Pack end-of-trial wins",
-      category: "ops",
-      summary: "Sortir les meilleurs gains visibles avant la fin de l’essai.",
-      difficulty: "low",
-      impactExpected: "high",
-      estimatedTime: "1 à 2 jours",
-      previewItems: ["Quick wins", "Report", "Proof", "Cleanup", "Next steps"],
-    },
-    {
-      key: "monthly_growth_sprint",
-      name: "Pack monthly growth sprint",
-      category: "ops",
-      summary: "Structurer un sprint mensuel SEO / local / conversion / monitoring.",
-      difficulty: "medium",
-      impactExpected: "high",
-      estimatedTime: "1 mois",
-      previewItems: ["Backlog", "Priorités", "KPIs", "Calendar", "Review"],
-    },
-    {
-      key: "map_trust_signals",
-      name: "Pack map trust signals",
-      category: "local",
-      summary: "Améliorer la crédibilité locale autour de la page contact et des pages géographiques.",
-      difficulty: "low",
-      impactExpected: "medium",
-      estimatedTime: "1 jour",
-      previewItems: ["Map block", "NAP", "Horaires", "Directions", "Zone coverage"],
-    },
-  ];
-}
+async function checkResourceUrl(url) {
+  try {
+    let out = await fetchFollowingRedirects(url, { method: "HEAD" });
 
-const MISSION_LIBRARY = generateMissionLibrary();
-const PACK_LIBRARY = generatePackLibrary();
+    if (out.response && [403, 405, 501].includes(out.status)) {
+      out = await fetchFollowingRedirects(url, { method: "GET" });
+    }
+    const header = (name) => String(out.response?.headers?.get(name) || "").trim();
+    const bytes = Number(header("content-length") || 0) || null;
+    const contentType = header("content-type").split(";")[0].trim();
+    await out.response?.body?.cancel?.().catch(() => {});
 
-// ---------- HELPERS ----------
+    if (out.loop) return { ok: false, status: 0, reason: "redirect_loop", redirects: out.hops.length };
+    if (out.tooManyRedirects) return { ok: false, status: 0, reason: "too_many_redirects", redirects: out.hops.length };
 
-function lowerText(v) {
-  return String(v || "").toLowerCase();
+    return {
+      ok: out.status < 400,
+      status: out.status,
+      reason: out.status >= 500 ? "http_5xx" : out.status >= 400 ? "http_4xx" : "",
+      redirects: out.hops.length - 1,
+      bytes,
+      contentType,
+      contentEncoding: header("content-encoding").toLowerCase(),
+      cacheControl: header("cache-control"),
+      expires: header("expires"),
+    };
+  } catch (e) {
+    if (e.name === "AbortError") return { ok: false, status: 0, reason: "timeout" };
+    if (/réseau privée|interdit|invalide|Protocole/i.test(e.message || "")) {
+      return { ok: true, status: 0, reason: "skipped", error: e.message };
+    }
+    return { ok: false, status: 0, reason: "network_error", error: e.message || "fetch failed" };
+  }
 }
 
-function uniqueStrings(arr) {
-  return [...new Set((arr || []).map((x) => String(x || "").trim()).filter(Boolean))];
-}
+function collectPageResources($, baseUrl) {
+  const out = new Map();
 
-function capText(str) {
-  const s = String(str || "").trim();
-  if (!s) return "";
-  return s.charAt(0).toUpperCase() + s.slice(1);
-}
+  const add = (raw, kind) => {
+    const href = String(raw || "").trim();
+    if (!href || /^(mailto:|tel:|javascript:|data:|#)/i.test(href)) return;
 
-function pushTimeline(orgId, userId, type, entityType, entityId, title, message, metadata = {}) {
-  return TimelineEvent.create({
-    orgId,
-    userId,
-    type,
-    entityType,
-    entityId,
-    title,
-    message,
-    metadata,
-  }).catch(() => null);
-}
+    try {
+      const u = new URL(href, baseUrl);
+      if (!["http:", "https:"].includes(u.protocol)) return;
+      u.hash = "";
+      const key = u.toString();
+      if (!out.has(key)) out.set(key, { url: key, kind, internal: isSameSite(key, new URL(baseUrl).hostname) });
+    } catch {}
+  };
 
-function inferSectorFromUser(user) {
-  const source = lowerText(user?.companyName || "");
-  if (source.includes("garage") || source.includes("auto") || source.includes("car")) return "garage";
-  if (source.includes("restaurant") || source.includes("snack") || source.includes("pizza")) return "restaurant";
-  if (source.includes("immo")) return "immobilier";
-  if (source.includes("beaut") || source.includes("salon")) return "beaute";
-  if (source.includes("law") || source.includes("avocat") || source.includes("legal")) return "juridique";
-  if (source.includes("agency") || source.includes("agence")) return "agence";
-  if (source.includes("shop") || source.includes("store") || source.includes("boutique")) return "ecommerce";
-  if (source.includes("saas") || source.includes("software")) return "saas";
-  if (source.includes("artisan") || source.includes("plomb") || source.includes("chauff")) return "artisan";
-  return "independant";
+  $("a[href]").each((_, el) => add($(el).attr("href"), "link"));
+  $("img[src]").each((_, el) => add($(el).attr("src"), "image"));
+  $("script[src]").each((_, el) => add($(el).attr("src"), "script"));
+  $('link[rel~="stylesheet"][href]').each((_, el) => add($(el).attr("href"), "stylesheet"));
+
+  return [...out.values()];
 }
 
-function inferPlanFeatures(plan) {
-  const p = lowerText(plan);
+async function analyzeBrokenLinks($, baseUrl, siteCache) {
+  const all = collectPageResources($, baseUrl);
+  const targets = all.slice(0, LINK_CHECK_MAX);
+
+  const results = await runWithConcurrency(targets, LINK_CHECK_CONCURRENCY, async (item) => {
+    const r = await siteCached(siteCache, `link:${item.url}`, () => checkResourceUrl(item.url));
+    return { ...item, ...r };
+  });
+
+  const broken = results
+    .filter((r) => !r.ok)
+    .map((r) => ({
+      url: r.url,
+      kind: r.kind,
+      internal: r.internal,
+      status: r.status,
+      reason: r.reason,
+      error: r.error || "",
+    }));
+
+  const internalBroken = broken.filter((b) => b.kind === "link" && b.internal).length;
+  const externalBroken = broken.filter((b) => b.kind === "link" && !b.internal).length;
+  const resourcesBroken = broken.filter((b) => b.kind !== "link").length;
+
   return {
-    standard: p === "standard",
-    pro: p === "pro" || p === "ultra",
-    ultra: p === "ultra",
+    ok: broken.length === 0,
+    value: {
+      total: all.length,
+      checked: targets.length,
+      truncated: all.length > targets.length,
+      internalBroken,
+      externalBroken,
+      resourcesBroken,
+      broken: broken.slice(0, 100),
+    },
   };
 }
 
-function inferSiteProfileFromAudits(audits, fallbackUrl = "") {
-  const urls = uniqueStrings((audits || []).map((a) => a.url).filter(Boolean));
-  const host = (() => {
+// ---------- REDIRECTS ----------
+const TEMPORARY_REDIRECTS = new Set([302, 303, 307]);
+
+// hops = [{ url, status, location }] tel que renvoyé par fetchFollowingRedirects (dernier élément = réponse finale).
+function analyzeRedirectChain({ hops = [], loop = false, tooManyRedirects = false } = {}) {
+  const redirects = hops.filter((h) => h.status >= 300 && h.status < 400 && h.location);
+
+  let httpToHttps = false;
+  let wwwChange = "";
+
+  for (const h of redirects) {
+    let from;
+    let to;
     try {
-      return urls[0] ? new URL(urls[0]).host : (fallbackUrl ? new URL(fallbackUrl).host : "");
+      from = new URL(h.url);
+      to = new URL(h.location, h.url);
     } catch {
-      return "";
+      continue;
     }
-  })();
 
-  const pageUrls = urls.map((u) => {
-    try {
-      return new URL(u).pathname || "/";
-    } catch {
-      return "/";
+    if (from.protocol === "http:" && to.protocol === "https:") httpToHttps = true;
+
+    const fromHost = from.hostname.toLowerCase();
+    const toHost = to.hostname.toLowerCase();
+    if (fromHost !== toHost && hostKey(fromHost) === hostKey(toHost)) {
+      wwwChange = toHost.startsWith("www.") ? "to_www" : "to_non_www";
     }
-  });
+  }
 
-  const hasContact = pageUrls.some((p) => /contact|devis|quote|book|booking/i.test(p));
-  const hasServicePages = pageUrls.some((p) => /service|services|prestations|solutions/i.test(p));
-  const hasCityPages = pageUrls.some((p) => FP_CITIES.some((city) => lowerText(p).includes(lowerText(city))));
-  const hasPricing = pageUrls.some((p) => /pricing|tarif|tarifs|price/i.test(p));
+  const temporary = redirects
+    .filter((h) => TEMPORARY_REDIRECTS.has(h.status))
+    .map((h) => ({ url: h.url, status: h.status, location: h.location }));
+
+  const tooLong = redirects.length > 1;
 
   return {
-    host,
-    urls,
-    pageUrls,
-    hasContact,
-    hasServicePages,
-    hasCityPages,
-    hasPricing,
+    ok: !loop && !tooManyRedirects && !tooLong && temporary.length === 0,
+    value: {
+      count: redirects.length,
+      hops: hops.slice(0, 12).map((h) => ({ url: h.url, status: h.status, location: h.location || "" })),
+      httpToHttps,
+      wwwChange,
+      tooLong,
+      temporary,
+      loop,
+      tooManyRedirects,
+      finalUrl: hops.length ? hops[hops.length - 1].url : "",
+    },
   };
 }
 
-function inferMaturity(audits) {
-  const scores = (audits || []).map((a) => Number(a.score || 0)).filter(Number.isFinite);
-  const avg = scores.length ? Math.round(scores.reduce((s, x) => s + x, 0) / scores.length) : 0;
-
-  if (avg < 40) return "site_tres_faible";
-  if (avg < 60) return "site_moyen";
-  if (avg < 75) return "site_deja_solide";
-  return "site_techniquement_solide";
+// ---------- HREFLANG ----------
+const HREFLANG_MAX_ALTERNATES = 10;
+const ISO_639_1 = new Set((
+  "aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy da de dv dz ee el en eo es et eu " +
+  "fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko " +
+  "kr ks ku kv kw ky la lb lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om or os pa pi " +
+  "pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ta te tg th ti tk tl tn to tr ts tt tw ty ug uk " +
+  "ur uz ve vi vo wa wo xh yi yo za zh zu"
+).split(" "));
+// Codes pays fréquents mais invalides en hreflang (ISO 3166-1 attend GB, pas UK).
+const INVALID_HREFLANG_REGIONS = new Set(["uk", "eu"]);
+
+function validateHreflangCode(code) {
+  const c = String(code || "").trim().toLowerCase();
+  if (c === "x-default") return { ok: true, language: "" };
+
+  const m = c.match(/^([a-z]{2,3})(?:-([a-z]{4}))?(?:-([a-z]{2}|\d{3}))?$/);
+  if (!m) return { ok: false, reason: "format" };
+  if (!ISO_639_1.has(m[1])) return { ok: false, reason: "language" };
+  if (m[3] && INVALID_HREFLANG_REGIONS.has(m[3])) return { ok: false, reason: "region" };
+  return { ok: true, language: m[1] };
 }
 
-function calcConversionReadiness(siteProfile, audits, monitors) {
-  const latest = [...(audits || [])].sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))[0];
-  const findings = latest?.findings || {};
-
-  let score = 50;
-
-  if (siteProfile.hasContact) score += 10;
-  if (siteProfile.hasServicePages) score += 8;
-  if (siteProfile.hasPricing) score += 5;
-  if (findings.viewport?.ok) score += 8;
-  if (findings.responseTime?.ok) score += 8;
-  if (findings.og?.ok) score += 4;
-  if (findings.metaDescription?.ok) score += 4;
-  if ((monitors || []).some((m) => lowerText(m.url).includes("contact"))) score += 3;
-
-  return Math.max(0, Math.min(100, Math.round(score)));
+function extractHreflangLinks($, baseUrl) {
+  return $('link[rel~="alternate"][hreflang]')
+    .toArray()
+    .map((el) => {
+      const hreflang = String($(el).attr("hreflang") || "").trim();
+      const raw = String($(el).attr("href") || "").trim();
+      let url = "";
+      try { url = normalizeUrl(new URL(raw, baseUrl).toString()); } catch {}
+      return { hreflang, url };
+    })
+    .filter((l) => l.hreflang && l.url);
 }
 
-function calcUptimeHealth(monitors, monitorLogs) {
-  if (!monitors.length) return 60;
+function primaryLanguage(tag) {
+  return String(tag || "").trim().toLowerCase().split(/[-_]/)[0];
+}
 
-  const down = monitors.filter((m) => m.lastStatus === "down").length;
-  const total = monitors.length;
-  let score = Math.round(((total - down) / Math.max(1, total)) * 100);
+async function fetchHreflangAlternate(url) {
+  try {
+    const fetched = await fetchWithTiming(url);
+    const $ = cheerio.load(fetched.text);
+    return {
+      status: fetched.status,
+      finalUrl: normalizeUrl(fetched.finalUrl || url),
+      lang: ($("html").attr("lang") || "").trim(),
+      links: extractHreflangLinks($, fetched.finalUrl || url),
+    };
+  } catch (e) {
+    return { status: 0, finalUrl: url, lang: "", links: [], error: e.message };
+  }
+}
 
-  const latestLogs = (monitorLogs || []).slice(-30);
-  const upChecks = latestLogs.filter((l) => l.status === "up").length;
-  if (latestLogs.length) {
-    score = Math.round((score + Math.round((upChecks / latestLogs.length) * 100)) / 2);
+// null = pas de balises hreflang (site monolingue, rien à vérifier).
+async function analyzeHreflang($, pageUrl, lang, siteCache) {
+  const links = extractHreflangLinks($, pageUrl);
+  if (!links.length) return null;
+
+  const self = normalizeUrl(pageUrl);
+  const tags = links.map((l) => ({ ...l, ...validateHreflangCode(l.hreflang) }));
+  const invalidCodes = tags.filter((t) => !t.ok).map((t) => ({ hreflang: t.hreflang, reason: t.reason }));
+
+  const byCode = new Map();
+  const duplicates = [];
+  for (const t of tags) {
+    const key = t.hreflang.toLowerCase();
+    if (byCode.has(key) && byCode.get(key) !== t.url) duplicates.push(t.hreflang);
+    byCode.set(key, t.url);
   }
 
-  return Math.max(0, Math.min(100, score));
-}
+  const selfTag = tags.find((t) => t.url === self && t.hreflang.toLowerCase() !== "x-default");
+  const langMismatch = selfTag && lang && primaryLanguage(lang) !== primaryLanguage(selfTag.hreflang)
+    ? { lang, hreflang: selfTag.hreflang }
+    : null;
 
-function calcExecutionMomentum(missions) {
-  const total = missions.length;
-  if (!total) return 40;
+  const others = [...new Map(
+    tags.filter((t) => t.url !== self).map((t) => [t.url, t])
+  ).values()].slice(0, HREFLANG_MAX_ALTERNATES);
 
-  const done = missions.filter((m) => m.status === "done").length;
-  const recentDone = missions.filter((m) => m.completedAt && new Date(m.completedAt).getTime() >= Date.now() - 7 * 24 * 60 * 60 * 1000).length;
-  const automated = missions.filter((m) => m.isAutomated).length;
+  const alternates = await runWithConcurrency(others, LINK_CHECK_CONCURRENCY, async (t) => {
+    const page = await siteCached(siteCache, `hreflang:${t.url}`, () => fetchHreflangAlternate(t.url));
+    const declared = tags.filter((x) => x.url === t.url && x.hreflang.toLowerCase() !== "x-default");
+    const langOk = !page.lang || !declared.length ||
+      declared.some((x) => primaryLanguage(x.hreflang) === primaryLanguage(page.lang));
 
-  let score = Math.round((done / total) * 70);
-  score += Math.min(20, recentDone * 4);
-  score += Math.min(10, automated >= 3 ? 10 : automated * 2);
+    return {
+      hreflang: t.hreflang,
+      url: t.url,
+      status: page.status,
+      resolves: page.status >= 200 && page.status < 300 && page.finalUrl === t.url,
+      redirectedTo: page.finalUrl !== t.url ? page.finalUrl : "",
+      returnLink: page.links.some((l) => l.url === self),
+      lang: page.lang,
+      langOk,
+    };
+  });
 
-  return Math.max(0, Math.min(100, score));
-}
+  const missingReturn = alternates.filter((a) => a.status >= 200 && a.status < 300 && !a.returnLink).map((a) => a.url);
+  const unreachable = alternates.filter((a) => !a.resolves).map((a) => ({ url: a.url, status: a.status, redirectedTo: a.redirectedTo }));
+  const alternateLangMismatches = alternates.filter((a) => !a.langOk).map((a) => ({ url: a.url, hreflang: a.hreflang, lang: a.lang }));
+  const hasXDefault = byCode.has("x-default");
 
-function calcLocalDominance(siteProfile, localIssuesCount, localMissionCount) {
-  let score = 35;
-  if (siteProfile.hasCityPages) score += 20;
-  if (siteProfile.hasContact) score += 10;
-  score += Math.min(20, localMissionCount * 2);
-  score -= Math.min(20, localIssuesCount * 3);
-  return Math.max(0, Math.min(100, score));
+  return {
+    ok: !invalidCodes.length && !!selfTag && !langMismatch && !missingReturn.length &&
+      !unreachable.length && !alternateLangMismatches.length && !duplicates.length,
+    value: {
+      count: tags.length,
+      tags: tags.slice(0, 30).map((t) => ({ hreflang: t.hreflang, url: t.url, valid: t.ok })),
+      selfReference: !!selfTag,
+      selfHreflang: selfTag?.hreflang || "",
+      hasXDefault,
+      invalidCodes,
+      duplicates,
+      langMismatch,
+      alternateLangMismatches,
+      missingReturn,
+      unreachable,
+      alternates,
+    },
+  };
 }
 
-function calcClientReadiness(missions, notes, reportsLikeCount) {
-  const done = missions.filter((m) => m.status === "done").length;
-  const clientNotes = notes.filter((n) => n.type === "client").length;
-  let score = 35 + Math.min(25, done * 2) + Math.min(20, clientNotes * 3) + Math.min(20, reportsLikeCount * 5);
-  return Math.max(0, Math.min(100, score));
-}
+// ---------- CANONICAL ----------
+// Résout la canonical et classe le résultat : auto-référente, vers une autre page, ou cassée.
+const CANONICAL_PROBLEM_LABELS = {
+  invalid_url: "URL canonical invalide",
+  multiple: "Plusieurs balises canonical différentes",
+  target_error: "Cible canonical en erreur",
+  target_redirect: "Cible canonical redirigée",
+  target_not_canonical: "Cible canonical elle-même canonisée ailleurs",
+};
 
-function calcLeadRiskScore(conversionReadiness, uptimeHealth, criticalIssues) {
-  let score = 100 - Math.round((conversionReadiness + uptimeHealth) / 2);
-  score += Math.min(20, criticalIssues * 4);
-  return Math.max(0, Math.min(100, score));
+async function fetchCanonicalTarget(url) {
+  try {
+    const fetched = await fetchWithTiming(url);
+    const $ = cheerio.load(fetched.text);
+    return {
+      status: fetched.status,
+      finalUrl: normalizeUrl(fetched.finalUrl || url),
+      canonical: absoluteUrlOrEmpty($('link[rel="canonical"]').first().attr("href"), fetched.finalUrl || url),
+    };
+  } catch (e) {
+    return { status: 0, finalUrl: url, canonical: "", error: e.message };
+  }
 }
 
-function calcRevenueProxyImpact(opportunities, executionMomentum) {
-  const opp = opportunities.reduce((sum, o) => sum + Number(o.score || 0), 0);
-  let score = Math.round(Math.min(100, opp / Math.max(1, opportunities.length || 1)));
-  score = Math.round((score + executionMomentum) / 2);
-  return Math.max(0, Math.min(100, score));
-}
+async function analyzeCanonical($, pageUrl, { hreflang, siteCache } = {}) {
+  const self = normalizeUrl(pageUrl);
+  const hrefs = uniqueStrings($('link[rel="canonical"]').toArray().map((el) => $(el).attr("href")));
+  if (!hrefs.length) {
+    return { ok: false, value: { outcome: "missing", href: "", url: "", problems: [], conflicts: [] } };
+  }
 
-function classifyPageType(url) {
-  const p = lowerText(url);
-  if (/contact|devis|quote|booking|book/.test(p)) return "contact";
-  if (/service|services|prestations|solutions/.test(p)) return "service";
-  if (/pricing|tarif|price/.test(p)) return "pricing";
-  if (/faq/.test(p)) return "faq";
-  if (/about|a-propos|apropos/.test(p)) return "about";
-  if (/product|produit/.test(p)) return "product";
-  if (/landing/.test(p)) return "landing";
-  if (p === "/" || p === "") return "homepage";
-  return "generic";
+  const href = hrefs[0];
+  let url = "";
+  try {
+    const u = new URL(href, pageUrl);
+    if (/^https?:$/.test(u.protocol)) url = normalizeUrl(u.toString());
+  } catch {}
+
+  const problems = [];
+  if (!url) problems.push("invalid_url");
+  if (uniqueStrings(hrefs.map((h) => absoluteUrlOrEmpty(h, pageUrl) || h)).length > 1) problems.push("multiple");
+
+  const sameHost = !url || new URL(url).host === new URL(self).host;
+  let target = null;
+  if (url && url !== self) {
+    target = await siteCached(siteCache, `canonical:${url}`, () => fetchCanonicalTarget(url));
+    if (!(target.status >= 200 && target.status < 300)) problems.push("target_error");
+    else if (target.finalUrl !== url) problems.push("target_redirect");
+    else if (target.canonical && target.canonical !== url) problems.push("target_not_canonical");
+  }
+
+  // hreflang doit référencer l'URL canonique : une page canonisée ailleurs ne devrait pas se déclarer en alternate.
+  const conflicts = [];
+  const ogUrl = absoluteUrlOrEmpty($('meta[property="og:url"]').attr("content"), pageUrl);
+  if (url && ogUrl && ogUrl !== url) conflicts.push({ source: "og:url", url: ogUrl });
+  if (url && url !== self && hreflang?.value?.selfReference) conflicts.push({ source: "hreflang", url: self });
+
+  const outcome = problems.length ? "broken" : url === self ? "self" : "cross_page";
+
+  return {
+    ok: outcome !== "broken" && !conflicts.length,
+    value: {
+      outcome,
+      href,
+      url,
+      relative: !/^https?:\/\//i.test(href),
+      sameHost,
+      count: hrefs.length,
+      target,
+      problems,
+      conflicts,
+    },
+  };
 }
 
-function buildIssuePayload({ orgId, userId, sourceType, sourceId, type, pageUrl, siteUrl, sector, pageType, metadata = {} }) {
-  const def = ISSUE_LIBRARY[type];
-  if (!def) return null;
+// ---------- SECURITY HEADERS ----------
+const HSTS_MIN_MAX_AGE = 15552000; // 180 jours
 
+function parseHsts(raw) {
+  const value = String(raw || "");
+  const maxAge = Number((value.match(/max-age\s*=\s*"?(\d+)/i) || [])[1] ?? NaN);
   return {
-    orgId,
-    userId,
-    sourceType,
-    sourceId,
-    type,
-    title: def.title,
-    description: `${def.title} détecté sur ${pageUrl || siteUrl || "le site"}.`,
-    category: def.category,
-    severity: def.severity,
-    impactBusiness: def.impactBusiness,
-    priorityScore: def.baseScore,
-    pageUrl: pageUrl || "",
-    siteUrl: siteUrl || "",
-    sector: sector || "",
-    pageType: pageType || "",
-    recommendationKey: def.recommendationKey,
-    missionTemplateKey: def.missionTemplateKey,
-    packKey: def.packKey,
-    status: "open",
-    metadata,
+    present: !!value,
+    maxAge: Number.isFinite(maxAge) ? maxAge : null,
+    includeSubDomains: /includesubdomains/i.test(value),
+    preload: /\bpreload\b/i.test(value),
+    raw: value.slice(0, 300),
   };
 }
 
-function buildIssuesFromAudit(audit, siteProfile, sector) {
-  const findings = audit?.findings || {};
-  const pageType = classifyPageType(audit?.url || "");
-  const items = [];
+function cspDirective(policy, name) {
+  const part = String(policy || "")
+    .split(";")
+    .map((d) => d.trim())
+    .find((d) => d.toLowerCase().startsWith(`${name} `) || d.toLowerCase() === name);
+  return part == null ? null : part.slice(name.length).trim();
+}
 
-  if (!findings.title?.ok) items.push("missing_title");
-  else if (String(findings.title?.value || "").length < 20) items.push("weak_title");
+function analyzeSecurityHeaders(headers, $, finalUrl) {
+  const h = (name) => String(headers?.get?.(name) || "").trim();
+  const isHttps = String(finalUrl || "").startsWith("https://");
 
-  if (!findings.metaDescription?.ok) items.push("missing_meta_description");
-  if (!findings.h1?.ok) items.push("missing_h1");
-  if (!findings.responseTime?.ok) items.push("slow_mobile");
-  if (!findings.canonical?.ok || !findings.robots?.ok) items.push("duplicate_structure");
-  if (!findings.og?.ok) items.push("weak_trust_signals");
-  if (!findings.viewport?.ok) items.push("weak_cta");
-  if (audit?.score != null && Number(audit.score) < 55) items.push("low_content_depth");
+  const hsts = parseHsts(h("strict-transport-security"));
+  const hstsOk = isHttps && hsts.present && (hsts.maxAge || 0) >= HSTS_MIN_MAX_AGE && hsts.includeSubDomains;
 
-  if (!siteProfile.hasContact) items.push("weak_contact_visibility");
-  if (!siteProfile.hasCityPages) items.push("no_local_pages");
-  if (!siteProfile.hasContact) items.push("missing_google_map_block");
+  const cspMeta = String($('meta[http-equiv="Content-Security-Policy" i]').attr("content") || "").trim();
+  const csp = h("content-security-policy") || cspMeta;
+  const cspReportOnly = h("content-security-policy-report-only");
+  const frameAncestors = cspDirective(h("content-security-policy"), "frame-ancestors");
 
-  return uniqueStrings(items)
-    .map((type) =>
-      buildIssuePayload({
-        orgId: audit.orgId,
-        userId: audit.userId,
-        sourceType: "audit",
-        sourceId: audit._id,
-        type,
-        pageUrl: audit.url,
-        siteUrl: audit.url,
-        sector,
-        pageType,
-        metadata: {
-          score: audit.score,
-          summary: audit.summary,
-        },
-      })
-    )
-    .filter(Boolean);
-}
+  const nosniff = h("x-content-type-options");
+  const xfo = h("x-frame-options");
 
-function buildIssuesFromMonitor(monitor, sector) {
-  if (!monitor || monitor.lastStatus !== "down") return [];
+  const referrer = h("referrer-policy") || String($('meta[name="referrer" i]').attr("content") || "").trim();
+  const referrerWeak = /unsafe-url|no-referrer-when-downgrade/i.test(referrer.split(",").pop() || "");
 
-  const pageType = classifyPageType(monitor.url);
+  const permissions = h("permissions-policy") || h("feature-policy");
 
-  return [
-    buildIssuePayload({
-      orgId: monitor.orgId,
-      userId: monitor.userId,
-      sourceType: "monitor",
-      sourceId: monitor._id,
-      type: "page_not_monitored",
-      pageUrl: monitor.url,
-      siteUrl: monitor.url,
-      sector,
-      pageType,
-      metadata: {
-        lastStatus: monitor.lastStatus,
-        lastCheckedAt: monitor.lastCheckedAt,
+  return {
+    hsts: {
+      ok: hstsOk,
+      value: { ...hsts, https: isHttps, minMaxAge: HSTS_MIN_MAX_AGE },
+    },
+    csp: {
+      ok: !!csp,
+      value: {
+        present: !!csp,
+        source: h("content-security-policy") ? "header" : cspMeta ? "meta" : "",
+        reportOnly: !!cspReportOnly && !csp,
+        raw: (csp || cspReportOnly).slice(0, 500),
       },
-    }),
-  ].filter(Boolean);
+    },
+    contentTypeOptions: {
+      ok: /^nosniff$/i.test(nosniff),
+      value: nosniff || "(none)",
+    },
+    frameOptions: {
+      ok: /^(deny|sameorigin)$/i.test(xfo) || frameAncestors != null,
+      value: { xFrameOptions: xfo || "", frameAncestors: frameAncestors ?? "" },
+    },
+    referrerPolicy: {
+      ok: !!referrer && !referrerWeak,
+      value: referrer || "(none)",
+    },
+    permissionsPolicy: {
+      ok: !!permissions,
+      value: permissions ? permissions.slice(0, 300) : "(none)",
+    },
+  };
 }
 
-function buildRecommendations({ issues, sector, siteProfile, maturity, planFeatures, history }) {
-  const out = [];
+// Ressources http:// chargées depuis une page https (bloquées ou signalées par les navigateurs).
+function analyzeMixedContent($, finalUrl) {
+  if (!String(finalUrl || "").startsWith("https://")) {
+    return { ok: true, value: { applicable: false, count: 0, active: 0, passive: 0, urls: [] } };
+  }
 
-  const hasType = (type) => issues.some((i) => i.type === type);
-  const countCategory = (cat) => issues.filter((i) => i.category === cat).length;
+  const refs = [];
+  const add = (url, tag, active) => {
+    const u = String(url || "").trim();
+    if (/^http:\/\//i.test(u)) refs.push({ url: u, tag, active });
+  };
 
-  if (hasType("slow_mobile")) {
-    out.push({
-      type: "quick_win",
-      title: "Le site semble trop faible sur mobile",
-      text: "La performance mobile freine à la fois visibilité et conversion. Un pack mobile prioritaire est recommandé.",
-      category: "conversion",
-      score: 92,
-    });
-  }
+  $("script[src]").each((_, el) => add($(el).attr("src"), "script", true));
+  $('link[rel~="stylesheet"][href]').each((_, el) => add($(el).attr("href"), "stylesheet", true));
+  $("iframe[src]").each((_, el) => add($(el).attr("src"), "iframe", true));
+  $("form[action]").each((_, el) => add($(el).attr("action"), "form", true));
+  $("object[data], embed[src]").each((_, el) => add($(el).attr("data") || $(el).attr("src"), "object", true));
+  $("img[src], audio[src], video[src], source[src], video[poster]").each((_, el) => {
+    const $el = $(el);
+    add($el.attr("src") || $el.attr("poster"), el.tagName || el.name, false);
+  });
+  $("img[srcset], source[srcset]").each((_, el) => {
+    String($(el).attr("srcset") || "")
+      .split(",")
+      .map((c) => c.trim().split(/\s+/)[0])
+      .forEach((u) => add(u, el.tagName || el.name, false));
+  });
 
-  if (hasType("no_local_pages")) {
-    out.push({
-      type: "local_opportunity",
-      title: "Le site est sous-exploité localement",
-      text: "Les pages service sont présentes ou implicites, mais la couverture ville / zone reste insuffisante.",
-      category: "local",
-      score: 88,
-    });
-  }
+  const unique = [...new Map(refs.map((r) => [r.url, r])).values()];
+  const active = unique.filter((r) => r.active).length;
 
-  if (hasType("weak_contact_visibility")) {
-    out.push({
-      type: "business_opportunity",
-      title: "Le contact business est trop peu visible",
-      text: "Le site semble risquer de perdre des leads sur les pages à enjeu commercial.",
-      category: "conversion",
-      score: 84,
-    });
-  }
+  return {
+    ok: unique.length === 0,
+    value: {
+      applicable: true,
+      count: unique.length,
+      active,
+      passive: unique.length - active,
+      urls: unique.slice(0, 20),
+    },
+  };
+}
 
-  if (countCategory("seo") >= 3) {
-    out.push({
-      type: "strategic",
-      title: "Le socle SEO a besoin d’un cleanup structuré",
-      text: "Plusieurs signaux techniques ou sémantiques méritent une exécution groupée au lieu de corrections isolées.",
-      category: "seo",
-      score: 79,
-    });
-  }
+// ---------- IMAGES ----------
+const HEAVY_IMAGE_BYTES = Number(process.env.HEAVY_IMAGE_BYTES || 200 * 1024);
+const LEGACY_IMAGE_EXT = /\.(jpe?g|png|gif|bmp|tiff?)$/i;
+const LEGACY_IMAGE_TYPES = /^image\/(jpeg|png|gif|bmp|tiff)$/i;
 
-  if (maturity === "site_tres_faible") {
-    out.push({
-      type: "urgency",
-      title: "Le site demande une remise à niveau prioritaire",
-      text: "Les fondations SEO / conversion ne sont pas encore assez solides pour une croissance stable.",
-      category: "ops",
-      score: 90,
-    });
-  }
+async function analyzeImages($, baseUrl, siteCache, { heavyBytes = HEAVY_IMAGE_BYTES } = {}) {
+  const items = [];
 
-  if (sector === "garage" || sector === "artisan" || sector === "independant") {
-    out.push({
-      type: "local_opportunity",
-      title: "Le secteur se prête fortement au Local SEO",
-      text: "Un déploiement villes + contact + map + preuves locales peut créer un effet visible rapidement.",
-      category: "local",
-      score: 85,
-    });
-  }
+  $("img").each((_, el) => {
+    const $el = $(el);
+    const raw = String($el.attr("src") || $el.attr("data-src") || "").trim();
+    if (!raw || /^data:/i.test(raw)) return;
 
-  if (planFeatures.ultra) {
-    out.push({
-      type: "strategic",
-      title: "Le plan Ultra permet une logique portefeuille",
-      text: "Les recommandations peuvent être transformées en workflows, calendrier, team threads et plan mensuel.",
-      category: "ops",
-      score: 75,
-    });
-  } else if (planFeatures.pro) {
-    out.push({
-      type: "strategic",
-      title: "Le plan Pro peut accélérer l’exécution",
-      text: "Des packs plus riches et des recommandations regroupées peuvent rendre la progression plus visible.",
-      category: "ops",
-      score: 68,
-    });
-  }
+    let src;
+    try {
+      src = new URL(raw, baseUrl).toString();
+    } catch {
+      return;
+    }
 
-  if ((history?.ignoredIssueTypes || []).includes("no_local_pages")) {
-    out.push({
-      type: "history_signal",
-      title: "Le local revient comme sujet récurrent",
-      text: "Les signaux locaux ont déjà été laissés de côté, ce qui peut ralentir la progression visible.",
-      category: "local",
-      score: 72,
+    const alt = $el.attr("alt");
+    const modernSources = $el.closest("picture").find("source[type]")
+      .toArray()
+      .some((s) => /image\/(webp|avif)/i.test(String($(s).attr("type") || "")));
+
+    let pathname = "";
+    try { pathname = new URL(src).pathname; } catch {}
+
+    items.push({
+      src,
+      alt: alt == null ? null : String(alt).trim(),
+      hasDimensions: $el.attr("width") != null && $el.attr("height") != null,
+      hasModernSource: modernSources,
+      extLegacy: LEGACY_IMAGE_EXT.test(pathname),
     });
-  }
+  });
 
-  return out.sort((a, b) => b.score - a.score);
-}
+  const unique = [...new Map(items.map((i) => [i.src, i])).values()].slice(0, LINK_CHECK_MAX);
 
-function createMissionFromIssue(issue, user) {
-  const priority =
-    issue.severity === "critical" ? "critical"
-      : issue.severity === "high" ? "high"
-      : issue.severity === "medium" ? "medium"
-      : "low";
+  const sized = await runWithConcurrency(unique, LINK_CHECK_CONCURRENCY, async (img) => {
+    const r = await siteCached(siteCache, `link:${img.src}`, () => checkResourceUrl(img.src));
+    return { src: img.src, bytes: r.bytes || null, contentType: r.contentType || "" };
+  });
 
-  const impact =
-    issue.impactBusiness === "critical" ? "critical"
-      : issue.impactBusiness === "high" ? "high"
-      : issue.impactBusiness === "medium" ? "medium"
-      : "low";
+  const meta = new Map(sized.map((x) => [x.src, x]));
+
+  const enriched = items.map((img) => {
+    const m = meta.get(img.src) || {};
+    const legacy = !img.hasModernSource && (/^image\//i.test(m.contentType || "") ? LEGACY_IMAGE_TYPES.test(m.contentType) : img.extLegacy);
+    return {
+      ...img,
+      bytes: m.bytes || null,
+      contentType: m.contentType || "",
+      legacyFormat: legacy,
+      heavy: Number(m.bytes || 0) > heavyBytes,
+    };
+  });
 
-  const isQuickWin = ["missing_meta_description", "missing_h1", "weak_title", "missing_google_map_block"].includes(issue.type);
+  const missingAlt = enriched.filter((i) => i.alt == null).length;
+  const emptyAlt = enriched.filter((i) => i.alt === "").length;
+  const missingDimensions = enriched.filter((i) => !i.hasDimensions).length;
+  const legacyFormat = enriched.filter((i) => i.legacyFormat).length;
+  const heavyCount = enriched.filter((i) => i.heavy).length;
+  const totalBytes = sized.reduce((n, x) => n + Number(x.bytes || 0), 0);
+
+  const heaviest = [...sized]
+    .filter((x) => x.bytes)
+    .sort((a, b) => b.bytes - a.bytes)
+    .slice(0, 5);
 
   return {
-    orgId: user.orgId,
-    userId: user._id,
-    title: issue.title,
-    description: issue.description,
-    category: issue.category,
-    sourceType: issue.sourceType,
-    sourceId: issue.sourceId,
-    priority,
-    impact,
-    status: "todo",
-    pageUrl: issue.pageUrl,
-    siteUrl: issue.siteUrl,
-    sector: issue.sector,
-    pageType: issue.pageType,
-    isAutomated: true,
-    isQuickWin,
-    tags: uniqueStrings([issue.type, issue.category, issue.packKey, issue.recommendationKey]),
+    ok: missingAlt === 0 && missingDimensions === 0 && heavyCount === 0,
+    value: {
+      count: enriched.length,
+      missingAlt,
+      emptyAlt,
+      missingDimensions,
+      legacyFormat,
+      heavyCount,
+      heavyThresholdBytes: heavyBytes,
+      totalBytes,
+      heaviest,
+      items: enriched.slice(0, 50).map((i) => ({
+        src: i.src,
+        alt: i.alt,
+        bytes: i.bytes,
+        contentType: i.contentType,
+        hasDimensions: i.hasDimensions,
+        legacyFormat: i.legacyFormat,
+      })),
+    },
   };
 }
 
-function createPackMissions(pack, context, user) {
-  const siteUrl = context?.siteUrl || "";
-  const sector = context?.sector || "";
-  const targetCities = context?.targetCities || [];
+function formatBytes(n) {
+  const b = Number(n || 0);
+  if (b >= 1024 * 1024) return `${(b / (1024 * 1024)).toFixed(1)} Mo`;
+  if (b >= 1024) return `${Math.round(b / 1024)} Ko`;
+  return `${b} o`;
+}
 
-  const items = [];
+// ---------- CONTENT / HEADINGS ----------
+const THIN_CONTENT_WORDS = Number(process.env.THIN_CONTENT_WORDS || 300);
+// Les pages JS/CSS lourdes ont un ratio bas même bien rédigées : signal secondaire, jamais bloquant seul.
+const MIN_TEXT_HTML_RATIO = 5;
+// Empreinte MinHash du contenu principal : shingles de 5 mots, 64 permutations.
+const CONTENT_SHINGLE_WORDS = 5;
+const CONTENT_MINHASH_SIZE = 64;
+
+function countSyllables(word) {
+  const groups = String(word || "").toLowerCase().match(/[aeiouyàâäéèêëîïôöùûüœæ]+/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
 
-  const add = (title, description, category, priority = "medium", impact = "medium", pageType = "") => {
-    items.push({
-      orgId: user.orgId,
-      userId: user._id,
-      title,
-      description,
-      category,
-      sourceType: "system",
-      priority,
-      impact,
-      status: "todo",
-      pageUrl: "",
-      siteUrl,
-      sector,
-      pageType,
-      isAutomated: true,
-      isQuickWin: false,
-      tags: uniqueStrings([pack.key, category, sector, pageType]),
-    });
-  };
+// Flesch adapté par langue : Kandel & Moles (fr), Douma (nl), Flesch (en).
+function computeReadingLevel(text, lang) {
+  const sentences = String(text || "").split(/[.!?…]+(?:\s|$)/).map((x) => x.trim()).filter((x) => x.split(/\s+/).length >= 3);
+  const words = String(text || "").match(/[\p{L}'’-]+/gu) || [];
+  if (!sentences.length || words.length < 30) return null;
+
+  const wps = words.length / sentences.length;
+  const spw = words.reduce((n, w) => n + countSyllables(w), 0) / words.length;
+  const l = lowerText(lang).slice(0, 2);
+
+  const formula = l === "nl" ? "flesch-douma" : l === "en" ? "flesch" : "kandel-moles";
+  const raw =
+    formula === "flesch-douma" ? 206.835 - 0.93 * wps - 77 * spw
+      : formula === "flesch" ? 206.835 - 1.015 * wps - 84.6 * spw
+      : 207 - 1.015 * wps - 73.6 * spw;
+
+  const score = Math.max(0, Math.min(100, Math.round(raw)));
+  const label =
+    score >= 70 ? "facile"
+      : score >= 50 ? "standard"
+      : score >= 30 ? "difficile"
+      : "très difficile";
+
+  return { score, label, formula, avgSentenceLength: Math.round(wps * 10) / 10 };
+}
 
-  if (pack.key === "seo_technical_recovery") {
-    add("Corriger les titles clés", "Renforcer les balises title sur les pages principales.", "seo", "high", "high", "homepage");
-    add("Ajouter les meta descriptions manquantes", "Rendre les snippets plus forts et plus cliquables.", "seo", "high", "high", "service");
-    add("Revoir la hiérarchie H1 / headings", "Assainir la structure des pages critiques.", "content", "high", "high", "service");
-    add("Ajouter les données structurées pertinentes", "Améliorer le contexte sémantique.", "seo", "medium", "medium", "homepage");
-  }
+// Texte de la zone principale : <main>/<article> si présent, sinon le body sans navigation ni pied de page.
+function mainContentText($) {
+  const main = $("main, [role=main], article").first();
+  const root = (main.length ? main : $("body")).clone();
+  root.find("script,style,noscript,template,svg,iframe,nav,header,footer,aside,form").remove();
+  return root.text().replace(/\s+/g, " ").trim();
+}
 
-  if (pack.key === "homepage_conversion_lift") {
-    add("Renforcer le hero principal", "Clarifier la proposition de valeur et le bénéfice immédiat.", "conversion", "high", "high", "homepage");
-    add("Renforcer les CTA homepage", "Rendre l’action principale plus visible.", "conversion", "high", "high", "homepage");
-    add("Ajouter preuves / trust signals", "Améliorer la confiance sur les premières secondes.", "conversion", "medium", "high", "homepage");
-  }
+function mix32(h) {
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
 
-  if (pack.key === "local_city_expansion") {
-    const cities = targetCities.length ? targetCities : ["Liège", "Verviers", "Bruxelles"];
-    for (const city of cities.slice(0, 5)) {
-      add(`Créer une page locale ${city}`, `Déployer une page ciblée pour ${city}.`, "local", "high", "high", "city");
+function contentFingerprint(text) {
+  const words = normalizeKeyword(text).split(" ").filter(Boolean);
+  const shingles = new Set();
+  for (let i = 0; i + CONTENT_SHINGLE_WORDS <= words.length; i++) {
+    shingles.add(words.slice(i, i + CONTENT_SHINGLE_WORDS).join(" "));
+  }
+  if (!shingles.size) return { shingles: 0, minhash: [] };
+
+  const minhash = new Array(CONTENT_MINHASH_SIZE).fill(0xffffffff);
+  for (const shingle of shingles) {
+    // FNV-1a puis une permutation par graine.
+    let h = 0x811c9dc5;
+    for (let i = 0; i < shingle.length; i++) h = Math.imul(h ^ shingle.charCodeAt(i), 0x01000193);
+    for (let k = 0; k < CONTENT_MINHASH_SIZE; k++) {
+      const v = mix32(h ^ Math.imul(k + 1, 0x9e3779b9));
+      if (v < minhash[k]) minhash[k] = v;
     }
-    add("Ajouter signaux locaux sur la page contact", "Renforcer la cohérence locale et la conversion.", "local", "medium", "high", "contact");
   }
+  return { shingles: shingles.size, minhash };
+}
 
-  if (pack.key === "trust_and_conversion") {
-    add("Ajouter bloc avis / preuves", "Renforcer la confiance perçue.", "conversion", "medium", "high", "homepage");
-    add("Rendre le contact plus visible", "Réduire la friction sur les pages business.", "conversion", "high", "critical", "contact");
-    add("Ajouter FAQ de réassurance", "Lever les doutes avant prise de contact.", "content", "medium", "medium", "faq");
-  }
+function analyzeContent($, html, lang, { minWords = THIN_CONTENT_WORDS } = {}) {
+  const body = $("body").clone();
+  body.find("script,style,noscript,template,svg,iframe").remove();
+
+  const text = body.text().replace(/\s+/g, " ").trim();
+  const wordCount = (text.match(/[\p{L}\p{N}'’-]+/gu) || []).length;
+  const textHtmlRatio = html.length ? Math.round((text.length / html.length) * 1000) / 10 : 0;
+  const paragraphCount = $("p").toArray().filter((el) => $(el).text().trim().length >= 20).length;
+
+  const outline = [];
+  const counts = { h1: 0, h2: 0, h3: 0, h4: 0, h5: 0, h6: 0 };
+  const skippedLevels = [];
+  let prev = 0;
+
+  $("h1,h2,h3,h4,h5,h6").each((_, el) => {
+    const level = Number(String(el.tagName || el.name).slice(1));
+    const headingText = $(el).text().replace(/\s+/g, " ").trim().slice(0, 120);
+    counts[`h${level}`] += 1;
+
+    if (prev && level > prev + 1) {
+      skippedLevels.push({ from: `h${prev}`, to: `h${level}`, text: headingText });
+    } else if (!prev && level > 1) {
+      skippedLevels.push({ from: "(début)", to: `h${level}`, text: headingText });
+    }
 
-  if (pack.key === "critical_pages_monitoring") {
-    add("Créer monitor sur homepage", "Surveiller la page la plus exposée.", "monitor", "high", "high", "homepage");
-    add("Créer monitor sur contact", "Protéger la page de conversion la plus sensible.", "monitor", "high", "critical", "contact");
-    add("Créer monitor sur service principal", "Sécuriser la page business principale.", "monitor", "medium", "high", "service");
-  }
+    if (outline.length < 60) outline.push({ level, text: headingText });
+    prev = level;
+  });
 
-  if (pack.key === "service_pages_authority") {
-    add("Étendre la profondeur de contenu des pages service", "Améliorer utilité, clarté et autorité.", "content", "high", "high", "service");
-    add("Ajouter FAQ et preuves par service", "Renforcer la différenciation et la conversion.", "content", "medium", "high", "service");
-    add("Structurer intent / bénéfices / CTA", "Rendre chaque page service plus convaincante.", "conversion", "medium", "high", "service");
-  }
+  const readingLevel = computeReadingLevel(text, lang);
+  const thin = wordCount < minWords;
+  const lowRatio = textHtmlRatio < MIN_TEXT_HTML_RATIO;
 
-  if (pack.key === "mobile_emergency_cleanup") {
-    add("Réduire la friction mobile critique", "Cibler les blocages les plus visibles sur mobile.", "conversion", "critical", "critical", "homepage");
-    add("Alléger les points lourds des pages clés", "Améliorer vitesse et expérience mobile.", "seo", "high", "high", "service");
-  }
+  return {
+    content: {
+      ok: !thin,
+      value: {
+        wordCount,
+        textHtmlRatio,
+        paragraphCount,
+        readingLevel,
+        thin,
+        lowRatio,
+        thresholds: { minWords, minTextHtmlRatio: MIN_TEXT_HTML_RATIO },
+        fingerprint: contentFingerprint(mainContentText($)),
+      },
+    },
+    headings: {
+      ok: skippedLevels.length === 0 && counts.h1 > 0,
+      value: { counts, outline, skippedLevels: skippedLevels.slice(0, 20) },
+    },
+    text,
+  };
+}
 
-  if (pack.key === "end_of_trial_wins") {
-    add("Sortir les 3 quick wins les plus visibles", "Mettre en avant de la progression avant fin d’essai.", "ops", "high", "high");
-    add("Préparer un mini rapport de valeur", "Montrer ce qui a été débloqué et ce qui reste.", "reporting", "medium", "high");
-    add("Créer le prochain sprint prioritaire", "Rendre la continuité naturelle après le trial.", "ops", "high", "high");
-  }
+function significantTerms(text) {
+  return uniqueStrings(
+    lowerText(text)
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .split(/[^a-z0-9]+/)
+      .filter((w) => w.length >= 4)
+  );
+}
 
-  if (pack.key === "monthly_growth_sprint") {
-    add("Fixer les priorités du mois", "Structurer les missions du prochain cycle.", "ops", "high", "high");
-    add("Planifier revue audits / monitors", "Créer les événements calendrier pertinents.", "ops", "medium", "medium");
-    add("Préparer restitution mensuelle", "Faciliter la lecture client et la valeur perçue.", "reporting", "medium", "high");
-  }
+// ---------- ACCESSIBILITY ----------
+// Contrôles WCAG de base sur le HTML statique ; sous-score séparé du score SEO.
+const ACCESSIBILITY_WEIGHTS = {
+  a11yFormLabels: 20,
+  a11yControlNames: 20,
+  a11yImageAlt: 15,
+  a11yAria: 15,
+  a11yLandmarks: 10,
+  a11yDuplicateIds: 10,
+  a11yTabindex: 10,
+};
 
-  if (pack.key === "map_trust_signals") {
-    add("Ajouter carte Google sur contact", "Améliorer confiance et repères locaux.", "local", "medium", "medium", "contact");
-    add("Afficher horaires / téléphone / itinéraire", "Rendre la page contact plus complète.", "local", "medium", "high", "contact");
-    add("Renforcer les preuves locales", "Ancrer la crédibilité territoriale.", "local", "medium", "medium", "contact");
-  }
+const ARIA_ATTRIBUTES = new Set([
+  "activedescendant", "atomic", "autocomplete", "braillelabel", "brailleroledescription", "busy", "checked",
+  "colcount", "colindex", "colindextext", "colspan", "controls", "current", "describedby", "description",
+  "details", "disabled", "dropeffect", "errormessage", "expanded", "flowto", "grabbed", "haspopup", "hidden",
+  "invalid", "keyshortcuts", "label", "labelledby", "level", "live", "modal", "multiline", "multiselectable",
+  "orientation", "owns", "placeholder", "posinset", "pressed", "readonly", "relevant", "required",
+  "roledescription", "rowcount", "rowindex", "rowindextext", "rowspan", "selected", "setsize", "sort",
+  "valuemax", "valuemin", "valuenow", "valuetext",
+].map((a) => `aria-${a}`));
+
+const ARIA_ROLES = new Set([
+  "alert", "alertdialog", "application", "article", "banner", "blockquote", "button", "caption", "cell",
+  "checkbox", "code", "columnheader", "combobox", "complementary", "contentinfo", "definition", "deletion",
+  "dialog", "directory", "document", "emphasis", "feed", "figure", "form", "generic", "grid", "gridcell",
+  "group", "heading", "img", "insertion", "link", "list", "listbox", "listitem", "log", "main", "marquee",
+  "math", "menu", "menubar", "menuitem", "menuitemcheckbox", "menuitemradio", "meter", "navigation", "none",
+  "note", "option", "paragraph", "presentation", "progressbar", "radio", "radiogroup", "region", "row",
+  "rowgroup", "rowheader", "scrollbar", "search", "searchbox", "separator", "slider", "spinbutton", "status",
+  "strong", "subscript", "superscript", "switch", "tab", "table", "tablist", "tabpanel", "term", "textbox",
+  "time", "timer", "toolbar", "tooltip", "tree", "treegrid", "treeitem",
+]);
 
-  return items;
+const A11Y_LANDMARKS = {
+  main: 'main, [role="main"]',
+  nav: 'nav, [role="navigation"]',
+  header: 'header, [role="banner"]',
+  footer: 'footer, [role="contentinfo"]',
+};
+
+const A11Y_SAMPLE_LIMIT = 10;
+
+// <input type="email" name="email"> → repère lisible dans les preuves de mission.
+function describeElement($, el, extra = []) {
+  const $el = $(el);
+  const tag = String(el.tagName || el.name || "").toLowerCase();
+  const attrs = ["id", "name", "type", "role", "href", "src", "class"]
+    .filter((name) => !extra.includes(name))
+    .map((name) => [name, String($el.attr(name) || "").trim()])
+    .filter(([, v]) => v)
+    .slice(0, 3)
+    .concat(extra.map((name) => [name, String($el.attr(name) ?? "").trim()]))
+    .map(([name, v]) => `${name}="${v.length > 60 ? `${v.slice(0, 57)}…` : v}"`);
+  return `<${[tag, ...attrs].join(" ")}>`;
 }
 
-function buildLocalOpportunities(siteProfile, sector) {
-  const uncoveredCities = FP_CITIES.filter((city) => {
-    return !siteProfile.pageUrls.some((p) => lowerText(p).includes(lowerText(city)));
-  }).slice(0, 6);
+function isAriaHidden($, el) {
+  return $(el).closest('[aria-hidden="true"]').length > 0;
+}
 
-  return uncoveredCities.map((city, idx) => ({
-    city,
-    type: "city_expansion",
-    label: `${city} n’est pas encore couverte`,
-    score: 90 - idx * 5,
-    sector,
-  }));
+function accessibleName($, el, idIndex) {
+  const $el = $(el);
+  const aria = String($el.attr("aria-label") || "").trim();
+  if (aria) return aria;
+
+  const labelledBy = String($el.attr("aria-labelledby") || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((id) => (idIndex.get(id)?.[0] ? $(idIndex.get(id)[0]).text() : ""))
+    .join(" ")
+    .trim();
+  if (labelledBy) return labelledBy;
+
+  const text = $el.text().replace(/\s+/g, " ").trim();
+  if (text) return text;
+
+  const inner = $el
+    .find("img[alt], [aria-label], svg title")
+    .toArray()
+    .map((x) => String($(x).attr("alt") || $(x).attr("aria-label") || $(x).text() || "").trim())
+    .find(Boolean);
+  if (inner) return inner;
+
+  return String($el.attr("title") || $el.attr("value") || "").trim();
 }
 
-function buildRiskEngine({ issues, monitors, siteProfile, missions }) {
-  const openIssues = issues.filter((i) => i.status === "open");
-  const criticalIssues = openIssues.filter((i) => i.severity === "critical" || i.impactBusiness === "critical");
-  const downMonitors = monitors.filter((m) => m.lastStatus === "down");
-  const pagesBusinessWithoutMonitor = siteProfile.hasContact && !monitors.some((m) => lowerText(m.url).includes("contact")) ? 1 : 0;
-  const localDeficit = siteProfile.hasCityPages ? 0 : 1;
-  const weakExecution = missions.length ? missions.filter((m) => m.status !== "done").length > missions.filter((m) => m.status === "done").length * 2 : true;
+function isFocusable($, el) {
+  const $el = $(el);
+  const tag = String(el.tagName || el.name || "").toLowerCase();
+  if ($el.attr("disabled") != null) return false;
+  if (tag === "a" || tag === "area") return $el.attr("href") != null;
+  if (["button", "input", "select", "textarea", "iframe"].includes(tag)) return $el.attr("type") !== "hidden";
+  const tabindex = Number($el.attr("tabindex"));
+  return Number.isInteger(tabindex) && tabindex >= 0;
+}
 
+function a11yCheck(items, extra = {}) {
   return {
-    criticalPagesUnhandled: criticalIssues.length,
-    monitorsDownUnhandled: downMonitors.length,
-    pagesBusinessWithoutMonitor,
-    localCoverageDeficit: localDeficit,
-    weakExecution: weakExecution ? 1 : 0,
-    currentRiskLevel:
-      downMonitors.length > 0 || criticalIssues.length >= 3 ? "high"
-        : criticalIssues.length > 0 ? "medium"
-        : "low",
+    ok: items.length === 0,
+    value: { count: items.length, samples: items.slice(0, A11Y_SAMPLE_LIMIT), ...extra },
   };
 }
 
-function buildOpportunityEngine({ recommendations, localOpportunities, issues }) {
-  const out = [];
+function analyzeAccessibility($) {
+  const idIndex = new Map();
+  $("[id]").each((_, el) => {
+    const id = String($(el).attr("id") || "").trim();
+    if (!id) return;
+    if (!idIndex.has(id)) idIndex.set(id, []);
+    idIndex.get(id).push(el);
+  });
 
-  for (const r of recommendations.slice(0, 6)) {
-    out.push({
-      type: r.category,
-      label: r.title,
-      score: r.score,
-    });
-  }
+  const labelFor = new Set(
+    $("label[for]").toArray().map((el) => String($(el).attr("for") || "").trim()).filter(Boolean)
+  );
 
-  for (const loc of localOpportunities.slice(0, 4)) {
-    out.push({
-      type: "local",
-      label: loc.label,
-      score: loc.score,
-    });
-  }
+  // Champs de formulaire : <label>, aria-label(ledby) ou title ; un placeholder ne suffit pas.
+  const unlabeledFields = $("input, select, textarea")
+    .toArray()
+    .filter((el) => {
+      const $el = $(el);
+      const type = lowerText($el.attr("type"));
+      if (["hidden", "submit", "reset", "button", "image"].includes(type)) return false;
+      if (isAriaHidden($, el)) return false;
+
+      const id = String($el.attr("id") || "").trim();
+      if (id && labelFor.has(id)) return false;
+      if ($el.closest("label").length) return false;
+      return !String($el.attr("aria-label") || $el.attr("title") || "").trim() &&
+        !String($el.attr("aria-labelledby") || "").split(/\s+/).some((x) => idIndex.has(x));
+    })
+    .map((el) => describeElement($, el));
+
+  const unnamedControls = $('a[href], button, [role="button"], [role="link"], input[type="button"]')
+    .toArray()
+    .filter((el) => !isAriaHidden($, el) && !accessibleName($, el, idIndex))
+    .map((el) => describeElement($, el));
+
+  const missingAlt = $('img:not([alt]), input[type="image"]:not([alt]), area[href]:not([alt])')
+    .toArray()
+    .filter((el) => {
+      const role = lowerText($(el).attr("role"));
+      return role !== "presentation" && role !== "none" && !isAriaHidden($, el);
+    })
+    .map((el) => describeElement($, el));
+
+  const landmarks = Object.fromEntries(
+    Object.entries(A11Y_LANDMARKS).map(([name, selector]) => [name, $(selector).length])
+  );
+  const missingLandmarks = Object.keys(landmarks).filter((name) => !landmarks[name]);
+
+  const duplicateIds = [...idIndex.entries()]
+    .filter(([, els]) => els.length > 1)
+    .map(([id, els]) => ({ id, count: els.length }));
+
+  const tabindexMisuse = $("[tabindex]")
+    .toArray()
+    .filter((el) => {
+      const raw = String($(el).attr("tabindex") || "").trim();
+      return !/^-?\d+$/.test(raw) || Number(raw) > 0;
+    })
+    .map((el) => describeElement($, el, ["tabindex"]));
+
+  const ariaProblems = [];
+  $("*").each((_, el) => {
+    const $el = $(el);
+    const element = describeElement($, el);
+
+    for (const name of Object.keys(el.attribs || {})) {
+      const attr = name.toLowerCase();
+      if (attr.startsWith("aria-") && !ARIA_ATTRIBUTES.has(attr)) {
+        ariaProblems.push({ element, reason: "unknown_attribute", detail: attr });
+      }
+    }
 
-  if (issues.some((i) => i.type === "weak_cta")) {
-    out.push({
-      type: "conversion",
-      label: "Les CTA peuvent être renforcés sur les pages business",
-      score: 82,
-    });
-  }
+    const role = lowerText($el.attr("role")).split(/\s+/).filter(Boolean)[0];
+    if (role && !ARIA_ROLES.has(role) && !/^(doc|graphics)-/.test(role)) {
+      ariaProblems.push({ element, reason: "invalid_role", detail: role });
+    }
 
-  return out.sort((a, b) => b.score - a.score).slice(0, 10);
+    for (const attr of ["aria-labelledby", "aria-describedby"]) {
+      const missing = String($el.attr(attr) || "").split(/\s+/).filter((id) => id && !idIndex.has(id));
+      if (missing.length) ariaProblems.push({ element, reason: "missing_reference", detail: `${attr}="${missing.join(" ")}"` });
+    }
+
+    if ($el.attr("aria-hidden") === "true" && isFocusable($, el)) {
+      ariaProblems.push({ element, reason: "hidden_focusable", detail: 'aria-hidden="true"' });
+    }
+  });
+
+  return {
+    a11yFormLabels: a11yCheck(unlabeledFields),
+    a11yControlNames: a11yCheck(unnamedControls),
+    a11yImageAlt: a11yCheck(missingAlt),
+    a11yLandmarks: { ok: landmarks.main > 0, value: { ...landmarks, missing: missingLandmarks } },
+    a11yDuplicateIds: a11yCheck(duplicateIds),
+    a11yTabindex: a11yCheck(tabindexMisuse),
+    a11yAria: a11yCheck(ariaProblems),
+  };
 }
 
-function buildOverviewNarrative({ seoScore, localDominanceScore, uptimeHealth, conversionReadiness, riskEngine, opportunityEngine }) {
-  const parts = [];
+function scoreAccessibility(checks) {
+  const penalty = Object.entries(ACCESSIBILITY_WEIGHTS)
+    .filter(([key]) => checks[key] && !checks[key].ok)
+    .reduce((n, [, points]) => n + points, 0);
+  return Math.max(0, 100 - penalty);
+}
 
-  if (seoScore >= 70 && localDominanceScore < 55) {
-    parts.push("Le site est relativement stable techniquement mais reste sous-exploité localement.");
-  } else if (seoScore < 60) {
-    parts.push("Le site demande encore un renforcement SEO clair avant de viser une progression plus visible.");
-  } else {
-    parts.push("Le site a une base correcte mais plusieurs leviers visibles restent sous-exploités.");
-  }
+// ---------- MOBILE / DESKTOP ----------
+const MOBILE_CONTENT_GAP_RATIO = 0.7;
+const MOBILE_MIN_DESKTOP_WORDS = 100;
+const MOBILE_SIZE_DIFF_RATIO = 0.1;
 
-  if (conversionReadiness < 60) {
-    parts.push("La couche conversion semble trop faible pour capter tout le potentiel du trafic.");
+function absoluteUrlOrEmpty(href, base) {
+  const h = String(href || "").trim();
+  if (!h) return "";
+  try {
+    return normalizeUrl(new URL(h, base).toString());
+  } catch {
+    return "";
   }
+}
 
-  if (riskEngine.monitorsDownUnhandled > 0) {
-    parts.push(`${riskEngine.monitorsDownUnhandled} incident(s) monitor peuvent menacer des pages à enjeu business.`);
+function pageSnapshot($, fetched, wordCount) {
+  const base = fetched.finalUrl;
+  return {
+    status: fetched.status,
+    finalUrl: base,
+    ms: fetched.ms,
+    bytes: Buffer.byteLength(fetched.text || ""),
+    title: ($("title").first().text() || "").trim(),
+    metaDescription: ($('meta[name="description"]').attr("content") || "").trim(),
+    canonical: absoluteUrlOrEmpty($('link[rel="canonical"]').attr("href"), base),
+    h1Count: $("h1").length,
+    viewport: !!($('meta[name="viewport"]').attr("content") || "").trim(),
+    wordCount,
+  };
+}
+
+// Compare la réponse mobile à la réponse desktop : responsive, dynamic serving ou URL séparée (m.).
+async function analyzeMobileParity({ desktopFetched, $, desktopWords, mobileFetched, siteCache, slowMs }) {
+  const desktop = pageSnapshot($, desktopFetched, desktopWords);
+
+  // Timeout ou erreur réseau : parité inconnue, pas un blocage (réservé au HTTP en erreur ou à robots.txt).
+  if (mobileFetched.error) {
+    return {
+      ok: true,
+      value: {
+        variant: "unknown",
+        desktop,
+        mobile: null,
+        differences: [],
+        error: mobileFetched.error.message,
+        slow: false,
+      },
+    };
   }
 
-  if (opportunityEngine.length) {
-    parts.push(`${Math.min(3, opportunityEngine.length)} opportunité(s) peuvent améliorer visibilité et exécution rapidement.`);
+  const $m = cheerio.load(mobileFetched.text);
+  const mobileWords = analyzeContent($m, mobileFetched.text, "").content.value.wordCount;
+  const mobile = pageSnapshot($m, mobileFetched, mobileWords);
+
+  const separate = normalizeUrl(mobile.finalUrl) !== normalizeUrl(desktop.finalUrl);
+  const vary = /user-agent|\*/i.test(String(mobileFetched.headers?.get?.("vary") || ""));
+  const sizeDiff = desktop.bytes ? Math.abs(mobile.bytes - desktop.bytes) / desktop.bytes : 0;
+
+  const metadataDiffers = mobile.title !== desktop.title || mobile.metaDescription !== desktop.metaDescription;
+  const dynamic = !separate && (vary || sizeDiff > MOBILE_SIZE_DIFF_RATIO || metadataDiffers || mobile.canonical !== desktop.canonical);
+  const variant = separate ? "separate_urls" : dynamic ? "dynamic_serving" : "responsive";
+
+  let robotsBlocked = false;
+  if (separate) {
+    const origin = new URL(mobile.finalUrl).origin;
+    if (origin !== new URL(desktop.finalUrl).origin) {
+      const robots = await siteCached(siteCache, `robots-txt:${origin}`, () => fetchRobotsTxt(origin));
+      robotsBlocked = isDisallowedByRobots(robots.parsed, mobile.finalUrl).disallowed;
+    }
   }
 
-  return parts.join(" ");
-}
+  // Une URL mobile séparée doit pointer en canonical vers la page desktop, qui la déclare en alternate.
+  const alternate = separate
+    ? $('link[rel="alternate"][media]').toArray().some((el) => absoluteUrlOrEmpty($(el).attr("href"), desktop.finalUrl) === normalizeUrl(mobile.finalUrl))
+    : true;
+  const canonicalOk = separate
+    ? mobile.canonical === normalizeUrl(desktop.finalUrl) && alternate
+    : mobile.canonical === desktop.canonical;
+
+  const differences = [];
+  const desktopOk = desktop.status >= 200 && desktop.status < 400;
+  if (robotsBlocked || (desktopOk && !mobileFetched.ok)) differences.push("blocked");
+  else if (mobile.status !== desktop.status) differences.push("status");
+
+  // Une page mobile en erreur n'est pas comparable : seul le blocage est signalé.
+  if (!mobileFetched.ok) {
+    return { ok: false, value: { variant, desktop, mobile, differences, robotsBlocked, alternate, vary, contentRatio: null, slow: false } };
+  }
 
-function buildTrialRetentionBlock({ missions, opportunities, plan }) {
-  const pending = missions.filter((m) => m.status !== "done").length;
-  const quickWins = missions.filter((m) => m.isQuickWin && m.status !== "done").length;
+  if (
+    (desktop.wordCount >= MOBILE_MIN_DESKTOP_WORDS && mobile.wordCount < desktop.wordCount * MOBILE_CONTENT_GAP_RATIO) ||
+    (desktop.h1Count > 0 && mobile.h1Count === 0)
+  ) {
+    differences.push("content");
+  }
+  if (metadataDiffers) differences.push("metadata");
+  if (!canonicalOk) differences.push("canonical");
+  if (variant !== "responsive" && !mobile.viewport) differences.push("viewport");
+  if (variant === "dynamic_serving" && !vary) differences.push("vary");
 
   return {
-    progressionUnlocked: missions.filter((m) => m.status === "done").length,
-    missionsReady: pending,
-    packsAvailable: PACK_LIBRARY.length,
-    potentialStillOpen: opportunities.length,
-    whatYouLoseIfYouStop:
-      plan === "ultra"
-        ? "La génération proactive, la logique portefeuille et les workflows reliés."
-        : plan === "pro"
-          ? "Les packs riches, les recommandations regroupées et les analytics avancés."
-          : "La continuité d’exécution, les quick wins et la progression structurée.",
-    quickWinsRemaining: quickWins,
+    ok: differences.length === 0,
+    value: {
+      variant,
+      desktop,
+      mobile,
+      differences,
+      robotsBlocked,
+      alternate,
+      vary,
+      contentRatio: desktop.wordCount ? Math.round((mobile.wordCount / desktop.wordCount) * 100) / 100 : null,
+      slow: mobile.ms >= slowMs,
+    },
   };
 }
 
-function buildMonthlyOperatingSystem({ missions, calendarEvents }) {
-  const todo = missions.filter((m) => m.status !== "done").length;
-  const done = missions.filter((m) => m.status === "done").length;
-  const nextEvents = [...calendarEvents]
-    .filter((e) => e.startAt && new Date(e.startAt).getTime() >= Date.now())
-    .sort((a, b) => new Date(a.startAt) - new Date(b.startAt))
-    .slice(0, 5);
+// ---------- PERFORMANCE ----------
+// Sous-score calculé depuis le HTML et les en-têtes, sans navigateur headless.
+const PERFORMANCE_MIN_SCORE = 70;
+const PAGE_WEIGHT_WARN_BYTES = 1.5 * 1024 * 1024;
+const PAGE_WEIGHT_MAX_BYTES = 3 * 1024 * 1024;
+const THIRD_PARTY_DOMAINS_MAX = 8;
+const RENDER_BLOCKING_MAX = 2;
+const PAGE_REQUESTS_MAX = 60;
+const COMPRESSION_MIN_BYTES = 1400;
+const STATIC_CACHE_MIN_SECONDS = 7 * 24 * 60 * 60;
+
+// null = aucun en-tête de cache.
+function cacheLifetimeSeconds(cacheControl, expires) {
+  const cc = lowerText(cacheControl);
+  if (/no-store|no-cache/.test(cc)) return 0;
+
+  const maxAge = cc.match(/(?:^|[\s,])max-age=(\d+)/);
+  if (maxAge) return Number(maxAge[1]);
+
+  const exp = Date.parse(expires || "");
+  return Number.isFinite(exp) ? Math.max(0, Math.round((exp - Date.now()) / 1000)) : null;
+}
 
-  return {
-    todo,
-    done,
-    remaining: todo,
-    nextPriorities: missions
-      .filter((m) => m.status !== "done")
-      .sort((a, b) => {
-        const rank = { critical: 4, high: 3, medium: 2, low: 1 };
-        return (rank[b.priority] || 0) - (rank[a.priority] || 0);
-      })
-      .slice(0, 5)
-      .map((m) => m.title),
-    nextEvents: nextEvents.map((e) => ({
-      title: e.title,
-      startAt: e.startAt,
-      type: e.type,
-      priority: e.priority,
-    })),
-  };
+function isCompressedEncoding(encoding) {
+  return /gzip|br|deflate|zstd/i.test(String(encoding || ""));
 }
 
-async function getUserEngineContext(user, org, days = 30) {
-  const since = new Date(Date.now() - Math.max(1, days) * 24 * 60 * 60 * 1000);
+async function analyzePerformance($, fetched, siteCache, { ttfbLimitMs, images } = {}) {
+  const baseUrl = fetched.finalUrl;
+  const host = new URL(baseUrl).hostname;
+  const header = (name) => String(fetched.headers?.get?.(name) || "").trim();
 
-  const [audits, monitors, monitorLogs, missions, notes, calendarEvents] = await Promise.all([
-    Audit.find({ orgId: user.orgId }).sort({ createdAt: -1 }).limit(250),
-    Monitor.find({ orgId: user.orgId }).sort({ createdAt: -1 }).limit(200),
-    MonitorLog.find({ orgId: user.orgId, checkedAt: { $gte: since } }).sort({ checkedAt: 1 }).limit(800),
-    Mission.find({ orgId: user.orgId }).sort({ createdAt: -1 }).limit(500),
-    Note.find({ orgId: user.orgId }).sort({ createdAt: -1 }).limit(200),
-    CalendarEvent.find({ orgId: user.orgId }).sort({ startAt: 1 }).limit(300),
-  ]);
+  const assets = new Map();
+  const addAsset = (el, kind, raw) => {
+    const $el = $(el);
+    let url;
+    try {
+      url = new URL(String(raw || "").trim(), baseUrl).toString();
+    } catch {
+      return;
+    }
+    if (!/^https?:/i.test(url) || assets.has(url)) return;
 
-  const sector = inferSectorFromUser(user);
-  const siteProfile = inferSiteProfileFromAudits(audits);
-  const maturity = inferMaturity(audits);
-  const planFeatures = inferPlanFeatures(user.plan);
+    const inHead = $el.closest("head").length > 0;
+    const media = lowerText($el.attr("media")).trim();
+    // Scripts sans async/defer (hors modules) et CSS "all"/"screen" bloquent le premier rendu.
+    const blocking = inHead && (kind === "script"
+      ? $el.attr("async") == null && $el.attr("defer") == null && lowerText($el.attr("type")) !== "module"
+      : $el.attr("disabled") == null && (!media || media === "all" || media === "screen"));
 
-  const existingIssues = await Issue.find({ orgId: user.orgId }).sort({ createdAt: -1 }).limit(500);
-  const ignoredIssueTypes = existingIssues.filter((i) => i.status === "ignored").map((i) => i.type);
-
-  return {
-    org,
-    user,
-    sector,
-    siteProfile,
-    maturity,
-    planFeatures,
-    audits,
-    monitors,
-    monitorLogs,
-    missions,
-    notes,
-    calendarEvents,
-    existingIssues,
-    history: { ignoredIssueTypes },
+    assets.set(url, { url, kind, inHead, blocking, thirdParty: !isSameSite(url, host) });
   };
-}
 
-// ---------- SEED / SYNC ENGINE ----------
+  $("script[src]").each((_, el) => addAsset(el, "script", $(el).attr("src")));
+  $('link[rel~="stylesheet"][href]').each((_, el) => addAsset(el, "stylesheet", $(el).attr("href")));
 
-async function syncIssuesForOrg(user, org) {
-  const ctx = await getUserEngineContext(user, org, 30);
+  const checked = await runWithConcurrency([...assets.values()].slice(0, LINK_CHECK_MAX), LINK_CHECK_CONCURRENCY, async (a) => {
+    const r = await siteCached(siteCache, `link:${a.url}`, () => checkResourceUrl(a.url));
+    return {
+      ...a,
+      status: r.status,
+      bytes: r.bytes || null,
+      compressed: isCompressedEncoding(r.contentEncoding),
+      cacheSeconds: cacheLifetimeSeconds(r.cacheControl, r.expires),
+    };
+  });
 
-  const generated = [];
+  const reachable = checked.filter((a) => a.status >= 200 && a.status < 400);
+  const sumBytes = (list) => list.reduce((n, a) => n + Number(a.bytes || 0), 0);
+  const scripts = checked.filter((a) => a.kind === "script");
+  const stylesheets = checked.filter((a) => a.kind === "stylesheet");
+
+  const inlineScriptBytes = $("script:not([src])").toArray().reduce((n, el) => n + Buffer.byteLength($(el).html() || ""), 0);
+  const inlineStyleBytes = $("style").toArray().reduce((n, el) => n + Buffer.byteLength($(el).html() || ""), 0);
+
+  const htmlBytes = Buffer.byteLength(fetched.text || "");
+  const transferBytes = Number(header("content-length") || 0) || htmlBytes;
+  const imageBytes = Number(images?.totalBytes || 0);
+  const totalBytes = transferBytes + sumBytes(checked) + imageBytes;
+  const requests = 1 + assets.size + Number(images?.count || 0);
+
+  const renderBlocking = checked.filter((a) => a.blocking).map((a) => ({ url: a.url, kind: a.kind }));
+
+  const thirdPartyDomains = uniqueStrings(
+    [...assets.keys(), ...$("img[src], iframe[src]").toArray().map((el) => $(el).attr("src"))]
+      .map((src) => {
+        try {
+          return new URL(String(src || "").trim(), baseUrl).hostname.toLowerCase();
+        } catch {
+          return "";
+        }
+      })
+      .filter((h) => h && hostKey(h) !== hostKey(host))
+  );
 
-  for (const audit of ctx.audits.slice(0, 80)) {
-    const issues = buildIssuesFromAudit(audit, ctx.siteProfile, ctx.sector);
-    generated.push(...issues);
-  }
+  const documentEncoding = lowerText(header("content-encoding"));
+  const documentCompressed = isCompressedEncoding(documentEncoding) || transferBytes <= COMPRESSION_MIN_BYTES;
+  const uncompressed = reachable
+    .filter((a) => !a.compressed && Number(a.bytes || 0) > COMPRESSION_MIN_BYTES)
+    .map((a) => a.url);
 
-  for (const monitor of ctx.monitors.slice(0, 60)) {
-    const issues = buildIssuesFromMonitor(monitor, ctx.sector);
-    generated.push(...issues);
-  }
+  // Les tiers (analytics, widgets) gèrent leur propre cache : seuls les fichiers du site sont jugés.
+  const shortCache = reachable
+    .filter((a) => !a.thirdParty && (a.cacheSeconds == null || a.cacheSeconds < STATIC_CACHE_MIN_SECONDS))
+    .map((a) => ({ url: a.url, cacheSeconds: a.cacheSeconds }));
 
-  const dedupeKey = (i) => [
-    String(i.orgId || ""),
-    i.sourceType,
-    String(i.sourceId || ""),
-    i.type,
-    i.pageUrl || "",
-  ].join("::");
+  const ttfbMs = fetched.ms;
+  const slowTtfb = ttfbMs >= ttfbLimitMs;
 
-  const existing = await Issue.find({ orgId: user.orgId }).select("sourceType sourceId type pageUrl orgId");
-  const existingKeys = new Set(existing.map(dedupeKey));
+  const deductions = [];
+  const deduct = (key, points) => {
+    if (points > 0) deductions.push({ key, points });
+  };
 
-  const toInsert = generated.filter((i) => !existingKeys.has(dedupeKey(i)));
+  deduct("ttfb", slowTtfb ? 25 : ttfbMs >= ttfbLimitMs / 2 ? 10 : 0);
+  deduct("renderBlocking", Math.min(25, renderBlocking.length * 5));
+  deduct("pageWeight", totalBytes > PAGE_WEIGHT_MAX_BYTES ? 20 : totalBytes > PAGE_WEIGHT_WARN_BYTES ? 10 : 0);
+  deduct("compression", (documentCompressed ? 0 : 10) + (uncompressed.length ? 5 : 0));
+  deduct("caching", shortCache.length ? 10 : 0);
+  deduct("thirdParties", thirdPartyDomains.length > THIRD_PARTY_DOMAINS_MAX ? 10 : 0);
+  deduct("requests", requests > PAGE_REQUESTS_MAX ? 5 : 0);
 
-  if (toInsert.length) {
-    await Issue.insertMany(toInsert, { ordered: false }).catch(() => {});
-    await pushTimeline(
-      user.orgId,
-      user._id,
-      "issues_synced",
-      "issue",
-      null,
-      "Issues synchronisées",
-      `${toInsert.length} nouvelle(s) issue(s) ajoutée(s).`,
-      { count: toInsert.length }
-    );
-  }
+  const score = Math.max(0, 100 - deductions.reduce((n, d) => n + d.points, 0));
 
   return {
-    inserted: toInsert.length,
-    totalGenerated: generated.length,
+    ok: score >= PERFORMANCE_MIN_SCORE,
+    value: {
+      score,
+      ttfbMs,
+      ttfbLimitMs,
+      slowTtfb,
+      htmlBytes,
+      transferBytes,
+      totalBytes,
+      requests,
+      scripts: { count: scripts.length, bytes: sumBytes(scripts), inlineBytes: inlineScriptBytes },
+      stylesheets: { count: stylesheets.length, bytes: sumBytes(stylesheets), inlineBytes: inlineStyleBytes },
+      images: { count: Number(images?.count || 0), bytes: imageBytes },
+      renderBlocking,
+      thirdPartyDomains,
+      compression: { document: documentEncoding, documentCompressed, uncompressed: uncompressed.slice(0, 20) },
+      caching: { document: header("cache-control"), shortCache: shortCache.slice(0, 20), shortCacheCount: shortCache.length },
+      truncated: assets.size > checked.length,
+      deductions,
+    },
   };
 }
 
-async function generateMissionsFromOpenIssues(user) {
-  const openIssues = await Issue.find({
-    orgId: user.orgId,
-    status: "open",
-  }).sort({ priorityScore: -1, createdAt: -1 }).limit(120);
-
-  const existingMissions = await Mission.find({ orgId: user.orgId }).select("sourceType sourceId title");
-  const existingKeys = new Set(
-    existingMissions.map((m) => [m.sourceType, String(m.sourceId || ""), m.title].join("::"))
-  );
+// ---------- CUSTOM AUDIT RULES ----------
+const AUDIT_RULE_KINDS = new Set(["selector_exists", "text_contains", "not_noindex"]);
+const AUDIT_RULE_SEVERITIES = new Set(["low", "medium", "high", "critical"]);
+const AUDIT_RULE_CATEGORIES = new Set(["seo", "content", "local", "conversion", "monitor", "reporting", "ops", "team"]);
+
+// "/services/*" → ^/services/.*$ ; motif vide = toutes les pages.
+function rulePathRegex(pattern) {
+  const p = String(pattern || "").trim();
+  if (!p) return null;
+  const withSlash = p.startsWith("/") ? p : `/${p}`;
+  const body = withSlash.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+  return new RegExp(`^${body}$`, "i");
+}
 
-  const toCreate = [];
+function ruleAppliesTo(rule, url) {
+  const re = rulePathRegex(rule.pathPattern);
+  if (!re) return true;
+  try {
+    return re.test(new URL(url).pathname);
+  } catch {
+    return false;
+  }
+}
 
-  for (const issue of openIssues) {
-    const mission = createMissionFromIssue(issue, user);
-    const k = [mission.sourceType, String(mission.sourceId || ""), mission.title].join("::");
-    if (!existingKeys.has(k)) {
-      toCreate.push(mission);
-      existingKeys.add(k);
+function evaluateCustomRule(rule, $, { text, headers }) {
+  if (rule.kind === "selector_exists") {
+    let found = 0;
+    try {
+      found = $(rule.selector).length;
+    } catch {
+      return { ok: false, detail: `Sélecteur invalide : ${rule.selector}` };
     }
+    return found
+      ? { ok: true, detail: `${found} élément(s) « ${rule.selector} »` }
+      : { ok: false, detail: `Aucun élément « ${rule.selector} » sur la page` };
   }
 
-  if (toCreate.length) {
-    const created = await Mission.insertMany(toCreate, { ordered: false }).catch(() => []);
-    await pushTimeline(
-      user.orgId,
-      user._id,
-      "missions_generated_from_issues",
-      "mission",
-      null,
-      "Missions générées",
-      `${created.length} mission(s) générée(s) depuis les issues ouvertes.`,
-      { count: created.length }
-    );
-    return created;
+  if (rule.kind === "text_contains") {
+    const needle = lowerText(rule.text).replace(/\s+/g, " ").trim();
+    const ok = !!needle && lowerText(text).includes(needle);
+    return { ok, detail: ok ? `Texte « ${rule.text} » présent` : `Texte « ${rule.text} » absent de la page` };
   }
 
-  return [];
+  if (rule.kind === "not_noindex") {
+    const directives = [
+      ...$('meta[name="robots"], meta[name="googlebot"]').toArray().map((el) => String($(el).attr("content") || "")),
+      String(headers?.get?.("x-robots-tag") || ""),
+    ].filter(Boolean);
+    const noindex = directives.find((d) => /\bnoindex\b|\bnone\b/i.test(d));
+    return noindex
+      ? { ok: false, detail: `noindex détecté (${noindex})` }
+      : { ok: true, detail: "Page indexable" };
+  }
+
+  return { ok: true, detail: "Type de règle inconnu (ignorée)" };
 }
 
-// ---------- ROUTES: LIBRARIES ----------
+// Les règles sont recopiées dans les findings : l'audit reste lisible même si la règle change ensuite.
+function evaluateCustomRules($, { url, text, headers, rules }) {
+  const applicable = (rules || []).filter((r) => r.enabled !== false && ruleAppliesTo(r, url));
+  if (!applicable.length) return null;
+
+  const results = applicable.map((rule) => ({
+    ruleId: String(rule._id),
+    name: rule.name,
+    kind: rule.kind,
+    pathPattern: rule.pathPattern || "",
+    severity: rule.severity || "medium",
+    penalty: Number(rule.penalty || 0),
+    issueTemplate: rule.issueTemplate || {},
+    ...evaluateCustomRule(rule, $, { text, headers }),
+  }));
 
-app.get("/api/engine/libraries", auth, requireActive, async (req, res) => {
-  const sector = inferSectorFromUser(req.dbUser);
-  const planFeatures = inferPlanFeatures(req.dbUser.plan);
+  const failed = results.filter((r) => !r.ok).length;
+  return { ok: failed === 0, value: { count: results.length, failed, results } };
+}
 
-  return res.json({
-    ok: true,
-    libraries: {
-      missions: MISSION_LIBRARY,
-      issues: ISSUE_LIBRARY,
-      packs: PACK_LIBRARY,
-      sectors: FP_SECTORS,
-      pageTypes: FP_PAGE_TYPES,
-      cities: FP_CITIES,
-    },
-    personalization: {
-      sector,
-      plan: req.dbUser.plan,
-      features: planFeatures,
-    },
-  });
-});
+async function loadAuditRules(orgId) {
+  if (!orgId) return [];
+  return AuditRule.find({ orgId, enabled: true }).sort({ createdAt: 1 }).limit(AUDIT_RULES_MAX).lean();
+}
 
-// ---------- ROUTES: ISSUES ----------
+async function touchAuditRules(orgId) {
+  await Org.updateOne({ _id: orgId }, { $set: { auditRulesUpdatedAt: new Date() } });
+}
 
-app.post("/api/issues/sync", auth, requireActive, async (req, res) => {
-  const out = await syncIssuesForOrg(req.dbUser, req.dbOrg);
-  return res.json({ ok: true, ...out });
-});
+// Valide un payload de règle (création ou patch) et renvoie les champs à enregistrer.
+function sanitizeAuditRuleInput(body = {}, current = {}, locale = DEFAULT_LOCALE) {
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+  const out = {};
+
+  if (has("name") || !current.name) out.name = String(body.name || "").trim().slice(0, 120);
+  if (has("kind") || !current.kind) out.kind = String(body.kind || "selector_exists").trim();
+  if (has("selector")) out.selector = String(body.selector || "").trim().slice(0, 300);
+  if (has("text")) out.text = String(body.text || "").trim().slice(0, 300);
+  if (has("pathPattern")) out.pathPattern = String(body.pathPattern || "").trim().slice(0, 200);
+  if (has("severity")) out.severity = String(body.severity || "").toLowerCase();
+  if (has("penalty")) out.penalty = Number(body.penalty);
+  if (has("enabled")) out.enabled = !!body.enabled;
+
+  if (has("issueTemplate")) {
+    const t = body.issueTemplate || {};
+    out.issueTemplate = {
+      title: String(t.title || "").trim().slice(0, 160),
+      description: String(t.description || "").trim().slice(0, 2000),
+      category: String(t.category || "seo").toLowerCase(),
+      missionTitle: String(t.missionTitle || "").trim().slice(0, 160),
+      recommendation: String(t.recommendation || "").trim().slice(0, 300),
+    };
+  }
 
-app.get("/api/issues", auth, requireActive, async (req, res) => {
-  const status = String(req.query.status || "").trim();
-  const category = String(req.query.category || "").trim();
+  const merged = { ...current, ...out };
 
-  const q = { orgId: req.dbUser.orgId };
-  if (status) q.status = status;
-  if (category) q.category = category;
+  if (!merged.name) return { error: "Nom de règle requis" };
+  if (!AUDIT_RULE_KINDS.has(merged.kind)) return { error: "Type de règle invalide (selector_exists, text_contains, not_noindex)" };
+  if (merged.kind === "selector_exists") {
+    if (!merged.selector) return { error: "Sélecteur CSS requis" };
+    try {
+      cheerio.load("")(merged.selector);
+    } catch {
+      return { error: "Sélecteur CSS invalide" };
+    }
+  }
+  if (merged.kind === "text_contains" && !merged.text) return { error: "Texte requis" };
+  if (merged.severity != null && !AUDIT_RULE_SEVERITIES.has(merged.severity)) return { error: "Sévérité invalide" };
+  if (merged.penalty != null && (!Number.isFinite(merged.penalty) || merged.penalty < 0 || merged.penalty > SCORING_WEIGHT_MAX)) {
+    return { error: tr(locale, "Pénalité invalide (0–{max})", { max: SCORING_WEIGHT_MAX }) };
+  }
+  if (merged.issueTemplate && !AUDIT_RULE_CATEGORIES.has(merged.issueTemplate.category)) {
+    return { error: "Catégorie d’issue invalide" };
+  }
 
-  const issues = await Issue.find(q).sort({ priorityScore: -1, createdAt: -1 }).limit(300);
-  return res.json({ ok: true, issues });
-});
+  return { rule: out };
+}
 
-app.patch("/api/issues/:id", auth, requireActive, async (req, res) => {
-  const issue = await Issue.findOne({
-    _id: req.params.id,
-    orgId: req.dbUser.orgId,
-  });
+// ---------- TARGET KEYWORDS ----------
+const KEYWORDS_PER_PAGE_MAX = 10;
+const KEYWORD_PLACEMENTS = ["title", "h1", "metaDescription", "slug", "firstParagraph", "imageAlt"];
+// Un mot-clé absent du title ou du H1 fait échouer le check ; les autres placements pèsent sur la couverture.
+const KEYWORD_CORE_PLACEMENTS = ["title", "h1"];
+const KEYWORD_PLACEMENT_LABELS = {
+  title: "title",
+  h1: "H1",
+  metaDescription: "meta description",
+  slug: "URL",
+  firstParagraph: "premier paragraphe",
+  imageAlt: "alt des images",
+};
 
-  if (!issue) return res.status(404).json({ error: "Issue introuvable" });
+// "Plombier à Liège" → "plombier a liege" : casse, accents et ponctuation ignorés.
+function normalizeKeyword(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
 
-  if (req.body?.status) issue.status = req.body.status;
-  await issue.save();
+// Expression exacte, ou tous ses mots présents ("plombier liège" dans "Plombier à Liège").
+function containsKeyword(text, keyword) {
+  const k = normalizeKeyword(keyword);
+  if (!k) return false;
+  const t = ` ${normalizeKeyword(text)} `;
+  return t.includes(` ${k} `) || k.split(" ").every((w) => t.includes(` ${w} `));
+}
 
-  await pushTimeline(
-    req.dbUser.orgId,
-    req.dbUser._id,
-    "issue_updated",
-    "issue",
-    issue._id,
-    issue.title,
-    `Issue mise à jour (${issue.status}).`,
-    { status: issue.status }
-  );
+// Map URL normalisée → mots-clés actifs de l'org.
+async function loadTargetKeywords(orgId) {
+  const map = new Map();
+  if (!orgId) return map;
 
-  return res.json({ ok: true, issue });
-});
+  const list = await Keyword.find({ orgId, active: true }).sort({ createdAt: 1 }).select("pageUrl keyword").limit(5000).lean();
+  for (const k of list) {
+    if (!map.has(k.pageUrl)) map.set(k.pageUrl, []);
+    map.get(k.pageUrl).push(k.keyword);
+  }
+  return map;
+}
 
-// ---------- ROUTES: MISSIONS ----------
+function analyzeKeywordCoverage($, { url, title, metaDesc, text, keywords }) {
+  const h1 = $("h1").toArray().map((el) => $(el).text());
+  const paragraphs = $("main p").length ? $("main p") : $("body p");
+  const firstParagraph = paragraphs.toArray().map((el) => $(el).text().trim()).find((t) => t.length >= 40) || "";
+  const alts = $("img[alt]").toArray().map((el) => String($(el).attr("alt") || "")).filter((a) => a.trim());
 
-app.get("/api/missions", auth, requireActive, async (req, res) => {
-  const status = String(req.query.status || "").trim();
-  const category = String(req.query.category || "").trim();
-  const sourceType = String(req.query.sourceType || "").trim();
+  let slug = "";
+  try {
+    slug = decodeURIComponent(new URL(url).pathname);
+  } catch {
+    slug = "";
+  }
 
-  const q = { orgId: req.dbUser.orgId };
-  if (status) q.status = status;
-  if (category) q.category = category;
-  if (sourceType) q.sourceType = sourceType;
+  const bodyText = ` ${normalizeKeyword(text)} `;
+
+  const results = keywords.map((keyword) => {
+    const k = normalizeKeyword(keyword);
+    const placements = {
+      title: containsKeyword(title, keyword),
+      h1: h1.some((h) => containsKeyword(h, keyword)),
+      metaDescription: containsKeyword(metaDesc, keyword),
+      slug: containsKeyword(slug, keyword),
+      firstParagraph: containsKeyword(firstParagraph, keyword),
+      // null = pas d'image avec alt sur la page : placement non applicable.
+      imageAlt: alts.length ? alts.some((a) => containsKeyword(a, keyword)) : null,
+    };
+    const applicable = KEYWORD_PLACEMENTS.filter((p) => placements[p] !== null);
+    const found = applicable.filter((p) => placements[p]);
 
-  const missions = await Mission.find(q).sort({ createdAt: -1 }).limit(500);
-  return res.json({ ok: true, missions });
-});
+    return {
+      keyword,
+      placements,
+      missing: applicable.filter((p) => !placements[p]),
+      occurrences: k ? bodyText.split(` ${k} `).length - 1 : 0,
+      coverage: Math.round((found.length / applicable.length) * 100),
+    };
+  });
 
-app.post("/api/missions", auth, requireActive, async (req, res) => {
-  const body = req.body || {};
-  if (!String(body.title || "").trim()) {
-    return res.status(400).json({ error: "Titre requis" });
+  return {
+    ok: results.every((r) => KEYWORD_CORE_PLACEMENTS.every((p) => r.placements[p])),
+    value: {
+      keywords: results,
+      coverage: Math.round(results.reduce((n, r) => n + r.coverage, 0) / results.length),
+    },
+  };
+}
+
+// ---------- SCORING PROFILES ----------
+// Poids par défaut de chaque règle de scoreAudit (points retirés sur 100).
+const SCORING_WEIGHTS = {
+  title: 15,
+  metaDescription: 12,
+  h1: 10,
+  canonical: 8,
+  robots: 6,
+  lang: 4,
+  https: 12,
+  viewport: 6,
+  og: 4,
+  performance: 8,
+  robotsTxtBlocked: 15,
+  robotsTxtMissing: 2,
+  sitemapInvalid: 4,
+  sitemapPageMissing: 2,
+  structuredDataMissing: 4,
+  structuredDataErrors: 4,
+  brokenInternalLinks: 8,
+  brokenResources: 6,
+  brokenExternalLinks: 3,
+  content: 8,
+  headings: 3,
+  imagesMissingAlt: 5,
+  heavyImages: 6,
+  imagesMissingDimensions: 3,
+  legacyImageFormats: 2,
+  hsts: 4,
+  csp: 3,
+  contentTypeOptions: 2,
+  frameOptions: 2,
+  referrerPolicy: 1,
+  permissionsPolicy: 1,
+  mixedContent: 8,
+  redirectChain: 4,
+  temporaryRedirects: 2,
+  hreflangReturnLinks: 4,
+  hreflangLanguage: 3,
+  hreflangInvalid: 3,
+  mobileBlocked: 12,
+  mobileContentGap: 8,
+  mobileCanonical: 6,
+  mobileMetadata: 3,
+};
+// Règles de même nature plafonnées ensemble : une page saine à qui il ne manque que des en-têtes de durcissement
+// ou des optimisations d'images ne doit pas perdre autant qu'une page sans title ni HTTPS.
+const SCORING_WEIGHT_GROUPS = {
+  securityHeaders: { cap: 5, keys: ["hsts", "csp", "contentTypeOptions", "frameOptions", "referrerPolicy", "permissionsPolicy"] },
+  images: { cap: 6, keys: ["imagesMissingAlt", "heavyImages", "imagesMissingDimensions", "legacyImageFormats"] },
+  structuredData: { cap: 4, keys: ["structuredDataMissing", "structuredDataErrors"] },
+  brokenLinks: { cap: 10, keys: ["brokenInternalLinks", "brokenResources", "brokenExternalLinks"] },
+  redirects: { cap: 4, keys: ["redirectChain", "temporaryRedirects"] },
+  hreflang: { cap: 6, keys: ["hreflangReturnLinks", "hreflangLanguage", "hreflangInvalid"] },
+  mobile: { cap: 15, keys: ["mobileBlocked", "mobileContentGap", "mobileCanonical", "mobileMetadata"] },
+};
+// À incrémenter quand le calcul du score change : chaque org change alors de version de profil (ensureOrgDefaults).
+const SCORING_ENGINE_VERSION = 1;
+const SCORING_WEIGHT_MAX = 50;
+// Clés renommées : les profils enregistrés avant le renommage gardent leur poids.
+const LEGACY_SCORING_WEIGHT_KEYS = { responseTime: "performance" };
+
+function renameLegacyScoringWeights(weights = {}) {
+  const out = { ...weights };
+  for (const [legacy, key] of Object.entries(LEGACY_SCORING_WEIGHT_KEYS)) {
+    if (!(legacy in out)) continue;
+    if (!(key in out)) out[key] = out[legacy];
+    delete out[legacy];
   }
+  return out;
+}
 
-  const mission = await Mission.create({
-    orgId: req.dbUser.orgId,
-    userId: req.dbUser._id,
-    title: String(body.title || "").trim(),
-    description: String(body.description || "").trim(),
-    category: body.category || "ops",
-    sourceType: body.sourceType || "manual",
-    sourceId: body.sourceId || undefined,
-    priority: body.priority || "medium",
-    impact: body.impact || "medium",
-    status: body.status || "todo",
-    pageUrl: body.pageUrl || "",
-    siteUrl: body.siteUrl || "",
-    dueDate: body.dueDate ? new Date(body.dueDate) : undefined,
-    assignedToUserId: body.assignedToUserId || undefined,
-    isAutomated: !!body.isAutomated,
-    isQuickWin: !!body.isQuickWin,
-    tags: Array.isArray(body.tags) ? body.tags : [],
-  });
+const SCORING_THRESHOLD_LIMITS = {
+  titleMinLength: { min: 1, max: 200, default: 10 },
+  titleMaxLength: { min: 10, max: 300, default: 70 },
+  metaMinLength: { min: 0, max: 300, default: 80 },
+  metaMaxLength: { min: 50, max: 500, default: 180 },
+  responseTimeMs: { min: 200, max: 30000, default: 3000 },
+  minWords: { min: 0, max: 5000, default: THIN_CONTENT_WORDS },
+  heavyImageBytes: { min: 10 * 1024, max: 10 * 1024 * 1024, default: HEAVY_IMAGE_BYTES },
+};
+const SCORING_THRESHOLDS = Object.fromEntries(
+  Object.entries(SCORING_THRESHOLD_LIMITS).map(([k, l]) => [k, l.default])
+);
 
-  await pushTimeline(
-    req.dbUser.orgId,
-    req.dbUser._id,
-    "mission_created",
-    "mission",
-    mission._id,
-    mission.title,
-    "Mission créée.",
-    { category: mission.category, priority: mission.priority }
-  );
+// Ne garde que les clés connues, avec des valeurs numériques dans les bornes.
+function cleanScoringOverrides(input, locale = DEFAULT_LOCALE) {
+  const weights = {};
+  const thresholds = {};
+  const errors = [];
+
+  for (const [key, raw] of Object.entries(renameLegacyScoringWeights(input?.weights))) {
+    if (!(key in SCORING_WEIGHTS)) { errors.push(tr(locale, "Poids inconnu : {key}", { key })); continue; }
+    if (raw === null || raw === "") continue;
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0 || n > SCORING_WEIGHT_MAX) {
+      errors.push(tr(locale, "Poids invalide pour {key} (0–{max})", { key, max: SCORING_WEIGHT_MAX }));
+      continue;
+    }
+    weights[key] = Math.round(n * 10) / 10;
+  }
 
-  return res.json({ ok: true, mission });
-});
+  for (const [key, raw] of Object.entries(input?.thresholds || {})) {
+    const limits = SCORING_THRESHOLD_LIMITS[key];
+    if (!limits) { errors.push(tr(locale, "Seuil inconnu : {key}", { key })); continue; }
+    if (raw === null || raw === "") continue;
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < limits.min || n > limits.max) {
+      errors.push(tr(locale, "Seuil invalide pour {key} ({min}–{max})", { key, min: limits.min, max: limits.max }));
+      continue;
+    }
+    thresholds[key] = Math.round(n);
+  }
 
-app.patch("/api/missions/:id", auth, requireActive, async (req, res) => {
-  const mission = await Mission.findOne({
-    _id: req.params.id,
-    orgId: req.dbUser.orgId,
+  const merged = { ...SCORING_THRESHOLDS, ...thresholds };
+  if (merged.titleMinLength > merged.titleMaxLength) errors.push(tr(locale, "titleMinLength doit être ≤ titleMaxLength"));
+  if (merged.metaMinLength > merged.metaMaxLength) errors.push(tr(locale, "metaMinLength doit être ≤ metaMaxLength"));
+
+  return { weights, thresholds, errors };
+}
+
+// Profil effectif d'une org : valeurs par défaut + surcharges enregistrées (version 0 = profil par défaut).
+function resolveScoringProfile(org) {
+  const stored = org?.scoringProfile || {};
+  const { weights, thresholds } = cleanScoringOverrides({
+    weights: stored.weights || {},
+    thresholds: stored.thresholds || {},
   });
 
-  if (!mission) return res.status(404).json({ error: "Mission introuvable" });
+  return {
+    version: Number(stored.version || 0),
+    name: String(stored.name || "").trim() || "Par défaut",
+    weights: { ...SCORING_WEIGHTS, ...weights },
+    thresholds: { ...SCORING_THRESHOLDS, ...thresholds },
+    overrides: { weights, thresholds },
+    updatedAt: stored.updatedAt || null,
+  };
+}
 
-  const prevStatus = mission.status;
+// Hors crawl, siteCache est propre à l'audit : une ressource partagée par plusieurs checks n'est vérifiée qu'une fois.
+async function runSeoAudit(url, { siteCache = new Map(), scoringProfile, customRules, targetKeywords, locale = DEFAULT_LOCALE } = {}) {
+  const profile = scoringProfile || resolveScoringProfile(null);
+  const t = profile.thresholds;
+  let fetched;
+  // Lancée en parallèle ; une erreur mobile ne fait pas échouer l'audit.
+  const mobilePromise = fetchWithTiming(url, { userAgent: MOBILE_USER_AGENT }).catch((error) => ({ error }));
 
-  const allowed = [
-    "title",
-    "description",
-    "category",
-    "priority",
-    "impact",
-    "status",
-    "pageUrl",
-    "siteUrl",
-    "dueDate",
-    "assignedToUserId",
-    "isQuickWin",
-    "tags",
-  ];
+  try {
+    fetched = await fetchWithTiming(url);
+  } catch (e) {
+    await mobilePromise;
+    return {
+      status: "error",
+      score: 0,
+      accessibilityScore: null,
+      performanceScore: null,
+      summary: e.redirects
+        ? tr(locale, "Impossible de charger l’URL : {reason}.", { reason: tr(locale, e.message).toLowerCase() })
+        : tr(locale, "Impossible de charger l’URL."),
+      findings: e.redirects ? { redirects: analyzeRedirectChain(e.redirects) } : {},
+      recommendations: [],
+      htmlSnapshot: "",
+      links: [],
+      scoring: { version: profile.version, name: profile.name, weights: profile.weights, thresholds: t, penalties: [] },
+      error: e.message,
+    };
+  }
 
-  for (const key of allowed) {
-    if (Object.prototype.hasOwnProperty.call(req.body || {}, key)) {
-      mission[key] = req.body[key];
+  const $ = cheerio.load(fetched.text);
+
+  const title = ($("title").first().text() || "").trim();
+  const metaDesc = ($('meta[name="description"]').attr("content") || "").trim();
+  const h1Count = $("h1").length;
+  const robots = ($('meta[name="robots"]').attr("content") || "").trim();
+  const lang = ($("html").attr("lang") || "").trim();
+  const viewport = ($('meta[name="viewport"]').attr("content") || "").trim();
+
+  const ogTitle = ($('meta[property="og:title"]').attr("content") || "").trim();
+  const ogDesc = ($('meta[property="og:description"]').attr("content") || "").trim();
+  const ogImg = ($('meta[property="og:image"]').attr("content") || "").trim();
+
+  const httpsOk = String(fetched.finalUrl || url).startsWith("https://");
+  const crawlability = await analyzeRobotsAndSitemap(fetched.finalUrl || url, siteCache);
+  const brokenLinks = await analyzeBrokenLinks($, fetched.finalUrl || url, siteCache);
+  const images = await analyzeImages($, fetched.finalUrl || url, siteCache, { heavyBytes: t.heavyImageBytes });
+  const contentAnalysis = analyzeContent($, fetched.text, lang, { minWords: t.minWords });
+  const security = analyzeSecurityHeaders(fetched.headers, $, fetched.finalUrl || url);
+  const hreflang = await analyzeHreflang($, fetched.finalUrl || url, lang, siteCache);
+  const canonical = await analyzeCanonical($, fetched.finalUrl || url, { hreflang, siteCache });
+  const performance = await analyzePerformance($, { ...fetched, finalUrl: fetched.finalUrl || url }, siteCache, {
+    ttfbLimitMs: t.responseTimeMs,
+    images: images.value,
+  });
+  const mobile = await analyzeMobileParity({
+    desktopFetched: { ...fetched, finalUrl: fetched.finalUrl || url },
+    $,
+    desktopWords: contentAnalysis.content.value.wordCount,
+    mobileFetched: await mobilePromise,
+    siteCache,
+    slowMs: t.responseTimeMs,
+  });
+
+  const titleTerms = significantTerms(title);
+  const bodyTerms = new Set(significantTerms(contentAnalysis.text));
+  const titleTermsInContent = titleTerms.filter((t) => bodyTerms.has(t)).length;
+
+  const checks = {
+    http: { ok: fetched.ok, value: fetched.status },
+    performance,
+    https: { ok: httpsOk, value: fetched.finalUrl },
+    redirects: analyzeRedirectChain(fetched.redirects),
+    ...security,
+    mixedContent: analyzeMixedContent($, fetched.finalUrl || url),
+    title: {
+      ok: title.length >= t.titleMinLength && title.length <= t.titleMaxLength,
+      value: title,
+      length: title.length,
+      termsInContent: titleTermsInContent,
+      termsTotal: titleTerms.length,
+    },
+    metaDescription: { ok: metaDesc.length >= t.metaMinLength && metaDesc.length <= t.metaMaxLength, value: metaDesc },
+    h1: { ok: h1Count === 1, value: h1Count },
+    canonical,
+    robots: { ok: robots.length === 0 || /index|follow/i.test(robots), value: robots || "(none)" },
+    lang: { ok: !!lang, value: lang },
+    ...(hreflang ? { hreflang } : {}),
+    viewport: { ok: !!viewport, value: viewport },
+    mobile,
+    og: { ok: !!(ogTitle && ogDesc && ogImg), value: { ogTitle, ogDesc, ogImg } },
+    structuredData: analyzeStructuredData($),
+    brokenLinks,
+    images,
+    content: contentAnalysis.content,
+    headings: contentAnalysis.headings,
+    ...analyzeAccessibility($),
+    ...(crawlability || {}),
+  };
+
+  const keywords = targetKeywords?.get(normalizeUrl(url)) || [];
+  if (keywords.length) {
+    checks.keywords = analyzeKeywordCoverage($, {
+      url: fetched.finalUrl || url,
+      title,
+      metaDesc,
+      text: contentAnalysis.text,
+      keywords,
+    });
+  }
+
+  const custom = evaluateCustomRules($, {
+    url: fetched.finalUrl || url,
+    text: contentAnalysis.text,
+    headers: fetched.headers,
+    rules: customRules,
+  });
+  if (custom) checks.customRules = custom;
+
+  const penalties = scorePenalties(checks, profile.weights);
+  const score = scoreAudit(checks, profile.weights);
+  const accessibilityScore = scoreAccessibility(checks);
+  const performanceScore = performance.value.score;
+  const recommendations = buildAuditRecommendations(checks, t, locale);
+
+  const summary = fetched.ok
+    ? tr(locale, "Audit OK. HTTP {status} – {ms}ms – Score {score}/100.", { status: fetched.status, ms: fetched.ms, score })
+    : tr(locale, "Audit: page non OK. HTTP {status} – Score {score}/100.", { status: fetched.status, score });
+
+  return {
+    status: fetched.ok ? "ok" : "error",
+    score,
+    accessibilityScore,
+    performanceScore,
+    summary,
+    findings: checks,
+    recommendations,
+    htmlSnapshot: fetched.text.slice(0, 20000),
+    links: extractPageLinks($, fetched.finalUrl || url),
+    scoring: { version: profile.version, name: profile.name, weights: profile.weights, thresholds: t, penalties },
+  };
+}
+
+// ---------- SITE CRAWL ----------
+const CRAWL_SKIP_EXT = /\.(pdf|jpe?g|png|gif|webp|avif|svg|ico|css|js|json|xml|zip|rar|7z|mp4|mp3|webm|docx?|xlsx?|pptx?)$/i;
+
+function hostKey(host) {
+  return String(host || "").toLowerCase().replace(/^www\./, "");
+}
+
+function isSameSite(url, host) {
+  try {
+    return hostKey(new URL(url).hostname) === hostKey(host);
+  } catch {
+    return false;
+  }
+}
+
+function extractPageLinks($, baseUrl) {
+  const out = new Set();
+
+  $("a[href]").each((_, el) => {
+    const href = String($(el).attr("href") || "").trim();
+    if (!href || /^(mailto:|tel:|javascript:|#)/i.test(href)) return;
+
+    try {
+      const u = new URL(href, baseUrl);
+      if (!["http:", "https:"].includes(u.protocol)) return;
+      u.hash = "";
+      out.add(u.toString());
+    } catch {}
+  });
+
+  return [...out];
+}
+
+function isCrawlableUrl(url, host) {
+  if (!isSameSite(url, host)) return false;
+  try {
+    return !CRAWL_SKIP_EXT.test(new URL(url).pathname);
+  } catch {
+    return false;
+  }
+}
+
+async function fetchSitemapUrls(rootUrl, limit = 500) {
+  let origin;
+  try {
+    origin = new URL(rootUrl).origin;
+  } catch {
+    return [];
+  }
+
+  const robots = await fetchRobotsTxt(origin);
+  const sitemaps = await discoverSitemaps(origin, robots);
+
+  return uniqueStrings(sitemaps.flatMap((sm) => sm.locs.map(normalizeUrl))).slice(0, limit);
+}
+
+// Les pages sans sous-score (erreur de chargement) sont ignorées pour l'accessibilité et la performance.
+function aggregateCrawlScore(pages, key = "score") {
+  const scores = (pages || [])
+    .filter((p) => key === "score" || p[key] != null)
+    .map((p) => Number(p[key] || 0))
+    .filter(Number.isFinite);
+  if (!scores.length) return 0;
+  return Math.round(scores.reduce((s, x) => s + x, 0) / scores.length);
+}
+
+function buildCrawlCheckStats(results) {
+  const stats = {};
+
+  for (const r of results || []) {
+    for (const [key, check] of Object.entries(r?.findings || {})) {
+      if (!check || typeof check.ok !== "boolean") continue;
+      if (!stats[key]) stats[key] = { passed: 0, failed: 0, failedUrls: [] };
+
+      if (check.ok) {
+        stats[key].passed += 1;
+      } else {
+        stats[key].failed += 1;
+        if (stats[key].failedUrls.length < 20) stats[key].failedUrls.push(r.url);
+      }
     }
   }
 
-  if (req.body?.status === "done" && prevStatus !== "done") {
-    mission.completedAt = new Date();
+  return stats;
+}
+
+async function runSiteCrawl(rootUrl, { maxPages = CRAWL_MAX_PAGES, maxDepth = CRAWL_MAX_DEPTH, scoringProfile, customRules, targetKeywords, locale, onPage } = {}) {
+  const root = normalizeUrl(await assertSafePublicUrl(rootUrl));
+  const host = new URL(root).hostname;
+
+  const sitemapUrls = (await fetchSitemapUrls(root, maxPages * 4))
+    .filter((u) => isCrawlableUrl(u, host));
+
+  const siteCache = new Map();
+  const seen = new Set([root]);
+  const discovered = [root];
+  const results = [];
+
+  let frontier = [{ url: root, depth: 0 }];
+
+  // Les URLs du sitemap complètent le niveau 1 : elles sont auditées même si aucun lien interne n'y mène.
+  const sitemapQueue = sitemapUrls.filter((u) => !seen.has(u));
+  for (const u of sitemapUrls) {
+    if (!seen.has(u)) {
+      seen.add(u);
+      discovered.push(u);
+    }
   }
 
-  await mission.save();
+  for (let depth = 0; depth <= maxDepth && results.length < maxPages; depth++) {
+    if (depth === 1) {
+      frontier.push(...sitemapQueue.map((url) => ({ url, depth: 1 })));
+    }
 
-  await pushTimeline(
-    req.dbUser.orgId,
-    req.dbUser._id,
-    "mission_updated",
-    "mission",
-    mission._id,
-    mission.title,
-    `Mission mise à jour (${mission.status}).`,
-    { prevStatus, nextStatus: mission.status }
-  );
+    const batch = frontier.slice(0, maxPages - results.length);
+    if (!batch.length) break;
 
-  return res.json({ ok: true, mission });
-});
+    const pageResults = await runWithConcurrency(batch, CRAWL_CONCURRENCY, async (item) => {
+      const out = await runSeoAudit(item.url, { siteCache, scoringProfile, customRules, targetKeywords, locale });
+      const page = { ...out, url: item.url, depth: item.depth };
+      if (onPage) await onPage(page);
+      return page;
+    });
 
-app.delete("/api/missions/:id", auth, requireActive, async (req, res) => {
-  const mission = await Mission.findOne({
-    _id: req.params.id,
-    orgId: req.dbUser.orgId,
+    const next = [];
+
+    for (const page of pageResults) {
+      results.push(page);
+
+      for (const link of page.links || []) {
+        const u = normalizeUrl(link);
+        if (seen.has(u) || !isCrawlableUrl(u, host)) continue;
+        seen.add(u);
+        discovered.push(u);
+        next.push({ url: u, depth: depth + 1 });
+      }
+    }
+
+    frontier = next;
+  }
+
+  return {
+    rootUrl: root,
+    host,
+    results,
+    discovered,
+    sitemapUrlsCount: sitemapUrls.length,
+  };
+}
+
+// ---------- AUDIT COMPARE ----------
+function compareCheckStatus(before, after) {
+  if (!before && after) return "new";
+  if (before && !after) return "removed";
+  if (!before.ok && after.ok) return "fixed";
+  if (before.ok && !after.ok) return "regressed";
+  return "unchanged";
+}
+
+function diffAudits(before, after, locale = DEFAULT_LOCALE) {
+  const bf = before?.findings || {};
+  const af = after?.findings || {};
+
+  const checks = uniqueStrings([...Object.keys(bf), ...Object.keys(af)])
+    .filter((key) => typeof (af[key] || bf[key])?.ok === "boolean")
+    .map((key) => {
+      const b = bf[key];
+      const a = af[key];
+      const status = compareCheckStatus(b, a);
+      const valueChanged = JSON.stringify(b?.value ?? null) !== JSON.stringify(a?.value ?? null);
+      const scalar = (v) => (v == null || typeof v === "object" ? undefined : v);
+
+      return {
+        key,
+        status,
+        before: b ? { ok: b.ok, value: scalar(b.value) } : null,
+        after: a ? { ok: a.ok, value: scalar(a.value) } : null,
+        valueChanged,
+      };
+    });
+
+  // Comparaison sur la clé de recommandation : "3 images" → "4 images" reste la même recommandation.
+  const keyed = (audit) => new Map((audit ? localizedAuditRecommendations(audit, locale, { withKeys: true }) : [])
+    .map((r) => [r.key, r.text]));
+  const bRecs = keyed(before);
+  const aRecs = keyed(after);
+
+  const recommendations = [
+    ...[...aRecs].map(([key, text]) => ({ key, text, status: bRecs.has(key) ? "unchanged" : "new" })),
+    ...[...bRecs].filter(([key]) => !aRecs.has(key)).map(([key, text]) => ({ key, text, status: "fixed" })),
+  ];
+
+  const beforeScore = Number(before?.score || 0);
+  const afterScore = Number(after?.score || 0);
+  const delta = afterScore - beforeScore;
+  const subScore = (key) => {
+    const b = before?.[key] ?? null;
+    const a = after?.[key] ?? null;
+    return { before: b, after: a, delta: b != null && a != null ? a - b : null };
+  };
+  const accessibility = subScore("accessibilityScore");
+  const performance = subScore("performanceScore");
+
+  const count = (list, status) => list.filter((x) => x.status === status).length;
+
+  return {
+    before: {
+      id: before?._id,
+      url: before?.url,
+      createdAt: before?.createdAt,
+      score: beforeScore,
+      accessibilityScore: accessibility.before,
+      performanceScore: performance.before,
+    },
+    after: {
+      id: after?._id,
+      url: after?.url,
+      createdAt: after?.createdAt,
+      score: afterScore,
+      accessibilityScore: accessibility.after,
+      performanceScore: performance.after,
+    },
+    score: {
+      before: beforeScore,
+      after: afterScore,
+      delta,
+      status: delta > 0 ? "improved" : delta < 0 ? "regressed" : "unchanged",
+      // Deux versions de profil différentes : une partie de l'écart vient des poids, pas de la page.
+      profileBefore: Number(before?.scoringProfileVersion || 0),
+      profileAfter: Number(after?.scoringProfileVersion || 0),
+      profileChanged: Number(before?.scoringProfileVersion || 0) !== Number(after?.scoringProfileVersion || 0),
+    },
+    accessibility,
+    performance,
+    checks,
+    recommendations,
+    totals: {
+      fixed: count(checks, "fixed"),
+      regressed: count(checks, "regressed"),
+      new: count(checks, "new"),
+      unchanged: count(checks, "unchanged"),
+      recommendationsFixed: count(recommendations, "fixed"),
+      recommendationsNew: count(recommendations, "new"),
+    },
+  };
+}
+
+async function findPreviousAudit(audit) {
+  return Audit.findOne({
+    orgId: audit.orgId,
+    urlNormalized: audit.urlNormalized || normalizeUrl(audit.url),
+    createdAt: { $lt: audit.createdAt },
+    _id: { $ne: audit._id },
+  }).sort({ createdAt: -1 });
+}
+
+function auditQuotaRemaining(user, org) {
+  const q = effectiveQuotas(user, org);
+  return Math.max(0, q.audits - Number(user.usedAudits || 0));
+}
+
+async function runAndStoreAudit({ user, org, url, scoringProfile, customRules, targetKeywords, consumeQuota = true }) {
+  const ok = !consumeQuota || await consume(user, org, "audits", 1);
+  if (!ok) {
+    const err = new Error("Quota audits dépassé");
+    err.status = 429;
+    throw err;
+  }
+
+  const urlNorm = normalizeUrl(url);
+  const out = await runSeoAudit(urlNorm, {
+    scoringProfile: scoringProfile || resolveScoringProfile(org),
+    customRules: customRules || await loadAuditRules(user.orgId),
+    targetKeywords: targetKeywords || await loadTargetKeywords(user.orgId),
+    locale: resolveLocale({ user, org }),
   });
 
-  if (!mission) return res.status(404).json({ error: "Mission introuvable" });
+  return Audit.create({
+    orgId: user.orgId,
+    userId: user._id,
+    url: urlNorm,
+    urlNormalized: urlNorm,
+    status: out.status,
+    score: out.score,
+    accessibilityScore: out.accessibilityScore,
+    performanceScore: out.performanceScore,
+    summary: out.summary,
+    findings: out.findings,
+    recommendations: out.recommendations,
+    htmlSnapshot: out.htmlSnapshot,
+    scoringProfileVersion: out.scoring.version,
+    scoring: out.scoring,
+  });
+}
 
-  await Mission.deleteOne({ _id: mission._id });
+async function runAndStoreCrawl({ user, org, rootUrl, maxPages, maxDepth, onProgress, resumeCrawlId, onStart }) {
+  // Reprise (job relancé) : un crawl terminé est renvoyé tel quel ; un crawl interrompu repart sur le même document,
+  // ses pages partielles étant supprimées et recréditées pour ne pas être comptées deux fois.
+  let crawl = resumeCrawlId ? await Crawl.findOne({ _id: resumeCrawlId, orgId: user.orgId }) : null;
+  if (crawl?.status === "done") return crawl;
+  if (crawl) {
+    const { deletedCount } = await Audit.deleteMany({ orgId: user.orgId, crawlId: crawl._id });
+    // Resté "running" = process tué avant le finally : toute la réservation est encore débitée.
+    await refundQuota(user, "audits", crawl.status === "running" ? crawl.maxPages : deletedCount);
+    crawl.status = "error";
+    await crawl.save();
+  }
 
-  await pushTimeline(
-    req.dbUser.orgId,
-    req.dbUser._id,
-    "mission_deleted",
-    "mission",
-    mission._id,
-    mission.title,
-    "Mission supprimée."
+  const pageBudget = Math.min(
+    clampInt(maxPages || CRAWL_MAX_PAGES, 1, CRAWL_MAX_PAGES),
+    auditQuotaRemaining(user, org)
   );
 
-  return res.json({ ok: true });
-});
+  // Tout le budget est réservé avant le crawl, comme pour les audits en lot ; les pages non auditées sont recréditées à la fin.
+  if (pageBudget <= 0 || !(await consume(user, org, "audits", pageBudget))) {
+    const err = new Error("Quota audits dépassé");
+    err.status = 429;
+    throw err;
+  }
 
-app.post("/api/missions/generate-from-issues", auth, requireActive, async (req, res) => {
-  const created = await generateMissionsFromOpenIssues(req.dbUser);
-  return res.json({ ok: true, createdCount: created.length, missions: created });
-});
+  const depthLimit = clampInt(maxDepth ?? CRAWL_MAX_DEPTH, 0, CRAWL_MAX_DEPTH);
+  const pages = [];
 
-app.post("/api/missions/generate-pack", auth, requireActive, async (req, res) => {
-  const packKey = String(req.body?.packKey || "").trim();
-  const pack = PACK_LIBRARY.find((p) => p.key === packKey);
-  if (!pack) return res.status(404).json({ error: "Pack introuvable" });
+  try {
+    if (crawl) {
+      crawl.set({ status: "running", maxPages: pageBudget, maxDepth: depthLimit, pages: [], pagesAudited: 0, error: "", finishedAt: null });
+      await crawl.save();
+    } else {
+      crawl = await Crawl.create({
+        orgId: user.orgId,
+        userId: user._id,
+        rootUrl: normalizeUrl(rootUrl),
+        host: (() => {
+          try { return new URL(rootUrl).hostname; } catch { return ""; }
+        })(),
+        status: "running",
+        maxPages: pageBudget,
+        maxDepth: depthLimit,
+      });
+    }
+    if (onStart) await onStart(crawl);
+
+    const locale = resolveLocale({ user, org });
+    const out = await runSiteCrawl(rootUrl, {
+      maxPages: pageBudget,
+      maxDepth: depthLimit,
+      scoringProfile: resolveScoringProfile(org),
+      customRules: await loadAuditRules(user.orgId),
+      targetKeywords: await loadTargetKeywords(user.orgId),
+      locale,
+      onPage: async (page) => {
+        const audit = await Audit.create({
+          orgId: user.orgId,
+          userId: user._id,
+          url: page.url,
+          urlNormalized: normalizeUrl(page.url),
+          status: page.status,
+          score: page.score,
+          accessibilityScore: page.accessibilityScore,
+          performanceScore: page.performanceScore,
+          summary: page.summary,
+          findings: page.findings,
+          recommendations: page.recommendations,
+          htmlSnapshot: page.htmlSnapshot,
+          scoringProfileVersion: page.scoring.version,
+          scoring: page.scoring,
+          crawlId: crawl._id,
+          crawlDepth: page.depth,
+        });
+
+        pages.push({
+          url: page.url,
+          depth: page.depth,
+          auditId: audit._id,
+          status: page.status,
+          score: page.score,
+          accessibilityScore: page.accessibilityScore,
+          performanceScore: page.performanceScore,
+        });
+
+        if (onProgress) await onProgress(pages.length, pageBudget, page.url);
+      },
+    });
 
-  const ctx = await getUserEngineContext(req.dbUser, req.dbOrg, 30);
-  const localOpportunities = buildLocalOpportunities(ctx.siteProfile, ctx.sector);
-  const targetCities = localOpportunities.map((x) => x.city).slice(0, 5);
+    const score = aggregateCrawlScore(pages);
+    const errors = pages.filter((p) => p.status !== "ok").length;
+
+    crawl.status = "done";
+    crawl.host = out.host;
+    crawl.pages = pages.sort((a, b) => a.depth - b.depth);
+    crawl.pagesAudited = pages.length;
+    crawl.pagesDiscovered = out.discovered.length;
+    crawl.discoveredUrls = out.discovered.slice(0, 1000);
+    crawl.sitemapUrlsCount = out.sitemapUrlsCount;
+    crawl.checkStats = buildCrawlCheckStats(out.results);
+    crawl.score = score;
+    crawl.accessibilityScore = aggregateCrawlScore(pages, "accessibilityScore");
+    crawl.performanceScore = aggregateCrawlScore(pages, "performanceScore");
+    crawl.summary = errors
+      ? tr(locale, "Crawl OK. {pages} page(s) auditée(s) sur {discovered} découverte(s) – {errors} en erreur – Score site {score}/100.", {
+        pages: pages.length,
+        discovered: out.discovered.length,
+        errors,
+        score,
+      })
+      : tr(locale, "Crawl OK. {pages} page(s) auditée(s) sur {discovered} découverte(s) – Score site {score}/100.", {
+        pages: pages.length,
+        discovered: out.discovered.length,
+        score,
+      });
+    crawl.finishedAt = new Date();
+    await crawl.save();
 
-  const missionsPayload = createPackMissions(pack, {
-    sector: ctx.sector,
-    siteUrl: ctx.siteProfile.urls[0] || "",
-    targetCities,
-  }, req.dbUser);
+    return crawl;
+  } catch (e) {
+    if (crawl) {
+      crawl.status = "error";
+      crawl.pages = pages;
+      crawl.pagesAudited = pages.length;
+      crawl.error = e.message || "Erreur crawl";
+      crawl.finishedAt = new Date();
+      await crawl.save().catch(() => {});
+    }
+    throw e;
+  } finally {
+    await refundQuota(user, "audits", pageBudget - pages.length)
+      .catch((e) => console.log("crawl refund error:", e.message));
+  }
+}
 
-  const created = missionsPayload.length
-    ? await Mission.insertMany(missionsPayload, { ordered: false }).catch(() => [])
-    : [];
+// ---------- AUDIT SCHEDULER ----------
+const SCHEDULE_FREQUENCIES = new Set(["daily", "weekly", "monthly"]);
 
-  const packRun = await PackRun.create({
-    orgId: req.dbUser.orgId,
-    userId: req.dbUser._id,
-    packKey: pack.key,
-    name: pack.name,
-    category: pack.category,
-    summary: pack.summary,
-    sourceType: "system",
-    impactExpected: pack.impactExpected,
-    difficulty: pack.difficulty,
-    estimatedTime: pack.estimatedTime,
-    previewItems: pack.previewItems,
-    createdMissionIds: created.map((m) => m._id),
-  });
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: String(tz || "") });
+    return !!tz;
+  } catch {
+    return false;
+  }
+}
 
-  await pushTimeline(
-    req.dbUser.orgId,
-    req.dbUser._id,
-    "pack_generated",
-    "pack",
-    packRun._id,
-    pack.name,
-    `${created.length} mission(s) créées depuis le pack.`,
-    { packKey: pack.key, createdCount: created.length }
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
   );
 
-  return res.json({ ok: true, packRun, createdCount: created.length, missions: created });
-});
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
+}
 
-app.get("/api/missions/stats", auth, requireActive, async (req, res) => {
-  const missions = await Mission.find({ orgId: req.dbUser.orgId }).limit(1000);
+// Décalage (ms) du fuseau par rapport à UTC à l'instant donné (DST compris).
+function timeZoneOffsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
 
-  const stats = {
-    total: missions.length,
-    todo: missions.filter((m) => m.status === "todo").length,
-    inProgress: missions.filter((m) => m.status === "in_progress").length,
-    blocked: missions.filter((m) => m.status === "blocked").length,
-    done: missions.filter((m) => m.status === "done").length,
-    critical: missions.filter((m) => m.priority === "critical" || m.impact === "critical").length,
-    automated: missions.filter((m) => m.isAutomated).length,
-    quickWins: missions.filter((m) => m.isQuickWin).length,
-    byCategory: {
-      seo: missions.filter((m) => m.category === "seo").length,
-      content: missions.filter((m) => m.category === "content").length,
-      local: missions.filter((m) => m.category === "local").length,
-      conversion: missions.filter((m) => m.category === "conversion").length,
-      monitor: missions.filter((m) => m.category === "monitor").length,
-      reporting: missions.filter((m) => m.category === "reporting").length,
-      ops: missions.filter((m) => m.category === "ops").length,
-      team: missions.filter((m) => m.category === "team").length,
+function zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - timeZoneOffsetMs(new Date(guess), timeZone);
+  return new Date(guess - timeZoneOffsetMs(new Date(first), timeZone));
+}
+
+// Prochaine occurrence strictement après `from`, calculée dans le fuseau de l'org.
+function computeNextRunAt(schedule, timeZone = DEFAULT_TIMEZONE, from = new Date()) {
+  const tz = isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  const today = zonedParts(from, tz);
+
+  for (let i = 0; i <= 62; i++) {
+    const d = new Date(Date.UTC(today.year, today.month - 1, today.day + i));
+
+    if (schedule.frequency === "weekly" && d.getUTCDay() !== Number(schedule.dayOfWeek ?? 1)) continue;
+    if (schedule.frequency === "monthly" && d.getUTCDate() !== Number(schedule.dayOfMonth ?? 1)) continue;
+
+    const at = zonedTimeToUtc({
+      year: d.getUTCFullYear(),
+      month: d.getUTCMonth() + 1,
+      day: d.getUTCDate(),
+      hour: Number(schedule.hour ?? 7),
+      minute: Number(schedule.minute ?? 0),
+    }, tz);
+
+    if (at.getTime() > from.getTime()) return at;
+  }
+
+  return new Date(from.getTime() + 24 * 60 * 60 * 1000);
+}
+
+function sanitizeAuditScheduleInput(body = {}, current = {}) {
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+  const out = {};
+
+  if (has("url") || !current.url) out.url = String(body.url || "").trim();
+  if (has("mode")) out.mode = String(body.mode || "page").toLowerCase();
+  if (has("maxPages")) out.maxPages = clampInt(body.maxPages, 1, CRAWL_MAX_PAGES);
+  if (has("maxDepth")) out.maxDepth = clampInt(body.maxDepth, 0, CRAWL_MAX_DEPTH);
+  if (has("frequency")) out.frequency = String(body.frequency || "").toLowerCase();
+  if (has("dayOfWeek")) out.dayOfWeek = Number(body.dayOfWeek);
+  if (has("dayOfMonth")) out.dayOfMonth = Number(body.dayOfMonth);
+  if (has("hour")) out.hour = Number(body.hour);
+  if (has("minute")) out.minute = Number(body.minute);
+  if (has("active")) out.active = !!body.active;
+  if (has("scoreDropThreshold")) out.scoreDropThreshold = Number(body.scoreDropThreshold);
+  if (has("alertOnCheckFailures")) out.alertOnCheckFailures = !!body.alertOnCheckFailures;
+
+  const m = { ...current, ...out };
+  const intIn = (v, min, max) => v == null || (Number.isInteger(v) && v >= min && v <= max);
+
+  if (!m.url || !/^https?:\/\//i.test(m.url)) return { error: "URL invalide (http/https)" };
+  if (m.mode != null && !["page", "crawl"].includes(m.mode)) return { error: "Mode invalide (page, crawl)" };
+  if (m.frequency != null && !SCHEDULE_FREQUENCIES.has(m.frequency)) return { error: "Fréquence invalide (daily, weekly, monthly)" };
+  if (!intIn(m.dayOfWeek, 0, 6)) return { error: "dayOfWeek invalide (0 = dimanche … 6 = samedi)" };
+  if (!intIn(m.dayOfMonth, 1, 28)) return { error: "dayOfMonth invalide (1–28)" };
+  if (!intIn(m.hour, 0, 23) || !intIn(m.minute, 0, 59)) return { error: "Heure invalide" };
+  if (m.scoreDropThreshold != null && (!Number.isFinite(m.scoreDropThreshold) || m.scoreDropThreshold < 0 || m.scoreDropThreshold > 100)) {
+    return { error: "scoreDropThreshold invalide (0–100)" };
+  }
+
+  return { schedule: out };
+}
+
+// Compare chaque audit produit avec l'audit précédent de la même URL.
+async function collectAuditRegressions(audits) {
+  const out = [];
+
+  for (const audit of audits) {
+    const prev = await findPreviousAudit(audit);
+    if (!prev) continue;
+
+    const diff = diffAudits(prev, audit);
+    const failedChecks = diff.checks.filter((c) => c.status === "regressed").map((c) => c.key);
+
+    out.push({
+      url: audit.url,
+      auditId: audit._id,
+      scoreBefore: diff.score.before,
+      scoreAfter: diff.score.after,
+      delta: diff.score.delta,
+      profileChanged: diff.score.profileChanged,
+      failedChecks,
+    });
+  }
+
+  return out;
+}
+
+function formatAuditRegressionEmail({ orgName, url, scoreBefore, scoreAfter, threshold, pages, locale = DEFAULT_LOCALE }) {
+  const drop = scoreBefore != null && scoreAfter != null ? scoreBefore - scoreAfter : 0;
+  const l = (text, vars) => tr(locale, text, vars);
+  const subject = `${BRAND_NAME} — ${l("Régression audit")}: ${url}`;
+  const dropLabel = drop > threshold ? ` (−${drop}, ${l("seuil {threshold}", { threshold })})` : "";
+
+  const pageLines = pages
+    .filter((p) => p.failedChecks.length)
+    .slice(0, 20)
+    .map((p) => `- ${p.url} : ${p.failedChecks.join(", ")}`);
+
+  const text = `${l("Organisation")}: ${orgName}
+URL: ${url}
+Score: ${scoreBefore ?? "-"} → ${scoreAfter ?? "-"}${dropLabel}
+${pageLines.length ? `${l("Checks passés en échec")}:\n${pageLines.join("\n")}` : ""}`;
+
+  const html = `
+    <h2 style="margin:0">${BRAND_NAME} — <span style="color:#B00020">${l("Régression audit")}</span></h2>
+    <p><b>${l("Organisation")}</b>: ${escapeHtml(orgName || "-")}</p>
+    <p><b>URL</b>: ${escapeHtml(url)}</p>
+    <p><b>Score</b>: ${scoreBefore ?? "-"} → ${scoreAfter ?? "-"}${dropLabel}</p>
+    ${pageLines.length ? `<p><b>${l("Checks passés en échec")}</b>:</p><ul>${pageLines.map((x) => `<li>${escapeHtml(x.slice(2))}</li>`).join("")}</ul>` : ""}
+  `;
+
+  return { subject, text, html };
+}
+
+// Compare le run d'une planification (exécuté par le worker de jobs) au précédent et alerte en cas de régression.
+async function reportAuditScheduleRun(schedule, org, { auditId, crawlId, score }) {
+  const audits = crawlId ? await Audit.find({ crawlId }) : await Audit.find({ _id: auditId });
+
+  const pages = await collectAuditRegressions(audits);
+  const scoreBefore = schedule.mode === "crawl" ? schedule.lastScore : pages[0]?.scoreBefore;
+  // Un changement de profil de scoring fait bouger le score sans que la page ait changé.
+  const profileChanged = pages.some((p) => p.profileChanged);
+  const threshold = Number(schedule.scoreDropThreshold ?? 5);
+  const drop = scoreBefore != null && !profileChanged ? scoreBefore - score : 0;
+  const failedPages = schedule.alertOnCheckFailures ? pages.filter((p) => p.failedChecks.length) : [];
+
+  const alert = drop > threshold || failedPages.length > 0;
+  if (alert) {
+    const to = await getOrgAlertEmails(org._id);
+    const payload = formatAuditRegressionEmail({
+      orgName: org.name || "Organisation",
+      url: schedule.url,
+      scoreBefore,
+      scoreAfter: score,
+      threshold,
+      pages: failedPages,
+      locale: resolveLocale({ org }),
+    });
+
+    if (to.length) {
+      await sendEmail({
+        to: to.join(","),
+        subject: payload.subject,
+        text: payload.text,
+        html: payload.html,
+      }).catch((e) => console.log("audit schedule email error:", e.message));
+    }
+
+    const failedKeys = uniqueStrings(failedPages.flatMap((p) => p.failedChecks));
+    await pushSystemMessage(
+      org._id,
+      "audits",
+      `📉 Audit planifié ${schedule.url} : score ${scoreBefore ?? "-"} → ${score}` +
+        `${failedKeys.length ? ` · checks en échec : ${failedKeys.slice(0, 8).join(", ")}` : ""}`,
+      crawlId ? "crawl" : "audit",
+      crawlId || auditId
+    );
+  }
+
+  return alert;
+}
+
+// ---------- COMPETITOR BENCHMARK ----------
+const COMPETITOR_LEAD_MIN = 10;
+
+// Checks comparés pour les écarts "le concurrent a X, pas vous" (clé de findings → libellé + catégorie).
+const COMPETITOR_GAP_CHECKS = {
+  https: { label: "HTTPS actif", category: "seo", score: 86 },
+  performance: { label: "une page rapide", category: "conversion", score: 82 },
+  mobile: { label: "une version mobile complète", category: "conversion", score: 80 },
+  viewport: { label: "un affichage adapté au mobile", category: "conversion", score: 78 },
+  content: { label: "un contenu étoffé", category: "content", score: 76 },
+  title: { label: "un title optimisé", category: "seo", score: 74 },
+  structuredData: { label: "des données structurées schema.org", category: "seo", score: 72 },
+  metaDescription: { label: "une meta description", category: "seo", score: 70 },
+  h1: { label: "un H1 unique", category: "seo", score: 66 },
+  brokenLinks: { label: "aucun lien cassé", category: "seo", score: 62 },
+  sitemap: { label: "un sitemap XML", category: "seo", score: 60 },
+  images: { label: "des images optimisées", category: "conversion", score: 58 },
+  canonical: { label: "une URL canonique", category: "seo", score: 56 },
+  og: { label: "un aperçu réseaux sociaux (Open Graph)", category: "seo", score: 52 },
+};
+
+function sanitizeCompetitorInput(body = {}, current = {}) {
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+  const scheduleFields = ["url", "frequency", "dayOfWeek", "dayOfMonth", "hour", "minute", "active"];
+  const { schedule, error } = sanitizeAuditScheduleInput(
+    Object.fromEntries(Object.entries(body).filter(([k]) => scheduleFields.includes(k))),
+    current
+  );
+  if (error) return { error };
+
+  const out = { ...schedule };
+  if (has("name")) out.name = String(body.name || "").trim().slice(0, 120);
+  if (has("siteUrl") || !current.siteUrl) out.siteUrl = String(body.siteUrl || "").trim();
+
+  const siteUrl = out.siteUrl ?? current.siteUrl;
+  let siteHost = "";
+  try {
+    siteHost = /^https?:\/\//i.test(siteUrl) ? new URL(siteUrl).hostname : "";
+  } catch {
+    siteHost = "";
+  }
+  if (!siteHost) return { error: "URL du site invalide (http/https)" };
+  if (isSameSite(out.url ?? current.url, siteHost)) {
+    return { error: "Le concurrent doit être un autre site que le vôtre" };
+  }
+
+  return { competitor: out };
+}
+
+// Le concurrent est audité avec le profil de scoring de l'org, sans ses règles maison.
+async function runCompetitorAudit(competitor) {
+  const { user, org } = await loadActiveUserAndOrg(competitor.userId);
+  const ok = await consume(user, org, "audits", 1);
+  if (!ok) {
+    const err = new Error("Quota audits dépassé");
+    err.status = 429;
+    throw err;
+  }
+
+  const out = await runSeoAudit(competitor.url, {
+    scoringProfile: resolveScoringProfile(org),
+    locale: resolveLocale({ user, org }),
+  });
+
+  const audit = await CompetitorAudit.create({
+    orgId: competitor.orgId,
+    competitorId: competitor._id,
+    url: competitor.url,
+    status: out.status,
+    score: out.score,
+    accessibilityScore: out.accessibilityScore,
+    performanceScore: out.performanceScore,
+    summary: out.summary,
+    findings: out.findings,
+    scoringProfileVersion: out.scoring.version,
+  });
+
+  competitor.lastRunAt = new Date();
+  competitor.lastStatus = out.status;
+  competitor.lastError = out.error || "";
+  competitor.lastScore = out.score;
+  competitor.lastAuditId = audit._id;
+
+  return audit;
+}
+
+// Dernier audit exploitable du site de l'org : l'URL exacte d'abord, sinon n'importe quelle page du même host.
+function pickSiteAudit(audits, siteUrl) {
+  const target = normalizeUrl(siteUrl);
+  const host = new URL(target).hostname;
+  const usable = audits.filter((a) => a.status !== "error").sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  return usable.find((a) => normalizeUrl(a.url) === target) || usable.find((a) => isSameSite(a.url, host)) || null;
+}
+
+function buildCompetitorComparison({ siteUrl, siteAudit, competitors, competitorAudits, locale = DEFAULT_LOCALE }) {
+  const latest = new Map(competitorAudits.map((a) => [String(a._id), a]));
+  const rows = competitors.map((c) => ({ competitor: c, audit: c.lastAuditId ? latest.get(String(c.lastAuditId)) : null }));
+  const siteFindings = siteAudit?.findings || {};
+  const nameOf = (c) => c.name || new URL(c.url).hostname;
+
+  const checkKeys = uniqueStrings([
+    ...Object.keys(siteFindings),
+    ...rows.flatMap((r) => Object.keys(r.audit?.findings || {})),
+  ]).filter((key) => [siteFindings[key], ...rows.map((r) => r.audit?.findings?.[key])].some((c) => typeof c?.ok === "boolean"));
+
+  const checks = checkKeys.map((key) => ({
+    key,
+    site: typeof siteFindings[key]?.ok === "boolean" ? siteFindings[key].ok : null,
+    competitors: rows.map((r) => {
+      const c = r.audit?.findings?.[key];
+      return { id: r.competitor._id, ok: typeof c?.ok === "boolean" ? c.ok : null };
+    }),
+  }));
+
+  const gaps = [];
+  if (siteAudit) {
+    for (const [key, def] of Object.entries(COMPETITOR_GAP_CHECKS)) {
+      if (siteFindings[key]?.ok !== false) continue;
+      const ahead = rows.filter((r) => r.audit?.findings?.[key]?.ok === true).map((r) => nameOf(r.competitor));
+      if (ahead.length) gaps.push({ key, category: def.category, score: def.score, competitors: ahead, feature: def.label });
+    }
+
+    const localAhead = rows
+      .filter((r) => r.audit?.findings?.structuredData?.value?.hasLocalBusiness)
+      .map((r) => nameOf(r.competitor));
+    if (localAhead.length && !siteFindings.structuredData?.value?.hasLocalBusiness) {
+      gaps.push({ key: "localBusiness", category: "local", score: 84, competitors: localAhead, feature: "une fiche LocalBusiness (schema.org)" });
+    }
+  }
+
+  for (const g of gaps) {
+    g.label = tr(locale, "{competitors} : {feature} — pas vous", {
+      competitors: g.competitors.slice(0, 3).join(", "),
+      feature: tr(locale, g.feature),
+    });
+  }
+
+  const siteScore = siteAudit ? Number(siteAudit.score || 0) : null;
+  const leads = rows
+    .filter((r) => r.audit?.status === "ok" && siteScore != null && r.audit.score - siteScore >= COMPETITOR_LEAD_MIN)
+    .map((r) => ({
+      id: r.competitor._id,
+      name: nameOf(r.competitor),
+      delta: r.audit.score - siteScore,
+      label: tr(locale, "{name} devance le site de {delta} points SEO", { name: nameOf(r.competitor), delta: r.audit.score - siteScore }),
+    }));
+
+  return {
+    site: {
+      url: siteUrl,
+      auditId: siteAudit?._id || null,
+      auditedAt: siteAudit?.createdAt || null,
+      score: siteScore,
+      accessibilityScore: siteAudit?.accessibilityScore ?? null,
+      performanceScore: siteAudit?.performanceScore ?? null,
     },
-    bySource: {
-      manual: missions.filter((m) => m.sourceType === "manual").length,
-      audit: missions.filter((m) => m.sourceType === "audit").length,
-      monitor: missions.filter((m) => m.sourceType === "monitor").length,
-      system: missions.filter((m) => m.sourceType === "system").length,
-      local: missions.filter((m) => m.sourceType === "local").length,
-      team: missions.filter((m) => m.sourceType === "team").length,
+    competitors: rows.map((r) => ({
+      id: r.competitor._id,
+      name: nameOf(r.competitor),
+      url: r.competitor.url,
+      auditId: r.audit?._id || null,
+      auditedAt: r.audit?.createdAt || null,
+      status: r.audit?.status || null,
+      score: r.audit?.score ?? null,
+      accessibilityScore: r.audit?.accessibilityScore ?? null,
+      performanceScore: r.audit?.performanceScore ?? null,
+    })),
+    checks,
+    gaps: gaps.sort((a, b) => b.score - a.score),
+    leads: leads.sort((a, b) => b.delta - a.delta),
+  };
+}
+
+// Écarts de tous les sites de l'org, pour l'opportunity engine de l'overview.
+async function loadCompetitorBenchmarks(orgId, audits, locale = DEFAULT_LOCALE) {
+  const competitors = await Competitor.find({ orgId, active: true }).limit(100);
+  if (!competitors.length) return [];
+
+  const competitorAudits = await CompetitorAudit.find({
+    _id: { $in: competitors.map((c) => c.lastAuditId).filter(Boolean) },
+  }).select("status score accessibilityScore performanceScore findings createdAt");
+
+  const bySite = new Map();
+  for (const c of competitors) {
+    const key = hostKey(c.siteHost);
+    if (!bySite.has(key)) bySite.set(key, []);
+    bySite.get(key).push(c);
+  }
+
+  return [...bySite.values()].map((list) => buildCompetitorComparison({
+    siteUrl: list[0].siteUrl,
+    siteAudit: pickSiteAudit(audits, list[0].siteUrl),
+    competitors: list,
+    competitorAudits,
+    locale,
+  }));
+}
+
+// ---------- BULK AUDITS ----------
+// Lit une liste collée (une URL par ligne / séparées par virgules) ou un CSV (colonne "url" ou 1re cellule http).
+function parseCsvLine(line, delimiter) {
+  const cells = [];
+  let cur = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      cells.push(cur.trim());
+      cur = "";
+    } else {
+      cur += c;
+    }
+  }
+
+  cells.push(cur.trim());
+  return cells;
+}
+
+function extractBulkUrlRows(text, { csv = false } = {}) {
+  const lines = String(text || "").replace(/^\uFEFF/, "").split(/\r?\n/);
+
+  if (!csv) {
+    return lines
+      .flatMap((line) => line.split(/[\s,;]+/))
+      .map((part) => part.trim())
+      .filter(Boolean)
+      .map((raw, i) => ({ row: i + 1, raw }));
+  }
+
+  const first = lines.find((l) => l.trim()) || "";
+  const delimiter = (first.match(/;/g) || []).length > (first.match(/,/g) || []).length ? ";" : ",";
+  const header = parseCsvLine(first, delimiter).map((h) => lowerText(h));
+  const urlCol = header.findIndex((h) => ["url", "urls", "adresse", "address", "link", "lien", "page"].includes(h));
+  const hasHeader = urlCol >= 0 || !header.some((h) => /^https?:\/\//i.test(h));
+
+  const rows = [];
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    if (hasHeader && line === first) return;
+
+    const cells = parseCsvLine(line, delimiter);
+    const raw = urlCol >= 0 ? cells[urlCol] : cells.find((c) => /^https?:\/\//i.test(c)) || cells[0];
+    rows.push({ row: i + 1, raw: String(raw || "").trim() });
+  });
+
+  return rows;
+}
+
+// Valide chaque ligne sans faire échouer le lot : les lignes rejetées restent dans le rapport.
+async function validateBulkUrlRows(rows) {
+  const seen = new Set();
+
+  return runWithConcurrency(rows, LINK_CHECK_CONCURRENCY, async (r) => {
+    if (!/^https?:\/\//i.test(r.raw)) {
+      return { row: r.row, url: r.raw, status: "invalid", error: "URL invalide (http/https)" };
+    }
+
+    try {
+      const url = normalizeUrl(await assertSafePublicUrl(r.raw));
+      if (seen.has(url)) return { row: r.row, url, status: "invalid", error: "Doublon" };
+      seen.add(url);
+      return { row: r.row, url, status: "pending" };
+    } catch (e) {
+      return { row: r.row, url: r.raw, status: "invalid", error: e.message || "URL refusée" };
+    }
+  });
+}
+
+// Reprenable : seules les lignes encore "pending" sont auditées, un redémarrage en plein lot ne refait rien.
+async function runBulkAuditJob(jobId, { onProgress } = {}) {
+  const job = await BulkAuditJob.findById(jobId);
+  if (!job || !["queued", "running"].includes(job.status)) return job;
+
+  const user = await User.findById(job.userId);
+  const org = user?.orgId ? await Org.findById(user.orgId) : null;
+
+  if (!user) {
+    job.status = "error";
+    job.error = "Utilisateur introuvable";
+    await job.save();
+    return job;
+  }
+
+  job.status = "running";
+  job.startedAt = job.startedAt || new Date();
+  await job.save();
+
+  const scoringProfile = resolveScoringProfile(org);
+  const customRules = await loadAuditRules(job.orgId);
+  const targetKeywords = await loadTargetKeywords(job.orgId);
+  const pending = job.rows.filter((r) => r.status === "pending");
+  let processed = job.processed || 0;
+  let refunds = 0;
+
+  // Mises à jour atomiques par ligne : les workers tournent en parallèle sur le même job.
+  await runWithConcurrency(pending, BULK_AUDIT_CONCURRENCY, async (r) => {
+    let set;
+    let ok = false;
+
+    try {
+      const audit = await runAndStoreAudit({
+        user,
+        org,
+        url: r.url,
+        scoringProfile,
+        customRules,
+        targetKeywords,
+        consumeQuota: false,
+      });
+      ok = audit.status === "ok";
+      set = { status: audit.status, auditId: audit._id, score: audit.score, summary: audit.summary };
+    } catch (e) {
+      refunds += 1;
+      set = { status: "error", error: e.message || "Erreur audit" };
+    }
+
+    await BulkAuditJob.updateOne(
+      { _id: job._id, "rows.row": r.row },
+      {
+        $set: Object.fromEntries(Object.entries(set).map(([k, v]) => [`rows.$.${k}`, v])),
+        $inc: { processed: 1, [ok ? "succeeded" : "failed"]: 1 },
+      }
+    );
+
+    processed += 1;
+    if (onProgress) await onProgress(processed, job.total, r.url);
+  });
+
+  // Quota réservé au lancement : les lignes qui n'ont produit aucun audit sont recréditées.
+  await refundQuota(user, "audits", refunds);
+
+  return BulkAuditJob.findByIdAndUpdate(
+    job._id,
+    { $set: { status: "done", finishedAt: new Date() } },
+    { new: true }
+  );
+}
+
+// ---------- JOB QUEUE ----------
+// Jobs persistés en base, exécutés par un worker in-process ; les routes renvoient un jobId tout de suite.
+const JOB_FINAL_STATES = new Set(["done", "failed"]);
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Mêmes règles d'accès que requireActive, pour les exécutions hors requête HTTP (cron, worker).
+async function loadActiveUserAndOrg(userId) {
+  const user = await User.findById(userId);
+  const trialOver = user?.hasTrial && user.trialEndsAt && new Date(user.trialEndsAt).getTime() < Date.now() &&
+    !["active", "trialing"].includes(String(user.subscriptionStatus || "").toLowerCase());
+  if (!user || user.accessBlocked || trialOver) {
+    const err = new Error("Utilisateur inactif");
+    err.status = 403;
+    throw err;
+  }
+
+  await resetUsageIfNewMonth(user);
+  const org = user.orgId ? await Org.findById(user.orgId) : null;
+  if (!org) {
+    const err = new Error("Organisation introuvable");
+    err.status = 404;
+    throw err;
+  }
+  await ensureOrgDefaults(org);
+
+  return { user, org };
+}
+
+// Les handlers sont rejoués tels quels après un échec ou un redémarrage : ils s'appuient sur job.checkpoint
+// pour ne pas recréer de documents ni redébiter le quota.
+const JOB_HANDLERS = {
+  audit: async (job, ctx) => {
+    const { user, org } = await loadActiveUserAndOrg(job.userId);
+    await ctx.progress(0, 1, `Audit de ${job.payload.url}…`);
+
+    let audit = job.checkpoint?.auditId ? await Audit.findById(job.checkpoint.auditId) : null;
+    if (!audit) {
+      if (!job.checkpoint?.quotaConsumed) {
+        if (!(await consume(user, org, "audits", 1))) {
+          const err = new Error("Quota audits dépassé");
+          err.status = 429;
+          throw err;
+        }
+        await ctx.checkpoint({ quotaConsumed: true });
+      }
+
+      audit = await runAndStoreAudit({ user, org, url: job.payload.url, consumeQuota: false });
+      await ctx.checkpoint({ auditId: audit._id });
+    }
+
+    return {
+      auditId: audit._id,
+      status: audit.status,
+      score: audit.score,
+      accessibilityScore: audit.accessibilityScore,
+      performanceScore: audit.performanceScore,
+      summary: audit.summary,
+    };
+  },
+
+  crawl: async (job, ctx) => {
+    const { user, org } = await loadActiveUserAndOrg(job.userId);
+    await ctx.progress(0, job.payload.maxPages || CRAWL_MAX_PAGES, `Crawl de ${job.payload.url}…`);
+
+    const crawl = await runAndStoreCrawl({
+      user,
+      org,
+      rootUrl: job.payload.url,
+      maxPages: job.payload.maxPages,
+      maxDepth: job.payload.maxDepth,
+      resumeCrawlId: job.checkpoint?.crawlId,
+      onStart: (c) => (job.checkpoint?.crawlId ? null : ctx.checkpoint({ crawlId: c._id })),
+      onProgress: (processed, total, url) => ctx.progress(processed, total, url),
+    });
+
+    return {
+      crawlId: crawl._id,
+      score: crawl.score,
+      accessibilityScore: crawl.accessibilityScore,
+      performanceScore: crawl.performanceScore,
+      pagesAudited: crawl.pagesAudited,
+      pagesDiscovered: crawl.pagesDiscovered,
+      summary: crawl.summary,
+    };
+  },
+
+  // Planification d'audit lancée par le cron : même exécution qu'un job audit/crawl, puis comparaison au run précédent.
+  schedule: async (job, ctx) => {
+    const schedule = await AuditSchedule.findById(job.payload.scheduleId);
+    if (!schedule) {
+      const err = new Error("Planification introuvable");
+      err.status = 404;
+      throw err;
+    }
+
+    try {
+      const run = await JOB_HANDLERS[job.payload.mode === "crawl" ? "crawl" : "audit"](job, ctx);
+      const { org } = await loadActiveUserAndOrg(job.userId);
+      const alert = await reportAuditScheduleRun(schedule, org, run);
+
+      schedule.set({
+        lastStatus: "ok",
+        lastError: "",
+        lastScore: run.score,
+        lastAuditId: run.auditId,
+        lastCrawlId: run.crawlId,
+        lastRunAt: new Date(),
+      });
+      if (alert) schedule.lastAlertAt = new Date();
+      await schedule.save();
+
+      return { ...run, alert };
+    } catch (e) {
+      await AuditSchedule.updateOne(
+        { _id: schedule._id },
+        { $set: { lastStatus: "error", lastError: e.message || "Erreur audit planifié", lastRunAt: new Date() } }
+      );
+      throw e;
+    }
+  },
+
+  bulk: async (job, ctx) => {
+    const bulk = await runBulkAuditJob(job.payload.bulkJobId, {
+      onProgress: (processed, total, url) => ctx.progress(processed, total, url),
+    });
+    if (!bulk) {
+      const err = new Error("Lot introuvable");
+      err.status = 404;
+      throw err;
+    }
+
+    return {
+      bulkJobId: bulk._id,
+      status: bulk.status,
+      processed: bulk.processed,
+      succeeded: bulk.succeeded,
+      failed: bulk.failed,
+    };
+  },
+};
+
+function publicJob(job) {
+  return {
+    id: job._id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress || {},
+    result: job.result || null,
+    error: job.error || "",
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+async function enqueueJob({ user, type, payload = {}, maxAttempts = JOB_MAX_ATTEMPTS }) {
+  if (!JOB_HANDLERS[type]) throw new Error(`Type de job inconnu : ${type}`);
+
+  return Job.create({
+    orgId: user.orgId,
+    userId: user._id,
+    type,
+    payload,
+    maxAttempts,
+    runAfter: new Date(),
+  });
+}
+
+async function updateJob(jobId, set) {
+  const job = await Job.findByIdAndUpdate(jobId, { $set: set }, { new: true });
+  if (job) jobEvents.emit(`job:${job._id}`, publicJob(job));
+  return job;
+}
+
+async function claimNextJob() {
+  return Job.findOneAndUpdate(
+    { status: "queued", runAfter: { $lte: new Date() } },
+    {
+      $set: { status: "running", lockedAt: new Date(), startedAt: new Date(), error: "" },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAfter: 1, createdAt: 1 }, new: true }
+  );
+}
+
+async function processJob(job) {
+  jobEvents.emit(`job:${job._id}`, publicJob(job));
+
+  // Progression limitée à une écriture par seconde (sauf fin de lot).
+  let lastWrite = 0;
+  let lastTotal = job.progress?.total || 0;
+  const ctx = {
+    progress: async (processed, total, message = "") => {
+      lastTotal = total;
+      const now = Date.now();
+      if (now - lastWrite < 1000 && processed < total) return;
+      lastWrite = now;
+      await updateJob(job._id, { progress: { processed, total, message: String(message).slice(0, 300) }, lockedAt: new Date() })
+        .catch((e) => console.log("job progress error:", e.message));
+    },
+    checkpoint: async (patch) => {
+      job.checkpoint = { ...(job.checkpoint || {}), ...patch };
+      await Job.updateOne({ _id: job._id }, { $set: { checkpoint: job.checkpoint } });
+    },
+  };
+
+  try {
+    const result = await JOB_HANDLERS[job.type](job, ctx);
+    await updateJob(job._id, {
+      status: "done",
+      result,
+      error: "",
+      progress: { processed: lastTotal || 1, total: lastTotal || 1, message: "Terminé" },
+      finishedAt: new Date(),
+      lockedAt: null,
+    });
+  } catch (e) {
+    // Les erreurs 4xx (quota, accès) ne se corrigent pas en réessayant.
+    const permanent = e.status >= 400 && e.status < 500;
+    const retry = !permanent && job.attempts < job.maxAttempts;
+
+    await updateJob(job._id, retry
+      ? {
+        status: "queued",
+        error: e.message || "Erreur job",
+        runAfter: new Date(Date.now() + 5000 * 2 ** job.attempts),
+        lockedAt: null,
+      }
+      : {
+        status: "failed",
+        error: e.message || "Erreur job",
+        finishedAt: new Date(),
+        lockedAt: null,
+      });
+
+    if (!retry) await releaseJobReservation(job).catch((err) => console.log("job refund error:", err.message));
+  }
+}
+
+// Job abandonné : recrédite ce que ses tentatives ont réservé sans le consommer.
+async function releaseJobReservation(job) {
+  const checkpoint = job.checkpoint || {};
+  const user = { _id: job.userId };
+  const kind = job.type === "schedule" ? (job.payload?.mode === "crawl" ? "crawl" : "audit") : job.type;
+
+  if (kind === "audit" && checkpoint.quotaConsumed && !checkpoint.auditId) {
+    await refundQuota(user, "audits", 1);
+  }
+
+  // Crawl tué en cours de route : son finally n'a pas recrédité les pages non auditées.
+  if (kind === "crawl" && checkpoint.crawlId) {
+    const crawl = await Crawl.findOneAndUpdate(
+      { _id: checkpoint.crawlId, status: "running" },
+      { $set: { status: "error", error: "Crawl interrompu", finishedAt: new Date() } }
+    );
+    if (crawl) {
+      const audited = await Audit.countDocuments({ crawlId: crawl._id });
+      await refundQuota(user, "audits", crawl.maxPages - audited);
+    }
+  }
+}
+
+// Un job resté "running" sans signe de vie (process redémarré) repart en file,
+// sauf s'il a épuisé ses tentatives (il a probablement fait tomber le worker à chaque fois).
+async function requeueStaleJobs() {
+  const cutoff = new Date(Date.now() - JOB_LOCK_TIMEOUT_MS);
+  await Job.updateMany(
+    { status: "running", lockedAt: { $lt: cutoff }, $expr: { $lt: ["$attempts", "$maxAttempts"] } },
+    { $set: { status: "queued", runAfter: new Date(), lockedAt: null } }
+  );
+
+  const exhausted = await Job.find({ status: "running", lockedAt: { $lt: cutoff } });
+  for (const job of exhausted) {
+    await updateJob(job._id, {
+      status: "failed",
+      error: "Job interrompu (nombre maximal de tentatives atteint)",
+      finishedAt: new Date(),
+      lockedAt: null,
+    });
+    await releaseJobReservation(job).catch((e) => console.log("job refund error:", e.message));
+  }
+}
+
+function startJobWorker() {
+  let active = 0;
+  let ticks = 0;
+
+  const tick = async () => {
+    ticks += 1;
+    if (ticks % 30 === 1) await requeueStaleJobs().catch((e) => console.log("job requeue error:", e.message));
+
+    while (active < JOB_WORKER_CONCURRENCY) {
+      const job = await claimNextJob().catch(() => null);
+      if (!job) break;
+
+      active += 1;
+      processJob(job)
+        .catch((e) => console.log("job worker error:", e.message))
+        .finally(() => { active -= 1; });
+    }
+  };
+
+  setInterval(() => { tick().catch(() => {}); }, JOB_POLL_MS);
+}
+
+// ---------- Monitor quota = ACTIVE count ----------
+async function canCreateActiveMonitor(user, org) {
+  const q = effectiveQuotas(user, org);
+  const countActive = await Monitor.countDocuments({
+    orgId: user.orgId,
+    active: true,
+  });
+
+  return countActive < q.monitors;
+}
+// =======================
+// FLOWPOINT FULL ENGINE v1
+// Overview war room + Libraries + Personalization + Local/Maps
+// Team discussions + Calendar + Notes + Packs + Risk/Opportunity
+// =======================
+
+// ---------- MODELS ----------
+
+const MissionSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    title: String,
+    description: String,
+
+    category: {
+      type: String,
+      enum: ["seo", "content", "local", "conversion", "monitor", "reporting", "ops", "team"],
+      default: "seo",
+      index: true,
+    },
+
+    sourceType: {
+      type: String,
+      enum: ["manual", "audit", "monitor", "system", "calendar", "note", "local", "team"],
+      default: "system",
+      index: true,
+    },
+
+    sourceId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high", "critical"],
+      default: "medium",
+      index: true,
+    },
+
+    impact: {
+      type: String,
+      enum: ["low", "medium", "high", "critical"],
+      default: "medium",
+      index: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["todo", "in_progress", "blocked", "done", "ignored", "postponed"],
+      default: "todo",
+      index: true,
+    },
+
+    sector: { type: String, default: "" },
+    pageType: { type: String, default: "" },
+    pageUrl: { type: String, default: "" },
+    siteUrl: { type: String, default: "" },
+
+    dueDate: Date,
+    completedAt: Date,
+
+    assignedToUserId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    isAutomated: { type: Boolean, default: false, index: true },
+    isQuickWin: { type: Boolean, default: false, index: true },
+
+    tags: { type: [String], default: [] },
+  },
+  { timestamps: true, collection: "missions" }
+);
+
+const IssueSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    sourceType: {
+      type: String,
+      enum: ["audit", "monitor", "local", "system"],
+      default: "audit",
+      index: true,
+    },
+
+    sourceId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    type: { type: String, index: true },
+    title: String,
+    description: String,
+
+    category: {
+      type: String,
+      enum: ["seo", "content", "local", "conversion", "monitor", "reporting", "ops", "team"],
+      default: "seo",
+      index: true,
+    },
+
+    severity: {
+      type: String,
+      enum: ["low", "medium", "high", "critical"],
+      default: "medium",
+      index: true,
+    },
+
+    impactBusiness: {
+      type: String,
+      enum: ["low", "medium", "high", "critical"],
+      default: "medium",
+      index: true,
+    },
+
+    priorityScore: { type: Number, default: 50, index: true },
+
+    pageUrl: { type: String, default: "" },
+    siteUrl: { type: String, default: "" },
+    // Issues multi-pages (doublons) : toutes les pages concernées et une clé stable du cluster.
+    pageUrls: { type: [String], default: undefined, index: true },
+    groupKey: { type: String, default: "" },
+
+    sector: { type: String, default: "" },
+    pageType: { type: String, default: "" },
+
+    recommendationKey: { type: String, default: "" },
+    missionTemplateKey: { type: String, default: "" },
+    packKey: { type: String, default: "" },
+
+    status: {
+      type: String,
+      enum: ["open", "accepted", "ignored", "resolved"],
+      default: "open",
+      index: true,
+    },
+
+    metadata: { type: Object, default: {} },
+  },
+  { timestamps: true, collection: "issues" }
+);
+
+const PackRunSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    packKey: { type: String, index: true },
+    name: String,
+    category: String,
+    summary: String,
+
+    sourceType: String,
+    sourceId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    impactExpected: { type: String, default: "medium" },
+    difficulty: { type: String, default: "medium" },
+    estimatedTime: { type: String, default: "" },
+
+    previewItems: { type: [String], default: [] },
+
+    createdMissionIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+  },
+  { timestamps: true, collection: "packruns" }
+);
+
+const TimelineEventSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    type: { type: String, index: true },
+    entityType: { type: String, index: true },
+    entityId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    title: String,
+    message: String,
+
+    metadata: { type: Object, default: {} },
+  },
+  { timestamps: true, collection: "timelineevents" }
+);
+
+const TeamThreadSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    channelKey: {
+      type: String,
+      default: "general",
+      index: true,
+    },
+
+    contextType: {
+      type: String,
+      enum: ["mission", "audit", "monitor", "report", "note", "general", "system"],
+      default: "general",
+      index: true,
+    },
+
+    contextId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    title: String,
+    description: { type: String, default: "" },
+
+    isPrivate: { type: Boolean, default: false, index: true },
+    allowedRoles: { type: [String], default: [] },
+
+    isPinned: { type: Boolean, default: false, index: true },
+    isResolved: { type: Boolean, default: false, index: true },
+    lastActivityAt: { type: Date, default: Date.now, index: true },
+  },
+  { timestamps: true, collection: "teamthreads" }
+);
+
+const TeamMessageSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    threadId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    authorName: String,
+
+    content: { type: String, default: "" },
+    mentions: { type: [String], default: [] },
+
+    messageType: {
+      type: String,
+      enum: ["text", "system", "file", "linked_card"],
+      default: "text",
+      index: true,
+    },
+
+    replyToMessageId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    linkedEntityType: { type: String, default: "" },
+    linkedEntityId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    attachments: {
+      type: [
+        {
+          originalName: String,
+          fileName: String,
+          mimeType: String,
+          size: Number,
+          url: String,
+          ext: String,
+          kind: {
+            type: String,
+            enum: ["image", "pdf", "doc", "sheet", "archive", "other"],
+            default: "other",
+          },
+        }
+      ],
+      default: [],
+    },
+
+    isPinned: { type: Boolean, default: false, index: true },
+    isImportant: { type: Boolean, default: false, index: true },
+    isEdited: { type: Boolean, default: false },
+    isDeleted: { type: Boolean, default: false, index: true },
+    deletedAt: Date,
+
+    isSystemSummary: { type: Boolean, default: false },
+  },
+  { timestamps: true, collection: "teammessages" }
+);
+
+const CalendarEventSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    title: String,
+    description: String,
+
+    type: {
+      type: String,
+      enum: ["mission_due", "audit_review", "monitor_review", "report_deadline", "team_meeting", "client_reminder", "recurring_task", "custom"],
+      default: "custom",
+      index: true,
+    },
+
+    linkedEntityType: { type: String, default: "" },
+    linkedEntityId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    startAt: { type: Date, index: true },
+    endAt: { type: Date, index: true },
+
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high", "critical"],
+      default: "medium",
+      index: true,
+    },
+
+    alertMode: {
+      type: String,
+      enum: ["none", "standard", "smart"],
+      default: "none",
+      index: true,
+    },
+
+    recurrence: {
+      type: String,
+      enum: ["none", "daily", "weekly", "monthly"],
+      default: "none",
+    },
+
+    isDone: { type: Boolean, default: false, index: true },
+  },
+  { timestamps: true, collection: "calendarevents" }
+);
+
+const NoteSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, index: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    title: String,
+    content: String,
+
+    type: {
+      type: String,
+      enum: ["free", "mission", "audit", "incident", "client", "strategy"],
+      default: "free",
+      index: true,
+    },
+
+    linkedEntityType: { type: String, default: "" },
+    linkedEntityId: { type: mongoose.Schema.Types.ObjectId, index: true },
+
+    tags: { type: [String], default: [] },
+    isPinned: { type: Boolean, default: false, index: true },
+  },
+  { timestamps: true, collection: "notes" }
+);
+
+const Mission = mongoose.models.Mission || mongoose.model("Mission", MissionSchema);
+const Issue = mongoose.models.Issue || mongoose.model("Issue", IssueSchema);
+const PackRun = mongoose.models.PackRun || mongoose.model("PackRun", PackRunSchema);
+const TimelineEvent = mongoose.models.TimelineEvent || mongoose.model("TimelineEvent", TimelineEventSchema);
+const TeamThread = mongoose.models.TeamThread || mongoose.model("TeamThread", TeamThreadSchema);
+const TeamMessage = mongoose.models.TeamMessage || mongoose.model("TeamMessage", TeamMessageSchema);
+const CalendarEvent = mongoose.models.CalendarEvent || mongoose.model("CalendarEvent", CalendarEventSchema);
+const Note = mongoose.models.Note || mongoose.model("Note", NoteSchema);
+
+// ---------- LIBRARIES / TAXONOMY ----------
+
+const FP_SECTORS = [
+  "garage",
+  "restaurant",
+  "ecommerce",
+  "saas",
+  "independant",
+  "artisan",
+  "immobilier",
+  "beaute",
+  "juridique",
+  "agence",
+];
+
+const FP_PAGE_TYPES = [
+  "homepage",
+  "service",
+  "contact",
+  "city",
+  "pricing",
+  "about",
+  "booking",
+  "faq",
+  "product",
+  "landing",
+];
+
+const FP_CITIES = [
+  "Liège",
+  "Verviers",
+  "Bruxelles",
+  "Namur",
+  "Charleroi",
+  "Mons",
+  "Anvers",
+  "Gand",
+  "Louvain",
+  "Waterloo",
+];
+
+const ISSUE_LIBRARY = {
+  missing_title: {
+    title: "Title manquant",
+    category: "seo",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "title_rewrite",
+    missionTemplateKey: "fix_title",
+    packKey: "seo_technical_recovery",
+    baseScore: 82,
+  },
+  weak_title: {
+    title: "Title trop faible",
+    category: "seo",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "title_strengthen",
+    missionTemplateKey: "strengthen_title",
+    packKey: "fast_seo_wins",
+    baseScore: 68,
+  },
+  missing_meta_description: {
+    title: "Meta description manquante",
+    category: "seo",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "meta_add",
+    missionTemplateKey: "add_meta",
+    packKey: "fast_seo_wins",
+    baseScore: 78,
+  },
+  slow_mobile: {
+    title: "Performance mobile faible",
+    category: "conversion",
+    severity: "high",
+    impactBusiness: "critical",
+    recommendationKey: "mobile_speed",
+    missionTemplateKey: "fix_mobile_speed",
+    packKey: "mobile_emergency_cleanup",
+    baseScore: 92,
+  },
+  missing_viewport: {
+    title: "Meta viewport absente (affichage mobile)",
+    category: "conversion",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "viewport_add",
+    missionTemplateKey: "add_viewport",
+    packKey: "mobile_emergency_cleanup",
+    baseScore: 80,
+  },
+  mobile_variant_blocked: {
+    title: "Version mobile bloquée ou en erreur",
+    category: "seo",
+    severity: "critical",
+    impactBusiness: "critical",
+    recommendationKey: "mobile_unblock",
+    missionTemplateKey: "fix_mobile_variant",
+    packKey: "mobile_emergency_cleanup",
+    baseScore: 95,
+  },
+  mobile_content_gap: {
+    title: "Contenu manquant sur mobile",
+    category: "content",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "mobile_content_parity",
+    missionTemplateKey: "restore_mobile_content",
+    packKey: "mobile_emergency_cleanup",
+    baseScore: 84,
+  },
+  mobile_canonical_mismatch: {
+    title: "Canonical / alternate mobile incohérents",
+    category: "seo",
+    severity: "high",
+    impactBusiness: "medium",
+    recommendationKey: "mobile_canonical_fix",
+    missionTemplateKey: "fix_mobile_canonical",
+    packKey: "seo_technical_recovery",
+    baseScore: 77,
+  },
+  mobile_metadata_mismatch: {
+    title: "Title / meta description différents sur mobile",
+    category: "seo",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "mobile_metadata_align",
+    missionTemplateKey: "align_mobile_metadata",
+    packKey: "seo_technical_recovery",
+    baseScore: 58,
+  },
+  keyword_missing_title: {
+    title: "Mot-clé cible absent du title",
+    category: "seo",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "keyword_in_title",
+    missionTemplateKey: "place_keyword_title",
+    packKey: "service_pages_authority",
+    baseScore: 83,
+  },
+  keyword_missing_h1: {
+    title: "Mot-clé cible absent du H1",
+    category: "content",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "keyword_in_h1",
+    missionTemplateKey: "place_keyword_h1",
+    packKey: "service_pages_authority",
+    baseScore: 79,
+  },
+  keyword_missing_meta_description: {
+    title: "Mot-clé cible absent de la meta description",
+    category: "seo",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "keyword_in_meta",
+    missionTemplateKey: "place_keyword_meta",
+    packKey: "service_pages_authority",
+    baseScore: 62,
+  },
+  keyword_weak_placement: {
+    title: "Mot-clé cible peu présent dans la page",
+    category: "content",
+    severity: "low",
+    impactBusiness: "medium",
+    recommendationKey: "keyword_placement",
+    missionTemplateKey: "strengthen_keyword_placement",
+    packKey: "service_pages_authority",
+    baseScore: 50,
+  },
+  render_blocking_resources: {
+    title: "Ressources bloquant l’affichage",
+    category: "conversion",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "defer_render_blocking",
+    missionTemplateKey: "defer_blocking_resources",
+    packKey: "mobile_emergency_cleanup",
+    baseScore: 82,
+  },
+  heavy_page: {
+    title: "Page trop lourde",
+    category: "conversion",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "reduce_page_weight",
+    missionTemplateKey: "slim_page_weight",
+    packKey: "mobile_emergency_cleanup",
+    baseScore: 79,
+  },
+  missing_compression: {
+    title: "Compression gzip / brotli absente",
+    category: "seo",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "enable_compression",
+    missionTemplateKey: "enable_compression",
+    packKey: "seo_technical_recovery",
+    baseScore: 68,
+  },
+  weak_browser_caching: {
+    title: "Cache navigateur trop court",
+    category: "seo",
+    severity: "low",
+    impactBusiness: "medium",
+    recommendationKey: "browser_caching",
+    missionTemplateKey: "extend_browser_cache",
+    packKey: "seo_technical_recovery",
+    baseScore: 54,
+  },
+  too_many_third_parties: {
+    title: "Trop de domaines tiers chargés",
+    category: "conversion",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "trim_third_parties",
+    missionTemplateKey: "audit_third_party_scripts",
+    packKey: "mobile_emergency_cleanup",
+    baseScore: 60,
+  },
+  missing_h1: {
+    title: "H1 manquant",
+    category: "content",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "h1_add",
+    missionTemplateKey: "add_h1",
+    packKey: "seo_technical_recovery",
+    baseScore: 76,
+  },
+  missing_canonical: {
+    title: "Canonical absente",
+    category: "seo",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "canonical_add",
+    missionTemplateKey: "add_canonical",
+    packKey: "seo_technical_recovery",
+    baseScore: 62,
+  },
+  canonical_broken: {
+    title: "Canonical cassée",
+    category: "seo",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "canonical_fix",
+    missionTemplateKey: "fix_canonical",
+    packKey: "seo_technical_recovery",
+    baseScore: 80,
+  },
+  canonical_cross_page: {
+    title: "Canonical vers une autre page",
+    category: "seo",
+    severity: "low",
+    impactBusiness: "medium",
+    recommendationKey: "canonical_review",
+    missionTemplateKey: "review_canonical",
+    packKey: "seo_technical_recovery",
+    baseScore: 50,
+  },
+  canonical_conflict: {
+    title: "Canonical en conflit avec og:url ou hreflang",
+    category: "seo",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "canonical_align",
+    missionTemplateKey: "align_canonical",
+    packKey: "seo_technical_recovery",
+    baseScore: 64,
+  },
+  duplicate_title: {
+    title: "Title dupliqué sur plusieurs pages",
+    category: "seo",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "title_rewrite",
+    missionTemplateKey: "fix_title",
+    packKey: "seo_technical_recovery",
+    baseScore: 74,
+  },
+  duplicate_meta_description: {
+    title: "Meta description dupliquée sur plusieurs pages",
+    category: "seo",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "meta_add",
+    missionTemplateKey: "add_meta",
+    packKey: "seo_technical_recovery",
+    baseScore: 62,
+  },
+  duplicate_h1: {
+    title: "H1 dupliqué sur plusieurs pages",
+    category: "content",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "h1_add",
+    missionTemplateKey: "add_h1",
+    packKey: "seo_technical_recovery",
+    baseScore: 60,
+  },
+  duplicate_content: {
+    title: "Contenu dupliqué entre plusieurs pages",
+    category: "content",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "content_differentiate",
+    missionTemplateKey: "differentiate_page",
+    packKey: "service_pages_authority",
+    baseScore: 72,
+  },
+  weak_contact_visibility: {
+    title: "Contact peu visible",
+    category: "conversion",
+    severity: "high",
+    impactBusiness: "critical",
+    recommendationKey: "contact_visibility",
+    missionTemplateKey: "improve_contact_visibility",
+    packKey: "trust_and_conversion",
+    baseScore: 88,
+  },
+  no_local_pages: {
+    title: "Pages locales absentes",
+    category: "local",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "create_city_pages",
+    missionTemplateKey: "create_city_page",
+    packKey: "local_city_expansion",
+    baseScore: 86,
+  },
+  weak_cta: {
+    title: "CTA faibles",
+    category: "conversion",
+    severity: "medium",
+    impactBusiness: "high",
+    recommendationKey: "cta_strengthen",
+    missionTemplateKey: "improve_cta",
+    packKey: "homepage_conversion_lift",
+    baseScore: 73,
+  },
+  weak_trust_signals: {
+    title: "Trust signals insuffisants",
+    category: "conversion",
+    severity: "medium",
+    impactBusiness: "high",
+    recommendationKey: "trust_signals",
+    missionTemplateKey: "add_trust_signals",
+    packKey: "trust_and_conversion",
+    baseScore: 74,
+  },
+  missing_schema: {
+    title: "Schema manquant",
+    category: "seo",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "schema_add",
+    missionTemplateKey: "add_schema",
+    packKey: "seo_technical_recovery",
+    baseScore: 63,
+  },
+  invalid_schema: {
+    title: "Données structurées invalides",
+    category: "seo",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "schema_fix",
+    missionTemplateKey: "fix_schema",
+    packKey: "seo_technical_recovery",
+    baseScore: 65,
+  },
+  missing_local_business_schema: {
+    title: "Schema LocalBusiness absent",
+    category: "local",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "local_business_schema",
+    missionTemplateKey: "add_local_business_schema",
+    packKey: "map_trust_signals",
+    baseScore: 80,
+  },
+  broken_internal_links: {
+    title: "Liens internes cassés",
+    category: "seo",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "fix_broken_links",
+    missionTemplateKey: "fix_broken_internal_links",
+    packKey: "seo_technical_recovery",
+    baseScore: 84,
+  },
+  broken_resources: {
+    title: "Ressources cassées (images, scripts, CSS)",
+    category: "conversion",
+    severity: "medium",
+    impactBusiness: "high",
+    recommendationKey: "fix_broken_resources",
+    missionTemplateKey: "fix_broken_resources",
+    packKey: "mobile_emergency_cleanup",
+    baseScore: 74,
+  },
+  broken_external_links: {
+    title: "Liens externes cassés",
+    category: "content",
+    severity: "low",
+    impactBusiness: "low",
+    recommendationKey: "fix_external_links",
+    missionTemplateKey: "fix_broken_external_links",
+    packKey: "service_pages_authority",
+    baseScore: 48,
+  },
+  images_missing_alt: {
+    title: "Images sans attribut alt",
+    category: "seo",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "image_alt_add",
+    missionTemplateKey: "add_image_alts",
+    packKey: "fast_seo_wins",
+    baseScore: 62,
+  },
+  heavy_images: {
+    title: "Images trop lourdes",
+    category: "conversion",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "image_compress",
+    missionTemplateKey: "compress_images",
+    packKey: "mobile_emergency_cleanup",
+    baseScore: 81,
+  },
+  images_missing_dimensions: {
+    title: "Images sans dimensions (layout shift)",
+    category: "conversion",
+    severity: "low",
+    impactBusiness: "medium",
+    recommendationKey: "image_dimensions",
+    missionTemplateKey: "add_image_dimensions",
+    packKey: "mobile_emergency_cleanup",
+    baseScore: 54,
+  },
+  legacy_image_formats: {
+    title: "Formats d’image anciens (WebP/AVIF absents)",
+    category: "conversion",
+    severity: "low",
+    impactBusiness: "medium",
+    recommendationKey: "image_modern_formats",
+    missionTemplateKey: "convert_images_webp",
+    packKey: "mobile_emergency_cleanup",
+    baseScore: 50,
+  },
+  heading_hierarchy: {
+    title: "Hiérarchie des titres incohérente",
+    category: "content",
+    severity: "low",
+    impactBusiness: "medium",
+    recommendationKey: "headings_fix",
+    missionTemplateKey: "fix_heading_outline",
+    packKey: "seo_technical_recovery",
+    baseScore: 55,
+  },
+  low_content_depth: {
+    title: "Contenu trop léger",
+    category: "content",
+    severity: "medium",
+    impactBusiness: "high",
+    recommendationKey: "content_expand",
+    missionTemplateKey: "expand_content",
+    packKey: "service_pages_authority",
+    baseScore: 71,
+  },
+  missing_google_map_block: {
+    title: "Bloc Google Maps absent",
+    category: "local",
+    severity: "medium",
+    impactBusiness: "high",
+    recommendationKey: "map_embed",
+    missionTemplateKey: "add_map_block",
+    packKey: "map_trust_signals",
+    baseScore: 69,
+  },
+  hreflang_missing_return: {
+    title: "Liens hreflang sans retour",
+    category: "seo",
+    severity: "high",
+    impactBusiness: "medium",
+    recommendationKey: "hreflang_return_links",
+    missionTemplateKey: "fix_hreflang_return_links",
+    packKey: "seo_technical_recovery",
+    baseScore: 74,
+  },
+  hreflang_lang_mismatch: {
+    title: "Langue déclarée incohérente (lang / hreflang)",
+    category: "seo",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "hreflang_lang_align",
+    missionTemplateKey: "align_page_language",
+    packKey: "seo_technical_recovery",
+    baseScore: 66,
+  },
+  hreflang_invalid: {
+    title: "Balises hreflang invalides",
+    category: "seo",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "hreflang_fix",
+    missionTemplateKey: "fix_hreflang",
+    packKey: "seo_technical_recovery",
+    baseScore: 62,
+  },
+  redirect_loop: {
+    title: "Boucle de redirection",
+    category: "seo",
+    severity: "critical",
+    impactBusiness: "critical",
+    recommendationKey: "redirect_loop_fix",
+    missionTemplateKey: "fix_redirect_loop",
+    packKey: "seo_technical_recovery",
+    baseScore: 96,
+  },
+  redirect_chain: {
+    title: "Chaîne de redirections trop longue",
+    category: "seo",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "redirect_chain_shorten",
+    missionTemplateKey: "shorten_redirect_chain",
+    packKey: "seo_technical_recovery",
+    baseScore: 64,
+  },
+  temporary_redirect: {
+    title: "Redirection temporaire (302) au lieu de 301",
+    category: "seo",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "redirect_make_permanent",
+    missionTemplateKey: "make_redirect_permanent",
+    packKey: "seo_technical_recovery",
+    baseScore: 60,
+  },
+  missing_hsts: {
+    title: "HSTS absent ou insuffisant",
+    category: "seo",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "hsts_enable",
+    missionTemplateKey: "add_hsts",
+    packKey: "seo_technical_recovery",
+    baseScore: 66,
+  },
+  mixed_content: {
+    title: "Contenu mixte (ressources http sur page https)",
+    category: "seo",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "mixed_content_fix",
+    missionTemplateKey: "fix_mixed_content",
+    packKey: "seo_technical_recovery",
+    baseScore: 80,
+  },
+  missing_csp: {
+    title: "Content-Security-Policy absente",
+    category: "ops",
+    severity: "low",
+    impactBusiness: "low",
+    recommendationKey: "csp_add",
+    missionTemplateKey: "add_csp",
+    packKey: "seo_technical_recovery",
+    baseScore: 42,
+  },
+  missing_content_type_options: {
+    title: "X-Content-Type-Options absent",
+    category: "ops",
+    severity: "low",
+    impactBusiness: "low",
+    recommendationKey: "nosniff_add",
+    missionTemplateKey: "add_nosniff",
+    packKey: "seo_technical_recovery",
+    baseScore: 36,
+  },
+  missing_frame_protection: {
+    title: "Protection clickjacking absente",
+    category: "ops",
+    severity: "low",
+    impactBusiness: "medium",
+    recommendationKey: "frame_protection_add",
+    missionTemplateKey: "add_frame_protection",
+    packKey: "seo_technical_recovery",
+    baseScore: 44,
+  },
+  missing_referrer_policy: {
+    title: "Referrer-Policy absente ou permissive",
+    category: "ops",
+    severity: "low",
+    impactBusiness: "low",
+    recommendationKey: "referrer_policy_set",
+    missionTemplateKey: "add_referrer_policy",
+    packKey: "seo_technical_recovery",
+    baseScore: 30,
+  },
+  missing_permissions_policy: {
+    title: "Permissions-Policy absente",
+    category: "ops",
+    severity: "low",
+    impactBusiness: "low",
+    recommendationKey: "permissions_policy_add",
+    missionTemplateKey: "add_permissions_policy",
+    packKey: "seo_technical_recovery",
+    baseScore: 28,
+  },
+  missing_form_labels: {
+    title: "Champs de formulaire sans libellé",
+    category: "conversion",
+    severity: "high",
+    impactBusiness: "high",
+    recommendationKey: "a11y_form_labels",
+    missionTemplateKey: "label_form_fields",
+    packKey: "trust_and_conversion",
+    baseScore: 76,
+  },
+  unnamed_controls: {
+    title: "Boutons ou liens sans nom accessible",
+    category: "conversion",
+    severity: "medium",
+    impactBusiness: "high",
+    recommendationKey: "a11y_control_names",
+    missionTemplateKey: "name_controls",
+    packKey: "trust_and_conversion",
+    baseScore: 70,
+  },
+  missing_landmarks: {
+    title: "Zones repères absentes (main, nav, header, footer)",
+    category: "content",
+    severity: "low",
+    impactBusiness: "medium",
+    recommendationKey: "a11y_landmarks",
+    missionTemplateKey: "add_landmarks",
+    packKey: "seo_technical_recovery",
+    baseScore: 52,
+  },
+  duplicate_ids: {
+    title: "Identifiants id dupliqués",
+    category: "ops",
+    severity: "low",
+    impactBusiness: "low",
+    recommendationKey: "a11y_duplicate_ids",
+    missionTemplateKey: "dedupe_ids",
+    packKey: "seo_technical_recovery",
+    baseScore: 44,
+  },
+  tabindex_misuse: {
+    title: "Ordre de tabulation forcé (tabindex positif)",
+    category: "conversion",
+    severity: "low",
+    impactBusiness: "medium",
+    recommendationKey: "a11y_tabindex",
+    missionTemplateKey: "fix_tabindex",
+    packKey: "trust_and_conversion",
+    baseScore: 48,
+  },
+  invalid_aria: {
+    title: "Attributs ARIA invalides",
+    category: "ops",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "a11y_aria_fix",
+    missionTemplateKey: "fix_aria",
+    packKey: "seo_technical_recovery",
+    baseScore: 58,
+  },
+  robots_txt_blocked: {
+    title: "Page bloquée par robots.txt",
+    category: "seo",
+    severity: "critical",
+    impactBusiness: "critical",
+    recommendationKey: "robots_unblock",
+    missionTemplateKey: "fix_robots_txt",
+    packKey: "seo_technical_recovery",
+    baseScore: 95,
+  },
+  missing_robots_txt: {
+    title: "robots.txt absent",
+    category: "seo",
+    severity: "low",
+    impactBusiness: "low",
+    recommendationKey: "robots_add",
+    missionTemplateKey: "add_robots_txt",
+    packKey: "seo_technical_recovery",
+    baseScore: 45,
+  },
+  missing_sitemap: {
+    title: "Sitemap XML absent ou invalide",
+    category: "seo",
+    severity: "medium",
+    impactBusiness: "medium",
+    recommendationKey: "sitemap_fix",
+    missionTemplateKey: "fix_sitemap",
+    packKey: "seo_technical_recovery",
+    baseScore: 64,
+  },
+  page_not_in_sitemap: {
+    title: "Page absente du sitemap",
+    category: "seo",
+    severity: "low",
+    impactBusiness: "medium",
+    recommendationKey: "sitemap_add_page",
+    missionTemplateKey: "add_page_to_sitemap",
+    packKey: "seo_technical_recovery",
+    baseScore: 52,
+  },
+  page_not_monitored: {
+    title: "Page business non monitorée",
+    category: "monitor",
+    severity: "medium",
+    impactBusiness: "high",
+    recommendationKey: "monitor_add",
+    missionTemplateKey: "add_monitor_to_page",
+    packKey: "critical_pages_monitoring",
+    baseScore: 72,
+  },
+};
+function getDefaultChannelsForPlan(plan) {
+  const base = [
+    { key: "general", label: "general", icon: "💬", system: false, minPlan: "standard" },
+    { key: "seo", label: "seo", icon: "📈", system: false, minPlan: "standard" },
+    { key: "audits", label: "audits", icon: "🧪", system: false, minPlan: "standard" },
+    { key: "monitors", label: "monitors", icon: "🛰️", system: false, minPlan: "standard" },
+    { key: "local-seo", label: "local-seo", icon: "📍", system: false, minPlan: "standard" },
+    { key: "reports", label: "reports", icon: "📄", system: false, minPlan: "standard" },
+    { key: "ops", label: "ops", icon: "⚙️", system: false, minPlan: "standard" },
+    { key: "clients", label: "clients", icon: "🤝", system: false, minPlan: "standard" },
+    { key: "flowpoint-system", label: "flowpoint-system", icon: "✨", system: true, minPlan: "pro" },
+    { key: "direction", label: "direction", icon: "🔒", system: false, minPlan: "pro", isPrivate: true, allowedRoles: ["owner"] },
+    { key: "private-team", label: "private-team", icon: "🛡️", system: false, minPlan: "ultra", isPrivate: true, allowedRoles: ["owner", "member"] },
+  ];
+
+  return base.filter((c) => planRank(plan) >= planRank(c.minPlan || "standard"));
+}
+
+function fileKindFromMime(mime = "", name = "") {
+  const v = `${mime} ${name}`.toLowerCase();
+  if (v.includes("image/")) return "image";
+  if (v.includes("pdf")) return "pdf";
+  if (v.includes("word") || v.includes(".doc")) return "doc";
+  if (v.includes("excel") || v.includes("csv") || v.includes(".xls")) return "sheet";
+  if (v.includes("zip") || v.includes("rar") || v.includes("7z")) return "archive";
+  return "other";
+}
+
+async function ensureChannelThreadForOrg(orgId, channelDef) {
+  let thread = await TeamThread.findOne({
+    orgId,
+    channelKey: channelDef.key,
+    contextType: channelDef.system ? "system" : "general",
+  });
+
+  if (!thread) {
+    thread = await TeamThread.create({
+      orgId,
+      channelKey: channelDef.key,
+      contextType: channelDef.system ? "system" : "general",
+      title: `#${channelDef.label}`,
+      description: channelDef.system
+        ? "Canal système FlowPoint."
+        : `Canal ${channelDef.label}.`,
+      isPrivate: !!channelDef.isPrivate,
+      allowedRoles: Array.isArray(channelDef.allowedRoles) ? channelDef.allowedRoles : [],
+      lastActivityAt: new Date(),
+    });
+  }
+
+  return thread;
+}
+
+async function ensureTeamWorkspace(orgId, plan) {
+  const defs = getDefaultChannelsForPlan(plan);
+  const out = [];
+
+  for (const def of defs) {
+    const thread = await ensureChannelThreadForOrg(orgId, def);
+    out.push({
+      key: def.key,
+      label: def.label,
+      icon: def.icon,
+      system: !!def.system,
+      isPrivate: !!def.isPrivate,
+      allowedRoles: def.allowedRoles || [],
+      threadId: thread._id,
+      title: thread.title,
+      description: thread.description || "",
+      isPinned: !!thread.isPinned,
+      lastActivityAt: thread.lastActivityAt,
+    });
+  }
+
+  return out.sort((a, b) => {
+    if (a.system !== b.system) return a.system ? 1 : -1;
+    return String(a.label).localeCompare(String(b.label));
+  });
+}
+
+async function pushSystemMessage(orgId, channelKey, content, linkedEntityType = "", linkedEntityId = undefined) {
+  const thread = await TeamThread.findOne({ orgId, channelKey });
+  if (!thread) return null;
+
+  const msg = await TeamMessage.create({
+    orgId,
+    threadId: thread._id,
+    authorName: "FlowPoint",
+    content,
+    messageType: linkedEntityType ? "linked_card" : "system",
+    linkedEntityType,
+    linkedEntityId,
+    isSystemSummary: true,
+    isImportant: true,
+  });
+
+  thread.lastActivityAt = new Date();
+  await thread.save();
+  return msg;
+}
+function generateMissionLibrary() {
+  const out = [];
+  const categories = [
+    { key: "seo", base: ["Corriger title", "Corriger meta description", "Ajouter canonical", "Ajouter schema", "Améliorer headings"] },
+    { key: "content", base: ["Renforcer homepage", "Développer page service", "Créer FAQ", "Différencier contenu", "Ajouter preuves"] },
+    { key: "local", base: ["Créer page ville", "Ajouter NAP", "Ajouter map", "Renforcer signaux locaux", "Étendre couverture géographique"] },
+    { key: "conversion", base: ["Renforcer CTA", "Améliorer contact", "Ajouter trust signals", "Structurer hero", "Réduire friction mobile"] },
+    { key: "monitor", base: ["Créer monitor homepage", "Créer monitor contact", "Surveiller parcours business", "Réagir aux incidents", "Prioriser pages critiques"] },
+    { key: "reporting", base: ["Préparer rapport client", "Ajouter quick wins au rapport", "Résumer progrès mensuel", "Mettre en avant incidents", "Préparer lecture dirigeant"] },
+    { key: "ops", base: ["Revoir backlog", "Nettoyer priorités", "Préparer sprint mensuel", "Planifier revue", "Vérifier cohérence quotas"] },
+    { key: "team", base: ["Assigner mission", "Créer discussion contexte", "Rédiger note d’équipe", "Préparer réunion", "Suivre charge membre"] },
+  ];
+
+  for (const sector of FP_SECTORS) {
+    for (const pageType of FP_PAGE_TYPES) {
+      for (const cat of categories) {
+        for (const base of cat.base) {
+          out.push({
+            key: `${cat.key}_${sector}_${pageType}_${out.length + 1}`,
+            category: cat.key,
+            sector,
+            pageType,
+            base,
+            title: `${base} · ${sector} · ${pageType}`,
+            description: `Template ${cat.key} pour ${sector} sur page ${pageType}.`,
+          });
+        }
+      }
+    }
+  }
+
+  return out.slice(0, 220);
+}
+
+function generatePackLibrary() {
+  return [
+    {
+      key: "seo_technical_recovery",
+      name: "Pack SEO technical recovery",
+      category: "seo",
+      summary: "Corriger les points techniques qui freinent le score et la lisibilité SEO.",
+      difficulty: "medium",
+      impactExpected: "high",
+      estimatedTime: "2 à 4 jours",
+      previewItems: ["Titles", "Meta descriptions", "H1", "Schema", "Canonical"],
+    },
+    {
+      key: "homepage_conversion_lift",
+      name: "Pack homepage conversion lift",
+      category: "conversion",
+      summary: "Améliorer la clarté commerciale et la conversion de la homepage.",
+      difficulty: "medium",
+      impactExpected: "high",
+      estimatedTime: "1 à 3 jours",
+      previewItems: ["Hero", "CTA", "Trust", "Contact", "Mobile"],
+    },
+    {
+      key: "local_city_expansion",
+      name: "Pack local city expansion",
+      category: "local",
+      summary: "Déployer la couverture locale sur plusieurs villes à potentiel.",
+      difficulty: "high",
+      impactExpected: "high",
+      estimatedTime: "3 à 6 jours",
+      previewItems: ["Pages villes", "NAP", "Map", "Zones", "Preuves locales"],
+    },
+    {
+      key: "trust_and_conversion",
+      name: "Pack trust & conversion",
+      category: "conversion",
+      summary: "Renforcer confiance, preuve et contact pour augmenter les leads.",
+      difficulty: "medium",
+      impactExpected: "high",
+      estimatedTime: "1 à 2 jours",
+      previewItems: ["Avis", "Preuves", "Contact", "CTA", "FAQ"],
+    },
+    {
+      key: "critical_pages_monitoring",
+      name: "Pack critical pages monitoring",
+      category: "monitor",
+      summary: "Surveiller les pages business à enjeu élevé et créer les alertes nécessaires.",
+      difficulty: "low",
+      impactExpected: "high",
+      estimatedTime: "1 jour",
+      previewItems: ["Homepage", "Contact", "Booking", "Service pages", "Checks"],
+    },
+    {
+      key: "service_pages_authority",
+      name: "Pack service pages authority",
+      category: "content",
+      summary: "Renforcer profondeur, autorité et différenciation des pages service.",
+      difficulty: "high",
+      impactExpected: "high",
+      estimatedTime: "3 à 5 jours",
+      previewItems: ["Contenu", "Structure", "Preuves", "FAQ", "Intent"],
+    },
+    {
+      key: "mobile_emergency_cleanup",
+      name: "Pack mobile emergency cleanup",
+      category: "conversion",
+      summary: "Réduire les frictions mobiles les plus urgentes sur les pages clés.",
+      difficulty: "medium",
+      impactExpected: "critical",
+      estimatedTime: "1 à 3 jours",
+      previewItems: ["Speed", "CTA", "Header", "Contact", "UX"],
+    },
+    {
+      key: "end_of_trial_wins",
+      name: "Pack end-of-trial wins",
+      category: "ops",
+      summary: "Sortir les meilleurs gains visibles avant la fin de l’essai.",
+      difficulty: "low",
+      impactExpected: "high",
+      estimatedTime: "1 à 2 jours",
+      previewItems: ["Quick wins", "Report", "Proof", "Cleanup", "Next steps"],
+    },
+    {
+      key: "monthly_growth_sprint",
+      name: "Pack monthly growth sprint",
+      category: "ops",
+      summary: "Structurer un sprint mensuel SEO / local / conversion / monitoring.",
+      difficulty: "medium",
+      impactExpected: "high",
+      estimatedTime: "1 mois",
+      previewItems: ["Backlog", "Priorités", "KPIs", "Calendar", "Review"],
+    },
+    {
+      key: "map_trust_signals",
+      name: "Pack map trust signals",
+      category: "local",
+      summary: "Améliorer la crédibilité locale autour de la page contact et des pages géographiques.",
+      difficulty: "low",
+      impactExpected: "medium",
+      estimatedTime: "1 jour",
+      previewItems: ["Map block", "NAP", "Horaires", "Directions", "Zone coverage"],
+    },
+  ];
+}
+
+const MISSION_LIBRARY = generateMissionLibrary();
+const PACK_LIBRARY = generatePackLibrary();
+
+// Les bibliothèques sont écrites en français ; les autres langues sont servies à la lecture.
+function localizeLibraries(locale) {
+  if (locale === DEFAULT_LOCALE) return { missions: MISSION_LIBRARY, issues: ISSUE_LIBRARY, packs: PACK_LIBRARY };
+
+  return {
+    missions: MISSION_LIBRARY.map((m) => ({
+      ...m,
+      title: `${tr(locale, m.base)} · ${m.sector} · ${m.pageType}`,
+      description: tr(locale, "Template {category} pour {sector} sur page {pageType}.", m),
+    })),
+    issues: Object.fromEntries(
+      Object.entries(ISSUE_LIBRARY).map(([key, def]) => [key, { ...def, title: tr(locale, def.title) }])
+    ),
+    packs: PACK_LIBRARY.map((p) => ({
+      ...p,
+      name: tr(locale, p.name),
+      summary: tr(locale, p.summary),
+      estimatedTime: tr(locale, p.estimatedTime),
+      previewItems: p.previewItems.map((x) => tr(locale, x)),
+    })),
+  };
+}
+
+// ---------- HELPERS ----------
+
+function lowerText(v) {
+  return String(v || "").toLowerCase();
+}
+
+function uniqueStrings(arr) {
+  return [...new Set((arr || []).map((x) => String(x || "").trim()).filter(Boolean))];
+}
+
+function capText(str) {
+  const s = String(str || "").trim();
+  if (!s) return "";
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+function pushTimeline(orgId, userId, type, entityType, entityId, title, message, metadata = {}) {
+  return TimelineEvent.create({
+    orgId,
+    userId,
+    type,
+    entityType,
+    entityId,
+    title,
+    message,
+    metadata,
+  }).catch(() => null);
+}
+
+function inferSectorFromUser(user) {
+  const source = lowerText(user?.companyName || "");
+  if (source.includes("garage") || source.includes("auto") || source.includes("car")) return "garage";
+  if (source.includes("restaurant") || source.includes("snack") || source.includes("pizza")) return "restaurant";
+  if (source.includes("immo")) return "immobilier";
+  if (source.includes("beaut") || source.includes("salon")) return "beaute";
+  if (source.includes("law") || source.includes("avocat") || source.includes("legal")) return "juridique";
+  if (source.includes("agency") || source.includes("agence")) return "agence";
+  if (source.includes("shop") || source.includes("store") || source.includes("boutique")) return "ecommerce";
+  if (source.includes("saas") || source.includes("software")) return "saas";
+  if (source.includes("artisan") || source.includes("plomb") || source.includes("chauff")) return "artisan";
+  return "independant";
+}
+
+function inferPlanFeatures(plan) {
+  const p = lowerText(plan);
+  return {
+    standard: p === "standard",
+    pro: p === "pro" || p === "ultra",
+    ultra: p === "ultra",
+  };
+}
+
+function inferSiteProfileFromAudits(audits, fallbackUrl = "", crawledUrls = []) {
+  const urls = uniqueStrings([
+    ...(audits || []).map((a) => a.url),
+    ...(crawledUrls || []),
+  ].filter(Boolean));
+  const host = (() => {
+    try {
+      return urls[0] ? new URL(urls[0]).host : (fallbackUrl ? new URL(fallbackUrl).host : "");
+    } catch {
+      return "";
+    }
+  })();
+
+  const pageUrls = urls.map((u) => {
+    try {
+      return new URL(u).pathname || "/";
+    } catch {
+      return "/";
+    }
+  });
+
+  const hasContact = pageUrls.some((p) => /contact|devis|quote|book|booking/i.test(p));
+  const hasServicePages = pageUrls.some((p) => /service|services|prestations|solutions/i.test(p));
+  const hasCityPages = pageUrls.some((p) => FP_CITIES.some((city) => lowerText(p).includes(lowerText(city))));
+  const hasPricing = pageUrls.some((p) => /pricing|tarif|tarifs|price/i.test(p));
+
+  return {
+    host,
+    urls,
+    pageUrls,
+    hasContact,
+    hasServicePages,
+    hasCityPages,
+    hasPricing,
+  };
+}
+
+function inferMaturity(audits) {
+  const scores = (audits || []).map((a) => Number(a.score || 0)).filter(Number.isFinite);
+  const avg = scores.length ? Math.round(scores.reduce((s, x) => s + x, 0) / scores.length) : 0;
+
+  if (avg < 40) return "site_tres_faible";
+  if (avg < 60) return "site_moyen";
+  if (avg < 75) return "site_deja_solide";
+  return "site_techniquement_solide";
+}
+
+function calcConversionReadiness(siteProfile, audits, monitors) {
+  const latest = [...(audits || [])].sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0))[0];
+  const findings = latest?.findings || {};
+
+  let score = 50;
+
+  if (siteProfile.hasContact) score += 10;
+  if (siteProfile.hasServicePages) score += 8;
+  if (siteProfile.hasPricing) score += 5;
+  if (findings.viewport?.ok) score += 8;
+  if ((findings.performance || findings.responseTime)?.ok) score += 8;
+  if (findings.og?.ok) score += 4;
+  if (findings.metaDescription?.ok) score += 4;
+  if ((monitors || []).some((m) => lowerText(m.url).includes("contact"))) score += 3;
+
+  return Math.max(0, Math.min(100, Math.round(score)));
+}
+
+function calcUptimeHealth(monitors, monitorLogs) {
+  if (!monitors.length) return 60;
+
+  const down = monitors.filter((m) => m.lastStatus === "down").length;
+  const total = monitors.length;
+  let score = Math.round(((total - down) / Math.max(1, total)) * 100);
+
+  const latestLogs = (monitorLogs || []).slice(-30);
+  const upChecks = latestLogs.filter((l) => l.status === "up").length;
+  if (latestLogs.length) {
+    score = Math.round((score + Math.round((upChecks / latestLogs.length) * 100)) / 2);
+  }
+
+  return Math.max(0, Math.min(100, score));
+}
+
+function calcExecutionMomentum(missions) {
+  const total = missions.length;
+  if (!total) return 40;
+
+  const done = missions.filter((m) => m.status === "done").length;
+  const recentDone = missions.filter((m) => m.completedAt && new Date(m.completedAt).getTime() >= Date.now() - 7 * 24 * 60 * 60 * 1000).length;
+  const automated = missions.filter((m) => m.isAutomated).length;
+
+  let score = Math.round((done / total) * 70);
+  score += Math.min(20, recentDone * 4);
+  score += Math.min(10, automated >= 3 ? 10 : automated * 2);
+
+  return Math.max(0, Math.min(100, score));
+}
+
+function calcLocalDominance(siteProfile, localIssuesCount, localMissionCount) {
+  let score = 35;
+  if (siteProfile.hasCityPages) score += 20;
+  if (siteProfile.hasContact) score += 10;
+  score += Math.min(20, localMissionCount * 2);
+  score -= Math.min(20, localIssuesCount * 3);
+  return Math.max(0, Math.min(100, score));
+}
+
+function calcClientReadiness(missions, notes, reportsLikeCount) {
+  const done = missions.filter((m) => m.status === "done").length;
+  const clientNotes = notes.filter((n) => n.type === "client").length;
+  let score = 35 + Math.min(25, done * 2) + Math.min(20, clientNotes * 3) + Math.min(20, reportsLikeCount * 5);
+  return Math.max(0, Math.min(100, score));
+}
+
+function calcLeadRiskScore(conversionReadiness, uptimeHealth, criticalIssues) {
+  let score = 100 - Math.round((conversionReadiness + uptimeHealth) / 2);
+  score += Math.min(20, criticalIssues * 4);
+  return Math.max(0, Math.min(100, score));
+}
+
+function calcRevenueProxyImpact(opportunities, executionMomentum) {
+  const opp = opportunities.reduce((sum, o) => sum + Number(o.score || 0), 0);
+  let score = Math.round(Math.min(100, opp / Math.max(1, opportunities.length || 1)));
+  score = Math.round((score + executionMomentum) / 2);
+  return Math.max(0, Math.min(100, score));
+}
+
+function classifyPageType(url) {
+  const p = lowerText(url);
+  if (/contact|devis|quote|booking|book/.test(p)) return "contact";
+  if (/service|services|prestations|solutions/.test(p)) return "service";
+  if (/pricing|tarif|price/.test(p)) return "pricing";
+  if (/faq/.test(p)) return "faq";
+  if (/about|a-propos|apropos/.test(p)) return "about";
+  if (/product|produit/.test(p)) return "product";
+  if (/landing/.test(p)) return "landing";
+  if (p === "/" || p === "") return "homepage";
+  return "generic";
+}
+
+function buildIssuePayload({ orgId, userId, sourceType, sourceId, type, pageUrl, siteUrl, sector, pageType, metadata = {}, def: customDef, locale = DEFAULT_LOCALE }) {
+  const def = customDef || ISSUE_LIBRARY[type];
+  if (!def) return null;
+
+  // Les modèles saisis par l'organisation (règles personnalisées) sont gardés tels quels.
+  const title = customDef ? def.title : tr(locale, def.title);
+
+  return {
+    orgId,
+    userId,
+    sourceType,
+    sourceId,
+    type,
+    title,
+    description: def.description || tr(locale, "{title} détecté sur {url}.", {
+      title,
+      url: pageUrl || siteUrl || tr(locale, "le site"),
+    }),
+    category: def.category,
+    severity: def.severity,
+    impactBusiness: def.impactBusiness,
+    priorityScore: def.baseScore,
+    pageUrl: pageUrl || "",
+    siteUrl: siteUrl || "",
+    sector: sector || "",
+    pageType: pageType || "",
+    recommendationKey: def.recommendationKey,
+    missionTemplateKey: def.missionTemplateKey,
+    packKey: def.packKey,
+    status: "open",
+    metadata,
+  };
+}
+
+function buildIssuesFromAudit(audit, siteProfile, sector, locale = DEFAULT_LOCALE) {
+  const findings = audit?.findings || {};
+  const pageType = classifyPageType(audit?.url || "");
+  const items = [];
+  const evidence = {};
+
+  const titleText = String(findings.title?.value || "");
+  const titleDisconnected = findings.title?.termsTotal > 0 && findings.title?.termsInContent === 0;
+
+  if (!findings.title?.ok) items.push("missing_title");
+  else if (titleText.length < 20 || titleDisconnected) {
+    items.push("weak_title");
+    evidence.weak_title = {
+      title: titleText,
+      titleLength: titleText.length,
+      titleTermsInContent: findings.title?.termsInContent ?? null,
+      titleTermsTotal: findings.title?.termsTotal ?? null,
+      reason: titleText.length < 20 ? "too_short" : "not_in_content",
+    };
+  }
+
+  if (!findings.metaDescription?.ok) items.push("missing_meta_description");
+  if (!findings.h1?.ok) items.push("missing_h1");
+
+  const canonical = findings.canonical?.value && typeof findings.canonical.value === "object" ? findings.canonical.value : null;
+  if (canonical ? canonical.outcome === "missing" : findings.canonical && !findings.canonical.ok) items.push("missing_canonical");
+  const canonicalEvidence = canonical && {
+    canonical: { href: canonical.href, url: canonical.url, target: canonical.target, problems: canonical.problems },
+  };
+  if (canonical?.outcome === "broken") {
+    items.push("canonical_broken");
+    evidence.canonical_broken = canonicalEvidence;
+  }
+  if (canonical?.outcome === "cross_page") {
+    items.push("canonical_cross_page");
+    evidence.canonical_cross_page = canonicalEvidence;
+  }
+  if (canonical?.conflicts?.length) {
+    items.push("canonical_conflict");
+    evidence.canonical_conflict = { ...canonicalEvidence, canonicalConflicts: canonical.conflicts };
+  }
+
+  if (!findings.og?.ok) items.push("weak_trust_signals");
+  if (!findings.viewport?.ok) items.push("missing_viewport");
+
+  // Audits antérieurs à la comparaison mobile : repli sur le TTFB desktop.
+  const mobile = findings.mobile?.value;
+  const perf = findings.performance?.value;
+  const slowDesktop = perf ? perf.slowTtfb : !findings.responseTime?.ok;
+  if (mobile?.mobile ? mobile.slow : slowDesktop) {
+    items.push("slow_mobile");
+    if (mobile?.mobile) evidence.slow_mobile = { mobileMs: mobile.mobile.ms, desktopMs: mobile.desktop.ms };
+  }
+  const mobileDiff = (fields) => ({
+    mobileVariant: mobile.variant,
+    mobileDiff: fields.map(([label, key]) => ({
+      label,
+      desktop: mobile.desktop?.[key] ?? "",
+      mobile: mobile.mobile ? mobile.mobile[key] ?? "" : mobile.error || "",
+    })),
+  });
+  const mobileDiffs = mobile?.differences || [];
+  if (mobileDiffs.includes("blocked") || mobileDiffs.includes("status")) {
+    items.push("mobile_variant_blocked");
+    evidence.mobile_variant_blocked = { ...mobileDiff([["HTTP", "status"], ["URL finale", "finalUrl"]]), robotsBlocked: mobile.robotsBlocked };
+  }
+  if (mobileDiffs.includes("content")) {
+    items.push("mobile_content_gap");
+    evidence.mobile_content_gap = mobileDiff([["Mots", "wordCount"], ["H1", "h1Count"], ["Octets HTML", "bytes"]]);
+  }
+  if (mobileDiffs.includes("canonical")) {
+    items.push("mobile_canonical_mismatch");
+    evidence.mobile_canonical_mismatch = { ...mobileDiff([["Canonical", "canonical"], ["URL finale", "finalUrl"]]), alternate: mobile.alternate };
+  }
+  if (mobileDiffs.includes("metadata")) {
+    items.push("mobile_metadata_mismatch");
+    evidence.mobile_metadata_mismatch = mobileDiff(
+      [["Title", "title"], ["Meta description", "metaDescription"]].filter(([, key]) => mobile.desktop[key] !== mobile.mobile[key])
+    );
+  }
+  // Un type d'issue par placement manquant ; l'evidence liste les mots-clés concernés.
+  const targetKeywords = findings.keywords?.value?.keywords || [];
+  const keywordIssue = (type, placements) => {
+    const list = targetKeywords
+      .map((k) => ({ keyword: k.keyword, missing: k.missing.filter((p) => placements.includes(p)) }))
+      .filter((k) => k.missing.length);
+    if (!list.length) return;
+    items.push(type);
+    evidence[type] = { targetKeywords: list };
+  };
+  keywordIssue("keyword_missing_title", ["title"]);
+  keywordIssue("keyword_missing_h1", ["h1"]);
+  keywordIssue("keyword_missing_meta_description", ["metaDescription"]);
+  keywordIssue("keyword_weak_placement", ["slug", "firstParagraph", "imageAlt"]);
+
+  if (perf?.renderBlocking?.length > RENDER_BLOCKING_MAX) {
+    items.push("render_blocking_resources");
+    evidence.render_blocking_resources = { renderBlocking: perf.renderBlocking.slice(0, 10) };
+  }
+  if (perf?.totalBytes > PAGE_WEIGHT_WARN_BYTES) {
+    items.push("heavy_page");
+    evidence.heavy_page = {
+      pageWeight: {
+        totalBytes: perf.totalBytes,
+        transferBytes: perf.transferBytes,
+        scripts: perf.scripts,
+        stylesheets: perf.stylesheets,
+        images: perf.images,
+        requests: perf.requests,
+      },
+    };
+  }
+  if (perf && (!perf.compression.documentCompressed || perf.compression.uncompressed.length)) {
+    items.push("missing_compression");
+    evidence.missing_compression = {
+      documentCompressed: perf.compression.documentCompressed,
+      uncompressed: perf.compression.uncompressed.slice(0, 10),
+    };
+  }
+  if (perf?.caching?.shortCacheCount) {
+    items.push("weak_browser_caching");
+    evidence.weak_browser_caching = { shortCache: perf.caching.shortCache.slice(0, 10) };
+  }
+  if (perf?.thirdPartyDomains?.length > THIRD_PARTY_DOMAINS_MAX) {
+    items.push("too_many_third_parties");
+    evidence.too_many_third_parties = { thirdPartyDomains: perf.thirdPartyDomains };
+  }
+  const sd = findings.structuredData?.value;
+  if (sd && !sd.count) items.push("missing_schema");
+  else if (sd?.errorCount) items.push("invalid_schema");
+  const isHomeOrContact = pageType === "contact" || (() => {
+    try { return new URL(audit?.url || "").pathname === "/"; } catch { return false; }
+  })();
+  if (sd && !sd.hasLocalBusiness && LOCAL_SEO_SECTORS.has(sector) && isHomeOrContact) {
+    items.push("missing_local_business_schema");
+  }
+
+  const bl = findings.brokenLinks?.value;
+  if (bl?.internalBroken) {
+    items.push("broken_internal_links");
+    evidence.broken_internal_links = { brokenUrls: bl.broken.filter((b) => b.kind === "link" && b.internal).slice(0, 20) };
+  }
+  if (bl?.resourcesBroken) {
+    items.push("broken_resources");
+    evidence.broken_resources = { brokenUrls: bl.broken.filter((b) => b.kind !== "link").slice(0, 20) };
+  }
+  if (bl?.externalBroken) {
+    items.push("broken_external_links");
+    evidence.broken_external_links = { brokenUrls: bl.broken.filter((b) => b.kind === "link" && !b.internal).slice(0, 20) };
+  }
+
+  const img = findings.images?.value;
+  if (img?.missingAlt) {
+    items.push("images_missing_alt");
+    evidence.images_missing_alt = {
+      imageUrls: (img.items || []).filter((i) => i.alt == null).map((i) => i.src).slice(0, 20),
+    };
+  }
+  if (img?.heavyCount) {
+    items.push("heavy_images");
+    evidence.heavy_images = { heaviest: img.heaviest, totalBytes: img.totalBytes };
+  }
+  if (img?.missingDimensions) items.push("images_missing_dimensions");
+  if (img?.legacyFormat) items.push("legacy_image_formats");
+
+  const hl = findings.hreflang?.value;
+  if (hl?.missingReturn?.length) {
+    items.push("hreflang_missing_return");
+    evidence.hreflang_missing_return = { missingReturn: hl.missingReturn };
+  }
+  if (hl?.langMismatch || hl?.alternateLangMismatches?.length) {
+    items.push("hreflang_lang_mismatch");
+    evidence.hreflang_lang_mismatch = {
+      langMismatches: [
+        ...(hl.langMismatch ? [{ url: audit.url, ...hl.langMismatch }] : []),
+        ...hl.alternateLangMismatches,
+      ],
+    };
+  }
+  if (hl && (hl.invalidCodes.length || !hl.selfReference || hl.unreachable.length || hl.duplicates.length)) {
+    items.push("hreflang_invalid");
+    evidence.hreflang_invalid = { invalidCodes: hl.invalidCodes, unreachable: hl.unreachable, selfReference: hl.selfReference };
+  }
+
+  const redirects = findings.redirects?.value;
+  if (redirects?.loop || redirects?.tooManyRedirects) {
+    items.push("redirect_loop");
+    evidence.redirect_loop = { redirectHops: redirects.hops };
+  } else if (redirects?.tooLong) {
+    items.push("redirect_chain");
+    evidence.redirect_chain = { redirectHops: redirects.hops };
+  }
+  if (redirects?.temporary?.length) {
+    items.push("temporary_redirect");
+    evidence.temporary_redirect = { redirectHops: redirects.temporary };
+  }
+
+  if (findings.https?.ok && findings.hsts && !findings.hsts.ok) {
+    items.push("missing_hsts");
+    evidence.missing_hsts = { header: findings.hsts.value?.raw || "", maxAge: findings.hsts.value?.maxAge ?? null };
+  }
+  if (findings.mixedContent?.value?.count) {
+    items.push("mixed_content");
+    evidence.mixed_content = { mixedUrls: findings.mixedContent.value.urls };
+  }
+  if (findings.csp && !findings.csp.ok) items.push("missing_csp");
+  if (findings.contentTypeOptions && !findings.contentTypeOptions.ok) items.push("missing_content_type_options");
+  if (findings.frameOptions && !findings.frameOptions.ok) items.push("missing_frame_protection");
+  if (findings.referrerPolicy && !findings.referrerPolicy.ok) items.push("missing_referrer_policy");
+  if (findings.permissionsPolicy && !findings.permissionsPolicy.ok) items.push("missing_permissions_policy");
+
+  if (findings.robotsTxt?.value?.disallowed) items.push("robots_txt_blocked");
+  if (findings.robotsTxt && !findings.robotsTxt.value?.found) items.push("missing_robots_txt");
+  if (findings.sitemap && !findings.sitemap.value?.valid) items.push("missing_sitemap");
+  else if (findings.sitemap && !findings.sitemap.value?.pageListed) items.push("page_not_in_sitemap");
+  const content = findings.content?.value;
+  if (content?.thin) {
+    items.push("low_content_depth");
+    evidence.low_content_depth = {
+      wordCount: content.wordCount,
+      textHtmlRatio: content.textHtmlRatio,
+      paragraphCount: content.paragraphCount,
+      readingLevel: content.readingLevel,
+      thresholds: content.thresholds,
+    };
+  }
+  if (findings.headings?.value?.skippedLevels?.length) {
+    items.push("heading_hierarchy");
+    evidence.heading_hierarchy = { skippedLevels: findings.headings.value.skippedLevels };
+  }
+
+  const a11yIssues = {
+    a11yFormLabels: "missing_form_labels",
+    a11yControlNames: "unnamed_controls",
+    a11yTabindex: "tabindex_misuse",
+  };
+  for (const [key, type] of Object.entries(a11yIssues)) {
+    if (findings[key] && !findings[key].ok) {
+      items.push(type);
+      evidence[type] = { a11yElements: findings[key].value.samples };
+    }
+  }
+  if (findings.a11yLandmarks && !findings.a11yLandmarks.ok) {
+    items.push("missing_landmarks");
+    evidence.missing_landmarks = { missingLandmarks: findings.a11yLandmarks.value.missing };
+  }
+  if (findings.a11yDuplicateIds && !findings.a11yDuplicateIds.ok) {
+    items.push("duplicate_ids");
+    evidence.duplicate_ids = { duplicateIds: findings.a11yDuplicateIds.value.samples };
+  }
+  if (findings.a11yAria && !findings.a11yAria.ok) {
+    items.push("invalid_aria");
+    evidence.invalid_aria = { ariaProblems: findings.a11yAria.value.samples };
+  }
+
+  if (!siteProfile.hasContact) items.push("weak_contact_visibility");
+  if (!siteProfile.hasCityPages) items.push("no_local_pages");
+  if (!siteProfile.hasContact) items.push("missing_google_map_block");
+
+  const customIssues = (findings.customRules?.value?.results || [])
+    .filter((r) => !r.ok)
+    .map((r) =>
+      buildIssuePayload({
+        orgId: audit.orgId,
+        userId: audit.userId,
+        sourceType: "audit",
+        sourceId: audit._id,
+        type: `custom_rule_${r.ruleId}`,
+        def: customRuleIssueDef(r, locale),
+        pageUrl: audit.url,
+        siteUrl: audit.url,
+        sector,
+        pageType,
+        metadata: {
+          score: audit.score,
+          summary: audit.summary,
+          ruleId: r.ruleId,
+          ruleName: r.name,
+          ruleDetail: r.detail,
+          pathPattern: r.pathPattern,
+          missionTitle: r.issueTemplate?.missionTitle || "",
+        },
+        locale,
+      })
+    );
+
+  return uniqueStrings(items)
+    .map((type) =>
+      buildIssuePayload({
+        orgId: audit.orgId,
+        userId: audit.userId,
+        sourceType: "audit",
+        sourceId: audit._id,
+        type,
+        pageUrl: audit.url,
+        siteUrl: audit.url,
+        sector,
+        pageType,
+        locale,
+        metadata: {
+          score: audit.score,
+          summary: audit.summary,
+          ...(evidence[type] || {}),
+        },
+      })
+    )
+    .concat(customIssues)
+    .filter(Boolean);
+}
+
+// Définition d'issue équivalente à ISSUE_LIBRARY, construite depuis le modèle de la règle.
+function customRuleIssueDef(result, locale = DEFAULT_LOCALE) {
+  const tpl = result.issueTemplate || {};
+  const severity = result.severity || "medium";
+  return {
+    title: tpl.title || tr(locale, "Règle personnalisée : {name}", result),
+    description: tpl.description || "",
+    category: tpl.category || "seo",
+    severity,
+    impactBusiness: severity,
+    recommendationKey: "custom_rule",
+    missionTemplateKey: "custom_rule",
+    packKey: "",
+    baseScore: { critical: 90, high: 80, medium: 65, low: 45 }[severity] || 65,
+  };
+}
+
+function buildIssuesFromMonitor(monitor, sector, locale = DEFAULT_LOCALE) {
+  if (!monitor || monitor.lastStatus !== "down") return [];
+
+  const pageType = classifyPageType(monitor.url);
+
+  return [
+    buildIssuePayload({
+      orgId: monitor.orgId,
+      userId: monitor.userId,
+      sourceType: "monitor",
+      sourceId: monitor._id,
+      type: "page_not_monitored",
+      pageUrl: monitor.url,
+      siteUrl: monitor.url,
+      sector,
+      pageType,
+      locale,
+      metadata: {
+        lastStatus: monitor.lastStatus,
+        lastCheckedAt: monitor.lastCheckedAt,
+      },
+    }),
+  ].filter(Boolean);
+}
+
+function buildRecommendations({ issues, sector, siteProfile, maturity, planFeatures, history, locale = DEFAULT_LOCALE }) {
+  const out = [];
+
+  const hasType = (type) => issues.some((i) => i.type === type);
+  const countCategory = (cat) => issues.filter((i) => i.category === cat).length;
+
+  if (hasType("slow_mobile")) {
+    out.push({
+      type: "quick_win",
+      title: "Le site semble trop faible sur mobile",
+      text: "La performance mobile freine à la fois visibilité et conversion. Un pack mobile prioritaire est recommandé.",
+      category: "conversion",
+      score: 92,
+    });
+  }
+
+  if (hasType("no_local_pages")) {
+    out.push({
+      type: "local_opportunity",
+      title: "Le site est sous-exploité localement",
+      text: "Les pages service sont présentes ou implicites, mais la couverture ville / zone reste insuffisante.",
+      category: "local",
+      score: 88,
+    });
+  }
+
+  if (hasType("weak_contact_visibility")) {
+    out.push({
+      type: "business_opportunity",
+      title: "Le contact business est trop peu visible",
+      text: "Le site semble risquer de perdre des leads sur les pages à enjeu commercial.",
+      category: "conversion",
+      score: 84,
+    });
+  }
+
+  if (countCategory("seo") >= 3) {
+    out.push({
+      type: "strategic",
+      title: "Le socle SEO a besoin d’un cleanup structuré",
+      text: "Plusieurs signaux techniques ou sémantiques méritent une exécution groupée au lieu de corrections isolées.",
+      category: "seo",
+      score: 79,
+    });
+  }
+
+  if (maturity === "site_tres_faible") {
+    out.push({
+      type: "urgency",
+      title: "Le site demande une remise à niveau prioritaire",
+      text: "Les fondations SEO / conversion ne sont pas encore assez solides pour une croissance stable.",
+      category: "ops",
+      score: 90,
+    });
+  }
+
+  if (sector === "garage" || sector === "artisan" || sector === "independant") {
+    out.push({
+      type: "local_opportunity",
+      title: "Le secteur se prête fortement au Local SEO",
+      text: "Un déploiement villes + contact + map + preuves locales peut créer un effet visible rapidement.",
+      category: "local",
+      score: 85,
+    });
+  }
+
+  if (planFeatures.ultra) {
+    out.push({
+      type: "strategic",
+      title: "Le plan Ultra permet une logique portefeuille",
+      text: "Les recommandations peuvent être transformées en workflows, calendrier, team threads et plan mensuel.",
+      category: "ops",
+      score: 75,
+    });
+  } else if (planFeatures.pro) {
+    out.push({
+      type: "strategic",
+      title: "Le plan Pro peut accélérer l’exécution",
+      text: "Des packs plus riches et des recommandations regroupées peuvent rendre la progression plus visible.",
+      category: "ops",
+      score: 68,
+    });
+  }
+
+  if ((history?.ignoredIssueTypes || []).includes("no_local_pages")) {
+    out.push({
+      type: "history_signal",
+      title: "Le local revient comme sujet récurrent",
+      text: "Les signaux locaux ont déjà été laissés de côté, ce qui peut ralentir la progression visible.",
+      category: "local",
+      score: 72,
+    });
+  }
+
+  return out
+    .map((r) => ({ ...r, title: tr(locale, r.title), text: tr(locale, r.text) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+function describeIssueEvidence(metadata = {}, locale = DEFAULT_LOCALE) {
+  const m = metadata || {};
+  const lines = [];
+  const line = (text, vars) => `• ${tr(locale, text, vars)}`;
+
+  if (Array.isArray(m.brokenUrls)) {
+    lines.push(...m.brokenUrls.slice(0, 10).map((b) => `• ${b.url} (${b.status || b.reason})`));
+  }
+  if (m.wordCount != null) {
+    lines.push(line("{count} mots visibles (objectif ≥ {min}), ratio texte/HTML {ratio}%, {paragraphs} paragraphe(s).", {
+      count: m.wordCount,
+      min: m.thresholds?.minWords ?? THIN_CONTENT_WORDS,
+      ratio: m.textHtmlRatio,
+      paragraphs: m.paragraphCount,
+    }));
+    if (m.readingLevel) {
+      lines.push(line("Lisibilité : {label} ({score}/100).", { label: tr(locale, m.readingLevel.label), score: m.readingLevel.score }));
+    }
+  }
+  if (m.titleLength != null) {
+    lines.push(line("Title actuel ({length} car.) : « {title} »", { length: m.titleLength, title: m.title }));
+    if (m.reason === "not_in_content") lines.push(line("Aucun mot-clé du title n’apparaît dans le contenu de la page."));
+  }
+  if (Array.isArray(m.skippedLevels)) {
+    lines.push(...m.skippedLevels.slice(0, 5).map((x) => `• ${x.from} → ${x.to} : « ${x.text} »`));
+  }
+  if (Array.isArray(m.missingReturn)) {
+    lines.push(...m.missingReturn.slice(0, 10).map((url) => line("Pas de lien retour depuis {url}", { url })));
+  }
+  if (Array.isArray(m.langMismatches)) {
+    lines.push(...m.langMismatches.slice(0, 10).map((x) => `• ${x.url} : lang="${x.lang || "?"}" vs hreflang ${x.hreflang}`));
+  }
+  if (Array.isArray(m.invalidCodes)) {
+    lines.push(...m.invalidCodes.map((c) => line("Code hreflang invalide : {hreflang}", c)));
+    lines.push(...(m.unreachable || []).map((u) => line("Alternative non résolue : {url} ({target})", {
+      url: u.url,
+      target: u.redirectedTo ? `→ ${u.redirectedTo}` : u.status,
+    })));
+    if (m.selfReference === false) lines.push(line("Balise hreflang auto-référente absente."));
+  }
+  if (Array.isArray(m.redirectHops)) {
+    lines.push(...m.redirectHops.slice(0, 10).map((h) => `• ${h.status} ${h.url}${h.location ? ` → ${h.location}` : ""}`));
+  }
+  if (Array.isArray(m.mixedUrls)) {
+    lines.push(...m.mixedUrls.slice(0, 10).map((x) => `• <${x.tag}> ${x.url}`));
+  }
+  if (m.header != null && m.maxAge !== undefined) {
+    lines.push(line("En-tête actuel : {header}", { header: m.header || tr(locale, "(absent)") }));
+  }
+  if (m.mobileMs != null) {
+    lines.push(line("Temps de réponse mobile {mobile}ms (desktop {desktop}ms).", { mobile: m.mobileMs, desktop: m.desktopMs }));
+  }
+  if (Array.isArray(m.mobileDiff)) {
+    lines.push(...m.mobileDiff.map((d) => line("{label} — desktop : {desktop} · mobile : {mobile}", {
+      label: tr(locale, d.label),
+      desktop: d.desktop === "" ? tr(locale, "(absent)") : d.desktop,
+      mobile: d.mobile === "" ? tr(locale, "(absent)") : d.mobile,
+    })));
+    if (m.robotsBlocked) lines.push(line("La version mobile est bloquée par robots.txt."));
+    if (m.alternate === false) lines.push(line("La page desktop ne déclare pas la version mobile en <link rel=\"alternate\" media>."));
+  }
+  if (Array.isArray(m.targetKeywords)) {
+    lines.push(...m.targetKeywords.map((k) => line("« {keyword} » absent de : {places}", {
+      keyword: k.keyword,
+      places: k.missing.map((p) => tr(locale, KEYWORD_PLACEMENT_LABELS[p] || p)).join(", "),
+    })));
+  }
+  if (Array.isArray(m.renderBlocking)) {
+    lines.push(...m.renderBlocking.map((r) => `• [${r.kind === "script" ? "JS" : "CSS"}] ${r.url}`));
+  }
+  if (m.pageWeight) {
+    const w = m.pageWeight;
+    lines.push(line("Poids total {total} en {requests} requête(s).", { total: formatBytes(w.totalBytes), requests: w.requests }));
+    lines.push(line("HTML {html} · JS {js} ({jsCount}) · CSS {css} ({cssCount}) · images {images} ({imageCount})", {
+      html: formatBytes(w.transferBytes),
+      js: formatBytes(w.scripts?.bytes || 0),
+      jsCount: w.scripts?.count || 0,
+      css: formatBytes(w.stylesheets?.bytes || 0),
+      cssCount: w.stylesheets?.count || 0,
+      images: formatBytes(w.images?.bytes || 0),
+      imageCount: w.images?.count || 0,
+    }));
+  }
+  if (Array.isArray(m.uncompressed)) {
+    if (m.documentCompressed === false) lines.push(line("Document HTML servi sans Content-Encoding."));
+    lines.push(...m.uncompressed.map((url) => line("Non compressé : {url}", { url })));
+  }
+  if (Array.isArray(m.shortCache)) {
+    lines.push(...m.shortCache.map((c) => (c.cacheSeconds == null
+      ? line("{url} : aucun en-tête de cache", { url: c.url })
+      : line("{url} : cache {seconds}s", { url: c.url, seconds: c.cacheSeconds }))));
+  }
+  if (Array.isArray(m.thirdPartyDomains)) {
+    lines.push(line("{count} domaine(s) tiers : {list}", {
+      count: m.thirdPartyDomains.length,
+      list: m.thirdPartyDomains.slice(0, 12).join(", "),
+    }));
+  }
+  if (Array.isArray(m.a11yElements)) {
+    lines.push(...m.a11yElements.slice(0, 10).map((x) => `• ${x}`));
+  }
+  if (Array.isArray(m.missingLandmarks)) {
+    lines.push(line("Zones repères absentes : {list}.", { list: m.missingLandmarks.map((tag) => `<${tag}>`).join(", ") }));
+  }
+  if (m.canonical) {
+    lines.push(m.canonical.href === m.canonical.url
+      ? line("Canonical : {url}", m.canonical)
+      : line("Canonical : {href} → {url}", { href: m.canonical.href, url: m.canonical.url || tr(locale, "URL invalide") }));
+    for (const p of m.canonical.problems || []) lines.push(`• ${tr(locale, CANONICAL_PROBLEM_LABELS[p] || p)}`);
+    const t = m.canonical.target;
+    if (t && (m.canonical.problems || []).some((p) => p !== "invalid_url" && p !== "multiple")) {
+      lines.push(line("Cible : HTTP {status}, URL finale {finalUrl}, canonical {canonical}", {
+        status: t.status || "—",
+        finalUrl: t.finalUrl,
+        canonical: t.canonical || tr(locale, "aucune"),
+      }));
+    }
+  }
+  if (Array.isArray(m.canonicalConflicts)) {
+    lines.push(...m.canonicalConflicts.map((c) => line("Conflit {source} : {url}", c)));
+  }
+  if (Array.isArray(m.duplicatePages)) {
+    if (m.duplicateValue) lines.push(line("Valeur partagée : « {value} »", { value: m.duplicateValue }));
+    if (m.similarity < 1) lines.push(line("Similarité ≥ {percent}%", { percent: Math.round(m.similarity * 100) }));
+    lines.push(...m.duplicatePages.map((url) => `• ${url}`));
+    if (m.pageCount > m.duplicatePages.length) {
+      lines.push(line("… et {count} autre(s) page(s)", { count: m.pageCount - m.duplicatePages.length }));
+    }
+  }
+  if (Array.isArray(m.duplicateIds)) {
+    lines.push(...m.duplicateIds.slice(0, 10).map((x) => line("id=\"{id}\" utilisé {count} fois", x)));
+  }
+  if (Array.isArray(m.ariaProblems)) {
+    const reasons = {
+      unknown_attribute: "attribut ARIA inconnu",
+      invalid_role: "rôle invalide",
+      missing_reference: "référence vers un id absent",
+      hidden_focusable: "élément focusable masqué aux lecteurs d’écran",
+    };
+    lines.push(...m.ariaProblems.slice(0, 10).map((x) => `• ${x.element} : ${tr(locale, reasons[x.reason] || x.reason)} (${x.detail})`));
+  }
+  if (m.ruleDetail) {
+    lines.push(m.pathPattern
+      ? line("{detail} (pages {pattern}).", { detail: m.ruleDetail, pattern: m.pathPattern })
+      : `• ${m.ruleDetail}.`);
+  }
+
+  return lines;
+}
+
+function createMissionFromIssue(issue, user, locale = DEFAULT_LOCALE) {
+  const priority =
+    issue.severity === "critical" ? "critical"
+      : issue.severity === "high" ? "high"
+      : issue.severity === "medium" ? "medium"
+      : "low";
+
+  const impact =
+    issue.impactBusiness === "critical" ? "critical"
+      : issue.impactBusiness === "high" ? "high"
+      : issue.impactBusiness === "medium" ? "medium"
+      : "low";
+
+  const isQuickWin = ["missing_meta_description", "missing_h1", "weak_title", "missing_google_map_block", "robots_txt_blocked", "missing_robots_txt", "missing_content_type_options", "missing_referrer_policy", "missing_landmarks", "duplicate_ids", "missing_viewport"].includes(issue.type);
+
+  const evidenceLines = describeIssueEvidence(issue.metadata, locale);
+  const description = evidenceLines.length
+    ? `${issue.description}\n${evidenceLines.join("\n")}`
+    : issue.description;
+
+  return {
+    orgId: user.orgId,
+    userId: user._id,
+    title: issue.metadata?.missionTitle || issue.title,
+    description,
+    category: issue.category,
+    sourceType: issue.sourceType,
+    sourceId: issue.sourceId,
+    priority,
+    impact,
+    status: "todo",
+    pageUrl: issue.pageUrl,
+    siteUrl: issue.siteUrl,
+    sector: issue.sector,
+    pageType: issue.pageType,
+    isAutomated: true,
+    isQuickWin,
+    tags: uniqueStrings([issue.type, issue.category, issue.packKey, issue.recommendationKey]),
+  };
+}
+
+function createPackMissions(pack, context, user, locale = DEFAULT_LOCALE) {
+  const siteUrl = context?.siteUrl || "";
+  const sector = context?.sector || "";
+  const targetCities = context?.targetCities || [];
+
+  const items = [];
+
+  const add = (title, description, category, priority = "medium", impact = "medium", pageType = "", vars = {}) => {
+    items.push({
+      orgId: user.orgId,
+      userId: user._id,
+      title: tr(locale, title, vars),
+      description: tr(locale, description, vars),
+      category,
+      sourceType: "system",
+      priority,
+      impact,
+      status: "todo",
+      pageUrl: "",
+      siteUrl,
+      sector,
+      pageType,
+      isAutomated: true,
+      isQuickWin: false,
+      tags: uniqueStrings([pack.key, category, sector, pageType]),
+    });
+  };
+
+  if (pack.key === "seo_technical_recovery") {
+    add("Corriger les titles clés", "Renforcer les balises title sur les pages principales.", "seo", "high", "high", "homepage");
+    add("Ajouter les meta descriptions manquantes", "Rendre les snippets plus forts et plus cliquables.", "seo", "high", "high", "service");
+    add("Revoir la hiérarchie H1 / headings", "Assainir la structure des pages critiques.", "content", "high", "high", "service");
+    add("Ajouter les données structurées pertinentes", "Améliorer le contexte sémantique.", "seo", "medium", "medium", "homepage");
+  }
+
+  if (pack.key === "homepage_conversion_lift") {
+    add("Renforcer le hero principal", "Clarifier la proposition de valeur et le bénéfice immédiat.", "conversion", "high", "high", "homepage");
+    add("Renforcer les CTA homepage", "Rendre l’action principale plus visible.", "conversion", "high", "high", "homepage");
+    add("Ajouter preuves / trust signals", "Améliorer la confiance sur les premières secondes.", "conversion", "medium", "high", "homepage");
+  }
+
+  if (pack.key === "local_city_expansion") {
+    const cities = targetCities.length ? targetCities : ["Liège", "Verviers", "Bruxelles"];
+    for (const city of cities.slice(0, 5)) {
+      add("Créer une page locale {city}", "Déployer une page ciblée pour {city}.", "local", "high", "high", "city", { city });
+    }
+    add("Ajouter signaux locaux sur la page contact", "Renforcer la cohérence locale et la conversion.", "local", "medium", "high", "contact");
+  }
+
+  if (pack.key === "trust_and_conversion") {
+    add("Ajouter bloc avis / preuves", "Renforcer la confiance perçue.", "conversion", "medium", "high", "homepage");
+    add("Rendre le contact plus visible", "Réduire la friction sur les pages business.", "conversion", "high", "critical", "contact");
+    add("Ajouter FAQ de réassurance", "Lever les doutes avant prise de contact.", "content", "medium", "medium", "faq");
+  }
+
+  if (pack.key === "critical_pages_monitoring") {
+    add("Créer monitor sur homepage", "Surveiller la page la plus exposée.", "monitor", "high", "high", "homepage");
+    add("Créer monitor sur contact", "Protéger la page de conversion la plus sensible.", "monitor", "high", "critical", "contact");
+    add("Créer monitor sur service principal", "Sécuriser la page business principale.", "monitor", "medium", "high", "service");
+  }
+
+  if (pack.key === "service_pages_authority") {
+    add("Étendre la profondeur de contenu des pages service", "Améliorer utilité, clarté et autorité.", "content", "high", "high", "service");
+    add("Ajouter FAQ et preuves par service", "Renforcer la différenciation et la conversion.", "content", "medium", "high", "service");
+    add("Structurer intent / bénéfices / CTA", "Rendre chaque page service plus convaincante.", "conversion", "medium", "high", "service");
+  }
+
+  if (pack.key === "mobile_emergency_cleanup") {
+    add("Réduire la friction mobile critique", "Cibler les blocages les plus visibles sur mobile.", "conversion", "critical", "critical", "homepage");
+    add("Alléger les points lourds des pages clés", "Améliorer vitesse et expérience mobile.", "seo", "high", "high", "service");
+  }
+
+  if (pack.key === "end_of_trial_wins") {
+    add("Sortir les 3 quick wins les plus visibles", "Mettre en avant de la progression avant fin d’essai.", "ops", "high", "high");
+    add("Préparer un mini rapport de valeur", "Montrer ce qui a été débloqué et ce qui reste.", "reporting", "medium", "high");
+    add("Créer le prochain sprint prioritaire", "Rendre la continuité naturelle après le trial.", "ops", "high", "high");
+  }
+
+  if (pack.key === "monthly_growth_sprint") {
+    add("Fixer les priorités du mois", "Structurer les missions du prochain cycle.", "ops", "high", "high");
+    add("Planifier revue audits / monitors", "Créer les événements calendrier pertinents.", "ops", "medium", "medium");
+    add("Préparer restitution mensuelle", "Faciliter la lecture client et la valeur perçue.", "reporting", "medium", "high");
+  }
+
+  if (pack.key === "map_trust_signals") {
+    add("Ajouter carte Google sur contact", "Améliorer confiance et repères locaux.", "local", "medium", "medium", "contact");
+    add("Afficher horaires / téléphone / itinéraire", "Rendre la page contact plus complète.", "local", "medium", "high", "contact");
+    add("Renforcer les preuves locales", "Ancrer la crédibilité territoriale.", "local", "medium", "medium", "contact");
+  }
+
+  return items;
+}
+
+function buildLocalOpportunities(siteProfile, sector) {
+  const uncoveredCities = FP_CITIES.filter((city) => {
+    return !siteProfile.pageUrls.some((p) => lowerText(p).includes(lowerText(city)));
+  }).slice(0, 6);
+
+  return uncoveredCities.map((city, idx) => ({
+    city,
+    type: "city_expansion",
+    label: `${city} n’est pas encore couverte`,
+    score: 90 - idx * 5,
+    sector,
+  }));
+}
+
+function buildRiskEngine({ issues, monitors, siteProfile, missions }) {
+  const openIssues = issues.filter((i) => i.status === "open");
+  const criticalIssues = openIssues.filter((i) => i.severity === "critical" || i.impactBusiness === "critical");
+  const downMonitors = monitors.filter((m) => m.lastStatus === "down");
+  const pagesBusinessWithoutMonitor = siteProfile.hasContact && !monitors.some((m) => lowerText(m.url).includes("contact")) ? 1 : 0;
+  const localDeficit = siteProfile.hasCityPages ? 0 : 1;
+  const weakExecution = missions.length ? missions.filter((m) => m.status !== "done").length > missions.filter((m) => m.status === "done").length * 2 : true;
+
+  return {
+    criticalPagesUnhandled: criticalIssues.length,
+    monitorsDownUnhandled: downMonitors.length,
+    pagesBusinessWithoutMonitor,
+    localCoverageDeficit: localDeficit,
+    weakExecution: weakExecution ? 1 : 0,
+    currentRiskLevel:
+      downMonitors.length > 0 || criticalIssues.length >= 3 ? "high"
+        : criticalIssues.length > 0 ? "medium"
+        : "low",
+  };
+}
+
+function buildOpportunityEngine({ recommendations, localOpportunities, issues, competitorBenchmarks = [] }) {
+  const out = [];
+
+  for (const r of recommendations.slice(0, 6)) {
+    out.push({
+      type: r.category,
+      label: r.title,
+      score: r.score,
+    });
+  }
+
+  for (const loc of localOpportunities.slice(0, 4)) {
+    out.push({
+      type: "local",
+      label: loc.label,
+      score: loc.score,
+    });
+  }
+
+  if (issues.some((i) => i.type === "weak_cta")) {
+    out.push({
+      type: "conversion",
+      label: "Les CTA peuvent être renforcés sur les pages business",
+      score: 82,
+    });
+  }
+
+  for (const bench of competitorBenchmarks) {
+    for (const gap of bench.gaps.slice(0, 3)) {
+      out.push({
+        type: "competitor_gap",
+        label: gap.label,
+        score: gap.score,
+        category: gap.category,
+        site: bench.site.url,
+      });
+    }
+
+    const lead = bench.leads[0];
+    if (lead) {
+      out.push({
+        type: "competitor_lead",
+        label: lead.label,
+        score: Math.min(90, 70 + lead.delta),
+        site: bench.site.url,
+      });
+    }
+  }
+
+  return out.sort((a, b) => b.score - a.score).slice(0, 10);
+}
+
+function buildOverviewNarrative({ seoScore, localDominanceScore, uptimeHealth, conversionReadiness, riskEngine, opportunityEngine }) {
+  const parts = [];
+
+  if (seoScore >= 70 && localDominanceScore < 55) {
+    parts.push("Le site est relativement stable techniquement mais reste sous-exploité localement.");
+  } else if (seoScore < 60) {
+    parts.push("Le site demande encore un renforcement SEO clair avant de viser une progression plus visible.");
+  } else {
+    parts.push("Le site a une base correcte mais plusieurs leviers visibles restent sous-exploités.");
+  }
+
+  if (conversionReadiness < 60) {
+    parts.push("La couche conversion semble trop faible pour capter tout le potentiel du trafic.");
+  }
+
+  if (riskEngine.monitorsDownUnhandled > 0) {
+    parts.push(`${riskEngine.monitorsDownUnhandled} incident(s) monitor peuvent menacer des pages à enjeu business.`);
+  }
+
+  if (opportunityEngine.length) {
+    parts.push(`${Math.min(3, opportunityEngine.length)} opportunité(s) peuvent améliorer visibilité et exécution rapidement.`);
+  }
+
+  return parts.join(" ");
+}
+
+function buildTrialRetentionBlock({ missions, opportunities, plan }) {
+  const pending = missions.filter((m) => m.status !== "done").length;
+  const quickWins = missions.filter((m) => m.isQuickWin && m.status !== "done").length;
+
+  return {
+    progressionUnlocked: missions.filter((m) => m.status === "done").length,
+    missionsReady: pending,
+    packsAvailable: PACK_LIBRARY.length,
+    potentialStillOpen: opportunities.length,
+    whatYouLoseIfYouStop:
+      plan === "ultra"
+        ? "La génération proactive, la logique portefeuille et les workflows reliés."
+        : plan === "pro"
+          ? "Les packs riches, les recommandations regroupées et les analytics avancés."
+          : "La continuité d’exécution, les quick wins et la progression structurée.",
+    quickWinsRemaining: quickWins,
+  };
+}
+
+function buildMonthlyOperatingSystem({ missions, calendarEvents }) {
+  const todo = missions.filter((m) => m.status !== "done").length;
+  const done = missions.filter((m) => m.status === "done").length;
+  const nextEvents = [...calendarEvents]
+    .filter((e) => e.startAt && new Date(e.startAt).getTime() >= Date.now())
+    .sort((a, b) => new Date(a.startAt) - new Date(b.startAt))
+    .slice(0, 5);
+
+  return {
+    todo,
+    done,
+    remaining: todo,
+    nextPriorities: missions
+      .filter((m) => m.status !== "done")
+      .sort((a, b) => {
+        const rank = { critical: 4, high: 3, medium: 2, low: 1 };
+        return (rank[b.priority] || 0) - (rank[a.priority] || 0);
+      })
+      .slice(0, 5)
+      .map((m) => m.title),
+    nextEvents: nextEvents.map((e) => ({
+      title: e.title,
+      startAt: e.startAt,
+      type: e.type,
+      priority: e.priority,
+    })),
+  };
+}
+
+async function getUserEngineContext(user, org, days = 30) {
+  const since = new Date(Date.now() - Math.max(1, days) * 24 * 60 * 60 * 1000);
+
+  const [audits, monitors, monitorLogs, missions, notes, calendarEvents, latestCrawl] = await Promise.all([
+    Audit.find({ orgId: user.orgId }).sort({ createdAt: -1 }).limit(250),
+    Monitor.find({ orgId: user.orgId }).sort({ createdAt: -1 }).limit(200),
+    MonitorLog.find({ orgId: user.orgId, checkedAt: { $gte: since } }).sort({ checkedAt: 1 }).limit(800),
+    Mission.find({ orgId: user.orgId }).sort({ createdAt: -1 }).limit(500),
+    Note.find({ orgId: user.orgId }).sort({ createdAt: -1 }).limit(200),
+    CalendarEvent.find({ orgId: user.orgId }).sort({ startAt: 1 }).limit(300),
+    Crawl.findOne({ orgId: user.orgId, status: "done" }).sort({ createdAt: -1 }).select("rootUrl discoveredUrls"),
+  ]);
+
+  const sector = inferSectorFromUser(user);
+  const siteProfile = inferSiteProfileFromAudits(
+    audits,
+    latestCrawl?.rootUrl || "",
+    latestCrawl?.discoveredUrls || []
+  );
+  const maturity = inferMaturity(audits);
+  const planFeatures = inferPlanFeatures(user.plan);
+
+  const existingIssues = await Issue.find({ orgId: user.orgId }).sort({ createdAt: -1 }).limit(500);
+  const ignoredIssueTypes = existingIssues.filter((i) => i.status === "ignored").map((i) => i.type);
+
+  return {
+    org,
+    user,
+    sector,
+    siteProfile,
+    maturity,
+    planFeatures,
+    audits,
+    monitors,
+    monitorLogs,
+    missions,
+    notes,
+    calendarEvents,
+    latestCrawl,
+    existingIssues,
+    history: { ignoredIssueTypes },
+  };
+}
+
+// ---------- CROSS-PAGE DUPLICATES ----------
+// Analyse au niveau de l'org sur le dernier audit de chaque URL ; chaque cluster devient une issue liée à toutes ses pages.
+const DUPLICATE_TEXT_SIMILARITY = 0.85;
+const DUPLICATE_CONTENT_SIMILARITY = 0.8;
+const DUPLICATE_CONTENT_MIN_SHINGLES = 20;
+const DUPLICATE_EVIDENCE_PAGES_MAX = 20;
+
+const DUPLICATE_FIELDS = [
+  { type: "duplicate_title", field: "title" },
+  { type: "duplicate_meta_description", field: "metaDescription" },
+  { type: "duplicate_h1", field: "h1" },
+];
+const DUPLICATE_ISSUE_TYPES = [...DUPLICATE_FIELDS.map((f) => f.type), "duplicate_content"];
+
+// Pages exclues : URL canonisée vers une autre page ou noindex (doublon assumé).
+function duplicateCandidatePages(audits) {
+  const latest = new Map();
+  for (const audit of audits) {
+    const url = audit.urlNormalized || normalizeUrl(audit.url);
+    if (url && !latest.has(url)) latest.set(url, audit);
+  }
+
+  const pages = [];
+  for (const [url, audit] of latest) {
+    const f = audit.findings || {};
+    if (audit.status === "error" || f.http?.ok === false) continue;
+    if (/noindex/i.test(String(f.robots?.value || ""))) continue;
+    const canonicalValue = f.canonical?.value;
+    if (canonicalValue && typeof canonicalValue === "object") {
+      if (canonicalValue.outcome === "cross_page") continue;
+    } else if (canonicalValue) {
+      try {
+        if (normalizeUrl(new URL(canonicalValue, url).toString()) !== url) continue;
+      } catch {}
+    }
+    const h1 = (f.headings?.value?.outline || []).find((h) => h.level === 1);
+    pages.push({
+      url,
+      auditId: audit._id,
+      title: String(f.title?.value || ""),
+      metaDescription: String(f.metaDescription?.value || ""),
+      h1: h1?.text || "",
+      fingerprint: f.content?.value?.fingerprint || null,
+    });
+  }
+  return pages.sort((a, b) => a.url.localeCompare(b.url));
+}
+
+function textSimilarity(a, b) {
+  if (a.text === b.text) return 1;
+  let shared = 0;
+  for (const w of a.words) if (b.words.has(w)) shared++;
+  return shared / (a.words.size + b.words.size - shared);
+}
+
+function minhashSimilarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < a.minhash.length; i++) if (a.minhash[i] === b.minhash[i]) same++;
+  return same / a.minhash.length;
+}
+
+// Union-find sur les paires au-dessus du seuil ; la similarité retenue est la plus faible des paires reliées.
+function clusterBySimilarity(entries, similarity, threshold) {
+  const parent = entries.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const minSim = new Map();
+
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const sim = similarity(entries[i].value, entries[j].value);
+      if (sim < threshold) continue;
+      const a = find(i);
+      const b = find(j);
+      const root = Math.min(a, b);
+      parent[Math.max(a, b)] = root;
+      minSim.set(root, Math.min(sim, minSim.get(a) ?? 1, minSim.get(b) ?? 1));
+    }
+  }
+
+  const groups = new Map();
+  entries.forEach((e, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(e.page);
+  });
+  return [...groups.entries()]
+    .filter(([, pages]) => pages.length > 1)
+    .map(([root, pages]) => ({ pages, similarity: Math.round((minSim.get(root) ?? 1) * 100) / 100 }));
+}
+
+// Valeur la plus fréquente du cluster (à égalité, la plus petite) : stable quand des pages entrent ou sortent.
+function dominantValue(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))[0]?.[0] || "";
+}
+
+function buildDuplicateClusters(audits) {
+  const pages = duplicateCandidatePages(audits);
+  const clusters = [];
+
+  for (const { type, field } of DUPLICATE_FIELDS) {
+    const entries = pages
+      .map((page) => {
+        const text = normalizeKeyword(page[field]);
+        return text ? { page, value: { text, words: new Set(text.split(" ")) } } : null;
+      })
+      .filter(Boolean);
+    for (const c of clusterBySimilarity(entries, textSimilarity, DUPLICATE_TEXT_SIMILARITY)) {
+      clusters.push({ type, field, value: c.pages[0][field], key: dominantValue(c.pages.map((p) => normalizeKeyword(p[field]))), ...c });
+    }
+  }
+
+  const contentEntries = pages
+    .filter((p) => p.fingerprint?.shingles >= DUPLICATE_CONTENT_MIN_SHINGLES && p.fingerprint.minhash?.length === CONTENT_MINHASH_SIZE)
+    .map((page) => ({ page, value: page.fingerprint }));
+  // Valeur partagée du contenu : le minhash dominant de chaque emplacement, qui ne bouge pas quand une page entre ou sort.
+  for (const c of clusterBySimilarity(contentEntries, minhashSimilarity, DUPLICATE_CONTENT_SIMILARITY)) {
+    const key = Array.from({ length: CONTENT_MINHASH_SIZE }, (_, i) => dominantValue(c.pages.map((p) => String(p.fingerprint.minhash[i]))))
+      .join(":");
+    clusters.push({ type: "duplicate_content", field: "content", value: "", key, ...c });
+  }
+
+  return clusters;
+}
+
+function buildIssuesFromDuplicates(clusters, { orgId, userId, sector, locale = DEFAULT_LOCALE }) {
+  return clusters
+    .map((c) => {
+      const urls = c.pages.map((p) => p.url).sort();
+      const payload = buildIssuePayload({
+        orgId,
+        userId,
+        sourceType: "system",
+        type: c.type,
+        pageUrl: urls[0],
+        siteUrl: urls[0],
+        sector,
+        pageType: classifyPageType(urls[0]),
+        locale,
+        metadata: {
+          duplicateValue: c.value,
+          similarity: c.similarity,
+          pageCount: urls.length,
+          duplicatePages: urls.slice(0, DUPLICATE_EVIDENCE_PAGES_MAX),
+        },
+      });
+      if (!payload) return null;
+      return {
+        ...payload,
+        description: tr(locale, "{title} : {count} pages concernées.", { title: payload.title, count: urls.length }),
+        pageUrls: urls,
+        // Clé du cluster = type + valeur partagée : la même issue suit le cluster quand ses pages changent.
+        groupKey: crypto.createHash("sha256").update(`${c.type}|${c.key}`).digest("hex").slice(0, 24),
+      };
+    })
+    .filter(Boolean);
+}
+
+// ---------- SEED / SYNC ENGINE ----------
+
+async function syncIssuesForOrg(user, org) {
+  const ctx = await getUserEngineContext(user, org, 30);
+  const locale = resolveLocale({ user, org });
+
+  const generated = [];
+
+  for (const audit of ctx.audits.slice(0, 80)) {
+    const issues = buildIssuesFromAudit(audit, ctx.siteProfile, ctx.sector, locale);
+    generated.push(...issues);
+  }
+
+  for (const monitor of ctx.monitors.slice(0, 60)) {
+    const issues = buildIssuesFromMonitor(monitor, ctx.sector, locale);
+    generated.push(...issues);
+  }
+
+  const duplicateIssues = buildIssuesFromDuplicates(buildDuplicateClusters(ctx.audits), {
+    orgId: user.orgId,
+    userId: user._id,
+    sector: ctx.sector,
+    locale,
+  });
+  generated.push(...duplicateIssues);
+
+  // Issue de cluster : identifiée par groupKey seul, sa page principale change avec les membres.
+  const dedupeKey = (i) => [
+    String(i.orgId || ""),
+    i.sourceType,
+    String(i.sourceId || ""),
+    i.type,
+    i.groupKey ? "" : i.pageUrl || "",
+    i.groupKey || "",
+  ].join("::");
+
+  const existing = await Issue.find({ orgId: user.orgId }).select("sourceType sourceId type pageUrl groupKey orgId status");
+  const existingKeys = new Set(existing.map(dedupeKey));
+
+  // Clusters toujours présents : pages et preuves rafraîchies, rouverts s'ils avaient été résolus (les ignorés restent ignorés).
+  const clusterByKey = new Map(duplicateIssues.map((i) => [i.groupKey, i]));
+  for (const e of existing) {
+    const fresh = e.groupKey && ["open", "resolved"].includes(e.status) ? clusterByKey.get(e.groupKey) : null;
+    if (!fresh) continue;
+    await Issue.updateOne(
+      { _id: e._id },
+      {
+        $set: {
+          status: "open",
+          pageUrl: fresh.pageUrl,
+          siteUrl: fresh.siteUrl,
+          pageUrls: fresh.pageUrls,
+          description: fresh.description,
+          metadata: fresh.metadata,
+        },
+      }
+    );
+  }
+
+  // Clusters disparus, et anciennes issues duplicate_structure (remplacées par les doublons et la canonical) : résolus.
+  await Issue.updateMany(
+    {
+      orgId: user.orgId,
+      status: "open",
+      $or: [
+        { type: "duplicate_structure" },
+        { type: { $in: DUPLICATE_ISSUE_TYPES }, groupKey: { $nin: [...clusterByKey.keys()] } },
+      ],
+    },
+    { $set: { status: "resolved" } }
+  );
+
+  const toInsert = generated.filter((i) => !existingKeys.has(dedupeKey(i)));
+
+  if (toInsert.length) {
+    await Issue.insertMany(toInsert, { ordered: false }).catch(() => {});
+    await pushTimeline(
+      user.orgId,
+      user._id,
+      "issues_synced",
+      "issue",
+      null,
+      "Issues synchronisées",
+      `${toInsert.length} nouvelle(s) issue(s) ajoutée(s).`,
+      { count: toInsert.length }
+    );
+  }
+
+  return {
+    inserted: toInsert.length,
+    totalGenerated: generated.length,
+  };
+}
+
+async function generateMissionsFromOpenIssues(user, org) {
+  const locale = resolveLocale({ user, org });
+
+  const openIssues = await Issue.find({
+    orgId: user.orgId,
+    status: "open",
+  }).sort({ priorityScore: -1, createdAt: -1 }).limit(120);
+
+  const existingMissions = await Mission.find({ orgId: user.orgId }).select("sourceType sourceId title");
+  const existingKeys = new Set(
+    existingMissions.map((m) => [m.sourceType, String(m.sourceId || ""), m.title].join("::"))
+  );
+
+  const toCreate = [];
+
+  for (const issue of openIssues) {
+    const mission = createMissionFromIssue(issue, user, locale);
+    const k = [mission.sourceType, String(mission.sourceId || ""), mission.title].join("::");
+    if (!existingKeys.has(k)) {
+      toCreate.push(mission);
+      existingKeys.add(k);
+    }
+  }
+
+  if (toCreate.length) {
+    const created = await Mission.insertMany(toCreate, { ordered: false }).catch(() => []);
+    await pushTimeline(
+      user.orgId,
+      user._id,
+      "missions_generated_from_issues",
+      "mission",
+      null,
+      "Missions générées",
+      `${created.length} mission(s) générée(s) depuis les issues ouvertes.`,
+      { count: created.length }
+    );
+    return created;
+  }
+
+  return [];
+}
+
+// ---------- ROUTES: LIBRARIES ----------
+
+app.get("/api/engine/libraries", auth, requireActive, async (req, res) => {
+  const sector = inferSectorFromUser(req.dbUser);
+  const planFeatures = inferPlanFeatures(req.dbUser.plan);
+
+  return res.json({
+    ok: true,
+    libraries: {
+      ...localizeLibraries(requestLocale(req)),
+      sectors: FP_SECTORS,
+      pageTypes: FP_PAGE_TYPES,
+      cities: FP_CITIES,
+    },
+    personalization: {
+      sector,
+      plan: req.dbUser.plan,
+      features: planFeatures,
+    },
+  });
+});
+
+// ---------- ROUTES: ISSUES ----------
+
+app.post("/api/issues/sync", auth, requireActive, async (req, res) => {
+  const out = await syncIssuesForOrg(req.dbUser, req.dbOrg);
+  return res.json({ ok: true, ...out });
+});
+
+app.get("/api/issues", auth, requireActive, async (req, res) => {
+  const status = String(req.query.status || "").trim();
+  const category = String(req.query.category || "").trim();
+
+  const pageUrl = String(req.query.pageUrl || "").trim();
+
+  const q = { orgId: req.dbUser.orgId };
+  if (status) q.status = status;
+  if (category) q.category = category;
+  if (pageUrl) q.$or = [{ pageUrl }, { pageUrls: normalizeUrl(pageUrl) }];
+
+  const issues = await Issue.find(q).sort({ priorityScore: -1, createdAt: -1 }).limit(300);
+  return res.json({ ok: true, issues });
+});
+
+app.patch("/api/issues/:id", auth, requireActive, async (req, res) => {
+  const issue = await Issue.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
+
+  if (!issue) return res.status(404).json({ error: "Issue introuvable" });
+
+  if (req.body?.status) issue.status = req.body.status;
+  await issue.save();
+
+  await pushTimeline(
+    req.dbUser.orgId,
+    req.dbUser._id,
+    "issue_updated",
+    "issue",
+    issue._id,
+    issue.title,
+    `Issue mise à jour (${issue.status}).`,
+    { status: issue.status }
+  );
+
+  return res.json({ ok: true, issue });
+});
+
+// ---------- ROUTES: MISSIONS ----------
+
+app.get("/api/missions", auth, requireActive, async (req, res) => {
+  const status = String(req.query.status || "").trim();
+  const category = String(req.query.category || "").trim();
+  const sourceType = String(req.query.sourceType || "").trim();
+
+  const q = { orgId: req.dbUser.orgId };
+  if (status) q.status = status;
+  if (category) q.category = category;
+  if (sourceType) q.sourceType = sourceType;
+
+  const missions = await Mission.find(q).sort({ createdAt: -1 }).limit(500);
+  return res.json({ ok: true, missions });
+});
+
+app.post("/api/missions", auth, requireActive, async (req, res) => {
+  const body = req.body || {};
+  if (!String(body.title || "").trim()) {
+    return res.status(400).json({ error: "Titre requis" });
+  }
+
+  const mission = await Mission.create({
+    orgId: req.dbUser.orgId,
+    userId: req.dbUser._id,
+    title: String(body.title || "").trim(),
+    description: String(body.description || "").trim(),
+    category: body.category || "ops",
+    sourceType: body.sourceType || "manual",
+    sourceId: body.sourceId || undefined,
+    priority: body.priority || "medium",
+    impact: body.impact || "medium",
+    status: body.status || "todo",
+    pageUrl: body.pageUrl || "",
+    siteUrl: body.siteUrl || "",
+    dueDate: body.dueDate ? new Date(body.dueDate) : undefined,
+    assignedToUserId: body.assignedToUserId || undefined,
+    isAutomated: !!body.isAutomated,
+    isQuickWin: !!body.isQuickWin,
+    tags: Array.isArray(body.tags) ? body.tags : [],
+  });
+
+  await pushTimeline(
+    req.dbUser.orgId,
+    req.dbUser._id,
+    "mission_created",
+    "mission",
+    mission._id,
+    mission.title,
+    "Mission créée.",
+    { category: mission.category, priority: mission.priority }
+  );
+
+  return res.json({ ok: true, mission });
+});
+
+app.patch("/api/missions/:id", auth, requireActive, async (req, res) => {
+  const mission = await Mission.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
+
+  if (!mission) return res.status(404).json({ error: "Mission introuvable" });
+
+  const prevStatus = mission.status;
+
+  const allowed = [
+    "title",
+    "description",
+    "category",
+    "priority",
+    "impact",
+    "status",
+    "pageUrl",
+    "siteUrl",
+    "dueDate",
+    "assignedToUserId",
+    "isQuickWin",
+    "tags",
+  ];
+
+  for (const key of allowed) {
+    if (Object.prototype.hasOwnProperty.call(req.body || {}, key)) {
+      mission[key] = req.body[key];
+    }
+  }
+
+  if (req.body?.status === "done" && prevStatus !== "done") {
+    mission.completedAt = new Date();
+  }
+
+  await mission.save();
+
+  await pushTimeline(
+    req.dbUser.orgId,
+    req.dbUser._id,
+    "mission_updated",
+    "mission",
+    mission._id,
+    mission.title,
+    `Mission mise à jour (${mission.status}).`,
+    { prevStatus, nextStatus: mission.status }
+  );
+
+  return res.json({ ok: true, mission });
+});
+
+app.delete("/api/missions/:id", auth, requireActive, async (req, res) => {
+  const mission = await Mission.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
+
+  if (!mission) return res.status(404).json({ error: "Mission introuvable" });
+
+  await Mission.deleteOne({ _id: mission._id });
+
+  await pushTimeline(
+    req.dbUser.orgId,
+    req.dbUser._id,
+    "mission_deleted",
+    "mission",
+    mission._id,
+    mission.title,
+    "Mission supprimée."
+  );
+
+  return res.json({ ok: true });
+});
+
+app.post("/api/missions/generate-from-issues", auth, requireActive, async (req, res) => {
+  const created = await generateMissionsFromOpenIssues(req.dbUser, req.dbOrg);
+  return res.json({ ok: true, createdCount: created.length, missions: created });
+});
+
+app.post("/api/missions/generate-pack", auth, requireActive, async (req, res) => {
+  const packKey = String(req.body?.packKey || "").trim();
+  const pack = PACK_LIBRARY.find((p) => p.key === packKey);
+  if (!pack) return res.status(404).json({ error: "Pack introuvable" });
+
+  const ctx = await getUserEngineContext(req.dbUser, req.dbOrg, 30);
+  const localOpportunities = buildLocalOpportunities(ctx.siteProfile, ctx.sector);
+  const targetCities = localOpportunities.map((x) => x.city).slice(0, 5);
+
+  const missionsPayload = createPackMissions(pack, {
+    sector: ctx.sector,
+    siteUrl: ctx.siteProfile.urls[0] || "",
+    targetCities,
+  }, req.dbUser, resolveLocale({ user: req.dbUser, org: req.dbOrg }));
+
+  const created = missionsPayload.length
+    ? await Mission.insertMany(missionsPayload, { ordered: false }).catch(() => [])
+    : [];
+
+  const packRun = await PackRun.create({
+    orgId: req.dbUser.orgId,
+    userId: req.dbUser._id,
+    packKey: pack.key,
+    name: pack.name,
+    category: pack.category,
+    summary: pack.summary,
+    sourceType: "system",
+    impactExpected: pack.impactExpected,
+    difficulty: pack.difficulty,
+    estimatedTime: pack.estimatedTime,
+    previewItems: pack.previewItems,
+    createdMissionIds: created.map((m) => m._id),
+  });
+
+  await pushTimeline(
+    req.dbUser.orgId,
+    req.dbUser._id,
+    "pack_generated",
+    "pack",
+    packRun._id,
+    pack.name,
+    `${created.length} mission(s) créées depuis le pack.`,
+    { packKey: pack.key, createdCount: created.length }
+  );
+
+  return res.json({ ok: true, packRun, createdCount: created.length, missions: created });
+});
+
+app.get("/api/missions/stats", auth, requireActive, async (req, res) => {
+  const missions = await Mission.find({ orgId: req.dbUser.orgId }).limit(1000);
+
+  const stats = {
+    total: missions.length,
+    todo: missions.filter((m) => m.status === "todo").length,
+    inProgress: missions.filter((m) => m.status === "in_progress").length,
+    blocked: missions.filter((m) => m.status === "blocked").length,
+    done: missions.filter((m) => m.status === "done").length,
+    critical: missions.filter((m) => m.priority === "critical" || m.impact === "critical").length,
+    automated: missions.filter((m) => m.isAutomated).length,
+    quickWins: missions.filter((m) => m.isQuickWin).length,
+    byCategory: {
+      seo: missions.filter((m) => m.category === "seo").length,
+      content: missions.filter((m) => m.category === "content").length,
+      local: missions.filter((m) => m.category === "local").length,
+      conversion: missions.filter((m) => m.category === "conversion").length,
+      monitor: missions.filter((m) => m.category === "monitor").length,
+      reporting: missions.filter((m) => m.category === "reporting").length,
+      ops: missions.filter((m) => m.category === "ops").length,
+      team: missions.filter((m) => m.category === "team").length,
+    },
+    bySource: {
+      manual: missions.filter((m) => m.sourceType === "manual").length,
+      audit: missions.filter((m) => m.sourceType === "audit").length,
+      monitor: missions.filter((m) => m.sourceType === "monitor").length,
+      system: missions.filter((m) => m.sourceType === "system").length,
+      local: missions.filter((m) => m.sourceType === "local").length,
+      team: missions.filter((m) => m.sourceType === "team").length,
+    },
+  };
+
+  return res.json({ ok: true, stats });
+});
+
+// ---------- ROUTES: LOCAL / MAPS ----------
+
+app.get("/api/local/summary", auth, requireActive, async (req, res) => {
+  const ctx = await getUserEngineContext(req.dbUser, req.dbOrg, 30);
+
+  const localIssues = ctx.existingIssues.filter((i) => i.category === "local" && i.status === "open");
+  const localMissions = ctx.missions.filter((m) => m.category === "local");
+  const opportunities = buildLocalOpportunities(ctx.siteProfile, ctx.sector);
+
+  return res.json({
+    ok: true,
+    local: {
+      sector: ctx.sector,
+      host: ctx.siteProfile.host,
+      hasCityPages: ctx.siteProfile.hasCityPages,
+      hasContact: ctx.siteProfile.hasContact,
+      coveredCities: FP_CITIES.filter((city) =>
+        ctx.siteProfile.pageUrls.some((p) => lowerText(p).includes(lowerText(city)))
+      ),
+      uncoveredCities: opportunities.map((o) => o.city),
+      localIssuesCount: localIssues.length,
+      localMissionCount: localMissions.length,
+      opportunities,
+      zones: FP_CITIES.map((city) => ({
+        city,
+        covered: ctx.siteProfile.pageUrls.some((p) => lowerText(p).includes(lowerText(city))),
+      })),
+      mapReadiness: {
+        hasGoogleMapBlockIssue: localIssues.some((i) => i.type === "missing_google_map_block"),
+        hasNearbyCoverageGap: opportunities.length > 0,
+      },
+    },
+  });
+});
+
+// ---------- ROUTES: TEAM WORKSPACE ----------
+
+app.get("/api/team/workspace", auth, requireActive, async (req, res) => {
+  const channels = await ensureTeamWorkspace(req.dbUser.orgId, req.dbUser.plan);
+
+  const visibleChannels = channels.filter((c) => {
+    if (!c.isPrivate) return true;
+    if (!c.allowedRoles?.length) return true;
+    return c.allowedRoles.includes(req.dbUser.role);
+  });
+
+  const threadIds = visibleChannels.map((c) => c.threadId);
+  const threads = await TeamThread.find({ _id: { $in: threadIds } }).sort({ lastActivityAt: -1 }).limit(200);
+  const pendingInvites = await Invite.find({ orgId: req.dbUser.orgId, acceptedAt: null }).sort({ createdAt: -1 }).limit(50);
+  const members = await User.find({ orgId: req.dbUser.orgId }).select("name email role createdAt").sort({ createdAt: 1 });
+
+  const notes = await Note.find({ orgId: req.dbUser.orgId }).sort({ isPinned: -1, updatedAt: -1 }).limit(200);
+
+  const start = new Date();
+  start.setDate(1);
+  start.setHours(0, 0, 0, 0);
+
+  const end = new Date(start);
+  end.setMonth(end.getMonth() + 1);
+  end.setDate(0);
+  end.setHours(23, 59, 59, 999);
+
+  const calendarEvents = await CalendarEvent.find({
+    orgId: req.dbUser.orgId,
+    startAt: { $gte: start, $lte: end },
+  }).sort({ startAt: 1 }).limit(500);
+
+  const activities = await TimelineEvent.find({ orgId: req.dbUser.orgId })
+    .sort({ createdAt: -1 })
+    .limit(120);
+
+  return res.json({
+    ok: true,
+    channels: visibleChannels,
+    threads,
+    members,
+    pendingInvites,
+    notes,
+    calendarEvents,
+    activities,
+    featureAccess: {
+      standard: true,
+      pro: planRank(req.dbUser.plan) >= 2,
+      ultra: planRank(req.dbUser.plan) >= 3,
+    },
+  });
+});
+
+app.get("/api/team/threads", auth, requireActive, async (req, res) => {
+  const channels = await ensureTeamWorkspace(req.dbUser.orgId, req.dbUser.plan);
+  const channelKey = String(req.query.channelKey || "general");
+  const channel = channels.find((c) => c.key === channelKey);
+
+  if (!channel) return res.status(404).json({ error: "Canal introuvable" });
+  if (channel.isPrivate && channel.allowedRoles?.length && !channel.allowedRoles.includes(req.dbUser.role)) {
+    return res.status(403).json({ error: "Canal privé" });
+  }
+
+  const thread = await TeamThread.findById(channel.threadId);
+  return res.json({ ok: true, channel, thread });
+});
+
+app.get("/api/team/threads/:id/messages", auth, requireActive, async (req, res) => {
+  const thread = await TeamThread.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
+
+  if (!thread) return res.status(404).json({ error: "Thread introuvable" });
+
+  if (thread.isPrivate && thread.allowedRoles?.length && !thread.allowedRoles.includes(req.dbUser.role)) {
+    return res.status(403).json({ error: "Canal privé" });
+  }
+
+  const messages = await TeamMessage.find({
+    orgId: req.dbUser.orgId,
+    threadId: thread._id,
+    isDeleted: { $ne: true },
+  }).sort({ createdAt: 1 }).limit(500);
+
+  return res.json({ ok: true, thread, messages });
+});
+
+app.post("/api/team/channels", auth, requireActive, async (req, res) => {
+  if (planRank(req.dbUser.plan) < 2) {
+    return res.status(403).json({ error: "Création de canaux réservée au plan Pro et Ultra" });
+  }
+
+  const rawLabel = String(req.body?.label || "").trim().toLowerCase();
+  if (!rawLabel) return res.status(400).json({ error: "Nom du canal requis" });
+
+  const key = rawLabel.replace(/[^\w\-]+/g, "-").replace(/-+/g, "-").replace(/^-|-$/g, "");
+  if (!key) return res.status(400).json({ error: "Nom de canal invalide" });
+
+  const exists = await TeamThread.findOne({ orgId: req.dbUser.orgId, channelKey: key });
+  if (exists) return res.status(409).json({ error: "Canal déjà existant" });
+
+  const isPrivate = !!req.body?.isPrivate && planRank(req.dbUser.plan) >= 2;
+  const allowedRoles = isPrivate ? (Array.isArray(req.body?.allowedRoles) ? req.body.allowedRoles : ["owner"]) : [];
+
+  const thread = await TeamThread.create({
+    orgId: req.dbUser.orgId,
+    channelKey: key,
+    contextType: "general",
+    title: `#${key}`,
+    description: String(req.body?.description || "").trim(),
+    isPrivate,
+    allowedRoles,
+    lastActivityAt: new Date(),
+  });
+
+  await pushTimeline(
+    req.dbUser.orgId,
+    req.dbUser._id,
+    "thread_created",
+    "thread",
+    thread._id,
+    thread.title,
+    "Canal créé."
+  );
+
+  return res.json({ ok: true, thread });
+});
+
+app.post("/api/team/threads/:id/messages", auth, requireActive, teamUpload.array("files", 5), async (req, res) => {
+  const thread = await TeamThread.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
+
+  if (!thread) return res.status(404).json({ error: "Thread introuvable" });
+  if (thread.isPrivate && thread.allowedRoles?.length && !thread.allowedRoles.includes(req.dbUser.role)) {
+    return res.status(403).json({ error: "Canal privé" });
+  }
+
+  const content = String(req.body?.content || "").trim();
+  const files = Array.isArray(req.files) ? req.files : [];
+
+  if (!content && !files.length) {
+    return res.status(400).json({ error: "Message ou fichier requis" });
+  }
+
+  if (files.length && planRank(req.dbUser.plan) < 1) {
+    return res.status(403).json({ error: "Upload indisponible" });
+  }
+
+  const mentions = uniqueStrings((content.match(/@\w+/g) || []).map((m) => m.slice(1)));
+  const attachments = files.map((file) => ({
+    originalName: file.originalname,
+    fileName: file.filename,
+    mimeType: file.mimetype,
+    size: file.size,
+    url: `/uploads/team-files/${file.filename}`,
+    ext: path.extname(file.originalname || "").replace(".", "").toLowerCase(),
+    kind: fileKindFromMime(file.mimetype, file.originalname),
+  }));
+
+  const linkedEntityType = String(req.body?.linkedEntityType || "").trim();
+  const linkedEntityId = req.body?.linkedEntityId || undefined;
+  const replyToMessageId = req.body?.replyToMessageId || undefined;
+
+  const msg = await TeamMessage.create({
+    orgId: req.dbUser.orgId,
+    threadId: thread._id,
+    userId: req.dbUser._id,
+    authorName: req.dbUser.name || req.dbUser.email,
+    content,
+    mentions,
+    messageType: attachments.length ? (content ? "text" : "file") : (linkedEntityType ? "linked_card" : "text"),
+    replyToMessageId,
+    linkedEntityType,
+    linkedEntityId,
+    attachments,
+    isImportant: !!req.body?.isImportant && planRank(req.dbUser.plan) >= 2,
+  });
+
+  thread.lastActivityAt = new Date();
+  await thread.save();
+
+  await pushTimeline(
+    req.dbUser.orgId,
+    req.dbUser._id,
+    "thread_message",
+    "thread",
+    thread._id,
+    thread.title,
+    "Nouveau message de discussion."
+  );
+
+  return res.json({ ok: true, message: msg });
+});
+
+app.patch("/api/team/messages/:id", auth, requireActive, async (req, res) => {
+  const msg = await TeamMessage.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+    isDeleted: { $ne: true },
+  });
+
+  if (!msg) return res.status(404).json({ error: "Message introuvable" });
+  if (String(msg.userId) !== String(req.dbUser._id) && req.dbUser.role !== "owner") {
+    return res.status(403).json({ error: "Modification non autorisée" });
+  }
+
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "content")) {
+    msg.content = String(req.body.content || "").trim();
+    msg.isEdited = true;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "isPinned") && planRank(req.dbUser.plan) >= 2) {
+    msg.isPinned = !!req.body.isPinned;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(req.body || {}, "isImportant") && planRank(req.dbUser.plan) >= 2) {
+    msg.isImportant = !!req.body.isImportant;
+  }
+
+  await msg.save();
+  return res.json({ ok: true, message: msg });
+});
+
+app.delete("/api/team/messages/:id", auth, requireActive, async (req, res) => {
+  const msg = await TeamMessage.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+    isDeleted: { $ne: true },
+  });
+
+  if (!msg) return res.status(404).json({ error: "Message introuvable" });
+  if (String(msg.userId) !== String(req.dbUser._id) && req.dbUser.role !== "owner") {
+    return res.status(403).json({ error: "Suppression non autorisée" });
+  }
+
+  msg.isDeleted = true;
+  msg.deletedAt = new Date();
+  msg.content = "";
+  await msg.save();
+
+  return res.json({ ok: true });
+});
+
+app.get("/api/team/files", auth, requireActive, async (req, res) => {
+  if (planRank(req.dbUser.plan) < 2) {
+    return res.status(403).json({ error: "Vue fichiers réservée au plan Pro et Ultra" });
+  }
+
+  const channelKey = String(req.query.channelKey || "").trim();
+
+  const threadQuery = { orgId: req.dbUser.orgId };
+  if (channelKey) threadQuery.channelKey = channelKey;
+
+  const threads = await TeamThread.find(threadQuery).select("_id");
+  const threadIds = threads.map((t) => t._id);
+
+  const messages = await TeamMessage.find({
+    orgId: req.dbUser.orgId,
+    threadId: { $in: threadIds },
+    "attachments.0": { $exists: true },
+    isDeleted: { $ne: true },
+  }).sort({ createdAt: -1 }).limit(200);
+
+  return res.json({ ok: true, messages });
+});
+
+app.post("/api/team/threads/:id/resolve", auth, requireActive, async (req, res) => {
+  const thread = await TeamThread.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
+
+  if (!thread) return res.status(404).json({ error: "Thread introuvable" });
+
+  thread.isResolved = true;
+  thread.lastActivityAt = new Date();
+  await thread.save();
+
+  return res.json({ ok: true, thread });
+});
+// ---------- ROUTES: CALENDAR ----------
+
+app.get("/api/calendar", auth, requireActive, async (req, res) => {
+  const view = String(req.query.view || "month");
+  const start = req.query.start ? new Date(req.query.start) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const end = req.query.end ? new Date(req.query.end) : new Date(Date.now() + 60 * 24 * 60 * 60 * 1000);
+
+  const events = await CalendarEvent.find({
+    orgId: req.dbUser.orgId,
+    startAt: { $gte: start, $lte: end },
+  }).sort({ startAt: 1 }).limit(500);
+
+  const alerts = [];
+  const missions = await Mission.find({ orgId: req.dbUser.orgId }).limit(300);
+
+  for (const m of missions) {
+    if (m.status !== "done" && m.dueDate && new Date(m.dueDate).getTime() < Date.now()) {
+      alerts.push({
+        type: "mission_overdue",
+        priority: m.priority || "medium",
+        title: m.title,
+        dueDate: m.dueDate,
+      });
+    }
+  }
+
+  return res.json({
+    ok: true,
+    view,
+    events,
+    alerts,
+    todayFocus: missions
+      .filter((m) => m.status !== "done")
+      .sort((a, b) => {
+        const rank = { critical: 4, high: 3, medium: 2, low: 1 };
+        return (rank[b.priority] || 0) - (rank[a.priority] || 0);
+      })
+      .slice(0, 5),
+  });
+});
+
+app.post("/api/calendar", auth, requireActive, async (req, res) => {
+  const body = req.body || {};
+  if (!body.title || !body.startAt) {
+    return res.status(400).json({ error: "title + startAt requis" });
+  }
+
+  const event = await CalendarEvent.create({
+    orgId: req.dbUser.orgId,
+    userId: req.dbUser._id,
+    title: String(body.title || "").trim(),
+    description: String(body.description || "").trim(),
+    type: body.type || "custom",
+    linkedEntityType: body.linkedEntityType || "",
+    linkedEntityId: body.linkedEntityId || undefined,
+    startAt: new Date(body.startAt),
+    endAt: body.endAt ? new Date(body.endAt) : undefined,
+    priority: body.priority || "medium",
+    alertMode: body.alertMode || "none",
+    recurrence: body.recurrence || "none",
+    isDone: !!body.isDone,
+  });
+
+  await pushTimeline(
+    req.dbUser.orgId,
+    req.dbUser._id,
+    "calendar_event_created",
+    "calendar",
+    event._id,
+    event.title,
+    "Événement calendrier créé."
+  );
+await pushSystemMessage(
+  req.dbUser.orgId,
+  "flowpoint-system",
+  `📅 Nouvel événement : ${event.title}`,
+  "calendar",
+  event._id
+);
+  return res.json({ ok: true, event });
+});
+
+app.patch("/api/calendar/:id", auth, requireActive, async (req, res) => {
+  const event = await CalendarEvent.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
+
+  if (!event) return res.status(404).json({ error: "Événement introuvable" });
+
+  const allowed = ["title", "description", "type", "startAt", "endAt", "priority", "alertMode", "recurrence", "isDone"];
+  for (const key of allowed) {
+    if (Object.prototype.hasOwnProperty.call(req.body || {}, key)) {
+      event[key] = key.includes("At") && req.body[key] ? new Date(req.body[key]) : req.body[key];
+    }
+  }
+
+  await event.save();
+  return res.json({ ok: true, event });
+});
+
+// ---------- ROUTES: NOTES ----------
+
+app.get("/api/notes", auth, requireActive, async (req, res) => {
+  const type = String(req.query.type || "").trim();
+  const q = { orgId: req.dbUser.orgId };
+  if (type) q.type = type;
+
+  const notes = await Note.find(q).sort({ isPinned: -1, createdAt: -1 }).limit(500);
+  return res.json({ ok: true, notes });
+});
+
+app.post("/api/notes", auth, requireActive, async (req, res) => {
+  const body = req.body || {};
+  if (!String(body.title || "").trim()) {
+    return res.status(400).json({ error: "Titre requis" });
+  }
+
+  const note = await Note.create({
+    orgId: req.dbUser.orgId,
+    userId: req.dbUser._id,
+    title: String(body.title || "").trim(),
+    content: String(body.content || "").trim(),
+    type: body.type || "free",
+    linkedEntityType: body.linkedEntityType || "",
+    linkedEntityId: body.linkedEntityId || undefined,
+    tags: Array.isArray(body.tags) ? body.tags : [],
+    isPinned: !!body.isPinned,
+  });
+
+  await pushTimeline(
+    req.dbUser.orgId,
+    req.dbUser._id,
+    "note_created",
+    "note",
+    note._id,
+    note.title,
+    "Note créée."
+  );
+await pushSystemMessage(
+  req.dbUser.orgId,
+  "flowpoint-system",
+  `📝 Nouvelle note créée : ${note.title}`,
+  "note",
+  note._id
+);
+  return res.json({ ok: true, note });
+});
+
+app.patch("/api/notes/:id", auth, requireActive, async (req, res) => {
+  const note = await Note.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
+
+  if (!note) return res.status(404).json({ error: "Note introuvable" });
+
+  const allowed = ["title", "content", "type", "tags", "isPinned"];
+  for (const key of allowed) {
+    if (Object.prototype.hasOwnProperty.call(req.body || {}, key)) {
+      note[key] = req.body[key];
+    }
+  }
+
+  await note.save();
+  return res.json({ ok: true, note });
+});
+
+app.post("/api/notes/:id/to-mission", auth, requireActive, async (req, res) => {
+  const note = await Note.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
+
+  if (!note) return res.status(404).json({ error: "Note introuvable" });
+
+  const mission = await Mission.create({
+    orgId: req.dbUser.orgId,
+    userId: req.dbUser._id,
+    title: note.title,
+    description: note.content,
+    category: "ops",
+    sourceType: "note",
+    sourceId: note._id,
+    priority: "medium",
+    impact: "medium",
+    status: "todo",
+    isAutomated: false,
+    isQuickWin: false,
+    tags: uniqueStrings(["from_note", ...(note.tags || [])]),
+  });
+
+  await pushTimeline(
+    req.dbUser.orgId,
+    req.dbUser._id,
+    "note_to_mission",
+    "mission",
+    mission._id,
+    mission.title,
+    "Mission créée depuis une note."
+  );
+
+  return res.json({ ok: true, mission });
+});
+
+app.post("/api/notes/:id/to-calendar", auth, requireActive, async (req, res) => {
+  const note = await Note.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
+
+  if (!note) return res.status(404).json({ error: "Note introuvable" });
+
+  const startAt = req.body?.startAt ? new Date(req.body.startAt) : new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  const event = await CalendarEvent.create({
+    orgId: req.dbUser.orgId,
+    userId: req.dbUser._id,
+    title: note.title,
+    description: note.content,
+    type: "custom",
+    linkedEntityType: "note",
+    linkedEntityId: note._id,
+    startAt,
+    priority: "medium",
+    alertMode: "standard",
+    recurrence: "none",
+    isDone: false,
+  });
+
+  await pushTimeline(
+    req.dbUser.orgId,
+    req.dbUser._id,
+    "note_to_calendar",
+    "calendar",
+    event._id,
+    event.title,
+    "Événement calendrier créé depuis une note."
+  );
+
+  return res.json({ ok: true, event });
+});
+
+// ---------- ROUTES: TIMELINE ----------
+
+app.get("/api/timeline", auth, requireActive, async (req, res) => {
+  const events = await TimelineEvent.find({ orgId: req.dbUser.orgId })
+    .sort({ createdAt: -1 })
+    .limit(300);
+
+  return res.json({ ok: true, events });
+});
+
+// ---------- ROUTES: OVERVIEW WAR ROOM ----------
+
+app.get("/api/overview/war-room", auth, requireActive, async (req, res) => {
+  const days = Math.min(90, Math.max(7, Number(req.query.days || 30)));
+  const ctx = await getUserEngineContext(req.dbUser, req.dbOrg, days);
+
+  const seoScores = [...ctx.audits]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .slice(-90)
+    .map((a) => ({
+      x: a.createdAt,
+      y: Number(a.score || 0),
+      url: a.url,
+    }));
+
+  const openIssues = ctx.existingIssues.filter((i) => i.status === "open");
+  const issueTrend = [...ctx.existingIssues]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .slice(-90)
+    .map((i, idx) => ({
+      x: i.createdAt,
+      y: idx + 1,
+      type: i.type,
+      status: i.status,
+    }));
+
+  const missionCompletionTrend = [...ctx.missions]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .slice(-120)
+    .map((m, idx) => ({
+      x: m.createdAt,
+      createdCount: idx + 1,
+      done: m.status === "done" ? 1 : 0,
+    }));
+
+  const monitorHealthTrend = [...ctx.monitorLogs]
+    .sort((a, b) => new Date(a.checkedAt) - new Date(b.checkedAt))
+    .slice(-180)
+    .map((l) => ({
+      x: l.checkedAt,
+      status: l.status,
+      responseTimeMs: l.responseTimeMs || 0,
+      httpStatus: l.httpStatus || 0,
+    }));
+
+  const localOpportunities = buildLocalOpportunities(ctx.siteProfile, ctx.sector);
+  const localOpportunityTrend = localOpportunities.map((o, idx) => ({
+    x: idx + 1,
+    city: o.city,
+    score: o.score,
+  }));
+
+  const conversionReadiness = calcConversionReadiness(ctx.siteProfile, ctx.audits, ctx.monitors);
+  const uptimeHealth = calcUptimeHealth(ctx.monitors, ctx.monitorLogs);
+  const executionMomentum = calcExecutionMomentum(ctx.missions);
+  const localDominanceScore = calcLocalDominance(
+    ctx.siteProfile,
+    openIssues.filter((i) => i.category === "local").length,
+    ctx.missions.filter((m) => m.category === "local").length
+  );
+
+  const riskEngine = buildRiskEngine({
+    issues: openIssues,
+    monitors: ctx.monitors,
+    siteProfile: ctx.siteProfile,
+    missions: ctx.missions,
+  });
+
+  const recommendations = buildRecommendations({
+    issues: openIssues,
+    sector: ctx.sector,
+    siteProfile: ctx.siteProfile,
+    maturity: ctx.maturity,
+    planFeatures: ctx.planFeatures,
+    history: ctx.history,
+    locale: requestLocale(req),
+  });
+
+  const competitorBenchmarks = await loadCompetitorBenchmarks(req.dbUser.orgId, ctx.audits, requestLocale(req));
+  const opportunityEngine = buildOpportunityEngine({
+    recommendations,
+    localOpportunities,
+    issues: openIssues,
+    competitorBenchmarks,
+  });
+
+  const revenueProxyImpact = calcRevenueProxyImpact(opportunityEngine, executionMomentum);
+  const leadRiskScore = calcLeadRiskScore(conversionReadiness, uptimeHealth, riskEngine.criticalPagesUnhandled);
+  const clientReadinessScore = calcClientReadiness(ctx.missions, ctx.notes, 1);
+
+  const seoScore = seoScores.length ? seoScores[seoScores.length - 1].y : 0;
+  const healthScore = Math.round((seoScore + uptimeHealth + executionMomentum + conversionReadiness) / 4);
+
+  const overviewNarrative = buildOverviewNarrative({
+    seoScore,
+    localDominanceScore,
+    uptimeHealth,
+    conversionReadiness,
+    riskEngine,
+    opportunityEngine,
+  });
+
+  const topUrgencies = openIssues
+    .filter((i) => i.severity === "critical" || i.impactBusiness === "critical")
+    .sort((a, b) => b.priorityScore - a.priorityScore)
+    .slice(0, 3);
+
+  const topQuickWins = ctx.missions
+    .filter((m) => m.isQuickWin && m.status !== "done")
+    .slice(0, 3);
+
+  const topBusinessOpportunities = opportunityEngine.slice(0, 3);
+
+  const teamWaiting = await TeamThread.find({
+    orgId: req.dbUser.orgId,
+    isResolved: false,
+  }).sort({ lastActivityAt: -1 }).limit(3);
+
+  const portfolio = {
+    mostRiskyPages: openIssues
+      .filter((i) => i.pageUrl)
+      .sort((a, b) => b.priorityScore - a.priorityScore)
+      .slice(0, 5)
+      .map((i) => ({ pageUrl: i.pageUrl, title: i.title, score: i.priorityScore })),
+    mostPromisingPages: localOpportunities.slice(0, 5).map((o) => ({ pageUrl: "", title: o.label, score: o.score })),
+    mostCriticalPages: topUrgencies.map((i) => ({ pageUrl: i.pageUrl, title: i.title, score: i.priorityScore })),
+    mostProfitableCandidates: topBusinessOpportunities.map((o) => ({ pageUrl: "", title: o.label, score: o.score })),
+  };
+
+  const trialRetention = buildTrialRetentionBlock({
+    missions: ctx.missions,
+    opportunities: opportunityEngine,
+    plan: req.dbUser.plan,
+  });
+
+  const monthlyOS = buildMonthlyOperatingSystem({
+    missions: ctx.missions,
+    calendarEvents: ctx.calendarEvents,
+  });
+
+  return res.json({
+    ok: true,
+    warRoom: {
+      hero: {
+        healthScore,
+        seoScore,
+        localDominanceScore,
+        uptimeHealth,
+        conversionReadiness,
+        criticalMissions: ctx.missions.filter((m) => m.priority === "critical" && m.status !== "done").length,
+        progress7d: ctx.missions.filter((m) => m.completedAt && new Date(m.completedAt).getTime() >= Date.now() - 7 * 24 * 60 * 60 * 1000).length,
+        progress30d: ctx.missions.filter((m) => m.completedAt && new Date(m.completedAt).getTime() >= Date.now() - 30 * 24 * 60 * 60 * 1000).length,
+        currentRisk: riskEngine.currentRiskLevel,
+        bestOpportunity: opportunityEngine[0] || null,
+        narrative: overviewNarrative,
+      },
+      analytics: {
+        scoreTrend: seoScores,
+        issueTrend,
+        missionCompletionTrend,
+        monitorHealthTrend,
+        localOpportunityTrend,
+        conversionReadinessSignals: {
+          score: conversionReadiness,
+          hasContact: ctx.siteProfile.hasContact,
+          hasServicePages: ctx.siteProfile.hasServicePages,
+          hasPricing: ctx.siteProfile.hasPricing,
+          latestAuditUrl: ctx.audits[0]?.url || "",
+        },
+      },
+      widgets: {
+        topUrgencies,
+        topQuickWins,
+        topBusinessOpportunities,
+        teamWaiting,
+        competitors: competitorBenchmarks.map(({ checks, ...bench }) => bench),
+      },
+      portfolio,
+      premiumScores: {
+        revenueProxyImpact,
+        leadRiskScore,
+        localDominanceScore,
+        executionMomentum,
+        clientReadinessScore,
+      },
+      retention: trialRetention,
+      monthlyOperatingSystem: monthlyOS,
+      recommendations,
+      sector: ctx.sector,
+      maturity: ctx.maturity,
+      planFeatures: ctx.planFeatures,
     },
-  };
-
-  return res.json({ ok: true, stats });
+  });
 });
 
-// ---------- ROUTES: LOCAL / MAPS ----------
+// ---------- ROUTES: RECOMMENDATIONS ----------
 
-app.get("/api/local/summary", auth, requireActive, async (req, res) => {
+app.get("/api/recommendations", auth, requireActive, async (req, res) => {
   const ctx = await getUserEngineContext(req.dbUser, req.dbOrg, 30);
 
-  const localIssues = ctx.existingIssues.filter((i) => i.category === "local" && i.status === "open");
-  const localMissions = ctx.missions.filter((m) => m.category === "local");
-  const opportunities = buildLocalOpportunities(ctx.siteProfile, ctx.sector);
+  const recommendations = buildRecommendations({
+    issues: ctx.existingIssues.filter((i) => i.status === "open"),
+    sector: ctx.sector,
+    siteProfile: ctx.siteProfile,
+    maturity: ctx.maturity,
+    planFeatures: ctx.planFeatures,
+    history: ctx.history,
+    locale: requestLocale(req),
+  });
 
   return res.json({
     ok: true,
-    local: {
+    recommendations,
+    context: {
       sector: ctx.sector,
+      maturity: ctx.maturity,
+      plan: req.dbUser.plan,
       host: ctx.siteProfile.host,
-      hasCityPages: ctx.siteProfile.hasCityPages,
-      hasContact: ctx.siteProfile.hasContact,
-      coveredCities: FP_CITIES.filter((city) =>
-        ctx.siteProfile.pageUrls.some((p) => lowerText(p).includes(lowerText(city)))
-      ),
-      uncoveredCities: opportunities.map((o) => o.city),
-      localIssuesCount: localIssues.length,
-      localMissionCount: localMissions.length,
-      opportunities,
-      zones: FP_CITIES.map((city) => ({
-        city,
-        covered: ctx.siteProfile.pageUrls.some((p) => lowerText(p).includes(lowerText(city))),
-      })),
-      mapReadiness: {
-        hasGoogleMapBlockIssue: localIssues.some((i) => i.type === "missing_google_map_block"),
-        hasNearbyCoverageGap: opportunities.length > 0,
-      },
     },
   });
 });
+// =======================
+// STRIPE (via stripe.js)
+// IMPORTANT: webhook RAW avant express.json()
+// =======================
+const stripeModule = buildStripeModule({
+  STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY,
+  STRIPE_WEBHOOK_SECRET,
+  BRAND_NAME,
+  priceIdForPlan,
+  safeBaseUrl,
+  signToken,
+  issueAuthPayload, // ✅ AJOUT IMPORTANT
+  auth,
+  requireActive,
+  ensureOrgForUser,
+  ensureOrgDefaults,
+  User,
+  Org,
+  sendEmail,
+});
+// 1) WEBHOOK RAW AVANT JSON
+app.post(
+  "/api/stripe/webhook",
+  express.raw({ type: "application/json" }),
+  stripeModule.webhookHandler
+);
 
-// ---------- ROUTES: TEAM WORKSPACE ----------
+// 2) SECURITY
+app.use(helmet({ contentSecurityPolicy: false }));
+app.use(cors({ origin: true, credentials: true }));
+app.use("/api", rateLimit({ windowMs: 60 * 1000, max: 200 }));
 
-app.get("/api/team/workspace", auth, requireActive, async (req, res) => {
-  const channels = await ensureTeamWorkspace(req.dbUser.orgId, req.dbUser.plan);
+// 2.5) NO CACHE FOR AUTH / SESSION-SENSITIVE ROUTES
+app.use((req, res, next) => {
+  if (
+    req.path.startsWith("/api/auth/") ||
+    req.path === "/api/me" ||
+    req.path === "/api/overview"
+  ) {
+    res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, proxy-revalidate");
+    res.setHeader("Pragma", "no-cache");
+    res.setHeader("Expires", "0");
+    res.setHeader("Surrogate-Control", "no-store");
+  }
+  next();
+});
 
-  const visibleChannels = channels.filter((c) => {
-    if (!c.isPrivate) return true;
-    if (!c.allowedRoles?.length) return true;
-    return c.allowedRoles.includes(req.dbUser.role);
-  });
+// 3) BODY PARSERS APRES WEBHOOK
+app.use(express.json({ limit: "1mb" }));
+app.use(express.urlencoded({ extended: true }));
 
-  const threadIds = visibleChannels.map((c) => c.threadId);
-  const threads = await TeamThread.find({ _id: { $in: threadIds } }).sort({ lastActivityAt: -1 }).limit(200);
-  const pendingInvites = await Invite.find({ orgId: req.dbUser.orgId, acceptedAt: null }).sort({ createdAt: -1 }).limit(50);
-  const members = await User.find({ orgId: req.dbUser.orgId }).select("name email role createdAt").sort({ createdAt: 1 });
+// ---------- STATIC ----------
+app.use(express.static(path.join(__dirname)));
 
-  const notes = await Note.find({ orgId: req.dbUser.orgId }).sort({ isPinned: -1, updatedAt: -1 }).limit(200);
+function sendPage(res, file) {
+  return res.sendFile(path.join(__dirname, file));
+}
 
-  const start = new Date();
-  start.setDate(1);
-  start.setHours(0, 0, 0, 0);
+// ---------- PAGES ----------
+app.get("/", (_, res) => sendPage(res, "index.html"));
+app.get("/index.html", (_, res) => sendPage(res, "index.html"));
 
-  const end = new Date(start);
-  end.setMonth(end.getMonth() + 1);
-  end.setDate(0);
-  end.setHours(23, 59, 59, 999);
+app.get("/dashboard", (_, res) => sendPage(res, "dashboard.html"));
+app.get("/dashboard.html", (_, res) => sendPage(res, "dashboard.html"));
 
-  const calendarEvents = await CalendarEvent.find({
-    orgId: req.dbUser.orgId,
-    startAt: { $gte: start, $lte: end },
-  }).sort({ startAt: 1 }).limit(500);
+app.get("/pricing", (_, res) => sendPage(res, "pricing.html"));
+app.get("/pricing.html", (_, res) => sendPage(res, "pricing.html"));
 
-  const activities = await TimelineEvent.find({ orgId: req.dbUser.orgId })
-    .sort({ createdAt: -1 })
-    .limit(120);
+app.get("/success", (_, res) => sendPage(res, "success.html"));
+app.get("/success.html", (_, res) => sendPage(res, "success.html"));
 
-  return res.json({
-    ok: true,
-    channels: visibleChannels,
-    threads,
-    members,
-    pendingInvites,
-    notes,
-    calendarEvents,
-    activities,
-    featureAccess: {
-      standard: true,
-      pro: planRank(req.dbUser.plan) >= 2,
-      ultra: planRank(req.dbUser.plan) >= 3,
-    },
-  });
-});
+app.get("/cancel", (_, res) => sendPage(res, "cancel.html"));
+app.get("/cancel.html", (_, res) => sendPage(res, "cancel.html"));
 
-app.get("/api/team/threads", auth, requireActive, async (req, res) => {
-  const channels = await ensureTeamWorkspace(req.dbUser.orgId, req.dbUser.plan);
-  const channelKey = String(req.query.channelKey || "general");
-  const channel = channels.find((c) => c.key === channelKey);
+app.get("/login", (_, res) => sendPage(res, "login.html"));
+app.get("/login.html", (_, res) => sendPage(res, "login.html"));
 
-  if (!channel) return res.status(404).json({ error: "Canal introuvable" });
-  if (channel.isPrivate && channel.allowedRoles?.length && !channel.allowedRoles.includes(req.dbUser.role)) {
-    return res.status(403).json({ error: "Canal privé" });
-  }
+app.get("/login-verify", (_, res) => sendPage(res, "login-verify.html"));
+app.get("/login-verify.html", (_, res) => sendPage(res, "login-verify.html"));
 
-  const thread = await TeamThread.findById(channel.threadId);
-  return res.json({ ok: true, channel, thread });
-});
+app.get("/invite-accept", (_, res) => sendPage(res, "invite-accept.html"));
+app.get("/invite-accept.html", (_, res) => sendPage(res, "invite-accept.html"));
 
-app.get("/api/team/threads/:id/messages", auth, requireActive, async (req, res) => {
-  const thread = await TeamThread.findOne({
-    _id: req.params.id,
-    orgId: req.dbUser.orgId,
+app.get("/admin", (_, res) => sendPage(res, "admin.html"));
+app.get("/admin.html", (_, res) => sendPage(res, "admin.html"));
+
+app.get("/checkout.html", (_, res) => sendPage(res, "checkout.html"));
+app.get("/checkout-embedded.html", (_, res) => sendPage(res, "checkout-embedded.html"));
+app.get("/checkout-return.html", (_, res) => sendPage(res, "checkout-return.html"));
+
+app.get("/billing.html", (_, res) => sendPage(res, "billing.html"));
+app.get("/addons.html", (_, res) => sendPage(res, "addons.html"));
+
+// ---------- API ----------
+app.get("/api/health", (_, res) => {
+  return res.json({
+    ok: true,
+    brand: BRAND_NAME,
+    uptimeSec: Math.round(process.uptime()),
+    now: new Date().toISOString(),
   });
+});
 
-  if (!thread) return res.status(404).json({ error: "Thread introuvable" });
+// ---------- STRIPE ROUTES ----------
+app.post("/api/stripe/checkout", auth, requireActive, stripeModule.checkoutPlan);
+app.post("/api/stripe/checkout-embedded", auth, requireActive, stripeModule.checkoutEmbedded);
+app.get("/api/stripe/verify", stripeModule.verifyCheckout);
+app.post("/api/stripe/portal", auth, requireActive, stripeModule.customerPortal);
 
-  if (thread.isPrivate && thread.allowedRoles?.length && !thread.allowedRoles.includes(req.dbUser.role)) {
-    return res.status(403).json({ error: "Canal privé" });
-  }
+// ---------- AUTH: LEAD ----------
+const leadLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 30 });
 
-  const messages = await TeamMessage.find({
-    orgId: req.dbUser.orgId,
-    threadId: thread._id,
-    isDeleted: { $ne: true },
-  }).sort({ createdAt: 1 }).limit(500);
+app.post("/api/auth/lead", leadLimiter, async (req, res) => {
+  try {
+    const { firstName, email, companyName, plan } = req.body || {};
 
-  return res.json({ ok: true, thread, messages });
-});
+    if (!email || !companyName) {
+      return res.status(400).json({ error: "Email + entreprise requis" });
+    }
 
-app.post("/api/team/channels", auth, requireActive, async (req, res) => {
-  if (planRank(req.dbUser.plan) < 2) {
-    return res.status(403).json({ error: "Création de canaux réservée au plan Pro et Ultra" });
-  }
+    const chosenPlan = String(plan || "").toLowerCase();
+    if (!["standard", "pro", "ultra"].includes(chosenPlan)) {
+      return res.status(400).json({ error: "Plan invalide" });
+    }
 
-  const rawLabel = String(req.body?.label || "").trim().toLowerCase();
-  if (!rawLabel) return res.status(400).json({ error: "Nom du canal requis" });
+    const emailNorm = normalizeEmail(email);
+    const domain = domainFromEmail(emailNorm);
+    const companyNorm = normalizeCompanyName(companyName);
+    const ipua = ipuaHash(req);
 
-  const key = rawLabel.replace(/[^\w\-]+/g, "-").replace(/-+/g, "-").replace(/^-|-$/g, "");
-  if (!key) return res.status(400).json({ error: "Nom de canal invalide" });
+    const adminBypass = ADMIN_KEY && req.headers["x-admin-key"] === ADMIN_KEY;
 
-  const exists = await TeamThread.findOne({ orgId: req.dbUser.orgId, channelKey: key });
-  if (exists) return res.status(409).json({ error: "Canal déjà existant" });
+    if (!adminBypass) {
+      if (await TrialRegistry.findOne({ emailNormalized: emailNorm })) {
+        return res.status(403).json({ error: "Essai déjà utilisé pour cet email." });
+      }
 
-  const isPrivate = !!req.body?.isPrivate && planRank(req.dbUser.plan) >= 2;
-  const allowedRoles = isPrivate ? (Array.isArray(req.body?.allowedRoles) ? req.body.allowedRoles : ["owner"]) : [];
+      if (await TrialRegistry.findOne({ companyNameNormalized: companyNorm })) {
+        return res.status(403).json({ error: "Essai déjà utilisé pour cette entreprise." });
+      }
 
-  const thread = await TeamThread.create({
-    orgId: req.dbUser.orgId,
-    channelKey: key,
-    contextType: "general",
-    title: `#${key}`,
-    description: String(req.body?.description || "").trim(),
-    isPrivate,
-    allowedRoles,
-    lastActivityAt: new Date(),
-  });
+      if (domain && !PUBLIC_EMAIL_DOMAINS.has(domain)) {
+        if (await TrialRegistry.findOne({ companyDomain: domain })) {
+          return res.status(403).json({ error: "Essai déjà utilisé pour ce domaine entreprise." });
+        }
+      }
 
-  await pushTimeline(
-    req.dbUser.orgId,
-    req.dbUser._id,
-    "thread_created",
-    "thread",
-    thread._id,
-    thread.title,
-    "Canal créé."
-  );
+      if (await TrialRegistry.findOne({ ipua })) {
+        return res.status(403).json({ error: "Essai déjà utilisé (anti-abus navigateur/IP)." });
+      }
+    }
 
-  return res.json({ ok: true, thread });
-});
+    let user = await User.findOne({ emailNormalized: emailNorm });
 
-app.post("/api/team/threads/:id/messages", auth, requireActive, teamUpload.array("files", 5), async (req, res) => {
-  const thread = await TeamThread.findOne({
-    _id: req.params.id,
-    orgId: req.dbUser.orgId,
-  });
+    if (!user) {
+      user = await User.create({
+        email: String(email).toLowerCase(),
+        emailNormalized: emailNorm,
+        name: firstName || "",
+        companyName,
+        companyNameNormalized: companyNorm,
+        companyDomain: domain,
+        plan: chosenPlan,
+        role: "owner",
+      });
+    } else {
+      user.email = String(email).toLowerCase();
+      user.name = firstName || user.name;
+      user.companyName = companyName || user.companyName;
+      user.companyNameNormalized = companyNorm || user.companyNameNormalized;
+      user.companyDomain = domain || user.companyDomain;
+      user.plan = chosenPlan;
+      await user.save();
+    }
 
-  if (!thread) return res.status(404).json({ error: "Thread introuvable" });
-  if (thread.isPrivate && thread.allowedRoles?.length && !thread.allowedRoles.includes(req.dbUser.role)) {
-    return res.status(403).json({ error: "Canal privé" });
-  }
+    if (!adminBypass) {
+      await TrialRegistry.create({
+        emailNormalized: emailNorm,
+        companyNameNormalized: companyNorm,
+        companyDomain: domain,
+        ipua,
+        fingerprint: ipua,
+      });
+    }
 
-  const content = String(req.body?.content || "").trim();
-  const files = Array.isArray(req.files) ? req.files : [];
+    await ensureOrgForUser(user);
 
-  if (!content && !files.length) {
-    return res.status(400).json({ error: "Message ou fichier requis" });
-  }
+    return res.json({
+      ok: true,
+      ...issueAuthPayload(user),
+    });
+  } catch (e) {
+    console.log("lead error:", e.message);
 
-  if (files.length && planRank(req.dbUser.plan) < 1) {
-    return res.status(403).json({ error: "Upload indisponible" });
+    if (String(e.message || "").includes("duplicate key")) {
+      return res.status(403).json({ error: "Essai déjà utilisé (anti-abus)." });
+    }
+
+    return res.status(500).json({ error: "Erreur serveur lead" });
   }
+});
 
-  const mentions = uniqueStrings((content.match(/@\w+/g) || []).map((m) => m.slice(1)));
-  const attachments = files.map((file) => ({
-    originalName: file.originalname,
-    fileName: file.filename,
-    mimeType: file.mimetype,
-    size: file.size,
-    url: `/uploads/team-files/${file.filename}`,
-    ext: path.extname(file.originalname || "").replace(".", "").toLowerCase(),
-    kind: fileKindFromMime(file.mimetype, file.originalname),
-  }));
+// ---------- AUTH: REFRESH ----------
+app.post("/api/auth/refresh", async (req, res) => {
+  try {
+    const refreshToken =
+      String(req.body?.refreshToken || "").trim() ||
+      String(req.headers["x-refresh-token"] || "").trim() ||
+      String(req.headers["x-refresh"] || "").trim();
 
-  const linkedEntityType = String(req.body?.linkedEntityType || "").trim();
-  const linkedEntityId = req.body?.linkedEntityId || undefined;
-  const replyToMessageId = req.body?.replyToMessageId || undefined;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token manquant" });
+    }
 
-  const msg = await TeamMessage.create({
-    orgId: req.dbUser.orgId,
-    threadId: thread._id,
-    userId: req.dbUser._id,
-    authorName: req.dbUser.name || req.dbUser.email,
-    content,
-    mentions,
-    messageType: attachments.length ? (content ? "text" : "file") : (linkedEntityType ? "linked_card" : "text"),
-    replyToMessageId,
-    linkedEntityType,
-    linkedEntityId,
-    attachments,
-    isImportant: !!req.body?.isImportant && planRank(req.dbUser.plan) >= 2,
-  });
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, REFRESH_SECRET);
+    } catch {
+      return res.status(401).json({ error: "Refresh token invalide" });
+    }
 
-  thread.lastActivityAt = new Date();
-  await thread.save();
+    if (!decoded?.uid) {
+      return res.status(401).json({ error: "Refresh token invalide" });
+    }
 
-  await pushTimeline(
-    req.dbUser.orgId,
-    req.dbUser._id,
-    "thread_message",
-    "thread",
-    thread._id,
-    thread.title,
-    "Nouveau message de discussion."
-  );
+    const user = await User.findById(decoded.uid);
+    if (!user) {
+      return res.status(404).json({ error: "User introuvable" });
+    }
 
-  return res.json({ ok: true, message: msg });
-});
+    await ensureOrgForUser(user);
+    await resetUsageIfNewMonth(user);
 
-app.patch("/api/team/messages/:id", auth, requireActive, async (req, res) => {
-  const msg = await TeamMessage.findOne({
-    _id: req.params.id,
-    orgId: req.dbUser.orgId,
-    isDeleted: { $ne: true },
-  });
+    const payload = issueAuthPayload(user);
 
-  if (!msg) return res.status(404).json({ error: "Message introuvable" });
-  if (String(msg.userId) !== String(req.dbUser._id) && req.dbUser.role !== "owner") {
-    return res.status(403).json({ error: "Modification non autorisée" });
+    return res.json({
+      ok: true,
+      token: payload.token,
+      refreshToken: payload.refreshToken,
+    });
+  } catch (e) {
+    console.log("refresh error:", e.message);
+    return res.status(401).json({ error: "Refresh token invalide" });
   }
+});
 
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "content")) {
-    msg.content = String(req.body.content || "").trim();
-    msg.isEdited = true;
-  }
+app.get("/api/auth/session", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.uid);
+    if (!user) return res.status(404).json({ error: "User introuvable" });
 
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "isPinned") && planRank(req.dbUser.plan) >= 2) {
-    msg.isPinned = !!req.body.isPinned;
+    return res.json({
+      ok: true,
+      authenticated: true,
+      userId: user._id,
+      email: user.email,
+    });
+  } catch (e) {
+    return res.status(401).json({ error: "Session invalide" });
   }
+});
 
-  if (Object.prototype.hasOwnProperty.call(req.body || {}, "isImportant") && planRank(req.dbUser.plan) >= 2) {
-    msg.isImportant = !!req.body.isImportant;
-  }
+// ---------- AUTH: LOGIN MAGIC LINK ----------
+const loginLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 20 });
 
-  await msg.save();
-  return res.json({ ok: true, message: msg });
-});
+app.post("/api/auth/login-request", loginLimiter, async (req, res) => {
+  try {
+    const email = String(req.body?.email || "").trim();
+    if (!email) return res.status(400).json({ error: "Email requis" });
 
-app.delete("/api/team/messages/:id", auth, requireActive, async (req, res) => {
-  const msg = await TeamMessage.findOne({
-    _id: req.params.id,
-    orgId: req.dbUser.orgId,
-    isDeleted: { $ne: true },
-  });
+    const emailNorm = normalizeEmail(email);
+    const user = await User.findOne({ emailNormalized: emailNorm });
+    if (!user) return res.status(404).json({ error: "Aucun compte pour cet email" });
 
-  if (!msg) return res.status(404).json({ error: "Message introuvable" });
-  if (String(msg.userId) !== String(req.dbUser._id) && req.dbUser.role !== "owner") {
-    return res.status(403).json({ error: "Suppression non autorisée" });
-  }
+    const raw = crypto.randomBytes(32).toString("hex");
+    const tokenHash = crypto.createHash("sha256").update(raw).digest("hex");
+    const expiresAt = new Date(Date.now() + LOGIN_LINK_TTL_MINUTES * 60 * 1000);
 
-  msg.isDeleted = true;
-  msg.deletedAt = new Date();
-  msg.content = "";
-  await msg.save();
+    await LoginToken.create({
+      userId: user._id,
+      tokenHash,
+      expiresAt,
+    });
 
-  return res.json({ ok: true });
-});
+    const baseUrl = safeBaseUrl(req);
+    const link = `${baseUrl}/login-verify.html?token=${raw}`;
 
-app.get("/api/team/files", auth, requireActive, async (req, res) => {
-  if (planRank(req.dbUser.plan) < 2) {
-    return res.status(403).json({ error: "Vue fichiers réservée au plan Pro et Ultra" });
-  }
+    if (String(process.env.DEBUG_LOGIN_LINK || "").toLowerCase() === "true") {
+      return res.json({ ok: true, debugLink: link });
+    }
 
-  const channelKey = String(req.query.channelKey || "").trim();
+    const locale = resolveLocale({ user, acceptLanguage: req.headers["accept-language"] });
+    const l = (text, vars) => tr(locale, text, vars);
 
-  const threadQuery = { orgId: req.dbUser.orgId };
-  if (channelKey) threadQuery.channelKey = channelKey;
+    const html = `
+<!doctype html>
+<html lang="${locale}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>FlowPoint</title>
+</head>
+<body style="margin:0;background:#f5f7fb;font-family:Arial,Helvetica,sans-serif">
+<div style="max-width:620px;margin:auto;padding:40px 20px">
+<div style="background:#ffffff;border-radius:24px;padding:32px;border:1px solid rgba(0,0,0,.06);box-shadow:0 10px 30px rgba(29,41,57,.08);">
+<div style="margin-bottom:24px">
+<div style="font-size:22px;font-weight:800">FlowPoint</div>
+<div style="font-size:14px;color:#6b7280">${l("Connexion sécurisée (sans mot de passe)")}</div>
+</div>
 
-  const threads = await TeamThread.find(threadQuery).select("_id");
-  const threadIds = threads.map((t) => t._id);
+<div style="font-size:20px;font-weight:800;margin-bottom:12px">${l("Ton lien de connexion")}</div>
 
-  const messages = await TeamMessage.find({
-    orgId: req.dbUser.orgId,
-    threadId: { $in: threadIds },
-    "attachments.0": { $exists: true },
-    isDeleted: { $ne: true },
-  }).sort({ createdAt: -1 }).limit(200);
+<div style="color:#6b7280;font-size:15px;margin-bottom:22px">
+${l("Ce lien est valide <b>{minutes} minutes</b>.", { minutes: LOGIN_LINK_TTL_MINUTES })}<br>
+${l("Si tu n’es pas à l’origine de cette demande, ignore cet email.")}
+</div>
 
-  return res.json({ ok: true, messages });
-});
+<a href="${link}" style="display:inline-block;padding:14px 26px;background:#2f5bff;color:#ffffff;text-decoration:none;border-radius:10px;font-weight:700;font-size:15px;">
+${l("Se connecter")}
+</a>
 
-app.post("/api/team/threads/:id/resolve", auth, requireActive, async (req, res) => {
-  const thread = await TeamThread.findOne({
-    _id: req.params.id,
-    orgId: req.dbUser.orgId,
-  });
+<div style="margin-top:24px;padding:16px;border-radius:14px;background:#f3f4f6;font-size:13px;color:#6b7280;word-break:break-all;">
+<b>${l("Bouton bloqué ? Copie-colle :")}</b><br><br>${link}
+</div>
 
-  if (!thread) return res.status(404).json({ error: "Thread introuvable" });
+<div style="margin-top:28px;padding-top:16px;border-top:1px solid #e5e7eb;font-size:12px;color:#9ca3af;">
+© ${new Date().getFullYear()} FlowPoint
+</div>
+</div>
+</div>
+</body>
+</html>`;
 
-  thread.isResolved = true;
-  thread.lastActivityAt = new Date();
-  await thread.save();
+    const r = await sendEmail({
+      to: user.email,
+      subject: `${BRAND_NAME} — ${l("Ton lien de connexion")}`,
+      text: `${l("Lien de connexion (valide {minutes} minutes)", { minutes: LOGIN_LINK_TTL_MINUTES })}: ${link}`,
+      html,
+    });
 
-  return res.json({ ok: true, thread });
-});
-// ---------- ROUTES: CALENDAR ----------
+    if (!r.ok) {
+      return res.status(502).json({ ok: false, error: "Email non envoyé" });
+    }
 
-app.get("/api/calendar", auth, requireActive, async (req, res) => {
-  const view = String(req.query.view || "month");
-  const start = req.query.start ? new Date(req.query.start) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-  const end = req.query.end ? new Date(req.query.end) : new Date(Date.now() + 60 * 24 * 60 * 60 * 1000);
+    return res.json({ ok: true });
+  } catch (e) {
+    console.log("login-request error:", e.message);
+    return res.status(500).json({ error: "Erreur login-request" });
+  }
+});
 
-  const events = await CalendarEvent.find({
-    orgId: req.dbUser.orgId,
-    startAt: { $gte: start, $lte: end },
-  }).sort({ startAt: 1 }).limit(500);
+app.get("/api/auth/login-verify", async (req, res) => {
+  try {
+    const raw = String(req.query?.token || "");
+    if (!raw) return res.status(400).json({ error: "Token manquant" });
 
-  const alerts = [];
-  const missions = await Mission.find({ orgId: req.dbUser.orgId }).limit(300);
+    const tokenHash = crypto.createHash("sha256").update(raw).digest("hex");
+    const lt = await LoginToken.findOne({ tokenHash });
 
-  for (const m of missions) {
-    if (m.status !== "done" && m.dueDate && new Date(m.dueDate).getTime() < Date.now()) {
-      alerts.push({
-        type: "mission_overdue",
-        priority: m.priority || "medium",
-        title: m.title,
-        dueDate: m.dueDate,
-      });
+    if (!lt) return res.status(400).json({ error: "Token invalide" });
+    if (lt.usedAt) return res.status(400).json({ error: "Token déjà utilisé" });
+    if (lt.expiresAt && new Date(lt.expiresAt).getTime() < Date.now()) {
+      return res.status(400).json({ error: "Token expiré" });
     }
-  }
 
-  return res.json({
-    ok: true,
-    view,
-    events,
-    alerts,
-    todayFocus: missions
-      .filter((m) => m.status !== "done")
-      .sort((a, b) => {
-        const rank = { critical: 4, high: 3, medium: 2, low: 1 };
-        return (rank[b.priority] || 0) - (rank[a.priority] || 0);
-      })
-      .slice(0, 5),
-  });
-});
+    const user = await User.findById(lt.userId);
+    if (!user) return res.status(404).json({ error: "User introuvable" });
 
-app.post("/api/calendar", auth, requireActive, async (req, res) => {
-  const body = req.body || {};
-  if (!body.title || !body.startAt) {
-    return res.status(400).json({ error: "title + startAt requis" });
-  }
+    lt.usedAt = new Date();
+    await lt.save();
 
-  const event = await CalendarEvent.create({
-    orgId: req.dbUser.orgId,
-    userId: req.dbUser._id,
-    title: String(body.title || "").trim(),
-    description: String(body.description || "").trim(),
-    type: body.type || "custom",
-    linkedEntityType: body.linkedEntityType || "",
-    linkedEntityId: body.linkedEntityId || undefined,
-    startAt: new Date(body.startAt),
-    endAt: body.endAt ? new Date(body.endAt) : undefined,
-    priority: body.priority || "medium",
-    alertMode: body.alertMode || "none",
-    recurrence: body.recurrence || "none",
-    isDone: !!body.isDone,
-  });
+    await ensureOrgForUser(user);
 
-  await pushTimeline(
-    req.dbUser.orgId,
-    req.dbUser._id,
-    "calendar_event_created",
-    "calendar",
-    event._id,
-    event.title,
-    "Événement calendrier créé."
-  );
-await pushSystemMessage(
-  req.dbUser.orgId,
-  "flowpoint-system",
-  `📅 Nouvel événement : ${event.title}`,
-  "calendar",
-  event._id
-);
-  return res.json({ ok: true, event });
+    return res.json({
+      ok: true,
+      ...issueAuthPayload(user),
+    });
+  } catch (e) {
+    console.log("login-verify error:", e.message);
+    return res.status(500).json({ error: "Erreur login-verify" });
+  }
 });
 
-app.patch("/api/calendar/:id", auth, requireActive, async (req, res) => {
-  const event = await CalendarEvent.findOne({
-    _id: req.params.id,
-    orgId: req.dbUser.orgId,
-  });
+// ---------- INVITE ACCEPT ----------
+app.post("/api/org/invite/accept", async (req, res) => {
+  try {
+    const token = String(req.body?.token || "").trim();
+    const email = String(req.body?.email || "").trim();
+    const name = String(req.body?.name || "").trim();
 
-  if (!event) return res.status(404).json({ error: "Événement introuvable" });
+    if (!token) return res.status(400).json({ error: "Token manquant" });
+    if (!email) return res.status(400).json({ error: "Email requis" });
 
-  const allowed = ["title", "description", "type", "startAt", "endAt", "priority", "alertMode", "recurrence", "isDone"];
-  for (const key of allowed) {
-    if (Object.prototype.hasOwnProperty.call(req.body || {}, key)) {
-      event[key] = key.includes("At") && req.body[key] ? new Date(req.body[key]) : req.body[key];
+    const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
+    const invite = await Invite.findOne({ tokenHash });
+
+    if (!invite) return res.status(404).json({ error: "Invitation introuvable" });
+    if (invite.acceptedAt) return res.status(400).json({ error: "Invitation déjà utilisée" });
+    if (invite.expiresAt && new Date(invite.expiresAt).getTime() < Date.now()) {
+      return res.status(400).json({ error: "Invitation expirée" });
     }
-  }
 
-  await event.save();
-  return res.json({ ok: true, event });
-});
+    const emailNorm = normalizeEmail(email);
+    if (invite.invitedEmailNormalized && invite.invitedEmailNormalized !== emailNorm) {
+      return res.status(403).json({ error: "Cet email ne correspond pas à l’invitation" });
+    }
 
-// ---------- ROUTES: NOTES ----------
+    const org = await Org.findById(invite.orgId);
+    if (!org) return res.status(404).json({ error: "Organisation introuvable" });
 
-app.get("/api/notes", auth, requireActive, async (req, res) => {
-  const type = String(req.query.type || "").trim();
-  const q = { orgId: req.dbUser.orgId };
-  if (type) q.type = type;
+    let user = await User.findOne({ emailNormalized: emailNorm });
 
-  const notes = await Note.find(q).sort({ isPinned: -1, createdAt: -1 }).limit(500);
-  return res.json({ ok: true, notes });
-});
+    if (!user) {
+      user = await User.create({
+        email: email.toLowerCase(),
+        emailNormalized: emailNorm,
+        name: name || "",
+        companyName: org.name,
+        companyNameNormalized: org.normalizedName,
+        companyDomain: org.createdFromEmailDomain || "",
+        orgId: org._id,
+        role: "member",
+        plan: "standard",
+      });
+    } else {
+      if (user.orgId && String(user.orgId) !== String(org._id)) {
+        return res.status(409).json({ error: "Cet utilisateur appartient déjà à une autre organisation" });
+      }
 
-app.post("/api/notes", auth, requireActive, async (req, res) => {
-  const body = req.body || {};
-  if (!String(body.title || "").trim()) {
-    return res.status(400).json({ error: "Titre requis" });
-  }
+      user.name = name || user.name;
+      user.orgId = org._id;
+      user.role = "member";
+      if (!user.companyName) user.companyName = org.name;
+      if (!user.companyNameNormalized) user.companyNameNormalized = org.normalizedName;
+      await user.save();
+    }
 
-  const note = await Note.create({
-    orgId: req.dbUser.orgId,
-    userId: req.dbUser._id,
-    title: String(body.title || "").trim(),
-    content: String(body.content || "").trim(),
-    type: body.type || "free",
-    linkedEntityType: body.linkedEntityType || "",
-    linkedEntityId: body.linkedEntityId || undefined,
-    tags: Array.isArray(body.tags) ? body.tags : [],
-    isPinned: !!body.isPinned,
-  });
+    invite.acceptedAt = new Date();
+    await invite.save();
 
-  await pushTimeline(
-    req.dbUser.orgId,
-    req.dbUser._id,
-    "note_created",
-    "note",
-    note._id,
-    note.title,
-    "Note créée."
-  );
-await pushSystemMessage(
-  req.dbUser.orgId,
-  "flowpoint-system",
-  `📝 Nouvelle note créée : ${note.title}`,
-  "note",
-  note._id
-);
-  return res.json({ ok: true, note });
+    await ensureOrgDefaults(org);
+
+    return res.json({
+      ok: true,
+      ...issueAuthPayload(user),
+    });
+  } catch (e) {
+    console.log("invite-accept error:", e.message);
+    return res.status(500).json({ error: "Erreur acceptation invitation" });
+  }
 });
 
-app.patch("/api/notes/:id", auth, requireActive, async (req, res) => {
-  const note = await Note.findOne({
-    _id: req.params.id,
-    orgId: req.dbUser.orgId,
+// ---------- ME ----------
+app.get("/api/me", auth, requireActive, async (req, res) => {
+  const u = req.dbUser;
+  const org = req.dbOrg;
+  const q = effectiveQuotas(u, org);
+
+  return res.json({
+    email: u.email,
+    name: u.name,
+    companyName: u.companyName,
+    plan: u.plan,
+    role: u.role,
+    language: u.language || "",
+    locale: requestLocale(req),
+    org: org ? { id: org._id, name: org.name, language: org.language || "" } : null,
+    hasTrial: u.hasTrial,
+    trialEndsAt: u.trialEndsAt,
+    accessBlocked: u.accessBlocked,
+    lastPaymentStatus: u.lastPaymentStatus || "",
+    subscriptionStatus: u.subscriptionStatus || "",
+    addons: org?.billingAddons || {},
+    retentionDays: org?.retentionDays ?? 30,
+    credits: org?.credits || { audits: 0, pdf: 0, exports: 0 },
+    usage: {
+      month: u.usageMonth,
+      audits: { used: u.usedAudits, limit: q.audits },
+      monitors: { used: null, limit: q.monitors },
+      pdf: { used: u.usedPdf, limit: q.pdf },
+      exports: { used: u.usedExports, limit: q.exports },
+      teamSeats: { used: null, limit: q.teamSeats },
+    },
   });
+});
 
-  if (!note) return res.status(404).json({ error: "Note introuvable" });
+// Langue personnelle ("" = suivre l'organisation puis le navigateur).
+app.post("/api/me/language", auth, requireActive, async (req, res) => {
+  const raw = String(req.body?.language ?? "").trim();
+  const language = raw ? normalizeLocale(raw) : "";
+  if (raw && !language) return res.status(400).json({ error: "Langue invalide (fr, nl, en)" });
 
-  const allowed = ["title", "content", "type", "tags", "isPinned"];
-  for (const key of allowed) {
-    if (Object.prototype.hasOwnProperty.call(req.body || {}, key)) {
-      note[key] = req.body[key];
-    }
-  }
+  req.dbUser.language = language;
+  await req.dbUser.save();
 
-  await note.save();
-  return res.json({ ok: true, note });
+  return res.json({ ok: true, language, locale: requestLocale(req) });
 });
 
-app.post("/api/notes/:id/to-mission", auth, requireActive, async (req, res) => {
-  const note = await Note.findOne({
-    _id: req.params.id,
+// ---------- OVERVIEW ----------
+app.get("/api/overview", auth, requireActive, async (req, res) => {
+  const days = Math.min(30, Math.max(1, Number(req.query.days || 30)));
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const lastAudit = await Audit.findOne({ orgId: req.dbUser.orgId })
+    .sort({ createdAt: -1 })
+    .select("score createdAt url");
+
+  const audits = await Audit.find({
     orgId: req.dbUser.orgId,
-  });
+    createdAt: { $gte: since },
+  })
+    .sort({ createdAt: 1 })
+    .limit(120)
+    .select("score createdAt");
 
-  if (!note) return res.status(404).json({ error: "Note introuvable" });
+  const chart = audits.map((a) => a.score ?? 0);
 
-  const mission = await Mission.create({
+  const activeMonitors = await Monitor.countDocuments({
     orgId: req.dbUser.orgId,
-    userId: req.dbUser._id,
-    title: note.title,
-    description: note.content,
-    category: "ops",
-    sourceType: "note",
-    sourceId: note._id,
-    priority: "medium",
-    impact: "medium",
-    status: "todo",
-    isAutomated: false,
-    isQuickWin: false,
-    tags: uniqueStrings(["from_note", ...(note.tags || [])]),
+    active: true,
   });
 
-  await pushTimeline(
-    req.dbUser.orgId,
-    req.dbUser._id,
-    "note_to_mission",
-    "mission",
-    mission._id,
-    mission.title,
-    "Mission créée depuis une note."
-  );
+  const downMonitors = await Monitor.countDocuments({
+    orgId: req.dbUser.orgId,
+    active: true,
+    lastStatus: "down",
+  });
 
-  return res.json({ ok: true, mission });
+  return res.json({
+    ok: true,
+    seoScore: lastAudit?.score ?? 0,
+    lastAuditAt: lastAudit?.createdAt || null,
+    lastAuditUrl: lastAudit?.url || null,
+    localVis: "+0%",
+    chart,
+    monitors: {
+      active: activeMonitors,
+      down: downMonitors,
+    },
+    rangeDays: days,
+  });
 });
 
-app.post("/api/notes/:id/to-calendar", auth, requireActive, async (req, res) => {
-  const note = await Note.findOne({
-    _id: req.params.id,
-    orgId: req.dbUser.orgId,
+// ---------- ORG SETTINGS ----------
+app.get("/api/org/settings", auth, requireActive, async (req, res) => {
+  const org = await Org.findById(req.dbUser.orgId).select("alertRecipients alertExtraEmails timezone language branding billingAddons.whiteLabel");
+  return res.json({
+    ok: true,
+    settings: org || { alertRecipients: "all", alertExtraEmails: [], timezone: DEFAULT_TIMEZONE, language: "" },
+    languages: SUPPORTED_LOCALES,
+    whiteLabel: !!org?.billingAddons?.whiteLabel,
   });
+});
 
-  if (!note) return res.status(404).json({ error: "Note introuvable" });
-
-  const startAt = req.body?.startAt ? new Date(req.body.startAt) : new Date(Date.now() + 24 * 60 * 60 * 1000);
+app.post("/api/org/settings", auth, requireActive, requireOwner, async (req, res) => {
+  const recipients = String(req.body?.alertRecipients || "all").toLowerCase();
+  const extra = Array.isArray(req.body?.alertExtraEmails) ? req.body.alertExtraEmails : [];
+  const update = { alertRecipients: recipients, alertExtraEmails: extra };
 
-  const event = await CalendarEvent.create({
-    orgId: req.dbUser.orgId,
-    userId: req.dbUser._id,
-    title: note.title,
-    description: note.content,
-    type: "custom",
-    linkedEntityType: "note",
-    linkedEntityId: note._id,
-    startAt,
-    priority: "medium",
-    alertMode: "standard",
-    recurrence: "none",
-    isDone: false,
-  });
+  if (req.body?.timezone != null) {
+    const tz = String(req.body.timezone).trim();
+    if (!isValidTimeZone(tz)) return res.status(400).json({ error: "Fuseau horaire invalide" });
+    update.timezone = tz;
+  }
 
-  await pushTimeline(
-    req.dbUser.orgId,
-    req.dbUser._id,
-    "note_to_calendar",
-    "calendar",
-    event._id,
-    event.title,
-    "Événement calendrier créé depuis une note."
-  );
+  if (req.body?.language != null) {
+    const raw = String(req.body.language).trim();
+    const language = raw ? normalizeLocale(raw) : "";
+    if (raw && !language) return res.status(400).json({ error: "Langue invalide (fr, nl, en)" });
+    update.language = language;
+  }
 
-  return res.json({ ok: true, event });
-});
+  if (req.body?.branding && typeof req.body.branding === "object") {
+    try {
+      const branding = await sanitizeBrandingInput(req.body.branding);
+      for (const [key, value] of Object.entries(branding)) update[`branding.${key}`] = value;
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+  }
 
-// ---------- ROUTES: TIMELINE ----------
+  await Org.updateOne({ _id: req.dbUser.orgId }, { $set: update });
 
-app.get("/api/timeline", auth, requireActive, async (req, res) => {
-  const events = await TimelineEvent.find({ orgId: req.dbUser.orgId })
-    .sort({ createdAt: -1 })
-    .limit(300);
+  // Les prochaines exécutions planifiées suivent le nouveau fuseau.
+  if (update.timezone) {
+    const schedules = await AuditSchedule.find({ orgId: req.dbUser.orgId, active: true });
+    for (const s of schedules) {
+      s.nextRunAt = computeNextRunAt(s, update.timezone);
+      await s.save();
+    }
+  }
 
-  return res.json({ ok: true, events });
+  return res.json({ ok: true });
 });
 
-// ---------- ROUTES: OVERVIEW WAR ROOM ----------
+// alias monitor-settings
+app.get("/api/org/monitor-settings", auth, requireActive, async (req, res) => {
+  const org = await Org.findById(req.dbUser.orgId).select("alertRecipients alertExtraEmails");
+  return res.json({
+    ok: true,
+    settings: org || { alertRecipients: "all", alertExtraEmails: [] },
+  });
+});
 
-app.get("/api/overview/war-room", auth, requireActive, async (req, res) => {
-  const days = Math.min(90, Math.max(7, Number(req.query.days || 30)));
-  const ctx = await getUserEngineContext(req.dbUser, req.dbOrg, days);
+app.post("/api/org/monitor-settings", auth, requireActive, requireOwner, async (req, res) => {
+  const recipients = String(req.body?.alertRecipients || "all").toLowerCase();
+  const extra = Array.isArray(req.body?.alertExtraEmails) ? req.body.alertExtraEmails : [];
 
-  const seoScores = [...ctx.audits]
-    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
-    .slice(-90)
-    .map((a) => ({
-      x: a.createdAt,
-      y: Number(a.score || 0),
-      url: a.url,
-    }));
+  await Org.updateOne(
+    { _id: req.dbUser.orgId },
+    { $set: { alertRecipients: recipients, alertExtraEmails: extra } }
+  );
 
-  const openIssues = ctx.existingIssues.filter((i) => i.status === "open");
-  const issueTrend = [...ctx.existingIssues]
-    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
-    .slice(-90)
-    .map((i, idx) => ({
-      x: i.createdAt,
-      y: idx + 1,
-      type: i.type,
-      status: i.status,
-    }));
+  return res.json({ ok: true });
+});
 
-  const missionCompletionTrend = [...ctx.missions]
-    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
-    .slice(-120)
-    .map((m, idx) => ({
-      x: m.createdAt,
-      createdCount: idx + 1,
-      done: m.status === "done" ? 1 : 0,
-    }));
+app.get("/api/org/scoring-profile", auth, requireActive, async (req, res) => {
+  return res.json({
+    ok: true,
+    profile: resolveScoringProfile(req.dbOrg),
+    defaults: { weights: SCORING_WEIGHTS, thresholds: SCORING_THRESHOLDS },
+    limits: { weightMax: SCORING_WEIGHT_MAX, thresholds: SCORING_THRESHOLD_LIMITS, weightGroups: SCORING_WEIGHT_GROUPS },
+  });
+});
 
-  const monitorHealthTrend = [...ctx.monitorLogs]
-    .sort((a, b) => new Date(a.checkedAt) - new Date(b.checkedAt))
-    .slice(-180)
-    .map((l) => ({
-      x: l.checkedAt,
-      status: l.status,
-      responseTimeMs: l.responseTimeMs || 0,
-      httpStatus: l.httpStatus || 0,
-    }));
+// Chaque enregistrement incrémente la version : les audits gardent la version qui les a notés.
+app.post("/api/org/scoring-profile", auth, requireActive, requireOwner, async (req, res) => {
+  const reset = !!req.body?.reset;
+  const { weights, thresholds, errors } = reset
+    ? { weights: {}, thresholds: {}, errors: [] }
+    : cleanScoringOverrides({ weights: req.body?.weights, thresholds: req.body?.thresholds }, requestLocale(req));
 
-  const localOpportunities = buildLocalOpportunities(ctx.siteProfile, ctx.sector);
-  const localOpportunityTrend = localOpportunities.map((o, idx) => ({
-    x: idx + 1,
-    city: o.city,
-    score: o.score,
-  }));
+  if (errors.length) return res.status(400).json({ error: errors.join(" · ") });
 
-  const conversionReadiness = calcConversionReadiness(ctx.siteProfile, ctx.audits, ctx.monitors);
-  const uptimeHealth = calcUptimeHealth(ctx.monitors, ctx.monitorLogs);
-  const executionMomentum = calcExecutionMomentum(ctx.missions);
-  const localDominanceScore = calcLocalDominance(
-    ctx.siteProfile,
-    openIssues.filter((i) => i.category === "local").length,
-    ctx.missions.filter((m) => m.category === "local").length
+  const org = await Org.findOneAndUpdate(
+    { _id: req.dbUser.orgId },
+    {
+      $set: {
+        "scoringProfile.name": reset ? "" : String(req.body?.name || "").trim().slice(0, 80),
+        "scoringProfile.weights": weights,
+        "scoringProfile.thresholds": thresholds,
+        "scoringProfile.updatedAt": new Date(),
+        "scoringProfile.updatedByUserId": req.dbUser._id,
+      },
+      $inc: { "scoringProfile.version": 1 },
+    },
+    { new: true }
   );
 
-  const riskEngine = buildRiskEngine({
-    issues: openIssues,
-    monitors: ctx.monitors,
-    siteProfile: ctx.siteProfile,
-    missions: ctx.missions,
-  });
+  if (!org) return res.status(404).json({ error: "Organisation introuvable" });
+  return res.json({ ok: true, profile: resolveScoringProfile(org) });
+});
 
-  const recommendations = buildRecommendations({
-    issues: openIssues,
-    sector: ctx.sector,
-    siteProfile: ctx.siteProfile,
-    maturity: ctx.maturity,
-    planFeatures: ctx.planFeatures,
-    history: ctx.history,
+// ---------- AUDIT RULES ----------
+app.get("/api/audit-rules", auth, requireActive, async (req, res) => {
+  const rules = await AuditRule.find({ orgId: req.dbUser.orgId }).sort({ createdAt: 1 });
+  return res.json({ ok: true, rules });
+});
+
+app.post("/api/audit-rules", auth, requireActive, requireOwner, async (req, res) => {
+  const count = await AuditRule.countDocuments({ orgId: req.dbUser.orgId });
+  if (count >= AUDIT_RULES_MAX) {
+    return res.status(429).json({ error: tr(requestLocale(req), "Maximum {max} règles par organisation", { max: AUDIT_RULES_MAX }) });
+  }
+
+  const { rule, error } = sanitizeAuditRuleInput(req.body || {}, {}, requestLocale(req));
+  if (error) return res.status(400).json({ error });
+
+  const created = await AuditRule.create({
+    ...rule,
+    orgId: req.dbUser.orgId,
+    userId: req.dbUser._id,
   });
+  await touchAuditRules(req.dbUser.orgId);
 
-  const opportunityEngine = buildOpportunityEngine({
-    recommendations,
-    localOpportunities,
-    issues: openIssues,
+  await pushTimeline(
+    req.dbUser.orgId,
+    req.dbUser._id,
+    "audit_rule_created",
+    "audit_rule",
+    created._id,
+    created.name,
+    "Règle d’audit créée."
+  );
+
+  return res.json({ ok: true, rule: created });
+});
+
+app.patch("/api/audit-rules/:id", auth, requireActive, requireOwner, async (req, res) => {
+  const rule = await AuditRule.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
   });
 
-  const revenueProxyImpact = calcRevenueProxyImpact(opportunityEngine, executionMomentum);
-  const leadRiskScore = calcLeadRiskScore(conversionReadiness, uptimeHealth, riskEngine.criticalPagesUnhandled);
-  const clientReadinessScore = calcClientReadiness(ctx.missions, ctx.notes, 1);
+  if (!rule) return res.status(404).json({ error: "Règle introuvable" });
 
-  const seoScore = seoScores.length ? seoScores[seoScores.length - 1].y : 0;
-  const healthScore = Math.round((seoScore + uptimeHealth + executionMomentum + conversionReadiness) / 4);
+  const { rule: changes, error } = sanitizeAuditRuleInput(req.body || {}, rule.toObject(), requestLocale(req));
+  if (error) return res.status(400).json({ error });
 
-  const overviewNarrative = buildOverviewNarrative({
-    seoScore,
-    localDominanceScore,
-    uptimeHealth,
-    conversionReadiness,
-    riskEngine,
-    opportunityEngine,
+  rule.set(changes);
+  await rule.save();
+  await touchAuditRules(req.dbUser.orgId);
+  return res.json({ ok: true, rule });
+});
+
+app.delete("/api/audit-rules/:id", auth, requireActive, requireOwner, async (req, res) => {
+  const rule = await AuditRule.findOneAndDelete({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
   });
 
-  const topUrgencies = openIssues
-    .filter((i) => i.severity === "critical" || i.impactBusiness === "critical")
-    .sort((a, b) => b.priorityScore - a.priorityScore)
-    .slice(0, 3);
+  if (!rule) return res.status(404).json({ error: "Règle introuvable" });
+  await touchAuditRules(req.dbUser.orgId);
+  return res.json({ ok: true });
+});
 
-  const topQuickWins = ctx.missions
-    .filter((m) => m.isQuickWin && m.status !== "done")
-    .slice(0, 3);
+// ---------- AUDIT SCHEDULES ----------
+app.get("/api/audit-schedules", auth, requireActive, async (req, res) => {
+  const schedules = await AuditSchedule.find({ orgId: req.dbUser.orgId }).sort({ createdAt: -1 });
+  return res.json({ ok: true, timezone: req.dbOrg?.timezone || DEFAULT_TIMEZONE, schedules });
+});
 
-  const topBusinessOpportunities = opportunityEngine.slice(0, 3);
+app.post("/api/audit-schedules", auth, requireActive, async (req, res) => {
+  const count = await AuditSchedule.countDocuments({ orgId: req.dbUser.orgId });
+  if (count >= AUDIT_SCHEDULES_MAX) {
+    return res.status(429).json({ error: tr(requestLocale(req), "Maximum {max} planifications par organisation", { max: AUDIT_SCHEDULES_MAX }) });
+  }
 
-  const teamWaiting = await TeamThread.find({
-    orgId: req.dbUser.orgId,
-    isResolved: false,
-  }).sort({ lastActivityAt: -1 }).limit(3);
+  const { schedule, error } = sanitizeAuditScheduleInput(req.body || {});
+  if (error) return res.status(400).json({ error });
 
-  const portfolio = {
-    mostRiskyPages: openIssues
-      .filter((i) => i.pageUrl)
-      .sort((a, b) => b.priorityScore - a.priorityScore)
-      .slice(0, 5)
-      .map((i) => ({ pageUrl: i.pageUrl, title: i.title, score: i.priorityScore })),
-    mostPromisingPages: localOpportunities.slice(0, 5).map((o) => ({ pageUrl: "", title: o.label, score: o.score })),
-    mostCriticalPages: topUrgencies.map((i) => ({ pageUrl: i.pageUrl, title: i.title, score: i.priorityScore })),
-    mostProfitableCandidates: topBusinessOpportunities.map((o) => ({ pageUrl: "", title: o.label, score: o.score })),
-  };
+  try {
+    schedule.url = normalizeUrl(await assertSafePublicUrl(schedule.url));
+  } catch (e) {
+    return res.status(400).json({ error: e.message || "URL invalide" });
+  }
 
-  const trialRetention = buildTrialRetentionBlock({
-    missions: ctx.missions,
-    opportunities: opportunityEngine,
-    plan: req.dbUser.plan,
+  const doc = new AuditSchedule({
+    ...schedule,
+    orgId: req.dbUser.orgId,
+    userId: req.dbUser._id,
   });
+  doc.nextRunAt = computeNextRunAt(doc, req.dbOrg?.timezone);
+  await doc.save();
 
-  const monthlyOS = buildMonthlyOperatingSystem({
-    missions: ctx.missions,
-    calendarEvents: ctx.calendarEvents,
+  await pushTimeline(
+    req.dbUser.orgId,
+    req.dbUser._id,
+    "audit_schedule_created",
+    "audit_schedule",
+    doc._id,
+    doc.url,
+    `Audit planifié (${doc.frequency}).`
+  );
+
+  return res.json({ ok: true, schedule: doc });
+});
+
+app.patch("/api/audit-schedules/:id", auth, requireActive, async (req, res) => {
+  const doc = await AuditSchedule.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
   });
 
-  return res.json({
-    ok: true,
-    warRoom: {
-      hero: {
-        healthScore,
-        seoScore,
-        localDominanceScore,
-        uptimeHealth,
-        conversionReadiness,
-        criticalMissions: ctx.missions.filter((m) => m.priority === "critical" && m.status !== "done").length,
-        progress7d: ctx.missions.filter((m) => m.completedAt && new Date(m.completedAt).getTime() >= Date.now() - 7 * 24 * 60 * 60 * 1000).length,
-        progress30d: ctx.missions.filter((m) => m.completedAt && new Date(m.completedAt).getTime() >= Date.now() - 30 * 24 * 60 * 60 * 1000).length,
-        currentRisk: riskEngine.currentRiskLevel,
-        bestOpportunity: opportunityEngine[0] || null,
-        narrative: overviewNarrative,
-      },
-      analytics: {
-        scoreTrend: seoScores,
-        issueTrend,
-        missionCompletionTrend,
-        monitorHealthTrend,
-        localOpportunityTrend,
-        conversionReadinessSignals: {
-          score: conversionReadiness,
-          hasContact: ctx.siteProfile.hasContact,
-          hasServicePages: ctx.siteProfile.hasServicePages,
-          hasPricing: ctx.siteProfile.hasPricing,
-          latestAuditUrl: ctx.audits[0]?.url || "",
-        },
-      },
-      widgets: {
-        topUrgencies,
-        topQuickWins,
-        topBusinessOpportunities,
-        teamWaiting,
-      },
-      portfolio,
-      premiumScores: {
-        revenueProxyImpact,
-        leadRiskScore,
-        localDominanceScore,
-        executionMomentum,
-        clientReadinessScore,
-      },
-      retention: trialRetention,
-      monthlyOperatingSystem: monthlyOS,
-      recommendations,
-      sector: ctx.sector,
-      maturity: ctx.maturity,
-      planFeatures: ctx.planFeatures,
-    },
+  if (!doc) return res.status(404).json({ error: "Planification introuvable" });
+
+  const { schedule, error } = sanitizeAuditScheduleInput(req.body || {}, doc.toObject());
+  if (error) return res.status(400).json({ error });
+
+  if (schedule.url) {
+    try {
+      schedule.url = normalizeUrl(await assertSafePublicUrl(schedule.url));
+    } catch (e) {
+      return res.status(400).json({ error: e.message || "URL invalide" });
+    }
+  }
+
+  doc.set(schedule);
+  doc.nextRunAt = computeNextRunAt(doc, req.dbOrg?.timezone);
+  await doc.save();
+  return res.json({ ok: true, schedule: doc });
+});
+
+app.delete("/api/audit-schedules/:id", auth, requireActive, async (req, res) => {
+  const doc = await AuditSchedule.findOneAndDelete({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
   });
+
+  if (!doc) return res.status(404).json({ error: "Planification introuvable" });
+  return res.json({ ok: true });
 });
 
-// ---------- ROUTES: RECOMMENDATIONS ----------
+// ---------- COMPETITORS ----------
+app.get("/api/competitors", auth, requireActive, async (req, res) => {
+  const filter = { orgId: req.dbUser.orgId };
+  if (req.query.site) filter.siteHost = hostKey(String(req.query.site).replace(/^https?:\/\//i, "").split("/")[0]);
 
-app.get("/api/recommendations", auth, requireActive, async (req, res) => {
-  const ctx = await getUserEngineContext(req.dbUser, req.dbOrg, 30);
+  const competitors = await Competitor.find(filter).sort({ createdAt: -1 }).limit(200);
+  return res.json({ ok: true, competitors });
+});
 
-  const recommendations = buildRecommendations({
-    issues: ctx.existingIssues.filter((i) => i.status === "open"),
-    sector: ctx.sector,
-    siteProfile: ctx.siteProfile,
-    maturity: ctx.maturity,
-    planFeatures: ctx.planFeatures,
-    history: ctx.history,
-  });
+app.post("/api/competitors", auth, requireActive, async (req, res) => {
+  const { competitor, error } = sanitizeCompetitorInput(req.body || {});
+  if (error) return res.status(400).json({ error });
 
-  return res.json({
-    ok: true,
-    recommendations,
-    context: {
-      sector: ctx.sector,
-      maturity: ctx.maturity,
-      plan: req.dbUser.plan,
-      host: ctx.siteProfile.host,
-    },
+  try {
+    competitor.url = normalizeUrl(await assertSafePublicUrl(competitor.url));
+    competitor.siteUrl = normalizeUrl(competitor.siteUrl);
+  } catch (e) {
+    return res.status(400).json({ error: e.message || "URL invalide" });
+  }
+  competitor.siteHost = hostKey(new URL(competitor.siteUrl).hostname);
+
+  const count = await Competitor.countDocuments({ orgId: req.dbUser.orgId, siteHost: competitor.siteHost });
+  if (count >= COMPETITORS_PER_SITE_MAX) {
+    return res.status(429).json({ error: tr(requestLocale(req), "Maximum {max} concurrents par site", { max: COMPETITORS_PER_SITE_MAX }) });
+  }
+
+  const doc = new Competitor({
+    ...competitor,
+    orgId: req.dbUser.orgId,
+    userId: req.dbUser._id,
   });
+  doc.nextRunAt = computeNextRunAt(doc, req.dbOrg?.timezone);
+  await doc.save();
+
+  await pushTimeline(
+    req.dbUser.orgId,
+    req.dbUser._id,
+    "competitor_added",
+    "competitor",
+    doc._id,
+    doc.url,
+    `Concurrent suivi pour ${doc.siteHost}.`
+  );
+
+  return res.json({ ok: true, competitor: doc });
 });
-// =======================
-// STRIPE (via stripe.js)
-// IMPORTANT: webhook RAW avant express.json()
-// =======================
-const stripeModule = buildStripeModule({
-  STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY,
-  STRIPE_WEBHOOK_SECRET,
-  BRAND_NAME,
-  priceIdForPlan,
-  safeBaseUrl,
-  signToken,
-  issueAuthPayload, // ✅ AJOUT IMPORTANT
-  auth,
-  requireActive,
-  ensureOrgForUser,
-  ensureOrgDefaults,
-  User,
-  Org,
-  sendEmail,
-});
-// 1) WEBHOOK RAW AVANT JSON
-app.post(
-  "/api/stripe/webhook",
-  express.raw({ type: "application/json" }),
-  stripeModule.webhookHandler
-);
 
-// 2) SECURITY
-app.use(helmet({ contentSecurityPolicy: false }));
-app.use(cors({ origin: true, credentials: true }));
-app.use("/api", rateLimit({ windowMs: 60 * 1000, max: 200 }));
+app.patch("/api/competitors/:id", auth, requireActive, async (req, res) => {
+  const doc = await Competitor.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
 
-// 2.5) NO CACHE FOR AUTH / SESSION-SENSITIVE ROUTES
-app.use((req, res, next) => {
-  if (
-    req.path.startsWith("/api/auth/") ||
-    req.path === "/api/me" ||
-    req.path === "/api/overview"
-  ) {
-    res.setHeader("Cache-Control", "no-store, no-cache, must-revalidate, proxy-revalidate");
-    res.setHeader("Pragma", "no-cache");
-    res.setHeader("Expires", "0");
-    res.setHeader("Surrogate-Control", "no-store");
+  if (!doc) return res.status(404).json({ error: "Concurrent introuvable" });
+
+  const { competitor, error } = sanitizeCompetitorInput(req.body || {}, doc.toObject());
+  if (error) return res.status(400).json({ error });
+
+  try {
+    if (competitor.url) competitor.url = normalizeUrl(await assertSafePublicUrl(competitor.url));
+    if (competitor.siteUrl) competitor.siteUrl = normalizeUrl(competitor.siteUrl);
+  } catch (e) {
+    return res.status(400).json({ error: e.message || "URL invalide" });
   }
-  next();
+  if (competitor.siteUrl) competitor.siteHost = hostKey(new URL(competitor.siteUrl).hostname);
+
+  // Rattaché à un autre site : la limite s'applique au site d'arrivée.
+  if (competitor.siteHost && competitor.siteHost !== doc.siteHost) {
+    const count = await Competitor.countDocuments({ orgId: req.dbUser.orgId, siteHost: competitor.siteHost });
+    if (count >= COMPETITORS_PER_SITE_MAX) {
+      return res.status(429).json({ error: tr(requestLocale(req), "Maximum {max} concurrents par site", { max: COMPETITORS_PER_SITE_MAX }) });
+    }
+  }
+
+  doc.set(competitor);
+  doc.nextRunAt = computeNextRunAt(doc, req.dbOrg?.timezone);
+  await doc.save();
+  return res.json({ ok: true, competitor: doc });
 });
 
-// 3) BODY PARSERS APRES WEBHOOK
-app.use(express.json({ limit: "1mb" }));
-app.use(express.urlencoded({ extended: true }));
+app.delete("/api/competitors/:id", auth, requireActive, async (req, res) => {
+  const doc = await Competitor.findOneAndDelete({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
 
-// ---------- STATIC ----------
-app.use(express.static(path.join(__dirname)));
+  if (!doc) return res.status(404).json({ error: "Concurrent introuvable" });
 
-function sendPage(res, file) {
-  return res.sendFile(path.join(__dirname, file));
-}
+  await CompetitorAudit.deleteMany({ orgId: req.dbUser.orgId, competitorId: doc._id }).catch(() => {});
+  return res.json({ ok: true });
+});
 
-// ---------- PAGES ----------
-app.get("/", (_, res) => sendPage(res, "index.html"));
-app.get("/index.html", (_, res) => sendPage(res, "index.html"));
+app.post("/api/competitors/:id/run", auth, requireActive, async (req, res) => {
+  const doc = await Competitor.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
+
+  if (!doc) return res.status(404).json({ error: "Concurrent introuvable" });
+
+  try {
+    const audit = await runCompetitorAudit(doc);
+    await doc.save();
+    return res.json({
+      ok: true,
+      audit: {
+        id: audit._id,
+        url: audit.url,
+        status: audit.status,
+        score: audit.score,
+        accessibilityScore: audit.accessibilityScore,
+        performanceScore: audit.performanceScore,
+        summary: audit.summary,
+        createdAt: audit.createdAt,
+      },
+    });
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message || "Erreur audit" });
+  }
+});
 
-app.get("/dashboard", (_, res) => sendPage(res, "dashboard.html"));
-app.get("/dashboard.html", (_, res) => sendPage(res, "dashboard.html"));
+// Comparaison côte à côte d'un site de l'org avec ses concurrents + tendances de score.
+app.get("/api/competitors/compare", auth, requireActive, async (req, res) => {
+  const site = String(req.query.site || "").trim();
+  if (!site) return res.status(400).json({ error: "Paramètre site manquant" });
 
-app.get("/pricing", (_, res) => sendPage(res, "pricing.html"));
-app.get("/pricing.html", (_, res) => sendPage(res, "pricing.html"));
+  const siteHost = hostKey(site.replace(/^https?:\/\//i, "").split("/")[0]);
+  const competitors = await Competitor.find({ orgId: req.dbUser.orgId, siteHost }).sort({ createdAt: 1 });
+  if (!competitors.length) return res.status(404).json({ error: "Aucun concurrent pour ce site" });
 
-app.get("/success", (_, res) => sendPage(res, "success.html"));
-app.get("/success.html", (_, res) => sendPage(res, "success.html"));
+  const days = Math.min(365, Math.max(7, Number(req.query.days || 90)));
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const siteUrl = /^https?:\/\//i.test(site) ? normalizeUrl(site) : competitors[0].siteUrl;
+
+  const [siteAudits, history] = await Promise.all([
+    Audit.find({ orgId: req.dbUser.orgId, createdAt: { $gte: since } })
+      .select("url status score accessibilityScore performanceScore findings createdAt")
+      .sort({ createdAt: -1 })
+      .limit(500),
+    CompetitorAudit.find({
+      orgId: req.dbUser.orgId,
+      competitorId: { $in: competitors.map((c) => c._id) },
+      createdAt: { $gte: since },
+    })
+      .select("competitorId status score accessibilityScore performanceScore findings createdAt")
+      .sort({ createdAt: 1 }),
+  ]);
 
-app.get("/cancel", (_, res) => sendPage(res, "cancel.html"));
-app.get("/cancel.html", (_, res) => sendPage(res, "cancel.html"));
+  const onSite = siteAudits.filter((a) => isSameSite(a.url, siteHost));
+  const comparison = buildCompetitorComparison({
+    siteUrl,
+    siteAudit: pickSiteAudit(onSite, siteUrl),
+    competitors,
+    competitorAudits: history,
+    locale: requestLocale(req),
+  });
 
-app.get("/login", (_, res) => sendPage(res, "login.html"));
-app.get("/login.html", (_, res) => sendPage(res, "login.html"));
+  const target = normalizeUrl(siteUrl);
+  const trendOf = (list) => list.filter((a) => a.status !== "error").map((a) => ({ x: a.createdAt, y: a.score }));
+  const trends = {
+    site: trendOf(onSite.filter((a) => normalizeUrl(a.url) === target).reverse()),
+    competitors: competitors.map((c) => ({
+      id: c._id,
+      name: c.name || new URL(c.url).hostname,
+      points: trendOf(history.filter((a) => String(a.competitorId) === String(c._id))),
+    })),
+  };
 
-app.get("/login-verify", (_, res) => sendPage(res, "login-verify.html"));
-app.get("/login-verify.html", (_, res) => sendPage(res, "login-verify.html"));
+  return res.json({ ok: true, days, ...comparison, trends });
+});
 
-app.get("/invite-accept", (_, res) => sendPage(res, "invite-accept.html"));
-app.get("/invite-accept.html", (_, res) => sendPage(res, "invite-accept.html"));
+// ---------- KEYWORDS ----------
+// Résultat d'un mot-clé dans un audit (findings.keywords), null si l'audit ne le suivait pas.
+function keywordResultFromAudit(audit, keyword) {
+  const k = normalizeKeyword(keyword);
+  return (audit?.findings?.keywords?.value?.keywords || []).find((r) => normalizeKeyword(r.keyword) === k) || null;
+}
 
-app.get("/admin", (_, res) => sendPage(res, "admin.html"));
-app.get("/admin.html", (_, res) => sendPage(res, "admin.html"));
+app.get("/api/keywords", auth, requireActive, async (req, res) => {
+  const filter = { orgId: req.dbUser.orgId };
+  if (req.query.pageUrl) filter.pageUrl = normalizeUrl(String(req.query.pageUrl));
 
-app.get("/checkout.html", (_, res) => sendPage(res, "checkout.html"));
-app.get("/checkout-embedded.html", (_, res) => sendPage(res, "checkout-embedded.html"));
-app.get("/checkout-return.html", (_, res) => sendPage(res, "checkout-return.html"));
+  const keywords = await Keyword.find(filter).sort({ pageUrl: 1, createdAt: 1 }).limit(500);
+  const latestAudits = await Audit.find({
+    orgId: req.dbUser.orgId,
+    urlNormalized: { $in: uniqueStrings(keywords.map((k) => k.pageUrl)) },
+    "findings.keywords": { $exists: true },
+  })
+    .sort({ createdAt: -1 })
+    .select("urlNormalized createdAt findings.keywords")
+    .limit(500);
 
-app.get("/billing.html", (_, res) => sendPage(res, "billing.html"));
-app.get("/addons.html", (_, res) => sendPage(res, "addons.html"));
+  const latestByUrl = new Map();
+  for (const a of latestAudits) if (!latestByUrl.has(a.urlNormalized)) latestByUrl.set(a.urlNormalized, a);
 
-// ---------- API ----------
-app.get("/api/health", (_, res) => {
   return res.json({
     ok: true,
-    brand: BRAND_NAME,
-    uptimeSec: Math.round(process.uptime()),
-    now: new Date().toISOString(),
+    keywords: keywords.map((k) => {
+      const audit = latestByUrl.get(k.pageUrl);
+      const result = keywordResultFromAudit(audit, k.keyword);
+      return { ...k.toObject(), latest: result ? { auditId: audit._id, checkedAt: audit.createdAt, ...result } : null };
+    }),
   });
 });
 
-// ---------- STRIPE ROUTES ----------
-app.post("/api/stripe/checkout", auth, requireActive, stripeModule.checkoutPlan);
-app.post("/api/stripe/checkout-embedded", auth, requireActive, stripeModule.checkoutEmbedded);
-app.get("/api/stripe/verify", stripeModule.verifyCheckout);
-app.post("/api/stripe/portal", auth, requireActive, stripeModule.customerPortal);
+app.post("/api/keywords", auth, requireActive, async (req, res) => {
+  const rawUrl = String(req.body?.pageUrl || "").trim();
+  if (!/^https?:\/\//i.test(rawUrl)) return res.status(400).json({ error: "URL invalide" });
 
-// ---------- AUTH: LEAD ----------
-const leadLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 30 });
+  const raw = Array.isArray(req.body?.keywords) ? req.body.keywords : [req.body?.keyword];
+  const wanted = raw
+    .map((k) => String(k || "").trim().slice(0, 100))
+    .filter((k) => normalizeKeyword(k))
+    .filter((k, i, list) => list.findIndex((x) => normalizeKeyword(x) === normalizeKeyword(k)) === i);
+  if (!wanted.length) return res.status(400).json({ error: "Mot-clé manquant" });
 
-app.post("/api/auth/lead", leadLimiter, async (req, res) => {
+  let pageUrl;
   try {
-    const { firstName, email, companyName, plan } = req.body || {};
+    pageUrl = normalizeUrl(await assertSafePublicUrl(rawUrl));
+  } catch (e) {
+    return res.status(400).json({ error: e.message || "URL invalide" });
+  }
 
-    if (!email || !companyName) {
-      return res.status(400).json({ error: "Email + entreprise requis" });
-    }
+  const existing = await Keyword.find({ orgId: req.dbUser.orgId, pageUrl }).select("keywordNormalized");
+  const known = new Set(existing.map((k) => k.keywordNormalized));
+  const fresh = wanted.filter((k) => !known.has(normalizeKeyword(k)));
 
-    const chosenPlan = String(plan || "").toLowerCase();
-    if (!["standard", "pro", "ultra"].includes(chosenPlan)) {
-      return res.status(400).json({ error: "Plan invalide" });
-    }
+  if (existing.length + fresh.length > KEYWORDS_PER_PAGE_MAX) {
+    return res.status(429).json({ error: tr(requestLocale(req), "Maximum {max} mots-clés par page", { max: KEYWORDS_PER_PAGE_MAX }) });
+  }
 
-    const emailNorm = normalizeEmail(email);
-    const domain = domainFromEmail(emailNorm);
-    const companyNorm = normalizeCompanyName(companyName);
-    const ipua = ipuaHash(req);
+  const created = await Keyword.insertMany(fresh.map((keyword) => ({
+    orgId: req.dbUser.orgId,
+    userId: req.dbUser._id,
+    pageUrl,
+    keyword,
+    keywordNormalized: normalizeKeyword(keyword),
+  })));
 
-    const adminBypass = ADMIN_KEY && req.headers["x-admin-key"] === ADMIN_KEY;
+  return res.json({ ok: true, created, skipped: wanted.length - fresh.length });
+});
 
-    if (!adminBypass) {
-      if (await TrialRegistry.findOne({ emailNormalized: emailNorm })) {
-        return res.status(403).json({ error: "Essai déjà utilisé pour cet email." });
-      }
+app.patch("/api/keywords/:id", auth, requireActive, async (req, res) => {
+  const doc = await Keyword.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
 
-      if (await TrialRegistry.findOne({ companyNameNormalized: companyNorm })) {
-        return res.status(403).json({ error: "Essai déjà utilisé pour cette entreprise." });
-      }
+  if (!doc) return res.status(404).json({ error: "Mot-clé introuvable" });
 
-      if (domain && !PUBLIC_EMAIL_DOMAINS.has(domain)) {
-        if (await TrialRegistry.findOne({ companyDomain: domain })) {
-          return res.status(403).json({ error: "Essai déjà utilisé pour ce domaine entreprise." });
-        }
-      }
+  if (typeof req.body?.active === "boolean") doc.active = req.body.active;
 
-      if (await TrialRegistry.findOne({ ipua })) {
-        return res.status(403).json({ error: "Essai déjà utilisé (anti-abus navigateur/IP)." });
-      }
-    }
+  if (req.body?.keyword !== undefined) {
+    const keyword = String(req.body.keyword || "").trim().slice(0, 100);
+    if (!normalizeKeyword(keyword)) return res.status(400).json({ error: "Mot-clé manquant" });
 
-    let user = await User.findOne({ emailNormalized: emailNorm });
+    const clash = await Keyword.exists({
+      orgId: req.dbUser.orgId,
+      pageUrl: doc.pageUrl,
+      keywordNormalized: normalizeKeyword(keyword),
+      _id: { $ne: doc._id },
+    });
+    if (clash) return res.status(409).json({ error: "Mot-clé déjà suivi pour cette page" });
 
-    if (!user) {
-      user = await User.create({
-        email: String(email).toLowerCase(),
-        emailNormalized: emailNorm,
-        name: firstName || "",
-        companyName,
-        companyNameNormalized: companyNorm,
-        companyDomain: domain,
-        plan: chosenPlan,
-        role: "owner",
-      });
-    } else {
-      user.email = String(email).toLowerCase();
-      user.name = firstName || user.name;
-      user.companyName = companyName || user.companyName;
-      user.companyNameNormalized = companyNorm || user.companyNameNormalized;
-      user.companyDomain = domain || user.companyDomain;
-      user.plan = chosenPlan;
-      await user.save();
-    }
+    doc.keyword = keyword;
+    doc.keywordNormalized = normalizeKeyword(keyword);
+  }
 
-    if (!adminBypass) {
-      await TrialRegistry.create({
-        emailNormalized: emailNorm,
-        companyNameNormalized: companyNorm,
-        companyDomain: domain,
-        ipua,
-        fingerprint: ipua,
-      });
-    }
+  await doc.save();
+  return res.json({ ok: true, keyword: doc });
+});
 
-    await ensureOrgForUser(user);
+app.delete("/api/keywords/:id", auth, requireActive, async (req, res) => {
+  const doc = await Keyword.findOneAndDelete({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
 
-    return res.json({
-      ok: true,
-      ...issueAuthPayload(user),
-    });
-  } catch (e) {
-    console.log("lead error:", e.message);
+  if (!doc) return res.status(404).json({ error: "Mot-clé introuvable" });
+  return res.json({ ok: true });
+});
 
-    if (String(e.message || "").includes("duplicate key")) {
-      return res.status(403).json({ error: "Essai déjà utilisé (anti-abus)." });
-    }
+// Historique lu depuis les audits de la page : chaque audit garde sa couverture dans findings.keywords.
+app.get("/api/keywords/:id/history", auth, requireActive, async (req, res) => {
+  const doc = await Keyword.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
 
-    return res.status(500).json({ error: "Erreur serveur lead" });
-  }
-});
+  if (!doc) return res.status(404).json({ error: "Mot-clé introuvable" });
 
-// ---------- AUTH: REFRESH ----------
-app.post("/api/auth/refresh", async (req, res) => {
-  try {
-    const refreshToken =
-      String(req.body?.refreshToken || "").trim() ||
-      String(req.headers["x-refresh-token"] || "").trim() ||
-      String(req.headers["x-refresh"] || "").trim();
+  const days = Math.min(365, Math.max(1, Number(req.query.days || 90)));
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
-    if (!refreshToken) {
-      return res.status(400).json({ error: "Refresh token manquant" });
-    }
+  const audits = await Audit.find({
+    orgId: req.dbUser.orgId,
+    urlNormalized: doc.pageUrl,
+    createdAt: { $gte: since },
+    "findings.keywords": { $exists: true },
+  })
+    .sort({ createdAt: 1 })
+    .select("createdAt score findings.keywords")
+    .limit(500);
 
-    let decoded;
-    try {
-      decoded = jwt.verify(refreshToken, REFRESH_SECRET);
-    } catch {
-      return res.status(401).json({ error: "Refresh token invalide" });
-    }
+  const history = audits
+    .map((a) => ({ audit: a, result: keywordResultFromAudit(a, doc.keyword) }))
+    .filter((x) => x.result)
+    .map(({ audit, result }) => ({
+      auditId: audit._id,
+      checkedAt: audit.createdAt,
+      score: audit.score,
+      coverage: result.coverage,
+      occurrences: result.occurrences,
+      placements: result.placements,
+    }));
 
-    if (!decoded?.uid) {
-      return res.status(401).json({ error: "Refresh token invalide" });
-    }
+  return res.json({ ok: true, keyword: doc, days, history });
+});
 
-    const user = await User.findById(decoded.uid);
-    if (!user) {
-      return res.status(404).json({ error: "User introuvable" });
-    }
+// ---------- BULK AUDITS ----------
+app.post("/api/bulk-audits", auth, requireActive, csvUpload.single("file"), async (req, res) => {
+  const file = req.file;
+  const pasted = Array.isArray(req.body?.urls) ? req.body.urls.join("\n") : String(req.body?.urls || "");
 
-    await ensureOrgForUser(user);
-    await resetUsageIfNewMonth(user);
+  const rawRows = file
+    ? extractBulkUrlRows(file.buffer.toString("utf8"), { csv: true })
+    : extractBulkUrlRows(pasted);
 
-    const payload = issueAuthPayload(user);
+  if (!rawRows.length) return res.status(400).json({ error: "Aucune URL fournie (liste ou fichier CSV)" });
+  if (rawRows.length > BULK_AUDIT_MAX) {
+    return res.status(400).json({ error: tr(requestLocale(req), "Maximum {max} URLs par lot", { max: BULK_AUDIT_MAX }) });
+  }
 
-    return res.json({
-      ok: true,
-      token: payload.token,
-      refreshToken: payload.refreshToken,
+  const rows = await validateBulkUrlRows(rawRows);
+  const valid = rows.filter((r) => r.status === "pending").length;
+  if (!valid) return res.status(400).json({ error: "Aucune URL valide", rows });
+
+  // Quota vérifié et réservé pour tout le lot avant de lancer le moindre audit.
+  const remaining = auditQuotaRemaining(req.dbUser, req.dbOrg);
+  if (valid > remaining) {
+    return res.status(429).json({
+      error: tr(requestLocale(req), "Quota audits insuffisant : {valid} URL(s) valides pour {remaining} audit(s) restant(s)", { valid, remaining }),
+      valid,
+      remaining,
     });
-  } catch (e) {
-    console.log("refresh error:", e.message);
-    return res.status(401).json({ error: "Refresh token invalide" });
   }
+
+  const ok = await consume(req.dbUser, req.dbOrg, "audits", valid);
+  if (!ok) return res.status(429).json({ error: "Quota audits dépassé" });
+
+  const job = await BulkAuditJob.create({
+    orgId: req.dbUser.orgId,
+    userId: req.dbUser._id,
+    name: String(req.body?.name || file?.originalname || "").trim().slice(0, 120),
+    source: file ? "csv" : "list",
+    total: valid,
+    invalid: rows.length - valid,
+    rows,
+  });
+
+  // Exécuté par le worker de jobs : un lot interrompu par un redémarrage reprend aux lignes restantes.
+  await enqueueJob({ user: req.dbUser, type: "bulk", payload: { bulkJobId: job._id } });
+
+  return res.json({
+    ok: true,
+    jobId: job._id,
+    total: job.total,
+    invalid: job.invalid,
+    rejected: rows.filter((r) => r.status === "invalid"),
+  });
 });
 
-app.get("/api/auth/session", auth, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.uid);
-    if (!user) return res.status(404).json({ error: "User introuvable" });
+app.get("/api/bulk-audits", auth, requireActive, async (req, res) => {
+  const jobs = await BulkAuditJob.find({ orgId: req.dbUser.orgId })
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .select("-rows");
 
-    return res.json({
-      ok: true,
-      authenticated: true,
-      userId: user._id,
-      email: user.email,
-    });
-  } catch (e) {
-    return res.status(401).json({ error: "Session invalide" });
-  }
+  return res.json({ ok: true, jobs });
 });
 
-// ---------- AUTH: LOGIN MAGIC LINK ----------
-const loginLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 20 });
+app.get("/api/bulk-audits/:id", auth, requireActive, async (req, res) => {
+  const job = await BulkAuditJob.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
 
-app.post("/api/auth/login-request", loginLimiter, async (req, res) => {
+  if (!job) return res.status(404).json({ error: "Lot introuvable" });
+
+  return res.json({
+    ok: true,
+    job,
+    progress: {
+      processed: job.processed,
+      total: job.total,
+      percent: job.total ? Math.round((job.processed / job.total) * 100) : 100,
+    },
+  });
+});
+
+// ---------- AUDITS ----------
+app.post("/api/audits/run", auth, requireActive, async (req, res) => {
   try {
-    const email = String(req.body?.email || "").trim();
-    if (!email) return res.status(400).json({ error: "Email requis" });
+    const url = String(req.body?.url || "").trim();
+    if (!url || !/^https?:\/\//i.test(url)) {
+      return res.status(400).json({ error: "URL invalide (http/https)" });
+    }
 
-    const emailNorm = normalizeEmail(email);
-    const user = await User.findOne({ emailNormalized: emailNorm });
-    if (!user) return res.status(404).json({ error: "Aucun compte pour cet email" });
+    const isCrawl = String(req.body?.mode || "").toLowerCase() === "crawl";
+    const runAsync = req.body?.async === true || String(req.body?.async || "") === "true";
+
+    // Mode asynchrone : le quota est vérifié ici puis consommé par le worker.
+    const enqueue = async (type, payload) => {
+      if (auditQuotaRemaining(req.dbUser, req.dbOrg) <= 0) {
+        return res.status(429).json({ error: "Quota audits dépassé" });
+      }
+
+      const job = await enqueueJob({ user: req.dbUser, type, payload });
+      return res.status(202).json({ ok: true, queued: true, mode: type === "crawl" ? "crawl" : "page", jobId: job._id });
+    };
+
+    // Un crawl dépasse le délai d'une requête HTTP : il passe toujours par le worker, même sans `async`.
+    if (isCrawl) {
+      return enqueue("crawl", {
+        url,
+        maxPages: req.body?.maxPages ? clampInt(req.body.maxPages, 1, CRAWL_MAX_PAGES) : undefined,
+        maxDepth: req.body?.maxDepth != null ? clampInt(req.body.maxDepth, 0, CRAWL_MAX_DEPTH) : undefined,
+      });
+    }
+
+    const urlNorm = normalizeUrl(url);
+    const cutoff = new Date(Date.now() - AUDIT_CACHE_HOURS * 60 * 60 * 1000);
+
+    const scoringProfile = resolveScoringProfile(req.dbOrg);
+    const customRules = await loadAuditRules(req.dbUser.orgId);
+    // Date au niveau org : une règle désactivée ou supprimée n'apparaît plus dans customRules.
+    const rulesUpdatedAt = new Date(req.dbOrg?.auditRulesUpdatedAt || 0).getTime();
+    const targetKeywords = await loadTargetKeywords(req.dbUser.orgId);
+    const keywordSet = (list) => JSON.stringify([...(list || [])].map(normalizeKeyword).sort());
+
+    const cached = await Audit.findOne({
+      orgId: req.dbUser.orgId,
+      urlNormalized: urlNorm,
+      createdAt: { $gte: cutoff },
+    }).sort({ createdAt: -1 });
+
+    // Un audit noté avec une ancienne version du profil, des règles ou des mots-clés n'est pas réutilisé.
+    if (
+      cached &&
+      Number(cached.scoringProfileVersion || 0) === scoringProfile.version &&
+      new Date(cached.createdAt).getTime() >= rulesUpdatedAt &&
+      keywordSet(cached.findings?.keywords?.value?.keywords?.map((k) => k.keyword)) === keywordSet(targetKeywords.get(urlNorm))
+    ) {
+      return res.json({
+        ok: true,
+        cached: true,
+        auditId: cached._id,
+        score: cached.score,
+        accessibilityScore: cached.accessibilityScore ?? null,
+        performanceScore: cached.performanceScore ?? null,
+        summary: `Cache (${AUDIT_CACHE_HOURS}h) — ${cached.summary || ""}`,
+      });
+    }
 
-    const raw = crypto.randomBytes(32).toString("hex");
-    const tokenHash = crypto.createHash("sha256").update(raw).digest("hex");
-    const expiresAt = new Date(Date.now() + LOGIN_LINK_TTL_MINUTES * 60 * 1000);
+    if (runAsync) return enqueue("audit", { url: urlNorm });
 
-    await LoginToken.create({
-      userId: user._id,
-      tokenHash,
-      expiresAt,
+    const audit = await runAndStoreAudit({
+      user: req.dbUser,
+      org: req.dbOrg,
+      url: urlNorm,
+      scoringProfile,
+      customRules,
+      targetKeywords,
     });
 
-    const baseUrl = safeBaseUrl(req);
-    const link = `${baseUrl}/login-verify.html?token=${raw}`;
-
-    if (String(process.env.DEBUG_LOGIN_LINK || "").toLowerCase() === "true") {
-      return res.json({ ok: true, debugLink: link });
-    }
-
-    const html = `
-<!doctype html>
-<html lang="fr">
-<head>
-<meta charset="utf-8">
-<meta name="viewport" content="width=device-width,initial-scale=1">
-<title>FlowPoint</title>
-</head>
-<body style="margin:0;background:#f5f7fb;font-family:Arial,Helvetica,sans-serif">
-<div style="max-width:620px;margin:auto;padding:40px 20px">
-<div style="background:#ffffff;border-radius:24px;padding:32px;border:1px solid rgba(0,0,0,.06);box-shadow:0 10px 30px rgba(29,41,57,.08);">
-<div style="margin-bottom:24px">
-<div style="font-size:22px;font-weight:800">FlowPoint</div>
-<div style="font-size:14px;color:#6b7280">Connexion sécurisée (sans mot de passe)</div>
-</div>
+    return res.json({
+      ok: true,
+      cached: false,
+      auditId: audit._id,
+      score: audit.score,
+      accessibilityScore: audit.accessibilityScore,
+      performanceScore: audit.performanceScore,
+      summary: audit.summary,
+    });
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message || "Erreur audit" });
+  }
+});
 
-<div style="font-size:20px;font-weight:800;margin-bottom:12px">Ton lien de connexion</div>
+app.get("/api/crawls", auth, requireActive, async (req, res) => {
+  const list = await Crawl.find({ orgId: req.dbUser.orgId })
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .select("-discoveredUrls -checkStats");
 
-<div style="color:#6b7280;font-size:15px;margin-bottom:22px">
-Ce lien est valide <b>${LOGIN_LINK_TTL_MINUTES} minutes</b>.<br>
-Si tu n’es pas à l’origine de cette demande, ignore cet email.
-</div>
+  return res.json({ ok: true, crawls: list });
+});
 
-<a href="${link}" style="display:inline-block;padding:14px 26px;background:#2f5bff;color:#ffffff;text-decoration:none;border-radius:10px;font-weight:700;font-size:15px;">
-Se connecter
-</a>
+app.get("/api/crawls/:id", auth, requireActive, async (req, res) => {
+  const c = await Crawl.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
 
-<div style="margin-top:24px;padding:16px;border-radius:14px;background:#f3f4f6;font-size:13px;color:#6b7280;word-break:break-all;">
-<b>Bouton bloqué ? Copie-colle :</b><br><br>${link}
-</div>
+  if (!c) return res.status(404).json({ error: "Crawl introuvable" });
+  return res.json({ ok: true, crawl: c });
+});
 
-<div style="margin-top:28px;padding-top:16px;border-top:1px solid #e5e7eb;font-size:12px;color:#9ca3af;">
-© ${new Date().getFullYear()} FlowPoint
-</div>
-</div>
-</div>
-</body>
-</html>`;
+app.get("/api/audits", auth, requireActive, async (req, res) => {
+  const list = await Audit.find({ orgId: req.dbUser.orgId })
+    .sort({ createdAt: -1 })
+    .limit(50);
 
-    const r = await sendEmail({
-      to: user.email,
-      subject: `${BRAND_NAME} — Ton lien de connexion`,
-      text: `Lien de connexion (valide ${LOGIN_LINK_TTL_MINUTES} minutes): ${link}`,
-      html,
-    });
+  return res.json({ ok: true, audits: list });
+});
 
-    if (!r.ok) {
-      return res.status(502).json({ ok: false, error: "Email non envoyé" });
-    }
+app.get("/api/audits/:id", auth, requireActive, async (req, res) => {
+  const a = await Audit.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
 
-    return res.json({ ok: true });
-  } catch (e) {
-    console.log("login-request error:", e.message);
-    return res.status(500).json({ error: "Erreur login-request" });
-  }
+  if (!a) return res.status(404).json({ error: "Audit introuvable" });
+  return res.json({
+    ok: true,
+    audit: { ...a.toObject(), recommendations: localizedAuditRecommendations(a, requestLocale(req)) },
+  });
 });
 
-app.get("/api/auth/login-verify", async (req, res) => {
+// otherId = "previous" : compare avec l'audit précédent de la même URL.
+app.get("/api/audits/:id/compare/:otherId", auth, requireActive, async (req, res) => {
   try {
-    const raw = String(req.query?.token || "");
-    if (!raw) return res.status(400).json({ error: "Token manquant" });
-
-    const tokenHash = crypto.createHash("sha256").update(raw).digest("hex");
-    const lt = await LoginToken.findOne({ tokenHash });
+    const a = await Audit.findOne({
+      _id: req.params.id,
+      orgId: req.dbUser.orgId,
+    });
 
-    if (!lt) return res.status(400).json({ error: "Token invalide" });
-    if (lt.usedAt) return res.status(400).json({ error: "Token déjà utilisé" });
-    if (lt.expiresAt && new Date(lt.expiresAt).getTime() < Date.now()) {
-      return res.status(400).json({ error: "Token expiré" });
-    }
+    if (!a) return res.status(404).json({ error: "Audit introuvable" });
 
-    const user = await User.findById(lt.userId);
-    if (!user) return res.status(404).json({ error: "User introuvable" });
+    const other = req.params.otherId === "previous"
+      ? await findPreviousAudit(a)
+      : await Audit.findOne({ _id: req.params.otherId, orgId: req.dbUser.orgId });
 
-    lt.usedAt = new Date();
-    await lt.save();
+    if (!other) {
+      return res.status(404).json({
+        error: req.params.otherId === "previous"
+          ? "Aucun audit précédent pour cette URL"
+          : "Audit de comparaison introuvable",
+      });
+    }
 
-    await ensureOrgForUser(user);
+    const [before, after] = new Date(other.createdAt) <= new Date(a.createdAt) ? [other, a] : [a, other];
 
     return res.json({
       ok: true,
-      ...issueAuthPayload(user),
+      sameUrl: normalizeUrl(before.url) === normalizeUrl(after.url),
+      comparison: diffAudits(before, after, requestLocale(req)),
     });
   } catch (e) {
-    console.log("login-verify error:", e.message);
-    return res.status(500).json({ error: "Erreur login-verify" });
+    return res.status(400).json({ error: e.message || "Erreur comparaison" });
   }
 });
 
-// ---------- INVITE ACCEPT ----------
-app.post("/api/org/invite/accept", async (req, res) => {
+// Les recommandations sont enregistrées dans la langue de l'organisation ;
+// on les reconstruit depuis les findings quand une autre langue est demandée.
+function localizedAuditRecommendations(audit, locale, { withKeys = false } = {}) {
+  const stored = Array.isArray(audit.recommendations) ? audit.recommendations : [];
+  const fallback = withKeys ? stored.map((text) => ({ key: text, text })) : stored;
+  const f = audit.findings || {};
+  if (!f.title || !f.https) return fallback;
+
   try {
-    const token = String(req.body?.token || "").trim();
-    const email = String(req.body?.email || "").trim();
-    const name = String(req.body?.name || "").trim();
+    return buildAuditRecommendations(f, { ...SCORING_THRESHOLDS, ...(audit.scoring?.thresholds || {}) }, locale, { withKeys });
+  } catch {
+    return fallback;
+  }
+}
 
-    if (!token) return res.status(400).json({ error: "Token manquant" });
-    if (!email) return res.status(400).json({ error: "Email requis" });
+// ---------- WHITE-LABEL PDF REPORT ----------
+// Rapport PDF aux couleurs de l'org : la marque FlowPoint n'apparaît que si l'add-on whiteLabel ne la masque pas.
+const HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
+const REPORT_LOGO_MAX_BYTES = 1024 * 1024;
+const REPORT_APPENDIX_PAGES_MAX = 50;
+const REPORT_DEFAULT_PRIMARY = "#2563eb";
+const REPORT_DEFAULT_ACCENT = "#1d4ed8";
+const REPORT_COLORS = {
+  pass: "#16a34a",
+  warn: "#f59e0b",
+  fail: "#dc2626",
+  text: "#111827",
+  muted: "#6b7280",
+  line: "#e5e7eb",
+  zebra: "#f9fafb",
+};
 
-    const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
-    const invite = await Invite.findOne({ tokenHash });
+const REPORT_CHECK_LABELS = {
+  http: "Réponse HTTP",
+  https: "HTTPS",
+  redirects: "Redirections",
+  performance: "Performance",
+  responseTime: "Temps de réponse",
+  title: "Balise title",
+  metaDescription: "Meta description",
+  h1: "H1",
+  canonical: "Canonical",
+  robots: "Meta robots",
+  lang: "Langue de la page",
+  hreflang: "Hreflang",
+  viewport: "Viewport mobile",
+  mobile: "Version mobile",
+  og: "Open Graph",
+  structuredData: "Données structurées",
+  brokenLinks: "Liens cassés",
+  images: "Images",
+  content: "Contenu",
+  headings: "Hiérarchie des titres",
+  keywords: "Mots-clés cibles",
+  customRules: "Règles personnalisées",
+  robotsTxt: "Robots.txt",
+  sitemap: "Sitemap",
+  hsts: "HSTS",
+  csp: "Content-Security-Policy",
+  contentTypeOptions: "X-Content-Type-Options",
+  frameOptions: "Protection anti-iframe",
+  referrerPolicy: "Referrer-Policy",
+  permissionsPolicy: "Permissions-Policy",
+  mixedContent: "Contenu mixte",
+  a11yFormLabels: "Libellés de formulaire",
+  a11yControlNames: "Noms des contrôles",
+  a11yImageAlt: "Alternatives des images",
+  a11yAria: "Attributs ARIA",
+  a11yLandmarks: "Régions de la page",
+  a11yDuplicateIds: "Identifiants uniques",
+  a11yTabindex: "Ordre de tabulation",
+};
 
-    if (!invite) return res.status(404).json({ error: "Invitation introuvable" });
-    if (invite.acceptedAt) return res.status(400).json({ error: "Invitation déjà utilisée" });
-    if (invite.expiresAt && new Date(invite.expiresAt).getTime() < Date.now()) {
-      return res.status(400).json({ error: "Invitation expirée" });
+const REPORT_PRIORITY_LEVELS = {
+  HIGH: { label: "Haute", color: REPORT_COLORS.fail },
+  MED: { label: "Moyenne", color: REPORT_COLORS.warn },
+  LOW: { label: "Basse", color: REPORT_COLORS.muted },
+};
+
+function resolveReportBranding(org) {
+  const b = org?.branding || {};
+  const whiteLabel = !!org?.billingAddons?.whiteLabel;
+  const color = (v, fallback) => (whiteLabel && HEX_COLOR_RE.test(String(v || "")) ? v : fallback);
+
+  return {
+    appName: (whiteLabel && String(b.appName || "").trim()) || BRAND_NAME,
+    logoUrl: whiteLabel ? String(b.logoUrl || "").trim() : "",
+    supportEmail: whiteLabel ? String(b.supportEmail || "").trim() : "",
+    primaryColor: color(b.primaryColor, REPORT_DEFAULT_PRIMARY),
+    accentColor: color(b.accentColor, REPORT_DEFAULT_ACCENT),
+    poweredBy: !(whiteLabel && b.hideFlowPointBranding),
+  };
+}
+
+// Champs de marque blanche modifiables ; un champ absent reste inchangé.
+async function sanitizeBrandingInput(raw = {}) {
+  const out = {};
+
+  if (raw.appName != null) {
+    const appName = String(raw.appName).trim();
+    if (appName.length > 60) throw new Error("Nom de marque trop long (60 caractères max)");
+    out.appName = appName || BRAND_NAME;
+  }
+  if (raw.supportEmail != null) {
+    const email = String(raw.supportEmail).trim().toLowerCase();
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw new Error("Email de support invalide");
+    out.supportEmail = email;
+  }
+  if (raw.logoUrl != null) {
+    const logoUrl = String(raw.logoUrl).trim();
+    if (logoUrl.length > 500) throw new Error("URL du logo invalide");
+    if (logoUrl && !logoUrl.startsWith("/uploads/")) {
+      try {
+        await assertSafePublicUrl(logoUrl);
+      } catch {
+        throw new Error("URL du logo invalide");
+      }
     }
+    out.logoUrl = logoUrl;
+  }
+  for (const key of ["primaryColor", "accentColor"]) {
+    if (raw[key] == null) continue;
+    const color = String(raw[key]).trim();
+    if (!HEX_COLOR_RE.test(color)) throw new Error("Couleur invalide (format #rrggbb)");
+    out[key] = color.toLowerCase();
+  }
+  if (raw.hideFlowPointBranding != null) out.hideFlowPointBranding = !!raw.hideFlowPointBranding;
 
-    const emailNorm = normalizeEmail(email);
-    if (invite.invitedEmailNormalized && invite.invitedEmailNormalized !== emailNorm) {
-      return res.status(403).json({ error: "Cet email ne correspond pas à l’invitation" });
+  return out;
+}
+
+// Logo de l'org (PNG ou JPEG, seuls formats lus par PDFKit) ; null = repli sur le nom de marque.
+// Lecture plafonnée : null dès que le corps dépasse maxBytes (content-length absent ou mensonger).
+async function readBodyCapped(response, maxBytes) {
+  const reader = response.body?.getReader();
+  if (!reader) return Buffer.alloc(0);
+
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > maxBytes) {
+      await reader.cancel().catch(() => {});
+      return null;
     }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks);
+}
 
-    const org = await Org.findById(invite.orgId);
-    if (!org) return res.status(404).json({ error: "Organisation introuvable" });
+async function loadReportLogo(logoUrl) {
+  if (!logoUrl) return null;
 
-    let user = await User.findOne({ emailNormalized: emailNorm });
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), 8000);
 
-    if (!user) {
-      user = await User.create({
-        email: email.toLowerCase(),
-        emailNormalized: emailNorm,
-        name: name || "",
-        companyName: org.name,
-        companyNameNormalized: org.normalizedName,
-        companyDomain: org.createdFromEmailDomain || "",
-        orgId: org._id,
-        role: "member",
-        plan: "standard",
-      });
+  try {
+    let buf;
+    if (logoUrl.startsWith("/uploads/")) {
+      const file = path.resolve(UPLOAD_DIR, `.${decodeURIComponent(logoUrl.slice("/uploads".length))}`);
+      if (!file.startsWith(UPLOAD_DIR + path.sep)) return null;
+      if ((await fs.promises.stat(file)).size > REPORT_LOGO_MAX_BYTES) return null;
+      buf = await fs.promises.readFile(file);
     } else {
-      if (user.orgId && String(user.orgId) !== String(org._id)) {
-        return res.status(409).json({ error: "Cet utilisateur appartient déjà à une autre organisation" });
+      const out = await fetchFollowingRedirects(logoUrl, { maxHops: 3, signal: controller.signal });
+      if (!out.response?.ok || Number(out.response.headers.get("content-length") || 0) > REPORT_LOGO_MAX_BYTES) {
+        await out.response?.body?.cancel?.().catch(() => {});
+        return null;
       }
-
-      user.name = name || user.name;
-      user.orgId = org._id;
-      user.role = "member";
-      if (!user.companyName) user.companyName = org.name;
-      if (!user.companyNameNormalized) user.companyNameNormalized = org.normalizedName;
-      await user.save();
+      buf = await readBodyCapped(out.response, REPORT_LOGO_MAX_BYTES);
     }
 
-    invite.acceptedAt = new Date();
-    await invite.save();
-
-    await ensureOrgDefaults(org);
+    if (!buf || buf.length > REPORT_LOGO_MAX_BYTES) return null;
+    const png = buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    const jpeg = buf[0] === 0xff && buf[1] === 0xd8;
+    if (!png && !jpeg) return null;
 
-    return res.json({
-      ok: true,
-      ...issueAuthPayload(user),
-    });
-  } catch (e) {
-    console.log("invite-accept error:", e.message);
-    return res.status(500).json({ error: "Erreur acceptation invitation" });
+    // Signature correcte mais image illisible : écartée ici plutôt que de faire échouer le rendu du rapport.
+    new PDFDocument({ autoFirstPage: false }).openImage(buf);
+    return buf;
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(id);
   }
-});
-
-// ---------- ME ----------
-app.get("/api/me", auth, requireActive, async (req, res) => {
-  const u = req.dbUser;
-  const org = req.dbOrg;
-  const q = effectiveQuotas(u, org);
+}
 
-  return res.json({
-    email: u.email,
-    name: u.name,
-    companyName: u.companyName,
-    plan: u.plan,
-    role: u.role,
-    org: org ? { id: org._id, name: org.name } : null,
-    hasTrial: u.hasTrial,
-    trialEndsAt: u.trialEndsAt,
-    accessBlocked: u.accessBlocked,
-    lastPaymentStatus: u.lastPaymentStatus || "",
-    subscriptionStatus: u.subscriptionStatus || "",
-    addons: org?.billingAddons || {},
-    retentionDays: org?.retentionDays ?? 30,
-    credits: org?.credits || { audits: 0, pdf: 0, exports: 0 },
-    usage: {
-      month: u.usageMonth,
-      audits: { used: u.usedAudits, limit: q.audits },
-      monitors: { used: null, limit: q.monitors },
-      pdf: { used: u.usedPdf, limit: q.pdf },
-      exports: { used: u.usedExports, limit: q.exports },
-      teamSeats: { used: null, limit: q.teamSeats },
-    },
-  });
-});
+// Annexe : pages du même crawl, sinon dernier audit de chaque URL du même site.
+async function loadReportAppendixAudits(audit) {
+  const fields = "url urlNormalized status score accessibilityScore performanceScore findings createdAt";
+  let audits;
 
-// ---------- OVERVIEW ----------
-app.get("/api/overview", auth, requireActive, async (req, res) => {
-  const days = Math.min(30, Math.max(1, Number(req.query.days || 30)));
-  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  if (audit.crawlId) {
+    audits = await Audit.find({ orgId: audit.orgId, crawlId: audit.crawlId })
+      .sort({ crawlDepth: 1, createdAt: 1 })
+      .limit(REPORT_APPENDIX_PAGES_MAX)
+      .select(fields);
+  } else {
+    const hostOf = (u) => {
+      try { return new URL(u).host; } catch { return ""; }
+    };
+    const host = hostOf(audit.url);
+    if (!host) return [];
+
+    const recent = await Audit.find({ orgId: audit.orgId, createdAt: { $lte: audit.createdAt } })
+      .sort({ createdAt: -1 })
+      .limit(300)
+      .select(fields);
+    const latest = new Map();
+    for (const x of recent) {
+      const key = x.urlNormalized || normalizeUrl(x.url);
+      if (hostOf(x.url) === host && !latest.has(key)) latest.set(key, x);
+    }
+    audits = [...latest.values()].slice(0, REPORT_APPENDIX_PAGES_MAX);
+  }
 
-  const lastAudit = await Audit.findOne({ orgId: req.dbUser.orgId })
-    .sort({ createdAt: -1 })
-    .select("score createdAt url");
+  return audits.length > 1 ? audits : [];
+}
 
-  const audits = await Audit.find({
-    orgId: req.dbUser.orgId,
-    createdAt: { $gte: since },
-  })
-    .sort({ createdAt: 1 })
-    .limit(120)
-    .select("score createdAt");
+function reportScoreColor(score) {
+  return score >= 80 ? REPORT_COLORS.pass : score >= 50 ? REPORT_COLORS.warn : REPORT_COLORS.fail;
+}
 
-  const chart = audits.map((a) => a.score ?? 0);
+function reportCheckLabel(key, l) {
+  return REPORT_CHECK_LABELS[key] ? l(REPORT_CHECK_LABELS[key]) : key;
+}
 
-  const activeMonitors = await Monitor.countDocuments({
-    orgId: req.dbUser.orgId,
-    active: true,
-  });
+// Détail lisible par un client final ; les objets sans résumé dédié restent vides plutôt qu'en JSON.
+function reportCheckDetail(key, check, l) {
+  const v = check?.value;
+  if (v == null) return "";
+  if (typeof v !== "object") return String(v).slice(0, 160);
+
+  switch (key) {
+    case "canonical": return v.outcome ? `${v.outcome} ${v.url || v.href}`.trim() : "";
+    case "performance": return v.score != null ? `${v.score}/100` : "";
+    case "content": return v.wordCount != null ? l("{count} mots", { count: v.wordCount }) : "";
+    case "images": return l("{count} image(s) — poids total {size}", { count: v.count, size: formatBytes(v.totalBytes) });
+    case "brokenLinks": return l("{count} lien(s) cassé(s) sur {checked}", { count: (v.broken || []).length, checked: v.checked || 0 });
+    case "structuredData": return (v.types || []).join(", ");
+    case "headings": return (v.skippedLevels || []).map((s) => `${s.from} → ${s.to}`).join(", ");
+    case "keywords": return v.coverage != null ? `${v.coverage}%` : "";
+    case "redirects": return v.count ? l("{count} redirection(s)", v) : "";
+    case "mobile": return (v.differences || []).join(", ");
+    case "robotsTxt": return v.found ? (v.disallowed ? l("page bloquée ({rule})", { rule: v.matchedRule }) : l("page autorisée")) : l("absent");
+    case "sitemap": return v.valid ? l("valide — {count} URL(s)", { count: v.urlCount }) : v.found ? l("invalide") : l("introuvable");
+    default: return v.count != null && key.startsWith("a11y") ? l("{count} élément(s)", v) : "";
+  }
+}
 
-  const downMonitors = await Monitor.countDocuments({
-    orgId: req.dbUser.orgId,
-    active: true,
-    lastStatus: "down",
-  });
+function drawScoreGauge(doc, { cx, cy, r, score, label }) {
+  const width = Math.max(6, r / 6);
+  const arc = (pct) => {
+    const angle = Math.PI * (1 - Math.min(99.9, pct) / 100);
+    return `M ${cx - r} ${cy} A ${r} ${r} 0 0 1 ${cx + r * Math.cos(angle)} ${cy - r * Math.sin(angle)}`;
+  };
 
-  return res.json({
-    ok: true,
-    seoScore: lastAudit?.score ?? 0,
-    lastAuditAt: lastAudit?.createdAt || null,
-    lastAuditUrl: lastAudit?.url || null,
-    localVis: "+0%",
-    chart,
-    monitors: {
-      active: activeMonitors,
-      down: downMonitors,
-    },
-    rangeDays: days,
-  });
-});
+  doc.save().lineCap("round").lineWidth(width);
+  doc.path(arc(100)).stroke(REPORT_COLORS.line);
+  if (score > 0) doc.path(arc(score)).stroke(reportScoreColor(score));
+  doc.restore();
 
-// ---------- ORG SETTINGS ----------
-app.get("/api/org/settings", auth, requireActive, async (req, res) => {
-  const org = await Org.findById(req.dbUser.orgId).select("alertRecipients alertExtraEmails");
-  return res.json({
-    ok: true,
-    settings: org || { alertRecipients: "all", alertExtraEmails: [] },
-  });
-});
+  const size = Math.round(r / 2.2);
+  doc.fillColor(REPORT_COLORS.text).fontSize(size)
+    .text(score == null ? "—" : String(score), cx - r, cy - size, { width: 2 * r, align: "center", lineBreak: false });
+  doc.fillColor(REPORT_COLORS.muted).fontSize(Math.max(9, Math.round(r / 7)))
+    .text(label, cx - r, cy + width, { width: 2 * r, align: "center", lineBreak: false });
+}
 
-app.post("/api/org/settings", auth, requireActive, requireOwner, async (req, res) => {
-  const recipients = String(req.body?.alertRecipients || "all").toLowerCase();
-  const extra = Array.isArray(req.body?.alertExtraEmails) ? req.body.alertExtraEmails : [];
+function drawReportCover(doc, { audit, branding, logo, l, locale }) {
+  const { width } = doc.page;
+  const left = doc.page.margins.left;
+  const contentWidth = width - left - doc.page.margins.right;
 
-  await Org.updateOne(
-    { _id: req.dbUser.orgId },
-    { $set: { alertRecipients: recipients, alertExtraEmails: extra } }
-  );
+  doc.rect(0, 0, width, 10).fill(branding.primaryColor);
+  doc.rect(0, 10, width, 4).fill(branding.accentColor);
 
-  return res.json({ ok: true });
-});
+  if (logo) {
+    doc.image(logo, left, 48, { fit: [180, 60] });
+  } else {
+    doc.fillColor(branding.primaryColor).fontSize(24).text(branding.appName, left, 60, { width: contentWidth });
+  }
 
-// alias monitor-settings
-app.get("/api/org/monitor-settings", auth, requireActive, async (req, res) => {
-  const org = await Org.findById(req.dbUser.orgId).select("alertRecipients alertExtraEmails");
-  return res.json({
-    ok: true,
-    settings: org || { alertRecipients: "all", alertExtraEmails: [] },
+  doc.fillColor(REPORT_COLORS.text).fontSize(28).text(l("Rapport d’audit SEO"), left, 150, { width: contentWidth });
+  doc.moveDown(0.3);
+  doc.fillColor(branding.accentColor).fontSize(13).text(audit.url, { width: contentWidth });
+  doc.fillColor(REPORT_COLORS.muted).fontSize(11)
+    .text(new Date(audit.createdAt).toLocaleString(dateLocaleFor(locale)), { width: contentWidth });
+
+  const cx = width / 2;
+  drawScoreGauge(doc, { cx, cy: 400, r: 100, score: audit.score, label: l("Score SEO") });
+
+  const subScores = [
+    [l("Accessibilité"), audit.accessibilityScore],
+    [l("Performance"), audit.performanceScore],
+  ].filter(([, score]) => score != null);
+  subScores.forEach(([label, score], i) => {
+    const offset = subScores.length === 1 ? 0 : i === 0 ? -110 : 110;
+    drawScoreGauge(doc, { cx: cx + offset, cy: 530, r: 50, score, label });
   });
-});
 
-app.post("/api/org/monitor-settings", auth, requireActive, requireOwner, async (req, res) => {
-  const recipients = String(req.body?.alertRecipients || "all").toLowerCase();
-  const extra = Array.isArray(req.body?.alertExtraEmails) ? req.body.alertExtraEmails : [];
+  const boxY = 590;
+  const text = audit.summary || "-";
+  const boxHeight = doc.fontSize(11).heightOfString(text, { width: contentWidth - 32 }) + 44;
+  doc.rect(left, boxY, contentWidth, boxHeight).fill(REPORT_COLORS.zebra);
+  doc.rect(left, boxY, 4, boxHeight).fill(branding.primaryColor);
+  doc.fillColor(branding.primaryColor).fontSize(12).text(l("Résumé"), left + 16, boxY + 12, { width: contentWidth - 32 });
+  doc.fillColor(REPORT_COLORS.text).fontSize(11).text(text, left + 16, boxY + 30, { width: contentWidth - 32 });
+}
 
-  await Org.updateOne(
-    { _id: req.dbUser.orgId },
-    { $set: { alertRecipients: recipients, alertExtraEmails: extra } }
-  );
+function reportSectionTitle(doc, text, branding) {
+  const left = doc.page.margins.left;
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 80) doc.addPage();
+  doc.moveDown(0.8);
+  doc.fillColor(branding.primaryColor).fontSize(15).text(text, left, doc.y);
+  const y = doc.y + 3;
+  doc.moveTo(left, y).lineTo(left + 60, y).lineWidth(2).stroke(branding.accentColor);
+  doc.y = y + 10;
+  doc.fillColor(REPORT_COLORS.text);
+}
 
-  return res.json({ ok: true });
-});
+function drawReportRecommendations(doc, recommendations, l) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const order = Object.keys(REPORT_PRIORITY_LEVELS);
+
+  const items = recommendations
+    .map((r) => {
+      const m = String(r).match(/^\[(HIGH|MED|LOW)\]\s*(.*)$/s);
+      return m ? { level: m[1], text: m[2] } : { level: "LOW", text: String(r) };
+    })
+    .sort((a, b) => order.indexOf(a.level) - order.indexOf(b.level));
+
+  if (!items.length) {
+    doc.fontSize(11).fillColor(REPORT_COLORS.muted).text(l("Aucune recommandation."), left, doc.y);
+    return;
+  }
 
-// ---------- AUDITS ----------
-app.post("/api/audits/run", auth, requireActive, async (req, res) => {
-  try {
-    const url = String(req.body?.url || "").trim();
-    if (!url || !/^https?:\/\//i.test(url)) {
-      return res.status(400).json({ error: "URL invalide (http/https)" });
+  for (const item of items) {
+    const level = REPORT_PRIORITY_LEVELS[item.level];
+    const height = Math.max(16, doc.fontSize(10).heightOfString(item.text, { width: width - 76 })) + 6;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+    const y = doc.y;
+    doc.roundedRect(left, y, 64, 15, 3).fill(level.color);
+    doc.fillColor("#ffffff").fontSize(8).text(l(level.label), left, y + 4, { width: 64, align: "center", lineBreak: false });
+    doc.fillColor(REPORT_COLORS.text).fontSize(10).text(item.text, left + 76, y + 2, { width: width - 76 });
+    doc.y = y + height;
+  }
+}
+
+function drawReportChecksTable(doc, findings, { l, branding }) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const cols = [width * 0.34, width * 0.16, width * 0.5];
+  const pad = 5;
+
+  const rows = Object.entries(findings || {})
+    .filter(([, v]) => v && typeof v === "object" && "ok" in v)
+    .map(([key, v]) => ({ label: reportCheckLabel(key, l), ok: !!v.ok, detail: reportCheckDetail(key, v, l) }))
+    .sort((a, b) => Number(a.ok) - Number(b.ok));
+
+  const header = () => {
+    const y = doc.y;
+    doc.rect(left, y, width, 20).fill(branding.primaryColor);
+    doc.fillColor("#ffffff").fontSize(9);
+    [l("Contrôle"), l("Statut"), l("Détail")].forEach((text, i) => {
+      const x = left + cols.slice(0, i).reduce((s, c) => s + c, 0);
+      doc.text(text, x + pad, y + 6, { width: cols[i] - 2 * pad, lineBreak: false });
+    });
+    doc.y = y + 20;
+  };
+
+  header();
+  rows.forEach((row, i) => {
+    doc.fontSize(9);
+    const height = Math.max(
+      doc.heightOfString(row.label, { width: cols[0] - 2 * pad }),
+      doc.heightOfString(row.detail || "-", { width: cols[2] - 2 * pad })
+    ) + 2 * pad;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+      header();
     }
 
-    const urlNorm = normalizeUrl(url);
-    const cutoff = new Date(Date.now() - AUDIT_CACHE_HOURS * 60 * 60 * 1000);
+    const y = doc.y;
+    if (i % 2) doc.rect(left, y, width, height).fill(REPORT_COLORS.zebra);
+    doc.fillColor(REPORT_COLORS.text).text(row.label, left + pad, y + pad, { width: cols[0] - 2 * pad });
+    doc.fillColor(row.ok ? REPORT_COLORS.pass : REPORT_COLORS.fail)
+      .text(row.ok ? "OK" : l("À corriger"), left + cols[0] + pad, y + pad, { width: cols[1] - 2 * pad });
+    doc.fillColor(REPORT_COLORS.muted)
+      .text(row.detail || "-", left + cols[0] + cols[1] + pad, y + pad, { width: cols[2] - 2 * pad });
+    doc.y = y + height;
+  });
+  doc.x = left;
+}
 
-    const cached = await Audit.findOne({
-      orgId: req.dbUser.orgId,
-      urlNormalized: urlNorm,
-      createdAt: { $gte: cutoff },
-    }).sort({ createdAt: -1 });
+function drawReportAppendix(doc, audits, { l, branding }) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  for (const page of audits) {
+    const failing = Object.entries(page.findings || {})
+      .filter(([, v]) => v && typeof v === "object" && v.ok === false)
+      .map(([key]) => reportCheckLabel(key, l));
+    const scores = [
+      `${l("Score SEO")} ${page.score ?? "—"}/100`,
+      page.accessibilityScore != null ? `${l("Accessibilité")} ${page.accessibilityScore}/100` : "",
+      page.performanceScore != null ? `${l("Performance")} ${page.performanceScore}/100` : "",
+    ].filter(Boolean).join(" · ");
+    const issues = failing.length ? l("À corriger : {list}", { list: failing.slice(0, 8).join(", ") }) : l("Aucun point bloquant.");
+
+    const height = doc.fontSize(11).heightOfString(page.url, { width }) +
+      doc.fontSize(9).heightOfString(issues, { width }) + 30;
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+    doc.fillColor(branding.accentColor).fontSize(11).text(page.url, left, doc.y, { width });
+    doc.fillColor(page.score != null ? reportScoreColor(page.score) : REPORT_COLORS.muted).fontSize(9).text(scores, { width });
+    doc.fillColor(REPORT_COLORS.muted).text(issues, { width });
+    const y = doc.y + 6;
+    doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.5).stroke(REPORT_COLORS.line);
+    doc.y = y + 8;
+  }
+}
 
-    if (cached) {
-      return res.json({
-        ok: true,
-        cached: true,
-        auditId: cached._id,
-        score: cached.score,
-        summary: `Cache (${AUDIT_CACHE_HOURS}h) — ${cached.summary || ""}`,
-      });
+// En-tête (hors couverture) et pied de page numérotés, posés une fois toutes les pages connues.
+function drawReportChrome(doc, { audit, branding, l }) {
+  const range = doc.bufferedPageRange();
+  const footer = [branding.appName, branding.supportEmail].filter(Boolean).join(" · ");
+  const poweredBy = branding.poweredBy && branding.appName !== BRAND_NAME ? l("Généré avec {brand}", { brand: BRAND_NAME }) : "";
+
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const { width, height, margins } = doc.page;
+    const bottomMargin = margins.bottom;
+    margins.bottom = 0;
+
+    if (i > range.start) {
+      doc.fillColor(branding.primaryColor).fontSize(9)
+        .text(branding.appName, margins.left, 28, { width: 200, lineBreak: false });
+      doc.fillColor(REPORT_COLORS.muted)
+        .text(audit.url, margins.left + 200, 28, { width: width - margins.left - margins.right - 200, align: "right", lineBreak: false, ellipsis: true });
+      doc.moveTo(margins.left, 42).lineTo(width - margins.right, 42).lineWidth(1).stroke(branding.primaryColor);
     }
 
-    const ok = await consume(req.dbUser, req.dbOrg, "audits", 1);
-    if (!ok) return res.status(429).json({ error: "Quota audits dépassé" });
+    doc.fillColor(REPORT_COLORS.muted).fontSize(8)
+      .text([footer, poweredBy].filter(Boolean).join(" · "), margins.left, height - 36, { width: 360, lineBreak: false })
+      .text(l("Page {page} / {total}", { page: i - range.start + 1, total: range.count }), width - margins.right - 120, height - 36, {
+        width: 120,
+        align: "right",
+        lineBreak: false,
+      });
 
-    const out = await runSeoAudit(urlNorm);
+    margins.bottom = bottomMargin;
+  }
+}
 
-    const audit = await Audit.create({
-      orgId: req.dbUser.orgId,
-      userId: req.dbUser._id,
-      url: urlNorm,
-      urlNormalized: urlNorm,
-      status: out.status,
-      score: out.score,
-      summary: out.summary,
-      findings: out.findings,
-      recommendations: out.recommendations,
-      htmlSnapshot: out.htmlSnapshot,
-    });
+function renderAuditReportPdf(stream, { audit, branding, logo, appendix, locale }) {
+  const l = (text, vars) => tr(locale, text, vars);
+  const doc = new PDFDocument({
+    margins: { top: 64, bottom: 64, left: 48, right: 48 },
+    lang: locale,
+    bufferPages: true,
+    info: { Title: `${l("Rapport d’audit SEO")} — ${audit.url}`, Author: branding.appName, Creator: branding.appName },
+  });
 
-    return res.json({
-      ok: true,
-      cached: false,
-      auditId: audit._id,
-      score: audit.score,
-      summary: audit.summary,
-    });
-  } catch (e) {
-    return res.status(400).json({ error: e.message || "Erreur audit" });
+  drawReportCover(doc, { audit, branding, logo, l, locale });
+
+  doc.addPage();
+  reportSectionTitle(doc, l("Recommandations (priorisées)"), branding);
+  drawReportRecommendations(doc, localizedAuditRecommendations(audit, locale), l);
+
+  const f = audit.findings || {};
+  reportSectionTitle(doc, l("Contrôles"), branding);
+  drawReportChecksTable(doc, f, { l, branding });
+
+  if (f.robotsTxt || f.sitemap) {
+    const rt = f.robotsTxt?.value || {};
+    const sm = f.sitemap?.value || {};
+
+    reportSectionTitle(doc, "Robots.txt & sitemap", branding);
+    doc.fontSize(10).fillColor(REPORT_COLORS.text);
+    doc.text(`robots.txt: ${rt.found ? l("présent (HTTP {status})", rt) : l("absent")}`);
+    doc.text(`Googlebot: ${rt.disallowed ? l("page bloquée ({rule})", { rule: rt.matchedRule }) : l("page autorisée")}`);
+    doc.text(`Sitemap: ${sm.valid ? l("valide — {count} URL(s)", { count: sm.urlCount }) : sm.found ? l("invalide") : l("introuvable")}`);
+    doc.text(`${l("Page listée dans le sitemap")}: ${sm.pageListed ? l("oui") : l("non")}`);
+
+    doc.fillColor(REPORT_COLORS.muted).fontSize(9);
+    for (const item of sm.sitemaps || []) {
+      doc.text(`• ${item.url} — HTTP ${item.status || "-"} — ${item.valid ? `${item.urlCount} URL(s)` : item.error || l("invalide")}`);
+    }
   }
-});
 
-app.get("/api/audits", auth, requireActive, async (req, res) => {
-  const list = await Audit.find({ orgId: req.dbUser.orgId })
-    .sort({ createdAt: -1 })
-    .limit(50);
+  if (f.images?.value) {
+    const img = f.images.value;
 
-  return res.json({ ok: true, audits: list });
-});
+    reportSectionTitle(doc, l("Images"), branding);
+    doc.fontSize(10).fillColor(REPORT_COLORS.text);
+    doc.text(l("{count} image(s) — poids total {size}", { count: img.count, size: formatBytes(img.totalBytes) }));
+    doc.text(l("Sans alt: {missingAlt} · alt vide: {emptyAlt} · sans dimensions: {missingDimensions} · formats anciens: {legacyFormat}", img));
 
-app.get("/api/audits/:id", auth, requireActive, async (req, res) => {
-  const a = await Audit.findOne({
-    _id: req.params.id,
-    orgId: req.dbUser.orgId,
-  });
+    if ((img.heaviest || []).length) {
+      doc.moveDown(0.25);
+      doc.text(`${l("Images les plus lourdes")}:`);
+      doc.fillColor(REPORT_COLORS.muted).fontSize(9);
+      for (const h of img.heaviest) doc.text(`• ${formatBytes(h.bytes)} — ${h.src}`);
+    }
+  }
 
-  if (!a) return res.status(404).json({ error: "Audit introuvable" });
-  return res.json({ ok: true, audit: a });
-});
+  if (appendix.length) {
+    doc.addPage();
+    reportSectionTitle(doc, l("Annexe : pages du site"), branding);
+    drawReportAppendix(doc, appendix, { l, branding });
+  }
+
+  drawReportChrome(doc, { audit, branding, l });
+
+  // Branché une fois le rendu terminé : une erreur de dessin n'a encore rien envoyé au client.
+  doc.pipe(stream);
+  doc.end();
+}
 
 app.get("/api/audits/:id/pdf", auth, requireActive, async (req, res) => {
   const a = await Audit.findOne({
@@ -4576,47 +11511,90 @@ app.get("/api/audits/:id/pdf", auth, requireActive, async (req, res) => {
   const ok = await consume(req.dbUser, req.dbOrg, "pdf", 1);
   if (!ok) return res.status(429).json({ error: "Quota PDF dépassé" });
 
-  res.setHeader("Content-Type", "application/pdf");
-  res.setHeader("Content-Disposition", `inline; filename="flowpoint-audit-${a._id}.pdf"`);
+  try {
+    const branding = resolveReportBranding(req.dbOrg);
+    const [logo, appendix] = await Promise.all([
+      loadReportLogo(branding.logoUrl),
+      loadReportAppendixAudits(a).catch(() => []),
+    ]);
+    const fileSlug = safeFileName(normalizeKeyword(branding.appName).replace(/\s+/g, "-")) || "flowpoint";
 
-  const doc = new PDFDocument({ margin: 48 });
-  doc.pipe(res);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="${fileSlug}-audit-${a._id}.pdf"`);
 
-  doc.fontSize(22).text(BRAND_NAME, { continued: true }).fontSize(22).text("  — Rapport SEO");
-  doc.moveDown(0.5);
-  doc.fontSize(12).text(`URL: ${a.url}`);
-  doc.text(`Date: ${new Date(a.createdAt).toLocaleString("fr-FR")}`);
-  doc.text(`Score: ${a.score}/100`);
-  doc.moveDown();
+    renderAuditReportPdf(res, { audit: a, branding, logo, appendix, locale: requestLocale(req) });
+  } catch (e) {
+    console.log("pdf report error:", e.message);
+    await refundQuota(req.dbUser, "pdf", 1).catch(() => {});
+    res.removeHeader("Content-Type");
+    res.removeHeader("Content-Disposition");
+    return res.status(500).json({ error: "Erreur génération PDF" });
+  }
+});
 
-  doc.fontSize(14).text("Résumé", { underline: true });
-  doc.fontSize(12).text(a.summary || "-");
-  doc.moveDown();
+// ---------- JOBS ----------
+app.get("/api/jobs", auth, requireActive, async (req, res) => {
+  const jobs = await Job.find({ orgId: req.dbUser.orgId })
+    .sort({ createdAt: -1 })
+    .limit(50);
 
-  doc.fontSize(14).text("Recommandations (priorisées)", { underline: true });
-  doc.moveDown(0.25);
-  const rec = Array.isArray(a.recommendations) ? a.recommendations : [];
+  return res.json({ ok: true, jobs: jobs.map(publicJob) });
+});
 
-  if (!rec.length) doc.fontSize(12).text("Aucune recommandation.");
-  for (const r of rec) {
-    doc.fontSize(12).text("• " + r);
-  }
+app.get("/api/jobs/:id", auth, requireActive, async (req, res) => {
+  const job = await Job.findOne({ _id: req.params.id, orgId: req.dbUser.orgId }).catch(() => null);
+  if (!job) return res.status(404).json({ error: "Job introuvable" });
 
-  doc.moveDown();
-  doc.fontSize(14).text("Checks", { underline: true });
-  doc.moveDown(0.25);
+  return res.json({ ok: true, job: publicJob(job) });
+});
 
-  const f = a.findings || {};
-  for (const [k, v] of Object.entries(f)) {
-    const vv =
-      typeof v?.value === "object"
-        ? JSON.stringify(v.value)
-        : String(v?.value ?? "");
+// Flux SSE : état initial, puis chaque mise à jour jusqu'à done/failed.
+// La relecture périodique en base couvre le cas où le worker tourne sur une autre instance.
+app.get("/api/jobs/:id/events", auth, requireActive, async (req, res) => {
+  const job = await Job.findOne({ _id: req.params.id, orgId: req.dbUser.orgId }).catch(() => null);
+  if (!job) return res.status(404).json({ error: "Job introuvable" });
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const eventName = `job:${job._id}`;
+  let lastSent = "";
+  let closed = false;
+
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(poll);
+    jobEvents.off(eventName, send);
+    res.end();
+  };
 
-    doc.fontSize(12).text(`${k}: ${v?.ok ? "OK" : "À corriger"} — ${vv}`);
+  function send(data) {
+    if (closed) return;
+    const payload = JSON.stringify(data);
+    if (payload !== lastSent) {
+      lastSent = payload;
+      res.write(`event: job\ndata: ${payload}\n\n`);
+    }
+    if (JOB_FINAL_STATES.has(data.status)) cleanup();
   }
 
-  doc.end();
+  const poll = setInterval(async () => {
+    const fresh = await Job.findById(job._id).catch(() => null);
+    if (closed) return;
+    if (!fresh) return cleanup();
+    res.write(": ping\n\n");
+    send(publicJob(fresh));
+  }, 5000);
+
+  jobEvents.on(eventName, send);
+  req.on("close", cleanup);
+  send(publicJob(job));
 });
 
 // ---------- MONITORS ----------
@@ -4624,6 +11602,7 @@ app.post("/api/monitors", auth, requireActive, async (req, res) => {
   try {
     const url = String(req.body?.url || "").trim();
     const intervalMinutes = Number(req.body?.intervalMinutes || 60);
+    const type = String(req.body?.type || "uptime");
 
     if (!url || !/^https?:\/\//i.test(url)) {
       return res.status(400).json({ error: "URL invalide" });
@@ -4633,6 +11612,12 @@ app.post("/api/monitors", auth, requireActive, async (req, res) => {
       return res.status(400).json({ error: "intervalMinutes min = 5" });
     }
 
+    if (type !== "uptime" && type !== "content") {
+      return res.status(400).json({ error: "Type de monitor invalide" });
+    }
+
+    const contentOptions = type === "content" ? parseContentMonitorOptions(req.body, requestLocale(req)) : {};
+
     await assertSafePublicUrl(url);
 
     const allowed = await canCreateActiveMonitor(req.dbUser, req.dbOrg);
@@ -4644,6 +11629,8 @@ app.post("/api/monitors", auth, requireActive, async (req, res) => {
       orgId: req.dbUser.orgId,
       userId: req.dbUser._id,
       url,
+      type,
+      ...contentOptions,
       intervalMinutes,
       active: true,
     });
@@ -4682,6 +11669,30 @@ app.patch("/api/monitors/:id", auth, requireActive, async (req, res) => {
     m.intervalMinutes = im;
   }
 
+  if (m.type === "content" && ["selector", "ignorePatterns", "ignoreDynamic"].some((k) => req.body?.[k] !== undefined)) {
+    let options;
+    try {
+      options = parseContentMonitorOptions({
+        selector: m.selector,
+        ignorePatterns: m.ignorePatterns,
+        ignoreDynamic: m.ignoreDynamic,
+        ...req.body,
+      }, requestLocale(req));
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
+    // Nouvelle normalisation = nouvelle référence, sinon le prochain check alerterait à tort.
+    const changed = options.selector !== m.selector
+      || options.ignoreDynamic !== m.ignoreDynamic
+      || options.ignorePatterns.join("\n") !== m.ignorePatterns.join("\n");
+    if (changed) {
+      Object.assign(m, options);
+      m.contentHash = undefined;
+      m.contentSnapshot = undefined;
+    }
+  }
+
   if (m.active === true) {
     const q = effectiveQuotas(req.dbUser, req.dbOrg);
     const countActive = await Monitor.countDocuments({
@@ -4719,34 +11730,35 @@ app.post("/api/monitors/:id/run", auth, requireActive, async (req, res) => {
   const m = await Monitor.findOne({
     _id: req.params.id,
     orgId: req.dbUser.orgId,
-  });
+  }).select("+contentSnapshot");
 
   if (!m) return res.status(404).json({ error: "Monitor introuvable" });
   if (!m.active) return res.status(400).json({ error: "Monitor inactif" });
 
-  const r = await checkUrlOnce(m.url);
+  const { result } = await runMonitorCheck(m);
 
-  m.lastCheckedAt = new Date();
-  m.lastStatus = r.status;
-  await m.save();
+  return res.json({ ok: true, result });
+});
 
-  await MonitorLog.create({
+app.get("/api/monitors/:id/logs", auth, requireActive, async (req, res) => {
+  const m = await Monitor.findOne({
+    _id: req.params.id,
     orgId: req.dbUser.orgId,
-    userId: req.dbUser._id,
-    monitorId: m._id,
-    url: m.url,
-    status: r.status,
-    httpStatus: r.httpStatus,
-    responseTimeMs: r.responseTimeMs,
-    error: r.error,
   });
 
-  await maybeSendMonitorAlert(m, r);
+  if (!m) return res.status(404).json({ error: "Monitor introuvable" });
+
+  const logs = await MonitorLog.find({
+    orgId: req.dbUser.orgId,
+    monitorId: m._id,
+  })
+    .sort({ checkedAt: -1 })
+    .limit(200);
 
-  return res.json({ ok: true, result: r });
+  return res.json({ ok: true, logs });
 });
 
-app.get("/api/monitors/:id/logs", auth, requireActive, async (req, res) => {
+app.get("/api/monitors/:id/changes", auth, requireActive, async (req, res) => {
   const m = await Monitor.findOne({
     _id: req.params.id,
     orgId: req.dbUser.orgId,
@@ -4754,14 +11766,33 @@ app.get("/api/monitors/:id/logs", auth, requireActive, async (req, res) => {
 
   if (!m) return res.status(404).json({ error: "Monitor introuvable" });
 
-  const logs = await MonitorLog.find({
+  const changes = await MonitorLog.find({
     orgId: req.dbUser.orgId,
     monitorId: m._id,
+    contentChanged: true,
   })
+    .select("url checkedAt contentHash diff")
     .sort({ checkedAt: -1 })
-    .limit(200);
+    .limit(50);
 
-  return res.json({ ok: true, logs });
+  return res.json({ ok: true, lastChangedAt: m.lastChangedAt || null, changes });
+});
+
+app.get("/api/monitors/:id/snapshot", auth, requireActive, async (req, res) => {
+  const m = await Monitor.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  }).select("+contentSnapshot");
+
+  if (!m) return res.status(404).json({ error: "Monitor introuvable" });
+  if (!m.contentSnapshot) return res.status(404).json({ error: "Aucun snapshot pour ce monitor" });
+
+  return res.json({
+    ok: true,
+    contentHash: m.contentHash,
+    lastCheckedAt: m.lastCheckedAt,
+    text: zlib.gunzipSync(m.contentSnapshot).toString("utf8"),
+  });
 });
 
 app.get("/api/monitors/:id/uptime", auth, requireActive, async (req, res) => {
@@ -4806,6 +11837,7 @@ app.post("/api/cron/monitors-run", requireCron, async (req, res) => {
     );
 
     const activeMonitors = await Monitor.find({ active: true })
+      .select("+contentSnapshot")
       .sort({ updatedAt: 1 })
       .limit(limit);
 
@@ -4819,25 +11851,8 @@ app.post("/api/cron/monitors-run", requireCron, async (req, res) => {
 
       if (!due) return;
 
-      const r = await checkUrlOnce(m.url);
-
-      m.lastCheckedAt = new Date();
-      m.lastStatus = r.status;
-      await m.save();
-
-      await MonitorLog.create({
-        orgId: m.orgId,
-        userId: m.userId,
-        monitorId: m._id,
-        url: m.url,
-        status: r.status,
-        httpStatus: r.httpStatus,
-        responseTimeMs: r.responseTimeMs,
-        error: r.error,
-      });
-
-      const a = await maybeSendMonitorAlert(m, r);
-      if (a.sent) alertsSent += 1;
+      const r = await runMonitorCheck(m);
+      alertsSent += r.alertsSent;
 
       checked += 1;
     });
@@ -4855,10 +11870,128 @@ app.post("/api/cron/monitors-run", requireCron, async (req, res) => {
   }
 });
 
+app.post("/api/cron/audits-run", requireCron, async (req, res) => {
+  try {
+    const now = new Date();
+    const limit = Math.min(
+      100,
+      Math.max(1, Number(req.body?.limit || req.query.limit || 20))
+    );
+
+    const due = await AuditSchedule.find({ active: true, nextRunAt: { $lte: now } })
+      .sort({ nextRunAt: 1 })
+      .limit(limit);
+
+    let queued = 0;
+    let skipped = 0;
+
+    // Le cron ne fait que réserver et mettre en file : audits, crawls et alertes tournent dans le worker de jobs.
+    await runWithConcurrency(due, CRON_CONCURRENCY, async (s) => {
+      const org = await Org.findById(s.orgId).select("timezone");
+      const nextRunAt = computeNextRunAt(s, org?.timezone, now);
+
+      // Réservation atomique : deux crons concurrents ne lancent pas la même planification.
+      const claimed = await AuditSchedule.findOneAndUpdate(
+        { _id: s._id, nextRunAt: s.nextRunAt },
+        { $set: { nextRunAt } },
+        { new: true }
+      );
+      if (!claimed) return;
+
+      // Run précédent encore en file ou en cours : on ne l'empile pas une seconde fois.
+      const pending = await Job.exists({
+        type: "schedule",
+        "payload.scheduleId": claimed._id,
+        status: { $in: ["queued", "running"] },
+      });
+      if (pending) {
+        skipped += 1;
+        return;
+      }
+
+      await enqueueJob({
+        user: { _id: claimed.userId, orgId: claimed.orgId },
+        type: "schedule",
+        payload: {
+          scheduleId: claimed._id,
+          mode: claimed.mode,
+          url: claimed.url,
+          maxPages: claimed.maxPages,
+          maxDepth: claimed.maxDepth,
+        },
+      });
+      queued += 1;
+    });
+
+    return res.json({
+      ok: true,
+      queued,
+      skipped,
+      scanned: due.length,
+    });
+  } catch (e) {
+    console.log("cron audits-run error:", e.message);
+    return res.status(500).json({ error: "Erreur cron audits-run" });
+  }
+});
+
+app.post("/api/cron/competitors-run", requireCron, async (req, res) => {
+  try {
+    const now = new Date();
+    const limit = Math.min(
+      100,
+      Math.max(1, Number(req.body?.limit || req.query.limit || 20))
+    );
+
+    const due = await Competitor.find({ active: true, nextRunAt: { $lte: now } })
+      .sort({ nextRunAt: 1 })
+      .limit(limit);
+
+    let ran = 0;
+    let failed = 0;
+
+    await runWithConcurrency(due, CRON_CONCURRENCY, async (c) => {
+      const org = await Org.findById(c.orgId).select("timezone");
+      const nextRunAt = computeNextRunAt(c, org?.timezone, now);
+
+      const claimed = await Competitor.findOneAndUpdate(
+        { _id: c._id, nextRunAt: c.nextRunAt },
+        { $set: { nextRunAt } },
+        { new: true }
+      );
+      if (!claimed) return;
+
+      try {
+        await runCompetitorAudit(claimed);
+        ran += 1;
+      } catch (e) {
+        claimed.lastRunAt = new Date();
+        claimed.lastStatus = "error";
+        claimed.lastError = e.message || "Erreur audit concurrent";
+        failed += 1;
+      }
+
+      await claimed.save();
+    });
+
+    return res.json({
+      ok: true,
+      ran,
+      failed,
+      scanned: due.length,
+    });
+  } catch (e) {
+    console.log("cron competitors-run error:", e.message);
+    return res.status(500).json({ error: "Erreur cron competitors-run" });
+  }
+});
+
 // ---------- EXPORTS ----------
+// Une cellule texte qui commence par = + - @ (ou tab/CR) serait évaluée comme formule par Excel/Sheets.
 function csvEscape(v) {
-  const s = String(v ?? "");
-  if (/[",\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  let s = String(v ?? "");
+  if (typeof v !== "number" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  if (/[",\r\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
   return s;
 }
 
@@ -4902,16 +12035,53 @@ async function sendMonitorsCsv(req, res) {
   res.setHeader("Content-Type", "text/csv; charset=utf-8");
   res.setHeader("Content-Disposition", `attachment; filename="flowpoint-monitors.csv"`);
 
-  const header = ["createdAt", "url", "active", "intervalMinutes", "lastStatus", "lastCheckedAt"].join(",") + "\n";
+  const header = ["createdAt", "url", "type", "active", "intervalMinutes", "lastStatus", "lastCheckedAt", "lastChangedAt"].join(",") + "\n";
   const rows = list
     .map((m) =>
       [
         m.createdAt?.toISOString?.() || "",
         m.url || "",
+        m.type || "uptime",
         m.active ? "true" : "false",
         m.intervalMinutes ?? "",
         m.lastStatus || "",
         m.lastCheckedAt ? new Date(m.lastCheckedAt).toISOString() : "",
+        m.lastChangedAt ? new Date(m.lastChangedAt).toISOString() : "",
+      ]
+        .map(csvEscape)
+        .join(",")
+    )
+    .join("\n");
+
+  return res.send(header + rows + "\n");
+}
+
+async function sendBulkAuditCsv(req, res) {
+  const job = await BulkAuditJob.findOne({
+    _id: req.params.id,
+    orgId: req.dbUser.orgId,
+  });
+
+  if (!job) return res.status(404).json({ error: "Lot introuvable" });
+
+  const ok = await consume(req.dbUser, req.dbOrg, "exports", 1);
+  if (!ok) return res.status(429).json({ error: "Quota exports dépassé" });
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="flowpoint-bulk-${job._id}.csv"`);
+
+  const header = ["row", "url", "status", "score", "summary", "error", "auditId"].join(",") + "\n";
+  const rows = [...job.rows]
+    .sort((a, b) => a.row - b.row)
+    .map((r) =>
+      [
+        r.row,
+        r.url || "",
+        r.status || "",
+        r.score ?? "",
+        r.summary || "",
+        r.error || "",
+        r.auditId ? String(r.auditId) : "",
       ]
         .map(csvEscape)
         .join(",")
@@ -4925,6 +12095,7 @@ app.get("/api/export/audits.csv", auth, requireActive, sendAuditsCsv);
 app.get("/api/export/monitors.csv", auth, requireActive, sendMonitorsCsv);
 app.get("/api/exports/audits.csv", auth, requireActive, sendAuditsCsv);
 app.get("/api/exports/monitors.csv", auth, requireActive, sendMonitorsCsv);
+app.get("/api/exports/bulk-audits/:id.csv", auth, requireActive, sendBulkAuditCsv);
 
 // ---------- ADMIN ----------
 app.get("/api/admin/users", requireAdmin, async (req, res) => {
@@ -4989,4 +12160,5 @@ app.use("/api", (req, res) => {
 // ---------- START ----------
 app.listen(PORT, () => {
   console.log(`✅ ${BRAND_NAME} lancé sur port ${PORT}`);
+  if (JOB_WORKER_ENABLED) startJobWorker();
 });